@@ -0,0 +1,444 @@
+'use strict';
+
+const vscode = require('vscode');
+const fs = require('fs');
+const pathModule = require('path');
+const crypto = require('crypto');
+const { COMPILE_MODE_COMPILE } = require('./debugBridge');
+const { mapWithConcurrency } = require('./unresolvedSymbolWatcher');
+const { collectIncludeClosure, selectIncludeDir } = require('./compileTargetResolver');
+const { resolvePathRelativeToWorkspace } = require('./createProperties');
+const { CompileCancellation } = require('./compileQueue');
+const { getActiveBuildProfile } = require('./buildProfiles');
+
+/**
+ * Build All
+ * Compiles every .mq4/.mq5 entry point in the workspace with bounded concurrency
+ * and merges the parsed MetaEditor diagnostics into a single Problems panel update.
+ *
+ * Compile Changed is the incremental variant: after each successful compile the
+ * content hashes of the main's include closure are stored in workspaceState together
+ * with a fingerprint of the compile settings, and only mains whose closure, settings
+ * (or compiled binary) changed since are rebuilt.
+ */
+
+const DEFAULT_CONCURRENCY = 2;
+const MAX_CONCURRENCY = 8;
+const DEFAULT_MAX_FILES = 1000;
+const COMPILE_HASHES_KEY = 'BuildAll.CompileHashes';
+
+/**
+ * Report whether a path is a real MQL entry point that Build All should compile.
+ * Headers and the debugger's instrumented `.mql_dbg_build.*` copies are skipped.
+ *
+ * @param {string} filePath
+ * @returns {boolean}
+ */
+function isBuildableMain(filePath) {
+    const ext = pathModule.extname(filePath).toLowerCase();
+    if (ext !== '.mq4' && ext !== '.mq5') return false;
+    return !pathModule.basename(filePath).toLowerCase().includes('.mql_dbg_build.');
+}
+
+/**
+ * Clamp the configured Build All concurrency to a sane range.
+ *
+ * @param {{ get: function(string, *): * }} config - `mql_tools` configuration
+ * @returns {number} Integer between 1 and MAX_CONCURRENCY
+ */
+function resolveBuildConcurrency(config) {
+    const raw = Number(config.get('BuildAll.Concurrency', DEFAULT_CONCURRENCY));
+    if (!Number.isFinite(raw)) return DEFAULT_CONCURRENCY;
+    return Math.min(MAX_CONCURRENCY, Math.max(1, Math.floor(raw)));
+}
+
+/**
+ * Find every buildable main file across all workspace folders, sorted by path.
+ *
+ * @param {number} [maxFiles]
+ * @returns {Promise<string[]>} Absolute file paths
+ */
+async function findWorkspaceMains(maxFiles = DEFAULT_MAX_FILES) {
+    const folders = vscode.workspace.workspaceFolders || [];
+    const mains = new Set();
+
+    for (const folder of folders) {
+        const uris = await vscode.workspace.findFiles(
+            new vscode.RelativePattern(folder, '**/*.{mq4,mq5}'),
+            '**/node_modules/**',
+            maxFiles
+        );
+        for (const uri of uris) {
+            if (isBuildableMain(uri.fsPath)) mains.add(uri.fsPath);
+        }
+    }
+
+    return Array.from(mains).sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Count successful and failed targets from Build All results.
+ *
+ * A result's `error` follows the compilePath() contract: falsy on success,
+ * `true` for compile errors, or a string for setup/environment errors.
+ *
+ * @param {Array<{target: string, error: boolean|string|null, skipped?: boolean}>} results
+ * @returns {{ ok: number, failed: number, skipped: number, failedTargets: string[] }}
+ */
+function summarizeBuildResults(results) {
+    const summary = { ok: 0, failed: 0, skipped: 0, failedTargets: [] };
+    for (const result of results) {
+        if (!result || result.skipped) {
+            summary.skipped++;
+        } else if (result.error) {
+            summary.failed++;
+            summary.failedTargets.push(result.target);
+        } else {
+            summary.ok++;
+        }
+    }
+    return summary;
+}
+
+/**
+ * Count errors and warnings in an aggregated diagnostics map.
+ *
+ * @param {Map<string, vscode.Diagnostic[]>} diagnosticsMap
+ * @returns {{ errors: number, warnings: number }}
+ */
+function countDiagnostics(diagnosticsMap) {
+    let errors = 0;
+    let warnings = 0;
+    for (const diags of diagnosticsMap.values()) {
+        for (const d of diags) {
+            if (d.severity === vscode.DiagnosticSeverity.Error) errors++;
+            else if (d.severity === vscode.DiagnosticSeverity.Warning) warnings++;
+        }
+    }
+    return { errors, warnings };
+}
+
+/**
+ * Format the one-line Build All summary shown in the output channel and notification.
+ *
+ * @param {{ ok: number, failed: number, skipped: number }} summary
+ * @param {{ errors: number, warnings: number }} counts
+ * @param {number} seconds - Total wall-clock duration
+ * @param {string} [title='Build All'] - Label prefix
+ * @returns {string}
+ */
+function formatBuildSummary(summary, counts, seconds, title = 'Build All') {
+    let text = `${title}: ${summary.ok} ok / ${summary.failed} failed`;
+    if (summary.skipped > 0) text += ` / ${summary.skipped} skipped`;
+    text += ` — ${counts.errors} error(s), ${counts.warnings} warning(s) [${seconds.toFixed(1)}s]`;
+    return text;
+}
+
+/**
+ * Compile every workspace entry point and publish the merged diagnostics.
+ *
+ * @param {object} context - VS Code extension context
+ * @param {object} deps
+ * @param {Function} deps.compilePath           - compilePath(rt, path, context, options) from extension.js
+ * @param {object}   deps.outputChannel         - MQL output channel
+ * @param {import('./mainDiagnostics').MainDiagnosticsStore} deps.mainDiagnostics - Per-main MetaEditor diagnostics
+ * @param {Function} [deps.refreshDiagnostics]  - Called after publishing (clangd refresh)
+ * @param {import('./compileQueue').CompileQueue} [deps.compileQueue] - Held for the whole batch
+ * @param {string[]} [deps.targets]             - Explicit targets; defaults to every workspace main
+ * @param {number}   [deps.rt]                  - Compile mode (defaults to COMPILE_MODE_COMPILE)
+ * @param {string}   [deps.title]               - Label used in progress and summary lines
+ * @param {Map<string, Object<string, string>>} [deps.hashes] - Closure hashes computed up front (Compile Changed)
+ * @returns {Promise<{summary: object, counts: object, results: object[]}|null>} null when nothing was built
+ */
+async function runBuildAll(context, deps) {
+    const { compilePath, outputChannel, mainDiagnostics, refreshDiagnostics, compileQueue } = deps;
+    const rt = deps.rt === undefined ? COMPILE_MODE_COMPILE : deps.rt;
+    const title = deps.title || 'Build All';
+    const config = vscode.workspace.getConfiguration('mql_tools');
+
+    const targets = deps.targets || await findWorkspaceMains();
+    if (targets.length === 0) {
+        vscode.window.showWarningMessage('No .mq4 or .mq5 files found in workspace');
+        return null;
+    }
+
+    const concurrency = resolveBuildConcurrency(config);
+    const merged = new Map();
+    let startT = Date.now();
+
+    // The batch holds the compile queue, so single-file compiles wait for it
+    // and Cancel Compile stops every MetaEditor process of the batch.
+    const compileBatch = (cancellation) => {
+        startT = Date.now();
+        outputChannel.clear();
+        outputChannel.show(true);
+        outputChannel.appendLine(`[${title}] Compiling ${targets.length} target(s) with concurrency ${concurrency}...`);
+
+        let done = 0;
+        return vscode.window.withProgress(
+            {
+                location: vscode.ProgressLocation.Notification,
+                title: `MQL Tools: ${title}`,
+                cancellable: true
+            },
+            async (progress, token) => {
+                const onCancel = token && token.onCancellationRequested(() => cancellation.cancel());
+                try {
+                    return await mapWithConcurrency(targets, concurrency, async (target) => {
+                        if (cancellation.isCancelled) {
+                            return { target, error: null, skipped: true };
+                        }
+                        let error;
+                        try {
+                            error = await compilePath(rt, target, context, { diagnostics: merged, cancellation });
+                        } catch (err) {
+                            error = err.message || String(err);
+                            outputChannel.appendLine(`[${title}] ${pathModule.basename(target)}: ${error}`);
+                        }
+                        done++;
+                        progress.report({
+                            message: `${done}/${targets.length} ${pathModule.basename(target)}`,
+                            increment: 100 / targets.length
+                        });
+                        return cancellation.isCancelled ? { target, error: null, skipped: true } : { target, error };
+                    });
+                } finally {
+                    if (onCancel) onCancel.dispose();
+                }
+            }
+        );
+    };
+
+    const results = compileQueue
+        ? await compileQueue.enqueue(`${title}|batch`, compileBatch, { label: title })
+        : await compileBatch(new CompileCancellation());
+    // Dropped from the queue by Cancel Compile before it started
+    if (!results) return null;
+
+    // One Problems update for the whole batch. Mains that were deleted or
+    // renamed since their last compile take their diagnostics with them.
+    mainDiagnostics.publish([...merged.keys(), ...mainDiagnostics.evictMissing()]);
+
+    // Successful targets are up to date for the next Compile Changed
+    for (const result of results) {
+        if (result && !result.skipped && !result.error) {
+            await recordCompileHashes(context, result.target, deps.hashes && deps.hashes.get(result.target));
+        }
+    }
+
+    const summary = summarizeBuildResults(results);
+    const counts = countDiagnostics(merged);
+    const summaryText = formatBuildSummary(summary, counts, (Date.now() - startT) / 1000, title);
+
+    outputChannel.appendLine('');
+    outputChannel.appendLine(`[${title}] ${summaryText}`);
+    for (const failedTarget of summary.failedTargets) {
+        outputChannel.appendLine(`[${title}]   failed: ${failedTarget}`);
+    }
+
+    if (typeof refreshDiagnostics === 'function') {
+        await refreshDiagnostics();
+    }
+
+    if (summary.failed > 0) {
+        vscode.window.showWarningMessage(summaryText, 'Show Problems').then(selection => {
+            if (selection === 'Show Problems') {
+                vscode.commands.executeCommand('workbench.panel.markers.view.focus');
+            }
+        });
+    } else {
+        vscode.window.showInformationMessage(summaryText);
+    }
+
+    return { summary, counts, results };
+}
+
+// ---------------------------------------------------------------------------
+// Incremental (Compile Changed) support
+// ---------------------------------------------------------------------------
+
+function hashContent(buffer) {
+    return crypto.createHash('sha1').update(buffer).digest('hex');
+}
+
+/**
+ * Path of the binary MetaEditor writes next to a main file (.mq5 → .ex5, .mq4 → .ex4).
+ *
+ * @param {string} mainPath
+ * @returns {string}
+ */
+function getCompiledBinaryPath(mainPath) {
+    const ext = pathModule.extname(mainPath);
+    const binaryExt = ext.toLowerCase() === '.mq4' ? '.ex4' : '.ex5';
+    return mainPath.slice(0, mainPath.length - ext.length) + binaryExt;
+}
+
+/**
+ * Resolve the workspace root and include directory used to walk a main's includes.
+ *
+ * @param {string} mainPath
+ * @returns {{ workspaceRoot: string, includeDir: string }}
+ */
+function resolveClosureContext(mainPath) {
+    const config = vscode.workspace.getConfiguration('mql_tools');
+    const folder = vscode.workspace.getWorkspaceFolder
+        ? vscode.workspace.getWorkspaceFolder(vscode.Uri.file(mainPath))
+        : null;
+    const workspaceRoot = folder ? folder.uri.fsPath : pathModule.dirname(mainPath);
+    const rawIncludeDir = selectIncludeDir(
+        mainPath,
+        config.get('Metaeditor.Include4Dir', ''),
+        config.get('Metaeditor.Include5Dir', '')
+    );
+    return { workspaceRoot, includeDir: resolvePathRelativeToWorkspace(rawIncludeDir, workspaceRoot) || '' };
+}
+
+/**
+ * Hash every file in a main's transitive include closure.
+ *
+ * @param {string} mainPath
+ * @param {{ workspaceRoot: string, includeDir?: string }} [closureContext] - Defaults to resolveClosureContext()
+ * @returns {Promise<Object<string, string>>} file path → sha1 of its content
+ */
+async function computeClosureHashes(mainPath, closureContext = resolveClosureContext(mainPath)) {
+    const files = await collectIncludeClosure(mainPath, closureContext.workspaceRoot, closureContext.includeDir);
+    const hashes = {};
+    for (const file of files) {
+        try {
+            hashes[file] = hashContent(await fs.promises.readFile(file));
+        } catch {
+            // File vanished between the closure walk and hashing; it will show up as changed next run.
+        }
+    }
+    return hashes;
+}
+
+/**
+ * Report whether a main's include closure differs from the recorded one.
+ * Added, removed and modified files all count as a change; a missing record always does.
+ *
+ * @param {Object<string, string>|undefined} previous
+ * @param {Object<string, string>} current
+ * @returns {boolean}
+ */
+function hasClosureChanged(previous, current) {
+    if (!previous) return true;
+    const previousFiles = Object.keys(previous);
+    if (previousFiles.length !== Object.keys(current).length) return true;
+    return previousFiles.some(file => previous[file] !== current[file]);
+}
+
+/**
+ * Fingerprint of the settings a binary depends on besides its sources: the active
+ * build profile (CPU architecture, optimisation flags, defines) and the global
+ * `Compile.CpuArchitecture`.
+ *
+ * @param {object} context - VS Code extension context
+ * @param {{ get: Function }} [config]
+ * @returns {string}
+ */
+function computeSettingsFingerprint(context, config = vscode.workspace.getConfiguration('mql_tools')) {
+    const profile = getActiveBuildProfile(context, config);
+    return hashContent(JSON.stringify({
+        profile: profile && {
+            name: profile.name,
+            cpuArchitecture: profile.cpuArchitecture,
+            defines: profile.defines,
+            optimize: profile.optimize,
+            fpZeroCheck: profile.fpZeroCheck,
+        },
+        cpuArchitecture: config.get('Compile.CpuArchitecture', 'default'),
+    }));
+}
+
+/**
+ * Store the closure hashes and the settings fingerprint of a successfully compiled main.
+ *
+ * @param {object} context - VS Code extension context
+ * @param {string} mainPath
+ * @param {Object<string, string>} [hashes] - Precomputed hashes; computed now when omitted
+ */
+async function recordCompileHashes(context, mainPath, hashes) {
+    if (!context || !context.workspaceState) return;
+    const closureHashes = hashes || await computeClosureHashes(mainPath);
+    const stored = context.workspaceState.get(COMPILE_HASHES_KEY, {});
+    const record = { settings: computeSettingsFingerprint(context), hashes: closureHashes };
+    await context.workspaceState.update(COMPILE_HASHES_KEY, { ...stored, [mainPath]: record });
+}
+
+/**
+ * Split mains into the ones that need a rebuild and the ones that are up to date.
+ * A main is stale when its closure hashes or the compile settings changed since its
+ * last successful compile, or its compiled binary is missing.
+ *
+ * @param {object} context - VS Code extension context
+ * @param {string[]} mains
+ * @param {function(string): boolean} [pathExists=fs.existsSync] Injected for unit-testing.
+ * @returns {Promise<{ stale: string[], upToDate: string[], hashes: Map<string, Object<string, string>> }>}
+ */
+async function planChangedBuild(context, mains, pathExists = fs.existsSync) {
+    const stored = (context && context.workspaceState) ? context.workspaceState.get(COMPILE_HASHES_KEY, {}) : {};
+    const settings = computeSettingsFingerprint(context);
+    const plan = { stale: [], upToDate: [], hashes: new Map() };
+
+    for (const mainPath of mains) {
+        const current = await computeClosureHashes(mainPath);
+        plan.hashes.set(mainPath, current);
+        const record = stored[mainPath];
+        const settingsChanged = !record || record.settings !== settings;
+        if (settingsChanged || hasClosureChanged(record.hashes, current) || !pathExists(getCompiledBinaryPath(mainPath))) {
+            plan.stale.push(mainPath);
+        } else {
+            plan.upToDate.push(mainPath);
+        }
+    }
+
+    return plan;
+}
+
+/**
+ * Compile only the workspace mains whose include closure changed since their last
+ * successful compile; runBuildAll() records the new hashes of the ones that succeed.
+ *
+ * @param {object} context - VS Code extension context
+ * @param {object} deps    - Same dependencies as runBuildAll()
+ * @returns {Promise<object|null>} runBuildAll() outcome, or null when nothing needed building
+ */
+async function runCompileChanged(context, deps) {
+    const mains = deps.targets || await findWorkspaceMains();
+    if (mains.length === 0) {
+        vscode.window.showWarningMessage('No .mq4 or .mq5 files found in workspace');
+        return null;
+    }
+
+    const plan = await planChangedBuild(context, mains);
+    if (plan.stale.length === 0) {
+        vscode.window.showInformationMessage(`Compile Changed: all ${mains.length} target(s) are up to date.`);
+        return null;
+    }
+
+    const outcome = await runBuildAll(context, { ...deps, targets: plan.stale, title: 'Compile Changed', hashes: plan.hashes });
+    if (!outcome) return null;
+
+    deps.outputChannel.appendLine(`[Compile Changed] ${plan.upToDate.length} up-to-date target(s) skipped`);
+    return outcome;
+}
+
+module.exports = {
+    runBuildAll,
+    runCompileChanged,
+    planChangedBuild,
+    computeClosureHashes,
+    computeSettingsFingerprint,
+    hasClosureChanged,
+    recordCompileHashes,
+    getCompiledBinaryPath,
+    resolveClosureContext,
+    COMPILE_HASHES_KEY,
+    findWorkspaceMains,
+    isBuildableMain,
+    resolveBuildConcurrency,
+    summarizeBuildResults,
+    countDiagnostics,
+    formatBuildSummary
+};
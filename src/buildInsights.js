@@ -0,0 +1,198 @@
+'use strict';
+const vscode = require('vscode');
+const fs = require('fs');
+const pathModule = require('path');
+const { getOrBuildReverseIndex, findCandidateMains } = require('./compileTargetResolver');
+const { MODE_LABELS } = require('./compileHistory');
+
+const fsPromises = fs.promises;
+
+// Insights only live for the session; cap them so long sessions stay small.
+const MAX_TRACKED_TARGETS = 50;
+
+/**
+ * In-memory record of the includes MetaEditor reported for the latest compile
+ * of each target.
+ */
+class BuildInsightsStore {
+    constructor(maxTargets = MAX_TRACKED_TARGETS) {
+        this._maxTargets = maxTargets;
+        this._runs = new Map();
+    }
+
+    /**
+     * @param {object} run
+     * @param {string} run.target     - Absolute path of the compiled source
+     * @param {number} run.mode       - COMPILE_MODE_* value
+     * @param {number} run.startedAt  - Epoch milliseconds
+     * @param {number} run.durationMs
+     * @param {string[]} run.includes - parseMetaEditorLog() includes
+     */
+    record({ target, mode, startedAt, durationMs, includes }) {
+        // Re-insert so Map order stays "least recently compiled first".
+        this._runs.delete(target);
+        this._runs.set(target, {
+            target,
+            mode: MODE_LABELS[mode] || 'check',
+            startedAt,
+            durationMs,
+            includes: includes.slice(),
+        });
+        while (this._runs.size > this._maxTargets) {
+            this._runs.delete(this._runs.keys().next().value);
+        }
+    }
+
+    /** @returns {object|undefined} */
+    get(target) {
+        return this._runs.get(target);
+    }
+
+    /** @returns {string[]} most recently compiled first */
+    getTargets() {
+        return [...this._runs.keys()].reverse();
+    }
+}
+
+/**
+ * Size and fan-out (number of mains pulling the header in) of every include.
+ *
+ * @param {string[]} includes
+ * @param {object} deps
+ * @param {Map<string, Set<string>>} deps.reverseIndex - from compileTargetResolver
+ * @param {(file: string) => Promise<number|null>} [deps.statSize]
+ * @returns {Promise<Array<{ file: string, size: number|null, mains: string[], weight: number }>>}
+ *   sorted by weight (size × fan-out), largest first
+ */
+async function collectIncludeStats(includes, { reverseIndex, statSize = defaultStatSize }) {
+    const stats = [];
+    for (const file of includes) {
+        const size = await statSize(file);
+        const mains = findCandidateMains(reverseIndex, file).sort();
+        stats.push({ file, size, mains, weight: (size || 0) * Math.max(mains.length, 1) });
+    }
+    return stats.sort((a, b) => b.weight - a.weight || (b.size || 0) - (a.size || 0) || a.file.localeCompare(b.file));
+}
+
+async function defaultStatSize(file) {
+    try {
+        return (await fsPromises.stat(file)).size;
+    } catch {
+        return null;
+    }
+}
+
+function formatBytes(bytes) {
+    if (bytes === null || bytes === undefined) return 'n/a';
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+}
+
+function displayPath(file, workspaceFolderPath) {
+    if (workspaceFolderPath) {
+        const rel = pathModule.relative(workspaceFolderPath, file);
+        if (rel && !rel.startsWith('..') && !pathModule.isAbsolute(rel)) return rel.split(pathModule.sep).join('/');
+    }
+    return file;
+}
+
+/**
+ * Render the Build Insights report as Markdown.
+ *
+ * @param {object} run - BuildInsightsStore entry
+ * @param {Array} stats - from collectIncludeStats()
+ * @param {object} [opts]
+ * @param {string} [opts.workspaceFolderPath] - Paths below it are shown relative
+ * @param {number[]} [opts.recentDurationsMs] - Compile History durations, newest first
+ * @returns {string}
+ */
+function buildInsightsMarkdown(run, stats, { workspaceFolderPath = '', recentDurationsMs = [] } = {}) {
+    const seconds = ms => `${(ms / 1000).toFixed(1)} s`;
+    const totalBytes = stats.reduce((sum, s) => sum + (s.size || 0), 0);
+    const lines = [
+        `# Build Insights: ${pathModule.basename(run.target)}`,
+        '',
+        `- Target: \`${displayPath(run.target, workspaceFolderPath)}\``,
+        `- Mode: ${run.mode} · started ${new Date(run.startedAt).toLocaleString()}`,
+        `- Duration: ${seconds(run.durationMs)}`,
+    ];
+    if (recentDurationsMs.length > 1) {
+        lines.push(`- Recent durations: ${recentDurationsMs.map(seconds).join(', ')}`);
+    }
+    lines.push(`- Included files: ${stats.length} (${formatBytes(totalBytes)})`, '');
+
+    if (stats.length === 0) {
+        lines.push('MetaEditor reported no included files for this build.');
+        return lines.join('\n') + '\n';
+    }
+
+    lines.push(
+        'MetaEditor does not time individual headers. *Weighted* is the header size multiplied by the number of',
+        'mains that include it: the bytes it adds across all your builds. Start restructuring at the top.',
+        '',
+        '| # | Header | Size | Mains | Weighted |',
+        '|---:|---|---:|---:|---:|'
+    );
+    stats.forEach((s, i) => {
+        lines.push(`| ${i + 1} | \`${displayPath(s.file, workspaceFolderPath)}\` | ${formatBytes(s.size)} | ${s.mains.length} | ${formatBytes(s.weight)} |`);
+    });
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Register the Build Insights command.
+ * @param {vscode.ExtensionContext} context
+ * @param {object} deps
+ * @param {import('./compileHistory').CompileHistoryStore} [deps.history] - Source of recent durations
+ * @returns {BuildInsightsStore} store that compilePath() results are recorded into
+ */
+function registerBuildInsights(context, { history } = {}) {
+    const store = new BuildInsightsStore();
+
+    context.subscriptions.push(vscode.commands.registerCommand('mql_tools.showBuildInsights', async (node) => {
+        let target = node && node.target;
+        if (!target) {
+            const active = vscode.window.activeTextEditor?.document.fileName;
+            target = active && store.get(active) ? active : null;
+        }
+        if (!target) {
+            const targets = store.getTargets();
+            if (targets.length === 0) {
+                vscode.window.showInformationMessage('No build insights yet. Check or compile an MQL program first.');
+                return;
+            }
+            const picked = await vscode.window.showQuickPick(
+                targets.map(t => ({ label: pathModule.basename(t), description: t, target: t })),
+                { placeHolder: 'Show build insights for' });
+            if (!picked) return;
+            target = picked.target;
+        }
+
+        const run = store.get(target);
+        if (!run) {
+            vscode.window.showInformationMessage(`No build insights for ${pathModule.basename(target)} in this session. Check or compile it first.`);
+            return;
+        }
+
+        const workspaceFolder = vscode.workspace.getWorkspaceFolder(vscode.Uri.file(target));
+        const reverseIndex = workspaceFolder ? await getOrBuildReverseIndex(workspaceFolder, context) : new Map();
+        const stats = await collectIncludeStats(run.includes, { reverseIndex });
+        const recentDurationsMs = history ? history.getRuns(target).slice(0, 10).map(r => r.durationMs) : [];
+        const content = buildInsightsMarkdown(run, stats, {
+            workspaceFolderPath: workspaceFolder ? workspaceFolder.uri.fsPath : '',
+            recentDurationsMs,
+        });
+        const doc = await vscode.workspace.openTextDocument({ language: 'markdown', content });
+        await vscode.commands.executeCommand('markdown.showPreview', doc.uri);
+    }));
+    return store;
+}
+
+module.exports = {
+    BuildInsightsStore,
+    collectIncludeStats,
+    formatBytes,
+    buildInsightsMarkdown,
+    registerBuildInsights,
+};
@@ -0,0 +1,294 @@
+'use strict';
+const vscode = require('vscode');
+const fs = require('fs');
+const pathModule = require('path');
+const { resolvePathRelativeToWorkspace } = require('./createProperties');
+const { CPU_ARCH_MAP } = require('./metaEditor');
+
+const fsPromises = fs.promises;
+
+const ACTIVE_PROFILE_KEY = 'BuildProfiles.Active';
+const DEFAULT_PRELUDE_HEADER = 'Include/BuildProfile.mqh';
+const PRELUDE_BANNER = 'Generated by MQL Tools from the active build profile.';
+const REG_DEFINE = /^([A-Za-z_]\w*)(?:\s*=\s*(.*))?$/;
+
+/**
+ * Read and validate `mql_tools.Build.Profiles`.
+ *
+ * Invalid entries (no name, duplicate name) are dropped; unknown architectures
+ * fall back to the global `Compile.CpuArchitecture`; malformed defines are
+ * reported in `problems` so the caller can surface them.
+ *
+ * @param {{ get: Function }} config - `mql_tools` configuration section
+ * @returns {{ profiles: object[], problems: string[] }}
+ */
+function readBuildProfiles(config) {
+    const raw = config && config.get('Build.Profiles', []);
+    const profiles = [];
+    const problems = [];
+    const seen = new Set();
+
+    for (const entry of Array.isArray(raw) ? raw : []) {
+        const name = entry && typeof entry.name === 'string' ? entry.name.trim() : '';
+        if (!name) {
+            problems.push('Build profile without a "name" ignored');
+            continue;
+        }
+        if (seen.has(name)) {
+            problems.push(`Duplicate build profile "${name}" ignored`);
+            continue;
+        }
+        seen.add(name);
+
+        let cpuArchitecture = null;
+        if (entry.cpuArchitecture) {
+            const arch = String(entry.cpuArchitecture).toLowerCase();
+            if (arch === 'default' || CPU_ARCH_MAP[arch] !== undefined) {
+                cpuArchitecture = arch;
+            } else {
+                problems.push(`Build profile "${name}": unknown cpuArchitecture "${entry.cpuArchitecture}"`);
+            }
+        }
+
+        const defines = [];
+        for (const def of Array.isArray(entry.defines) ? entry.defines : []) {
+            const match = typeof def === 'string' ? def.trim().match(REG_DEFINE) : null;
+            if (match) {
+                defines.push({ name: match[1], value: match[2] !== undefined ? match[2].trim() : '' });
+            } else {
+                problems.push(`Build profile "${name}": invalid define "${def}"`);
+            }
+        }
+
+        profiles.push({
+            name,
+            cpuArchitecture,
+            defines,
+            optimize: typeof entry.optimize === 'boolean' ? entry.optimize : null,
+            fpZeroCheck: typeof entry.fpZeroCheck === 'boolean' ? entry.fpZeroCheck : null,
+            outputFolder: typeof entry.outputFolder === 'string' && entry.outputFolder.trim() ? entry.outputFolder.trim() : null,
+        });
+    }
+    return { profiles, problems };
+}
+
+/**
+ * The profile selected for this workspace, or null when none is selected or the
+ * selected name no longer exists in the settings.
+ *
+ * @param {vscode.ExtensionContext} [context]
+ * @param {{ get: Function }} [config]
+ * @returns {object|null}
+ */
+function getActiveBuildProfile(context, config = vscode.workspace.getConfiguration('mql_tools')) {
+    if (!context || !context.workspaceState) return null;
+    const activeName = context.workspaceState.get(ACTIVE_PROFILE_KEY, null);
+    if (!activeName) return null;
+    return readBuildProfiles(config).profiles.find(p => p.name === activeName) || null;
+}
+
+/**
+ * @param {vscode.ExtensionContext} context
+ * @param {string|null} name - null clears the selection
+ */
+async function setActiveBuildProfile(context, name) {
+    await context.workspaceState.update(ACTIVE_PROFILE_KEY, name || undefined);
+}
+
+/**
+ * Project switches the profile overrides, or null when it keeps MetaEditor's
+ * defaults (so no temporary .mqproj is needed for them).
+ *
+ * @param {object|null} profile
+ * @returns {{ optimize?: boolean, fpZeroCheck?: boolean }|null}
+ */
+function getProfileProjectFlags(profile) {
+    if (!profile) return null;
+    const flags = {};
+    if (profile.optimize !== null) flags.optimize = profile.optimize;
+    if (profile.fpZeroCheck !== null) flags.fpZeroCheck = profile.fpZeroCheck;
+    return Object.keys(flags).length > 0 ? flags : null;
+}
+
+/**
+ * Generate the prelude header for a profile. With no profile the header only
+ * carries the banner, so `#ifdef BUILD_PROFILE` checks fail as expected.
+ *
+ * @param {object|null} profile
+ * @returns {string}
+ */
+function buildPreludeHeaderContent(profile) {
+    const lines = [
+        '//+------------------------------------------------------------------+',
+        `//| ${PRELUDE_BANNER}            |`,
+        '//| Do not edit: the file is rewritten before every compile.         |',
+        '//+------------------------------------------------------------------+',
+    ];
+    if (profile) {
+        lines.push(`#define BUILD_PROFILE "${profile.name.replace(/["\\]/g, '\\$&')}"`);
+        for (const def of profile.defines) {
+            lines.push(def.value ? `#define ${def.name} ${def.value}` : `#define ${def.name}`);
+        }
+    }
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Absolute path of the prelude header.
+ * @param {{ get: Function }} config
+ * @param {string} workspaceFolderPath
+ * @returns {string|null} null when the header is disabled
+ */
+function resolvePreludeHeaderPath(config, workspaceFolderPath) {
+    const configured = config && config.get('Build.PreludeHeader', DEFAULT_PRELUDE_HEADER);
+    if (typeof configured !== 'string' || !configured.trim()) return null;
+    return resolvePathRelativeToWorkspace(configured.trim(), workspaceFolderPath);
+}
+
+/**
+ * Bring the prelude header in line with the active profile before a compile.
+ *
+ * Nothing happens unless `Build.Profiles` lists at least one profile. The file
+ * is created only while a profile is active; when no profile is active an
+ * existing header is reset so stale defines cannot leak into the build.
+ * A file without the generated banner belongs to the user and is never
+ * overwritten. Unchanged content is not rewritten, which keeps Compile Changed
+ * hashes stable.
+ *
+ * @param {object|null} profile
+ * @param {string|null} headerPath - from resolvePreludeHeaderPath()
+ * @param {boolean} profilesConfigured - readBuildProfiles() found any profile
+ * @returns {Promise<boolean>} true when the file was written
+ * @throws {Error} when `headerPath` is a file MQL Tools did not generate
+ */
+async function syncPreludeHeader(profile, headerPath, profilesConfigured) {
+    if (!headerPath || !profilesConfigured) return false;
+
+    let existing = null;
+    try {
+        existing = await fsPromises.readFile(headerPath, 'utf8');
+    } catch {
+        // Missing or unreadable: write below
+    }
+    if (existing === null && !profile) return false;
+    if (existing !== null && !existing.includes(PRELUDE_BANNER)) {
+        throw new Error(`${headerPath} was not generated by MQL Tools; rename it or change mql_tools.Build.PreludeHeader`);
+    }
+
+    const content = buildPreludeHeaderContent(profile);
+    if (existing === content) return false;
+    await fsPromises.mkdir(pathModule.dirname(headerPath), { recursive: true });
+    await fsPromises.writeFile(headerPath, content, 'utf8');
+    return true;
+}
+
+/**
+ * Copy the compiled .ex4/.ex5 of `sourcePath` into the profile's output folder.
+ *
+ * @param {string} sourcePath
+ * @param {object} profile
+ * @param {string} workspaceFolderPath
+ * @returns {Promise<string|null>} destination path, or null when the profile has no output folder
+ */
+async function copyProfileOutput(sourcePath, profile, workspaceFolderPath) {
+    if (!profile || !profile.outputFolder) return null;
+    const ext = pathModule.extname(sourcePath).toLowerCase() === '.mq4' ? '.ex4' : '.ex5';
+    const binaryName = `${pathModule.basename(sourcePath, pathModule.extname(sourcePath))}${ext}`;
+    const binaryPath = pathModule.join(pathModule.dirname(sourcePath), binaryName);
+    const destDir = resolvePathRelativeToWorkspace(profile.outputFolder, workspaceFolderPath);
+
+    await fsPromises.mkdir(destDir, { recursive: true });
+    const destPath = pathModule.join(destDir, binaryName);
+    await fsPromises.copyFile(binaryPath, destPath);
+    return destPath;
+}
+
+/**
+ * Short one-line description of a profile for pickers and tooltips.
+ * @param {object} profile
+ * @returns {string}
+ */
+function describeBuildProfile(profile) {
+    const parts = [];
+    if (profile.cpuArchitecture && profile.cpuArchitecture !== 'default') parts.push(profile.cpuArchitecture.toUpperCase());
+    if (profile.defines.length > 0) parts.push(profile.defines.map(d => d.name).join(', '));
+    if (profile.optimize === false) parts.push('no optimize');
+    if (profile.fpZeroCheck === false) parts.push('no FP zero check');
+    if (profile.outputFolder) parts.push(`→ ${profile.outputFolder}`);
+    return parts.join(' · ');
+}
+
+/**
+ * Register the build profile status bar item and picker command.
+ * @param {vscode.ExtensionContext} context
+ * @param {vscode.OutputChannel} outputChannel
+ */
+function registerBuildProfiles(context, outputChannel) {
+    const statusItem = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Left, 50);
+    statusItem.command = 'mql_tools.selectBuildProfile';
+
+    const updateStatus = () => {
+        const config = vscode.workspace.getConfiguration('mql_tools');
+        const { profiles } = readBuildProfiles(config);
+        if (profiles.length === 0) {
+            statusItem.hide();
+            return;
+        }
+        const active = getActiveBuildProfile(context, config);
+        statusItem.text = `$(package) ${active ? active.name : 'No Profile'}`;
+        statusItem.tooltip = active
+            ? `MQL build profile: ${active.name}${describeBuildProfile(active) ? `\n${describeBuildProfile(active)}` : ''}\nClick to switch`
+            : 'MQL build profile: none (global settings)\nClick to select a profile';
+        statusItem.show();
+    };
+
+    context.subscriptions.push(
+        statusItem,
+        vscode.commands.registerCommand('mql_tools.selectBuildProfile', async () => {
+            const { profiles, problems } = readBuildProfiles(vscode.workspace.getConfiguration('mql_tools'));
+            for (const problem of problems) {
+                outputChannel.appendLine(`[Build Profiles] ${problem}`);
+            }
+            if (profiles.length === 0) {
+                const open = await vscode.window.showInformationMessage(
+                    'No MQL build profiles defined. Add them to "mql_tools.Build.Profiles".', 'Open Settings');
+                if (open) {
+                    await vscode.commands.executeCommand('workbench.action.openSettings', 'mql_tools.Build.Profiles');
+                }
+                return;
+            }
+            const active = getActiveBuildProfile(context);
+            const items = [
+                { label: '$(circle-slash) No Profile', description: 'Use the global compile settings', profileName: null },
+                ...profiles.map(p => ({
+                    label: `${active && active.name === p.name ? '$(check) ' : ''}${p.name}`,
+                    description: describeBuildProfile(p),
+                    profileName: p.name,
+                })),
+            ];
+            const picked = await vscode.window.showQuickPick(items, { placeHolder: 'Select the MQL build profile' });
+            if (!picked) return;
+            await setActiveBuildProfile(context, picked.profileName);
+            outputChannel.appendLine(`[Build Profiles] Active profile: ${picked.profileName || 'none'}`);
+            updateStatus();
+        }),
+        vscode.workspace.onDidChangeConfiguration(e => {
+            if (e.affectsConfiguration('mql_tools.Build.Profiles')) updateStatus();
+        })
+    );
+    updateStatus();
+}
+
+module.exports = {
+    ACTIVE_PROFILE_KEY,
+    readBuildProfiles,
+    getActiveBuildProfile,
+    setActiveBuildProfile,
+    getProfileProjectFlags,
+    buildPreludeHeaderContent,
+    resolvePreludeHeaderPath,
+    syncPreludeHeader,
+    copyProfileOutput,
+    describeBuildProfile,
+    registerBuildProfiles,
+};
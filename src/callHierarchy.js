@@ -0,0 +1,264 @@
+'use strict';
+const vscode = require('vscode');
+const pathModule = require('path');
+const { maskCommentsAndStrings } = require('./createProperties');
+const { MQL_EVENT_HANDLERS } = require('./provider');
+const { parseClasses } = require('./classMethods');
+const { KEYWORDS, findCallSiteOffsets } = require('./unresolvedSymbolWatcher');
+const { identifierAt } = require('./mqlRename');
+
+const REG_TYPE_HEAD = /\b(?:class|struct|union|enum|interface)\b/;
+
+function matchingBrace(masked, open) {
+    let depth = 0;
+    for (let i = open; i < masked.length; i++) {
+        if (masked[i] === '{') depth++;
+        else if (masked[i] === '}' && --depth === 0) return i;
+    }
+    return -1;
+}
+
+/**
+ * Functions and methods with a body. The name is the identifier before the
+ * first parenthesis of the head, so constructor initializer lists
+ * (`CFoo::CFoo() : m_x(0) {`) resolve to the constructor. Destructors are
+ * listed as `~CFoo`; no call site reaches them, but their calls count.
+ *
+ * @param {string} text
+ * @returns {Array<{ name: string, container: string|null, isEvent: boolean, nameStart: number, start: number, bodyStart: number, bodyEnd: number }>}
+ *   offsets: `start` of the head, `bodyStart`/`bodyEnd` of the braces
+ */
+function findFunctionDefinitions(text) {
+    // Directive lines never belong to a function head
+    const masked = maskCommentsAndStrings(text).replace(/^[ \t]*#.*$/gm, line => ' '.repeat(line.length));
+    const classes = parseClasses(text);
+    const lineStarts = [0];
+    for (let i = 0; i < text.length; i++) if (text[i] === '\n') lineStarts.push(i + 1);
+    const lineOf = offset => {
+        let lo = 0, hi = lineStarts.length - 1;
+        while (lo < hi) {
+            const mid = (lo + hi + 1) >> 1;
+            if (lineStarts[mid] <= offset) lo = mid; else hi = mid - 1;
+        }
+        return lo;
+    };
+
+    const out = [];
+    for (let i = 0; i < masked.length; i++) {
+        if (masked[i] !== '{') continue;
+        let boundary = i - 1;
+        while (boundary >= 0 && !';{}'.includes(masked[boundary])) boundary--;
+        const head = masked.slice(boundary + 1, i);
+        // Class bodies are not skipped, so inline methods are found too
+        if (REG_TYPE_HEAD.test(head) || !/\)\s*(?:const\s*)?$/.test(head)) continue;
+
+        const m = head.match(/(?:([A-Za-z_]\w*)\s*::\s*)?\b([A-Za-z_]\w*)\s*\(/);
+        if (!m || KEYWORDS.has(m[2]) || !/[\w*&~]\s*$|^\s*$|:\s*$/.test(head.slice(0, m.index))) continue;
+        const end = matchingBrace(masked, i);
+        if (end < 0) break;
+
+        let nameAt = m.index + m[0].indexOf(m[2], m[1] ? m[1].length : 0);
+        const tilde = head.slice(0, nameAt).match(/~\s*$/);
+        if (tilde) nameAt -= tilde[0].length;
+        const nameStart = boundary + 1 + nameAt;
+        const line = lineOf(nameStart);
+        const cls = m[1] ? null : classes.find(c => c.startLine <= line && line <= c.endLine);
+        const container = m[1] || (cls ? cls.name : null);
+        out.push({
+            name: tilde ? `~${m[2]}` : m[2],
+            container,
+            isEvent: !container && MQL_EVENT_HANDLERS.has(m[2]),
+            nameStart,
+            start: boundary + 1 + head.match(/^(?:\s*(?:public|private|protected)\s*:)*\s*/)[0].length,
+            bodyStart: i,
+            bodyEnd: end,
+        });
+        i = end;
+    }
+
+    return out;
+}
+
+/**
+ * Calls made inside each function body.
+ * @param {string} text
+ * @param {ReturnType<typeof findFunctionDefinitions>} functions
+ * @returns {Map<object, Array<{ name: string, qualifier: string|null, member: boolean, start: number, end: number }>>}
+ */
+function findCallsByFunction(text, functions) {
+    const masked = maskCommentsAndStrings(text);
+    const calls = new Map(functions.map(fn => [fn, []]));
+    for (const site of findCallSiteOffsets(text)) {
+        const caller = functions.find(fn => fn.bodyStart < site.start && site.start < fn.bodyEnd);
+        if (!caller) continue;
+        const before = masked.slice(Math.max(0, site.start - 80), site.start);
+        const qualified = before.match(/([A-Za-z_]\w*)?\s*::\s*$/);
+        calls.get(caller).push({
+            name: site.name,
+            qualifier: qualified ? qualified[1] || '' : null,
+            member: /(?:\.|->)\s*$/.test(before),
+            start: site.start,
+            end: site.end,
+        });
+    }
+    return calls;
+}
+
+/**
+ * Definitions a call may reach: methods for `obj.Method()`, the qualified
+ * class for `CFoo::Method()`, the caller's own class for unqualified calls
+ * inside a method, then free functions, then any method of that name.
+ */
+function resolveCall(call, caller, definitions) {
+    const named = definitions.filter(d => d.name === call.name);
+    if (call.qualifier !== null) return named.filter(d => (call.qualifier ? d.container === call.qualifier : !d.container));
+    if (call.member) return named.filter(d => d.container);
+    const own = named.filter(d => caller.container && d.container === caller.container);
+    if (own.length > 0) return own;
+    const free = named.filter(d => !d.container);
+    return free.length > 0 ? free : named.filter(d => d.container);
+}
+
+/** Functions and calls of one source, cached in the workspace index. */
+function parseSource(text, filePath) {
+    const functions = findFunctionDefinitions(text);
+    const lineStarts = [0];
+    for (let i = 0; i < text.length; i++) if (text[i] === '\n') lineStarts.push(i + 1);
+    return { filePath, lineStarts, functions, calls: findCallsByFunction(text, functions) };
+}
+
+/**
+ * Incoming and outgoing calls of user functions and methods across the
+ * include graph. Event handlers (`OnTick`, `OnTimer`, …) are roots: the
+ * terminal calls them, so they show as events and the incoming tree ends there.
+ * Parsed sources live in the workspace index and are reparsed only when
+ * they change.
+ */
+class MqlCallHierarchyProvider {
+    /**
+     * @param {object} deps
+     * @param {import('./workspaceIndex').WorkspaceSymbolIndex} deps.index
+     * @param {(document: { uri: vscode.Uri, fileName: string }) => Promise<string[]>} deps.collectFiles - Sources sharing symbols with the document
+     */
+    constructor({ index, collectFiles }) {
+        this._index = index;
+        this._collectFiles = collectFiles;
+    }
+
+    async prepareCallHierarchy(document, position) {
+        const file = this._index.parsedDocument(document, 'calls', parseSource);
+        const offset = document.offsetAt(position);
+        const hit = identifierAt(document.getText(), offset);
+        const own = hit && file.functions.find(fn => fn.nameStart === hit.start);
+        if (own) return this._item(file, own);
+        if (hit) {
+            const call = [...file.calls.values()].flat().find(c => c.start === hit.start);
+            if (call) return this._prepareCall(document, file, call);
+        }
+        const enclosing = file.functions.find(fn => fn.start <= offset && offset <= fn.bodyEnd);
+        return enclosing ? this._item(file, enclosing) : undefined;
+    }
+
+    async provideCallHierarchyIncomingCalls(item) {
+        const target = await this._definitionOf(item);
+        if (!target) return [];
+        const scope = await this._scope(item.uri);
+        const definitions = scope.flatMap(file => file.functions);
+        const results = [];
+        for (const file of scope) {
+            for (const [caller, calls] of file.calls) {
+                const ranges = calls
+                    .filter(call => call.name === target.definition.name &&
+                        resolveCall(call, caller, definitions).includes(target.definition))
+                    .map(call => this._range(file, call.start, call.end));
+                if (ranges.length > 0) results.push(new vscode.CallHierarchyIncomingCall(this._item(file, caller), ranges));
+            }
+        }
+        return results;
+    }
+
+    async provideCallHierarchyOutgoingCalls(item) {
+        const source = await this._definitionOf(item);
+        if (!source) return [];
+        const scope = await this._scope(item.uri);
+        const definitions = scope.flatMap(file => file.functions.map(fn => ({ fn, file })));
+        const byTarget = new Map();
+        for (const call of source.file.calls.get(source.definition) || []) {
+            const targets = resolveCall(call, source.definition, definitions.map(d => d.fn));
+            for (const target of targets) {
+                if (!byTarget.has(target)) byTarget.set(target, []);
+                byTarget.get(target).push(this._range(source.file, call.start, call.end));
+            }
+        }
+        return [...byTarget].map(([target, ranges]) => {
+            const { file } = definitions.find(d => d.fn === target);
+            return new vscode.CallHierarchyOutgoingCall(this._item(file, target), ranges);
+        });
+    }
+
+    async _prepareCall(document, file, call) {
+        const scope = await this._scope(document.uri);
+        const caller = [...file.calls].find(([, calls]) => calls.includes(call))[0];
+        const definitions = scope.flatMap(f => f.functions.map(fn => ({ fn, file: f })));
+        const targets = resolveCall(call, caller, definitions.map(d => d.fn));
+        return targets.map(target => this._item(definitions.find(d => d.fn === target).file, target));
+    }
+
+    async _scope(uri) {
+        let files = [];
+        try {
+            files = await this._collectFiles({ uri, fileName: uri.fsPath });
+        } catch {
+            files = [];
+        }
+        const scope = [];
+        for (const filePath of new Set([uri.fsPath, ...files])) {
+            const file = await this._index.parsed(filePath, 'calls', parseSource);
+            if (file) scope.push(file);
+        }
+        return scope;
+    }
+
+    async _definitionOf(item) {
+        const file = await this._index.parsed(item.uri.fsPath, 'calls', parseSource);
+        if (!file) return null;
+        const line = item.selectionRange.start.line;
+        const definition = file.functions.find(fn => fn.name === item.name.replace(/^.*::/, '') && this._position(file, fn.nameStart).line === line);
+        return definition ? { file, definition } : null;
+    }
+
+    _position(file, offset) {
+        let lo = 0, hi = file.lineStarts.length - 1;
+        while (lo < hi) {
+            const mid = (lo + hi + 1) >> 1;
+            if (file.lineStarts[mid] <= offset) lo = mid; else hi = mid - 1;
+        }
+        return new vscode.Position(lo, offset - file.lineStarts[lo]);
+    }
+
+    _range(file, start, end) {
+        return new vscode.Range(this._position(file, start), this._position(file, end));
+    }
+
+    _item(file, fn) {
+        const kind = fn.isEvent ? vscode.SymbolKind.Event
+            : fn.container ? (fn.name === fn.container ? vscode.SymbolKind.Constructor : vscode.SymbolKind.Method)
+                : vscode.SymbolKind.Function;
+        const detail = fn.isEvent ? 'event handler' : pathModule.basename(file.filePath);
+        return new vscode.CallHierarchyItem(
+            kind,
+            fn.container ? `${fn.container}::${fn.name}` : fn.name,
+            detail,
+            vscode.Uri.file(file.filePath),
+            this._range(file, fn.start, fn.bodyEnd + 1),
+            this._range(file, fn.nameStart, fn.nameStart + fn.name.length)
+        );
+    }
+}
+
+module.exports = {
+    findFunctionDefinitions,
+    findCallsByFunction,
+    resolveCall,
+    MqlCallHierarchyProvider,
+};
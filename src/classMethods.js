@@ -0,0 +1,667 @@
+'use strict';
+const vscode = require('vscode');
+const fs = require('fs');
+const pathModule = require('path');
+const { decodeTextBuffer } = require('./textDecoding');
+const { maskCommentsAndStrings, stripParamDefaults } = require('./createProperties');
+const { parseClassDefinitions } = require('./debugInstrumentation');
+
+const REG_ACCESS = /^\s*(?:public|private|protected)\s*:/;
+const REG_OUT_OF_LINE = /\b([A-Za-z_]\w*)\s*::\s*(~?[A-Za-z_]\w*|operator\s*[^\s(]+)\s*\(/g;
+const REG_NEEDS_BODY = /must have a body/i;
+const REG_ABSTRACT = /abstract|pure virtual/i;
+const SPECIFIERS = new Set(['virtual', 'static', 'inline']);
+const TYPE_ONLY_PREFIXES = new Set(['', 'const', 'unsigned', 'signed']);
+
+const NUMERIC_DEFAULTS = {
+    bool: 'false',
+    char: '0', uchar: '0', short: '0', ushort: '0', int: '0', uint: '0',
+    long: '0', ulong: '0', datetime: '0',
+    float: '0.0', double: '0.0',
+    string: '""',
+    color: 'clrNONE',
+};
+
+/** @returns {(offset: number) => number} 0-based line of an offset */
+function makeLineLookup(text) {
+    const starts = [0];
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '\n') starts.push(i + 1);
+    }
+    return (offset) => {
+        let lo = 0;
+        let hi = starts.length - 1;
+        while (lo < hi) {
+            const mid = (lo + hi + 1) >> 1;
+            if (starts[mid] <= offset) lo = mid;
+            else hi = mid - 1;
+        }
+        return lo;
+    };
+}
+
+function matchingClose(masked, openIdx, open, close) {
+    let depth = 0;
+    for (let i = openIdx; i < masked.length; i++) {
+        if (masked[i] === open) depth++;
+        else if (masked[i] === close && --depth === 0) return i;
+    }
+    return -1;
+}
+
+/** Offset of the first character of a member declaration, past access labels. */
+function declarationStart(masked, from, to) {
+    const decl = masked.slice(from, to);
+    const label = decl.match(/^(?:\s*(?:public|private|protected)\s*:)*\s*/);
+    return from + label[0].length;
+}
+
+/**
+ * Reduce a parameter list to its types so a declaration and a definition
+ * with different parameter names (or defaults) compare equal:
+ * `const string &sym, int n = 3` → `const string&,int`.
+ *
+ * @param {string} params
+ * @returns {string}
+ */
+function normalizeParamTypes(params) {
+    const stripped = stripParamDefaults((params || '').replace(/\s+/g, ' ').trim());
+    if (!stripped || stripped === 'void') return '';
+    return stripped.split(',').map(p => {
+        let param = p.trim();
+        let arraySuffix = '';
+        param = param.replace(/\s*(\[[^\]]*\])/g, () => { arraySuffix += '[]'; return ''; });
+        const m = param.match(/^(.*?)([A-Za-z_]\w*)$/);
+        if (m && !TYPE_ONLY_PREFIXES.has(m[1].trim())) param = m[1];
+        return (param + arraySuffix).replace(/\s*([&*])\s*/g, '$1').replace(/\s+/g, ' ').trim();
+    }).join(',');
+}
+
+/**
+ * Parse one class-level declaration (text between `;`/`{`/`}` separators).
+ * @returns {object|null} method, or null for fields and other members
+ */
+function parseMemberDeclaration(decl, className) {
+    let text = decl;
+    while (REG_ACCESS.test(text)) text = text.replace(REG_ACCESS, '');
+    text = text.replace(/\s+/g, ' ').trim();
+    if (!text || /^(?:typedef|friend|template|class|struct|enum)\b/.test(text)) return null;
+
+    const open = text.indexOf('(');
+    if (open < 0) return null;
+    const close = matchingClose(text, open, '(', ')');
+    if (close < 0) return null;
+
+    const head = text.slice(0, open).trim();
+    const nameMatch = head.match(/(~?[A-Za-z_]\w*|operator\s*\S+)$/);
+    if (!nameMatch) return null;
+    const name = nameMatch[1].replace(/\s+/g, '');
+    const tokens = head.slice(0, head.length - nameMatch[1].length).trim().split(' ').filter(Boolean);
+
+    const isVirtual = tokens.includes('virtual');
+    const isStatic = tokens.includes('static');
+    const returnType = tokens.filter(t => !SPECIFIERS.has(t)).join(' ').replace(/\s*\*\s*$/, ' *').trim();
+    const isConstructor = name === className || name === `~${className}`;
+    if (!returnType && !isConstructor) return null;
+
+    const suffix = text.slice(close + 1).trim();
+    return {
+        name,
+        returnType,
+        params: text.slice(open + 1, close).trim(),
+        isConst: /^const\b/.test(suffix),
+        isVirtual,
+        isStatic,
+        isPure: /=\s*0$/.test(suffix),
+        isConstructor,
+    };
+}
+
+/**
+ * Classes found by `parseClassDefinitions()` (the debugger's type parser)
+ * with their method declarations added.
+ *
+ * Methods are read from comment/string-masked text so braces and semicolons
+ * inside comments or literals do not confuse the scan. Lines are 0-based.
+ *
+ * @param {string} text - Document text
+ * @returns {Array<{ name: string, kind: string, bases: string[], startLine: number, endLine: number, endCharacter: number,
+ *                   fields: Array<{ name: string, type: string, isArray: boolean }>,
+ *                   methods: Array<{ name: string, returnType: string, params: string, isConst: boolean,
+ *                                    isVirtual: boolean, isStatic: boolean, isPure: boolean,
+ *                                    isConstructor: boolean, hasBody: boolean, line: number }> }>}
+ */
+function parseClasses(text) {
+    const masked = maskCommentsAndStrings(text);
+    const lineAt = makeLineLookup(masked);
+    const lineStarts = [0];
+    for (let i = 0; i < masked.length; i++) if (masked[i] === '\n') lineStarts.push(i + 1);
+    const classes = [];
+
+    for (const def of parseClassDefinitions(text.split('\n'))) {
+        const i = masked.indexOf('{', lineStarts[def.braceLine]);
+        const end = i < 0 ? -1 : matchingClose(masked, i, '{', '}');
+        if (end < 0) continue;
+
+        const methods = [];
+        let stmtStart = i + 1;
+        for (let j = i + 1; j < end; j++) {
+            const c = masked[j];
+            if (c === ';') {
+                const method = parseMemberDeclaration(masked.slice(stmtStart, j), def.name);
+                if (method) methods.push({ ...method, hasBody: false, line: lineAt(declarationStart(masked, stmtStart, j)) });
+                stmtStart = j + 1;
+            } else if (c === '{') {
+                const bodyEnd = matchingClose(masked, j, '{', '}');
+                if (bodyEnd < 0) break;
+                const method = parseMemberDeclaration(masked.slice(stmtStart, j), def.name);
+                if (method) methods.push({ ...method, hasBody: true, line: lineAt(declarationStart(masked, stmtStart, j)) });
+                j = bodyEnd;
+                // Swallow the `;` after nested types / inline bodies.
+                let k = j + 1;
+                while (k < end && /\s/.test(masked[k])) k++;
+                if (masked[k] === ';') j = k;
+                stmtStart = j + 1;
+            }
+        }
+
+        classes.push({
+            name: def.name,
+            kind: def.kind,
+            bases: def.parent ? [def.parent] : [],
+            startLine: def.startLine,
+            endLine: lineAt(end),
+            endCharacter: end - (masked.lastIndexOf('\n', end) + 1),
+            fields: def.members,
+            methods,
+        });
+    }
+    return classes;
+}
+
+/**
+ * Out-of-line member definitions (`Type CClass::Method(...) { ... }`).
+ * @param {string} text
+ * @returns {Set<string>} keys `Class::name(types)`
+ */
+function findOutOfLineDefinitions(text) {
+    const masked = maskCommentsAndStrings(text);
+    const keys = new Set();
+    REG_OUT_OF_LINE.lastIndex = 0;
+    let m;
+    while ((m = REG_OUT_OF_LINE.exec(masked)) !== null) {
+        const open = m.index + m[0].length - 1;
+        const close = matchingClose(masked, open, '(', ')');
+        if (close < 0) continue;
+        const after = masked.slice(close + 1).match(/^\s*(?:const\s*)?(?::[^{;]*)?\{/);
+        if (!after) continue;
+        keys.add(methodKey(m[1], m[2].replace(/\s+/g, ''), masked.slice(open + 1, close)));
+    }
+    return keys;
+}
+
+function methodKey(className, name, params) {
+    return `${className}::${name}(${normalizeParamTypes(params)})`;
+}
+
+/**
+ * Methods declared without a body that have no out-of-line definition in any
+ * of the given texts. Pure virtual methods are excluded.
+ *
+ * @param {object} cls - from parseClasses()
+ * @param {string[]} texts - Texts to search for definitions (header, main, …)
+ * @param {Set<string>} [knownDefinitions] - Keys already found elsewhere, from loadDefinitionKeys()
+ * @returns {object[]}
+ */
+function findMissingMethodBodies(cls, texts, knownDefinitions = new Set()) {
+    const defined = new Set(knownDefinitions);
+    for (const text of texts) {
+        for (const key of findOutOfLineDefinitions(text)) defined.add(key);
+    }
+    return cls.methods.filter(method => !method.hasBody && !method.isPure &&
+        !defined.has(methodKey(cls.name, method.name, method.params)));
+}
+
+/**
+ * Statement(s) returning a neutral value of `returnType`, or [] for void.
+ * Enums (by ENUM_ prefix or a known enum name) are cast from 0; other
+ * non-primitive types are returned as a default-constructed local.
+ *
+ * @param {string} returnType
+ * @param {Set<string>} [knownEnums]
+ * @returns {string[]}
+ */
+function defaultReturnStatements(returnType, knownEnums = new Set()) {
+    const type = returnType.replace(/^const\s+/, '').trim();
+    if (!type || type === 'void') return [];
+    if (type.endsWith('*')) return ['return NULL;'];
+    if (NUMERIC_DEFAULTS[type] !== undefined) return [`return ${NUMERIC_DEFAULTS[type]};`];
+    if (/^ENUM_/.test(type) || knownEnums.has(type)) return [`return (${type})0;`];
+    return [`${type} result;`, 'return result;'];
+}
+
+/** `Type ` or `Type *` (pointer star bound to the name) ahead of a method name. */
+function returnTypePrefix(returnType) {
+    if (!returnType) return '';
+    return returnType.endsWith('*') ? returnType : `${returnType} `;
+}
+
+/**
+ * Build out-of-line stub definitions for `methods` of class `className`.
+ *
+ * @param {string} className
+ * @param {object[]} methods
+ * @param {object} [opts]
+ * @param {Set<string>} [opts.knownEnums]
+ * @param {string} [opts.indent='    ']
+ * @param {string} [opts.eol='\n']
+ * @returns {string}
+ */
+function buildMethodStubs(className, methods, { knownEnums, indent = '    ', eol = '\n' } = {}) {
+    return methods.map(method => {
+        const params = stripParamDefaults(method.params.replace(/\s+/g, ' '));
+        const signature = `${returnTypePrefix(method.returnType)}${className}::${method.name}(${params})${method.isConst ? ' const' : ''}`;
+        const body = defaultReturnStatements(method.returnType, knownEnums).map(s => indent + s);
+        return [signature, '{', ...body, '}'].join(eol);
+    }).join(eol + eol);
+}
+
+/**
+ * Names of enums declared in `text`.
+ * @param {string} text
+ * @returns {Set<string>}
+ */
+function findEnumNames(text) {
+    const names = new Set();
+    const re = /\benum\s+([A-Za-z_]\w*)/g;
+    let m;
+    while ((m = re.exec(maskCommentsAndStrings(text))) !== null) names.add(m[1]);
+    return names;
+}
+
+/**
+ * Pure virtual methods inherited by `cls` that nothing between it and the
+ * declaring base overrides. Methods `cls` itself declares are never reported.
+ *
+ * @param {object} cls - from parseClasses()
+ * @param {Map<string, object>} classIndex - class name → class, for base lookup
+ * @returns {object[]} methods, each with `declaredIn` (base class name)
+ */
+function findUnimplementedPureVirtuals(cls, classIndex) {
+    const signature = method => `${method.name}(${normalizeParamTypes(method.params)})`;
+    const implemented = new Set(cls.methods.map(signature));
+    const missing = new Map();
+    const visited = new Set([cls.name]);
+    let level = cls.bases;
+    while (level.length > 0) {
+        const next = [];
+        for (const baseName of level) {
+            const base = classIndex.get(baseName.replace(/\s*<.*$/, ''));
+            if (!base || visited.has(base.name)) continue;
+            visited.add(base.name);
+            for (const method of base.methods) {
+                const key = signature(method);
+                if (!method.isPure) implemented.add(key);
+                else if (!implemented.has(key) && !missing.has(key)) missing.set(key, { ...method, declaredIn: base.name });
+            }
+            next.push(...base.bases);
+        }
+        level = next;
+    }
+    return [...missing.values()];
+}
+
+/**
+ * Build inline override skeletons to paste inside a class body.
+ *
+ * @param {object[]} methods
+ * @param {object} [opts]
+ * @param {Set<string>} [opts.knownEnums]
+ * @param {string} [opts.indent='   '] - Member indentation
+ * @param {boolean} [opts.override=true] - Append the `override` specifier
+ * @param {string} [opts.eol='\n']
+ * @returns {string}
+ */
+function buildOverrideStubs(methods, { knownEnums, indent = '   ', override = true, eol = '\n' } = {}) {
+    const unit = indent || '    ';
+    return methods.map(method => {
+        const params = stripParamDefaults(method.params.replace(/\s+/g, ' '));
+        const signature = `${indent}virtual ${returnTypePrefix(method.returnType)}${method.name}(${params})` +
+            `${method.isConst ? ' const' : ''}${override ? ' override' : ''}`;
+        const body = ['// TODO: Implement', ...defaultReturnStatements(method.returnType, knownEnums)]
+            .map(line => indent + unit + line);
+        return [signature, `${indent}{`, ...body, `${indent}}`].join(eol);
+    }).join(eol);
+}
+
+// normalized path -> { mtimeMs, classes, definitions }, so repeated light-bulb requests skip unchanged files
+const classCache = new Map();
+
+/** Classes and out-of-line definitions of `file`, or null when it cannot be read. */
+async function loadCachedFile(file) {
+    const key = pathModule.normalize(file).toLowerCase();
+    let entry = classCache.get(key);
+    try {
+        const { mtimeMs } = await fs.promises.stat(file);
+        if (!entry || entry.mtimeMs !== mtimeMs) {
+            const text = decodeTextBuffer(await fs.promises.readFile(file));
+            entry = { mtimeMs, classes: parseClasses(text), definitions: findOutOfLineDefinitions(text) };
+            classCache.set(key, entry);
+        }
+    } catch {
+        return null;
+    }
+    return entry;
+}
+
+/**
+ * Index the classes declared in `files`; the first declaration of a name wins.
+ *
+ * @param {string[]} files
+ * @param {Map<string, object>} [index] - Existing entries (e.g. the open document) keep precedence
+ * @returns {Promise<Map<string, object>>}
+ */
+async function loadClassIndex(files, index = new Map()) {
+    for (const file of files) {
+        const entry = await loadCachedFile(file);
+        if (!entry) continue;
+        for (const cls of entry.classes) {
+            if (!index.has(cls.name)) index.set(cls.name, cls);
+        }
+    }
+    return index;
+}
+
+/**
+ * Out-of-line member definitions across `files`, as findOutOfLineDefinitions() keys.
+ * @param {string[]} files
+ * @returns {Promise<Set<string>>}
+ */
+async function loadDefinitionKeys(files) {
+    const keys = new Set();
+    for (const file of files) {
+        const entry = await loadCachedFile(file);
+        if (entry) for (const key of entry.definitions) keys.add(key);
+    }
+    return keys;
+}
+
+// collectFiles -> document path -> { includes, files }: a document's closure is reused
+// until its #include lines change
+const closureCache = new WeakMap();
+
+async function cachedIncludeClosure(document, collectFiles) {
+    if (!closureCache.has(collectFiles)) closureCache.set(collectFiles, new Map());
+    const byDocument = closureCache.get(collectFiles);
+    const includes = (document.getText().match(/^[ \t]*#include\b.*$/gm) || []).join('\n');
+    const cached = byDocument.get(document.fileName);
+    if (cached && cached.includes === includes) return cached.files;
+    const files = await collectFiles(document);
+    byDocument.set(document.fileName, { includes, files });
+    return files;
+}
+
+function eolOf(text) {
+    return text.includes('\r\n') ? '\r\n' : '\n';
+}
+
+/**
+ * Classes the code action should offer stubs for: the class under the cursor,
+ * plus any class named by (or containing) a "must have a body" diagnostic.
+ */
+function classesForActions(classes, range, diagnostics) {
+    const hits = new Map();
+    const line = range ? range.start.line : -1;
+    for (const cls of classes) {
+        if (cls.startLine <= line && line <= cls.endLine) hits.set(cls, []);
+    }
+    for (const diagnostic of diagnostics) {
+        if (!REG_NEEDS_BODY.test(diagnostic.message || '')) continue;
+        const named = (diagnostic.message.match(/'([A-Za-z_]\w*)::/) || [])[1];
+        const dLine = diagnostic.range.start.line;
+        const cls = classes.find(c => named ? c.name === named : c.startLine <= dLine && dLine <= c.endLine);
+        if (!cls) continue;
+        if (!hits.has(cls)) hits.set(cls, []);
+        hits.get(cls).push(diagnostic);
+    }
+    return hits;
+}
+
+/**
+ * Code actions generating out-of-line bodies for methods declared without one.
+ *
+ * QuickFix Title Patterns:
+ * - "MQL: Generate N missing method bodies for '<class>' after the class"
+ * - "MQL: Generate missing method bodies for '<class>' in another file…"
+ * Offered as quick fixes when a "must have a body" diagnostic points at the
+ * class, otherwise as refactorings while the cursor is inside the class.
+ * Definitions are looked up in the document first, then in the files from
+ * `collectFiles` (includes and the mains including a header).
+ *
+ * @param {vscode.TextDocument} document
+ * @param {vscode.Range|null} range - Cursor range; null skips the cursor-based refactoring
+ * @param {vscode.Diagnostic[]} diagnostics
+ * @param {object} [opts]
+ * @param {(document: vscode.TextDocument) => Promise<string[]>} [opts.collectFiles] - Files that may
+ *        hold definitions; only called when the document itself leaves bodies missing
+ * @returns {Promise<vscode.CodeAction[]>}
+ */
+async function createMethodBodyActions(document, range, diagnostics, { collectFiles = async () => [] } = {}) {
+    const text = document.getText();
+    const classes = parseClasses(text);
+    if (classes.length === 0) return [];
+
+    const candidates = [];
+    for (const [cls, clsDiagnostics] of classesForActions(classes, range, diagnostics)) {
+        const missing = findMissingMethodBodies(cls, [text]);
+        if (missing.length > 0) candidates.push({ cls, clsDiagnostics, missing });
+    }
+    if (candidates.length === 0) return [];
+    const files = await cachedIncludeClosure(document, collectFiles);
+    const defined = await loadDefinitionKeys(files.filter(f => f !== document.fileName));
+
+    const actions = [];
+    const knownEnums = findEnumNames(text);
+    const eol = eolOf(text);
+    for (const { cls, clsDiagnostics } of candidates) {
+        const missing = findMissingMethodBodies(cls, [text], defined);
+        if (missing.length === 0) continue;
+        const kind = clsDiagnostics.length > 0 ? vscode.CodeActionKind.QuickFix : vscode.CodeActionKind.Refactor;
+        const noun = missing.length === 1 ? 'body' : 'bodies';
+
+        const here = new vscode.CodeAction(
+            `MQL: Generate ${missing.length} missing method ${noun} for '${cls.name}' after the class`, kind);
+        here.edit = new vscode.WorkspaceEdit();
+        here.edit.insert(document.uri, document.lineAt(cls.endLine).range.end,
+            eol + eol + buildMethodStubs(cls.name, missing, { knownEnums, eol }));
+        here.diagnostics = clsDiagnostics;
+        here.isPreferred = clsDiagnostics.length > 0;
+        actions.push(here);
+
+        const elsewhere = new vscode.CodeAction(
+            `MQL: Generate missing method bodies for '${cls.name}' in another file…`, kind);
+        elsewhere.command = {
+            command: 'mql_tools.generateMethodBodies',
+            title: 'Generate missing method bodies',
+            arguments: [document.uri, cls.name]
+        };
+        elsewhere.diagnostics = clsDiagnostics;
+        actions.push(elsewhere);
+    }
+    return actions;
+}
+
+/** Access level in effect at the closing brace of `cls`. */
+function accessAtClassEnd(document, cls) {
+    let access = cls.kind === 'class' ? 'private' : 'public';
+    for (let line = cls.startLine; line <= cls.endLine; line++) {
+        const m = document.lineAt(line).text.match(/^\s*(public|private|protected)\s*:/);
+        if (m) access = m[1];
+    }
+    return access;
+}
+
+/**
+ * "Implement abstract methods" code actions: insert override skeletons for
+ * every pure virtual a class inherits but does not implement. Bases are looked
+ * up in the document and its transitive includes.
+ *
+ * QuickFix Title Pattern: "MQL: Implement N abstract methods in '<class>'"
+ * Offered as a quick fix on abstract-class diagnostics, otherwise as a
+ * refactoring while the cursor is inside a derived class.
+ *
+ * @param {vscode.TextDocument} document
+ * @param {vscode.Range|null} range - Cursor range; null skips the cursor-based refactoring
+ * @param {vscode.Diagnostic[]} diagnostics
+ * @param {object} [opts]
+ * @param {(document: vscode.TextDocument) => Promise<string[]>} [opts.collectFiles] - Files to search
+ *        for base classes; only called when a candidate class exists, and again only after the
+ *        document's `#include` lines change
+ * @returns {Promise<vscode.CodeAction[]>}
+ */
+async function createAbstractMethodActions(document, range, diagnostics, { collectFiles = async () => [] } = {}) {
+    const text = document.getText();
+    const classes = parseClasses(text);
+    const candidates = new Map();
+    const line = range ? range.start.line : -1;
+    for (const cls of classes) {
+        if (cls.bases.length > 0 && cls.startLine <= line && line <= cls.endLine) candidates.set(cls, []);
+    }
+    for (const diagnostic of diagnostics) {
+        const msg = diagnostic.message || '';
+        if (!REG_ABSTRACT.test(msg)) continue;
+        const names = [...msg.matchAll(/'([A-Za-z_]\w*)'/g)].map(m => m[1]);
+        const dLine = diagnostic.range.start.line;
+        const cls = classes.find(c => names.includes(c.name)) ||
+            classes.find(c => c.startLine <= dLine && dLine <= c.endLine);
+        if (!cls || cls.bases.length === 0) continue;
+        if (!candidates.has(cls)) candidates.set(cls, []);
+        candidates.get(cls).push(diagnostic);
+    }
+    if (candidates.size === 0) return [];
+
+    const localIndex = new Map(classes.map(c => [c.name, c]));
+    const files = await cachedIncludeClosure(document, collectFiles);
+    const classIndex = await loadClassIndex(files.filter(f => f !== document.fileName), localIndex);
+
+    const actions = [];
+    const knownEnums = findEnumNames(text);
+    const eol = eolOf(text);
+    const override = pathModule.extname(document.fileName).toLowerCase() !== '.mq4';
+    for (const [cls, clsDiagnostics] of candidates) {
+        const missing = findUnimplementedPureVirtuals(cls, classIndex);
+        if (missing.length === 0) continue;
+
+        const firstMethod = cls.methods[0];
+        const indent = firstMethod ? document.lineAt(firstMethod.line).text.match(/^\s*/)[0] : '   ';
+        const closing = document.lineAt(cls.endLine).text;
+        const closingIndent = closing.match(/^\s*/)[0];
+        const atLineStart = closingIndent.length >= cls.endCharacter;
+        let insert = buildOverrideStubs(missing, { knownEnums, indent, override, eol }) + eol;
+        if (accessAtClassEnd(document, cls) !== 'public') insert = `${closingIndent}public:${eol}${insert}`;
+
+        const noun = missing.length === 1 ? 'method' : 'methods';
+        const action = new vscode.CodeAction(
+            `MQL: Implement ${missing.length} abstract ${noun} in '${cls.name}'`,
+            clsDiagnostics.length > 0 ? vscode.CodeActionKind.QuickFix : vscode.CodeActionKind.Refactor);
+        action.edit = new vscode.WorkspaceEdit();
+        action.edit.insert(document.uri,
+            new vscode.Position(cls.endLine, atLineStart ? 0 : cls.endCharacter),
+            atLineStart ? insert : eol + insert);
+        action.diagnostics = clsDiagnostics;
+        action.isPreferred = clsDiagnostics.length > 0;
+        actions.push(action);
+    }
+    return actions;
+}
+
+/**
+ * Register `mql_tools.generateMethodBodies`: append stubs for the methods of
+ * a class that neither the declaring file, the files from `collectFiles` nor
+ * the chosen target defines.
+ *
+ * @param {vscode.ExtensionContext} context
+ * @param {object} [opts]
+ * @param {(document: vscode.TextDocument) => Promise<string[]>} [opts.collectFiles] - Files that may hold definitions
+ */
+function registerMethodBodyGenerator(context, { collectFiles = async () => [] } = {}) {
+    context.subscriptions.push(vscode.commands.registerCommand('mql_tools.generateMethodBodies', async (sourceUri, className) => {
+        const editor = vscode.window.activeTextEditor;
+        const source = sourceUri ? await vscode.workspace.openTextDocument(sourceUri) : editor?.document;
+        if (!source) return;
+        const sourceText = source.getText();
+        const classes = parseClasses(sourceText);
+        let cls;
+        if (className) {
+            cls = classes.find(c => c.name === className);
+        } else {
+            const line = editor && editor.document === source ? editor.selection.active.line : -1;
+            cls = classes.find(c => c.startLine <= line && line <= c.endLine);
+            if (!cls && classes.length > 0) {
+                const pickedClass = await vscode.window.showQuickPick(
+                    classes.map(c => ({ label: c.name, description: `line ${c.startLine + 1}`, cls: c })),
+                    { placeHolder: 'Generate missing method bodies for class' });
+                if (!pickedClass) return;
+                cls = pickedClass.cls;
+            }
+        }
+        if (!cls) {
+            vscode.window.showWarningMessage(`No class${className ? ` '${className}'` : ''} found in ${pathModule.basename(source.fileName)}.`);
+            return;
+        }
+        className = cls.name;
+
+        const sourceDir = pathModule.dirname(source.fileName);
+        const files = (await vscode.workspace.findFiles('**/*.{mq4,mq5,mqh}', '**/node_modules/**'))
+            .filter(uri => uri.fsPath !== source.fileName)
+            .sort((a, b) => {
+                const sibling = (pathModule.dirname(b.fsPath) === sourceDir) - (pathModule.dirname(a.fsPath) === sourceDir);
+                return sibling || a.fsPath.localeCompare(b.fsPath);
+            });
+        const picked = await vscode.window.showQuickPick(
+            [source.uri, ...files].map(uri => ({
+                label: pathModule.basename(uri.fsPath),
+                description: uri === source.uri ? 'declaring file (end of file)' : vscode.workspace.asRelativePath(uri),
+                uri
+            })),
+            { placeHolder: `Generate missing method bodies for '${className}' in` });
+        if (!picked) return;
+
+        const target = await vscode.workspace.openTextDocument(picked.uri);
+        const targetText = target.getText();
+        const scope = (await collectFiles(source)).filter(f => f !== source.fileName && f !== target.fileName);
+        const missing = findMissingMethodBodies(cls, [sourceText, targetText], await loadDefinitionKeys(scope));
+        if (missing.length === 0) {
+            vscode.window.showInformationMessage(`Every method of '${className}' already has a body.`);
+            return;
+        }
+
+        const eol = eolOf(targetText);
+        const knownEnums = new Set([...findEnumNames(sourceText), ...findEnumNames(targetText)]);
+        const end = target.lineAt(target.lineCount - 1).range.end;
+        const lead = targetText.trim() ? eol + eol : '';
+        const edit = new vscode.WorkspaceEdit();
+        edit.insert(target.uri, end, lead + buildMethodStubs(className, missing, { knownEnums, eol }) + eol);
+        if (await vscode.workspace.applyEdit(edit)) {
+            const editor = await vscode.window.showTextDocument(target);
+            editor.revealRange(new vscode.Range(end, end));
+        }
+    }));
+}
+
+module.exports = {
+    normalizeParamTypes,
+    parseClasses,
+    findOutOfLineDefinitions,
+    findMissingMethodBodies,
+    defaultReturnStatements,
+    buildMethodStubs,
+    findEnumNames,
+    findUnimplementedPureVirtuals,
+    buildOverrideStubs,
+    loadClassIndex,
+    loadDefinitionKeys,
+    createMethodBodyActions,
+    createAbstractMethodActions,
+    registerMethodBodyGenerator,
+};
@@ -0,0 +1,369 @@
+'use strict';
+const vscode = require('vscode');
+const pathModule = require('path');
+
+const HISTORY_STATE_KEY = 'CompileHistory.Runs';
+const DEFAULT_MAX_ENTRIES = 20;
+// Keeps workspaceState small when a target produces hundreds of warnings.
+const MAX_STORED_DIAGNOSTICS = 500;
+
+const MODE_LABELS = ['check', 'compile', 'script'];
+
+/**
+ * Read the configured number of runs to keep per target.
+ * @param {{ get: Function }} config - `mql_tools` configuration section
+ * @returns {number}
+ */
+function resolveMaxEntries(config) {
+    const raw = Number(config && config.get('CompileHistory.MaxEntries', DEFAULT_MAX_ENTRIES));
+    if (!Number.isFinite(raw)) return DEFAULT_MAX_ENTRIES;
+    return Math.max(1, Math.min(200, Math.floor(raw)));
+}
+
+/**
+ * Convert replaceLog() diagnostics into plain, JSON-serialisable records.
+ * @param {Array<{file: string, range: vscode.Range, message: string, severity: number, errorCode?: string}>} logDiagnostics
+ * @param {number} [limit] - Records to keep; history stores at most MAX_STORED_DIAGNOSTICS
+ * @returns {Array<{file: string, line: number, character: number, message: string, severity: 'error'|'warning'|'info', code: string}>}
+ */
+function serializeDiagnostics(logDiagnostics, limit = MAX_STORED_DIAGNOSTICS) {
+    const out = [];
+    for (const diag of logDiagnostics || []) {
+        if (out.length >= limit) break;
+        let severity = 'info';
+        if (diag.severity === vscode.DiagnosticSeverity.Error) severity = 'error';
+        else if (diag.severity === vscode.DiagnosticSeverity.Warning) severity = 'warning';
+        out.push({
+            file: diag.file,
+            line: diag.range ? diag.range.start.line : 0,
+            character: diag.range ? diag.range.start.character : 0,
+            message: diag.message,
+            severity,
+            code: diag.errorCode ? String(diag.errorCode) : '',
+        });
+    }
+    return out;
+}
+
+/**
+ * Build a history record from the outcome of a single compilePath() run.
+ *
+ * @param {object} run
+ * @param {string} run.target          - Absolute path of the compiled source
+ * @param {number} run.mode            - COMPILE_MODE_* value
+ * @param {number} run.startedAt       - Epoch milliseconds
+ * @param {number} run.durationMs
+ * @param {string|null} [run.propertyVersion]
+ * @param {number|null} [run.exitCode] - MetaEditor process exit code
+ * @param {boolean} [run.error]        - replaceLog() error flag
+ * @param {string} [run.failure]       - Set when no log could be read at all
+ * @param {Array} [run.diagnostics]    - replaceLog() diagnostics
+ * @param {object} [options]
+ * @param {number} [options.maxDiagnostics] - Diagnostics to keep; reports pass Infinity
+ * @returns {object}
+ */
+function createRunRecord(run, { maxDiagnostics = MAX_STORED_DIAGNOSTICS } = {}) {
+    const diagnostics = serializeDiagnostics(run.diagnostics, maxDiagnostics);
+    let errors = 0;
+    let warnings = 0;
+    for (const diag of run.diagnostics || []) {
+        if (diag.severity === vscode.DiagnosticSeverity.Error) errors++;
+        else if (diag.severity === vscode.DiagnosticSeverity.Warning) warnings++;
+    }
+    let result = 'success';
+    if (run.failure) result = 'failed';
+    else if (run.error || errors > 0) result = 'errors';
+
+    return {
+        target: run.target,
+        mode: MODE_LABELS[run.mode] || 'compile',
+        startedAt: run.startedAt,
+        durationMs: run.durationMs,
+        propertyVersion: run.propertyVersion || null,
+        exitCode: typeof run.exitCode === 'number' ? run.exitCode : null,
+        result,
+        failure: run.failure || null,
+        errors,
+        warnings,
+        diagnostics,
+    };
+}
+
+/**
+ * Identity of a diagnostic for diffing between builds. Line numbers are
+ * deliberately left out so that editing above an existing warning does not
+ * make it look like it disappeared and reappeared.
+ */
+function diagnosticKey(diag) {
+    return `${(diag.file || '').toLowerCase()}|${diag.severity}|${diag.code}|${diag.message}`;
+}
+
+/**
+ * Compare the diagnostics of two runs. Identical diagnostics are matched as a
+ * multiset, so a second copy of an existing warning is reported as new.
+ *
+ * @param {Array} previous - Diagnostics of the older run (or null for the first run)
+ * @param {Array} current  - Diagnostics of the newer run
+ * @returns {{ appeared: Array, disappeared: Array }}
+ */
+function diffDiagnostics(previous, current) {
+    const remaining = new Map();
+    for (const diag of previous || []) {
+        const key = diagnosticKey(diag);
+        if (!remaining.has(key)) remaining.set(key, []);
+        remaining.get(key).push(diag);
+    }
+    const appeared = [];
+    for (const diag of current || []) {
+        const bucket = remaining.get(diagnosticKey(diag));
+        if (bucket && bucket.length > 0) {
+            bucket.shift();
+        } else {
+            appeared.push(diag);
+        }
+    }
+    const disappeared = [];
+    for (const bucket of remaining.values()) {
+        disappeared.push(...bucket);
+    }
+    return { appeared, disappeared };
+}
+
+/**
+ * Persistent per-target compile history backed by workspaceState.
+ */
+class CompileHistoryStore {
+    /**
+     * @param {{ get: Function, update: Function }} memento - context.workspaceState
+     * @param {() => number} [getMaxEntries]
+     */
+    constructor(memento, getMaxEntries = () => DEFAULT_MAX_ENTRIES) {
+        this._memento = memento;
+        this._getMaxEntries = getMaxEntries;
+        this._onDidChange = new vscode.EventEmitter();
+        this.onDidChange = this._onDidChange.event;
+    }
+
+    /** @returns {Object<string, object[]>} runs keyed by target path, newest first */
+    _load() {
+        return this._memento.get(HISTORY_STATE_KEY, {}) || {};
+    }
+
+    /** @returns {string[]} target paths, most recently compiled first */
+    getTargets() {
+        const all = this._load();
+        return Object.keys(all).sort((a, b) => {
+            const ta = all[a][0] ? all[a][0].startedAt : 0;
+            const tb = all[b][0] ? all[b][0].startedAt : 0;
+            return tb - ta;
+        });
+    }
+
+    /**
+     * @param {string} target
+     * @returns {object[]} runs, newest first
+     */
+    getRuns(target) {
+        return this._load()[target] || [];
+    }
+
+    /**
+     * Prepend a run record for its target, trimming to the configured size.
+     * @param {object} record - from createRunRecord()
+     */
+    async add(record) {
+        const all = { ...this._load() };
+        const runs = [record, ...(all[record.target] || [])];
+        all[record.target] = runs.slice(0, this._getMaxEntries());
+        await this._memento.update(HISTORY_STATE_KEY, all);
+        this._onDidChange.fire(record);
+    }
+
+    /**
+     * Forget a single target, or everything when no target is given.
+     * @param {string} [target]
+     */
+    async clear(target) {
+        let all = {};
+        if (target) {
+            all = { ...this._load() };
+            delete all[target];
+        }
+        await this._memento.update(HISTORY_STATE_KEY, all);
+        this._onDidChange.fire(undefined);
+    }
+
+    dispose() {
+        this._onDidChange.dispose();
+    }
+}
+
+function formatCounts(errors, warnings) {
+    return `${errors} error(s), ${warnings} warning(s)`;
+}
+
+function formatTimestamp(epochMs) {
+    const d = new Date(epochMs);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+}
+
+function resultIcon(result) {
+    if (result === 'success') return new vscode.ThemeIcon('pass', new vscode.ThemeColor('testing.iconPassed'));
+    if (result === 'errors') return new vscode.ThemeIcon('error', new vscode.ThemeColor('testing.iconFailed'));
+    return new vscode.ThemeIcon('warning');
+}
+
+/**
+ * Tree data provider for the "MQL Compile History" view.
+ *
+ * Levels: target → run → (appeared | disappeared | all diagnostics) → diagnostic.
+ */
+class CompileHistoryProvider {
+    /**
+     * @param {CompileHistoryStore} store
+     */
+    constructor(store) {
+        this._store = store;
+        this._onDidChangeTreeData = new vscode.EventEmitter();
+        this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+        this._storeListener = store.onDidChange(() => this._onDidChangeTreeData.fire(undefined));
+    }
+
+    refresh() {
+        this._onDidChangeTreeData.fire(undefined);
+    }
+
+    dispose() {
+        this._storeListener.dispose();
+        this._onDidChangeTreeData.dispose();
+    }
+
+    getTreeItem(element) {
+        return element.item;
+    }
+
+    getChildren(element) {
+        if (!element) {
+            return this._store.getTargets().map(target => this._targetNode(target));
+        }
+        if (element.kind === 'target') {
+            const runs = this._store.getRuns(element.target);
+            return runs.map((run, i) => this._runNode(run, runs[i + 1] || null));
+        }
+        if (element.kind === 'run') {
+            return element.children;
+        }
+        if (element.kind === 'group') {
+            return element.diagnostics.map(diag => this._diagnosticNode(diag, element.run));
+        }
+        return [];
+    }
+
+    _targetNode(target) {
+        const latest = this._store.getRuns(target)[0];
+        const item = new vscode.TreeItem(pathModule.basename(target), vscode.TreeItemCollapsibleState.Collapsed);
+        item.contextValue = 'mqlCompileHistoryTarget';
+        item.tooltip = target;
+        item.resourceUri = vscode.Uri.file(target);
+        if (latest) {
+            item.description = `${formatCounts(latest.errors, latest.warnings)} · ${formatTimestamp(latest.startedAt)}`;
+            item.iconPath = resultIcon(latest.result);
+        }
+        return { kind: 'target', target, item };
+    }
+
+    _runNode(run, previous) {
+        const diff = previous ? diffDiagnostics(previous.diagnostics, run.diagnostics) : null;
+        const item = new vscode.TreeItem(formatTimestamp(run.startedAt), vscode.TreeItemCollapsibleState.Collapsed);
+        const parts = [];
+        if (run.propertyVersion) parts.push(`v${run.propertyVersion}`);
+        parts.push(`${(run.durationMs / 1000).toFixed(1)}s`);
+        parts.push(formatCounts(run.errors, run.warnings));
+        if (diff) parts.push(`+${diff.appeared.length} / −${diff.disappeared.length}`);
+        item.description = parts.join(' · ');
+        item.iconPath = resultIcon(run.result);
+        item.contextValue = 'mqlCompileHistoryRun';
+        const tooltip = [
+            `${run.mode} · ${run.result}`,
+            `Exit code: ${run.exitCode === null ? 'n/a' : run.exitCode}`,
+        ];
+        if (run.failure) tooltip.push(run.failure);
+        item.tooltip = tooltip.join('\n');
+
+        // Children are built here so the diff is computed once per render.
+        const children = [];
+        if (diff) {
+            children.push(this._groupNode(`Appeared (${diff.appeared.length})`, diff.appeared, run, 'diff-added'));
+            children.push(this._groupNode(`Disappeared (${diff.disappeared.length})`, diff.disappeared, run, 'diff-removed'));
+        }
+        children.push(this._groupNode(`All diagnostics (${run.diagnostics.length})`, run.diagnostics, run, 'list-flat'));
+        return { kind: 'run', run, diff, item, children };
+    }
+
+    _groupNode(label, diagnostics, run, icon) {
+        const state = diagnostics.length > 0
+            ? vscode.TreeItemCollapsibleState.Collapsed
+            : vscode.TreeItemCollapsibleState.None;
+        const item = new vscode.TreeItem(label, state);
+        item.iconPath = new vscode.ThemeIcon(icon);
+        return { kind: 'group', run, diagnostics, item };
+    }
+
+    _diagnosticNode(diag, run) {
+        const item = new vscode.TreeItem(diag.message, vscode.TreeItemCollapsibleState.None);
+        const location = `${pathModule.basename(diag.file)}:${diag.line + 1}:${diag.character + 1}`;
+        item.description = diag.code ? `${location} · MQL${diag.code}` : location;
+        item.tooltip = `${diag.file}:${diag.line + 1}:${diag.character + 1}\n${diag.message}`;
+        item.iconPath = new vscode.ThemeIcon(diag.severity === 'error' ? 'error' : diag.severity === 'warning' ? 'warning' : 'info');
+        item.command = {
+            command: 'vscode.open',
+            title: 'Open',
+            arguments: [
+                vscode.Uri.file(diag.file),
+                { selection: new vscode.Range(diag.line, diag.character, diag.line, diag.character) },
+            ],
+        };
+        return { kind: 'diagnostic', diag, run, item };
+    }
+}
+
+/**
+ * Register the Compile History view and its commands.
+ * @param {vscode.ExtensionContext} context
+ * @returns {CompileHistoryStore} store that compilePath() results are recorded into
+ */
+function registerCompileHistory(context) {
+    const store = new CompileHistoryStore(context.workspaceState,
+        () => resolveMaxEntries(vscode.workspace.getConfiguration('mql_tools')));
+    const provider = new CompileHistoryProvider(store);
+    const updateContextKey = () => vscode.commands.executeCommand(
+        'setContext', 'mql_tools.compileHistory.hasEntries', store.getTargets().length > 0);
+    updateContextKey();
+
+    context.subscriptions.push(
+        vscode.window.createTreeView('mql_tools.compileHistory', { treeDataProvider: provider }),
+        vscode.commands.registerCommand('mql_tools.compileHistory.refresh', () => provider.refresh()),
+        vscode.commands.registerCommand('mql_tools.compileHistory.clear', async (node) => {
+            await store.clear(node && node.kind === 'target' ? node.target : undefined);
+        }),
+        store.onDidChange(updateContextKey),
+        provider,
+        store,
+    );
+    return store;
+}
+
+module.exports = {
+    HISTORY_STATE_KEY,
+    DEFAULT_MAX_ENTRIES,
+    MAX_STORED_DIAGNOSTICS,
+    MODE_LABELS,
+    resolveMaxEntries,
+    serializeDiagnostics,
+    createRunRecord,
+    diffDiagnostics,
+    CompileHistoryStore,
+    CompileHistoryProvider,
+    registerCompileHistory,
+};
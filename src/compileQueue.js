@@ -0,0 +1,240 @@
+'use strict';
+const vscode = require('vscode');
+
+// Grace period between SIGTERM and SIGKILL, same as the Wine compile timeout.
+const KILL_GRACE_MS = 2000;
+
+/**
+ * Cancellation handle handed to a queued job. compilePath() registers the
+ * MetaEditor process it spawns so cancel() can stop it.
+ */
+class CompileCancellation {
+    constructor(killGraceMs = KILL_GRACE_MS) {
+        this.isCancelled = false;
+        this._killGraceMs = killGraceMs;
+        this._processes = new Set();
+    }
+
+    /**
+     * Track a spawned child process until it closes. A process registered
+     * after cancellation is killed straight away.
+     * @param {import('child_process').ChildProcess} proc
+     */
+    track(proc) {
+        if (!proc) return;
+        if (this.isCancelled) {
+            this._kill(proc);
+            return;
+        }
+        this._processes.add(proc);
+        proc.once('close', () => this._processes.delete(proc));
+    }
+
+    cancel() {
+        if (this.isCancelled) return;
+        this.isCancelled = true;
+        for (const proc of this._processes) {
+            this._kill(proc);
+        }
+        this._processes.clear();
+    }
+
+    _kill(proc) {
+        proc.kill('SIGTERM');
+        const timer = setTimeout(() => {
+            if (proc.exitCode === null && proc.signalCode === null) {
+                proc.kill('SIGKILL');
+            }
+        }, this._killGraceMs);
+        if (timer.unref) timer.unref();
+        proc.once('close', () => clearTimeout(timer));
+    }
+}
+
+/**
+ * Serial compile queue.
+ *
+ * Only one job runs at a time, so MetaEditor invocations (slow under Wine) never
+ * overlap and the shared output channel / Problems panel see one run at a time.
+ * Requests are keyed by target: a request whose key is already waiting
+ * coalesces into that entry and shares its promise instead of adding a second
+ * run. A request for the key that is currently running waits behind it, since
+ * the sources changed after that run started.
+ */
+class CompileQueue {
+    constructor() {
+        this._running = null;
+        this._pending = new Map();
+        this._onDidChange = new vscode.EventEmitter();
+        this.onDidChange = this._onDidChange.event;
+    }
+
+    /**
+     * Queue a job.
+     *
+     * When coalescing, the newer request's `run` replaces the waiting one,
+     * except that a background request never replaces a user-initiated one.
+     *
+     * @param {string} key - Target identity (mode + file)
+     * @param {(cancellation: CompileCancellation) => Promise<*>} run
+     * @param {object} [opts]
+     * @param {string} [opts.label] - Shown in the status bar
+     * @param {boolean} [opts.background=false]
+     * @returns {Promise<*>} settles with the job's result, or undefined when the job is dropped
+     */
+    enqueue(key, run, { label = key, background = false } = {}) {
+        const waiting = this._pending.get(key);
+        if (waiting) {
+            if (!background || waiting.background) {
+                waiting.run = run;
+                waiting.label = label;
+                waiting.background = background;
+            }
+            waiting.coalesced++;
+            this._onDidChange.fire();
+            return waiting.promise;
+        }
+
+        const entry = { key, run, label, background, coalesced: 0 };
+        entry.promise = new Promise((resolve, reject) => {
+            entry.resolve = resolve;
+            entry.reject = reject;
+        });
+        this._pending.set(key, entry);
+        this._onDidChange.fire();
+        this._drain();
+        return entry.promise;
+    }
+
+    async _drain() {
+        if (this._running || this._pending.size === 0) return;
+        const [key, entry] = this._pending.entries().next().value;
+        this._pending.delete(key);
+        entry.cancellation = new CompileCancellation();
+        this._running = entry;
+        this._onDidChange.fire();
+        try {
+            entry.resolve(await entry.run(entry.cancellation));
+        } catch (err) {
+            entry.reject(err);
+        } finally {
+            this._running = null;
+            this._onDidChange.fire();
+            this._drain();
+        }
+    }
+
+    /** @returns {boolean} */
+    get isBusy() {
+        return this._running !== null || this._pending.size > 0;
+    }
+
+    /**
+     * @returns {{ running: {key: string, label: string, background: boolean, cancelled: boolean}|null,
+     *             pending: Array<{key: string, label: string, background: boolean, coalesced: number}> }}
+     */
+    getSnapshot() {
+        const running = this._running && {
+            key: this._running.key,
+            label: this._running.label,
+            background: this._running.background,
+            cancelled: this._running.cancellation.isCancelled,
+        };
+        const pending = [...this._pending.values()].map(({ key, label, background, coalesced }) =>
+            ({ key, label, background, coalesced }));
+        return { running, pending };
+    }
+
+    /**
+     * Kill the running MetaEditor process and drop everything still waiting.
+     * Dropped requests resolve with undefined.
+     * @returns {number} number of jobs cancelled or dropped
+     */
+    cancelAll() {
+        let count = 0;
+        for (const entry of this._pending.values()) {
+            entry.resolve(undefined);
+            count++;
+        }
+        this._pending.clear();
+        if (this._running && !this._running.cancellation.isCancelled) {
+            this._running.cancellation.cancel();
+            count++;
+        }
+        this._onDidChange.fire();
+        return count;
+    }
+
+    dispose() {
+        this.cancelAll();
+        this._onDidChange.dispose();
+    }
+}
+
+/**
+ * Status bar text and tooltip for a queue snapshot, or null when idle.
+ * @param {ReturnType<CompileQueue['getSnapshot']>} snapshot
+ * @returns {{ text: string, tooltip: string }|null}
+ */
+function formatQueueStatus(snapshot) {
+    const { running, pending } = snapshot;
+    if (!running && pending.length === 0) return null;
+
+    let text = running
+        ? `$(sync~spin) ${running.cancelled ? 'Cancelling' : running.label}`
+        : '$(clock) MQL';
+    if (pending.length > 0) text += ` (+${pending.length} queued)`;
+
+    const lines = [];
+    if (running) lines.push(`Running: ${running.label}${running.cancelled ? ' (cancelling)' : ''}`);
+    for (const p of pending) {
+        lines.push(`Queued: ${p.label}${p.coalesced > 0 ? ` (${p.coalesced + 1} requests merged)` : ''}`);
+    }
+    lines.push('Click to cancel');
+    return { text, tooltip: lines.join('\n') };
+}
+
+/**
+ * Create the compile queue with its status bar item and cancel command.
+ * @param {vscode.ExtensionContext} context
+ * @param {vscode.OutputChannel} outputChannel
+ * @returns {CompileQueue}
+ */
+function registerCompileQueue(context, outputChannel) {
+    const queue = new CompileQueue();
+    const statusItem = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Left, 49);
+    statusItem.command = 'mql_tools.cancelCompile';
+
+    const updateStatus = () => {
+        const status = formatQueueStatus(queue.getSnapshot());
+        if (!status) {
+            statusItem.hide();
+            return;
+        }
+        statusItem.text = status.text;
+        statusItem.tooltip = status.tooltip;
+        statusItem.show();
+    };
+
+    context.subscriptions.push(
+        statusItem,
+        queue.onDidChange(updateStatus),
+        vscode.commands.registerCommand('mql_tools.cancelCompile', () => {
+            const count = queue.cancelAll();
+            if (count === 0) {
+                vscode.window.showInformationMessage('No MQL compilation is running.');
+                return;
+            }
+            outputChannel.appendLine(`[Compile Queue] Cancelled ${count} job(s)`);
+        }),
+        queue,
+    );
+    return queue;
+}
+
+module.exports = {
+    CompileCancellation,
+    CompileQueue,
+    formatQueueStatus,
+    registerCompileQueue,
+};
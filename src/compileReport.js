@@ -0,0 +1,213 @@
+'use strict';
+const fs = require('fs');
+const pathModule = require('path');
+const { pathToFileURL } = require('url');
+const { resolvePathRelativeToWorkspace } = require('./createProperties');
+
+const fsPromises = fs.promises;
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const ERROR_DOCS_URI = 'https://www.mql5.com/en/docs/runtime/errors';
+const REPORT_FORMATS = ['off', 'sarif', 'json', 'both'];
+
+/**
+ * Read the configured report format.
+ * @param {{ get: Function }} config - `mql_tools` configuration section
+ * @returns {'off'|'sarif'|'json'|'both'}
+ */
+function resolveReportFormat(config) {
+    const raw = config && config.get('CompileReport.Format', 'off');
+    return REPORT_FORMATS.includes(raw) ? raw : 'off';
+}
+
+/**
+ * Folder the reports for `target` are written to: the configured
+ * `CompileReport.Folder` (absolute, relative to the workspace, or using
+ * `${workspaceFolder}`), or the source's own folder when unset.
+ *
+ * @param {string} target
+ * @param {{ get: Function }} config
+ * @param {string} workspaceFolderPath
+ * @returns {string}
+ */
+function resolveReportDir(target, config, workspaceFolderPath) {
+    const folder = (config && config.get('CompileReport.Folder', '')) || '';
+    if (!folder.trim()) return pathModule.dirname(target);
+    return resolvePathRelativeToWorkspace(folder.trim(), workspaceFolderPath);
+}
+
+/**
+ * Path of `filePath` relative to the workspace root with forward slashes,
+ * or null when the file lives outside the workspace.
+ */
+function toWorkspaceRelative(filePath, workspaceFolderPath) {
+    if (!workspaceFolderPath) return null;
+    const rel = pathModule.relative(workspaceFolderPath, filePath);
+    if (!rel || rel.startsWith('..') || pathModule.isAbsolute(rel)) return null;
+    return rel.split(pathModule.sep).join('/');
+}
+
+function sarifLevel(severity) {
+    if (severity === 'error') return 'error';
+    if (severity === 'warning') return 'warning';
+    return 'note';
+}
+
+/**
+ * Build a SARIF 2.1.0 log for one compile run.
+ *
+ * Files inside the workspace are referenced relative to the `SRCROOT` base id
+ * so archived reports stay valid when the repository is checked out elsewhere.
+ *
+ * @param {object} record - from compileHistory.createRunRecord(), uncapped (`maxDiagnostics: Infinity`)
+ * @param {string} [workspaceFolderPath]
+ * @returns {object}
+ */
+function buildSarifReport(record, workspaceFolderPath) {
+    const artifactLocation = (filePath) => {
+        const rel = toWorkspaceRelative(filePath, workspaceFolderPath);
+        return rel
+            ? { uri: rel, uriBaseId: 'SRCROOT' }
+            : { uri: pathToFileURL(filePath).href };
+    };
+
+    const ruleIds = new Set();
+    const results = record.diagnostics.map(diag => {
+        const result = {
+            level: sarifLevel(diag.severity),
+            message: { text: diag.message },
+            locations: [{
+                physicalLocation: {
+                    artifactLocation: artifactLocation(diag.file),
+                    region: { startLine: diag.line + 1, startColumn: diag.character + 1 },
+                },
+            }],
+        };
+        if (diag.code) {
+            result.ruleId = `MQL${diag.code}`;
+            ruleIds.add(result.ruleId);
+        }
+        return result;
+    });
+
+    const run = {
+        tool: {
+            driver: {
+                name: 'MetaEditor',
+                informationUri: 'https://www.metatrader5.com/en/metaeditor/help',
+                rules: [...ruleIds].sort().map(id => ({ id, helpUri: ERROR_DOCS_URI })),
+            },
+        },
+        invocations: [{
+            executionSuccessful: record.result !== 'failed',
+            startTimeUtc: new Date(record.startedAt).toISOString(),
+            endTimeUtc: new Date(record.startedAt + record.durationMs).toISOString(),
+            ...(record.exitCode !== null ? { exitCode: record.exitCode } : {}),
+            ...(record.failure ? { toolExecutionNotifications: [{ level: 'error', message: { text: record.failure } }] } : {}),
+        }],
+        artifacts: [{ location: artifactLocation(record.target), roles: ['analysisTarget'] }],
+        results,
+        properties: {
+            mode: record.mode,
+            result: record.result,
+            propertyVersion: record.propertyVersion,
+            errors: record.errors,
+            warnings: record.warnings,
+        },
+    };
+    if (workspaceFolderPath) {
+        const rootUri = pathToFileURL(workspaceFolderPath).href;
+        run.originalUriBaseIds = { SRCROOT: { uri: rootUri.endsWith('/') ? rootUri : `${rootUri}/` } };
+    }
+
+    return { $schema: SARIF_SCHEMA, version: '2.1.0', runs: [run] };
+}
+
+/**
+ * Build the simple JSON report: the run summary plus a flat diagnostic list
+ * with 1-based line/column numbers, as printed by MetaEditor.
+ *
+ * @param {object} record - from compileHistory.createRunRecord(), uncapped (`maxDiagnostics: Infinity`)
+ * @returns {object}
+ */
+function buildJsonReport(record) {
+    return {
+        target: record.target,
+        mode: record.mode,
+        startedAt: new Date(record.startedAt).toISOString(),
+        durationMs: record.durationMs,
+        propertyVersion: record.propertyVersion,
+        result: record.result,
+        exitCode: record.exitCode,
+        failure: record.failure,
+        errors: record.errors,
+        warnings: record.warnings,
+        diagnostics: record.diagnostics.map(diag => ({
+            file: diag.file,
+            line: diag.line + 1,
+            column: diag.character + 1,
+            severity: diag.severity,
+            code: diag.code ? `MQL${diag.code}` : null,
+            message: diag.message,
+        })),
+    };
+}
+
+/**
+ * File name (without the report suffix) for `target`'s reports. Next to the
+ * source it is the source's own name; in a shared `CompileReport.Folder` the
+ * workspace-relative path is flattened (`Experts_A_EA.mq5`) so same-named
+ * programs from different folders keep separate reports.
+ *
+ * @param {string} target
+ * @param {{ get: Function }} config
+ * @param {string} workspaceFolderPath
+ * @returns {string}
+ */
+function reportBaseName(target, config, workspaceFolderPath) {
+    const folder = (config && config.get('CompileReport.Folder', '')) || '';
+    const rel = folder.trim() ? toWorkspaceRelative(target, workspaceFolderPath) : null;
+    return rel ? rel.split('/').join('_') : pathModule.basename(target);
+}
+
+/**
+ * Write the configured report files for a compile run.
+ *
+ * Report names keep the source extension (`MyEA.mq5.sarif`, `MyEA.mq5.compile.json`)
+ * so an `.mq4` and `.mq5` with the same base name do not overwrite each other.
+ *
+ * @param {object} record - from compileHistory.createRunRecord()
+ * @param {{ get: Function }} config - `mql_tools` configuration section
+ * @param {string} workspaceFolderPath
+ * @returns {Promise<string[]>} paths written (empty when reporting is off)
+ */
+async function writeCompileReports(record, config, workspaceFolderPath) {
+    const format = resolveReportFormat(config);
+    if (format === 'off') return [];
+
+    const dir = resolveReportDir(record.target, config, workspaceFolderPath);
+    await fsPromises.mkdir(dir, { recursive: true });
+    const base = pathModule.join(dir, reportBaseName(record.target, config, workspaceFolderPath));
+
+    const written = [];
+    if (format === 'sarif' || format === 'both') {
+        const file = `${base}.sarif`;
+        await fsPromises.writeFile(file, JSON.stringify(buildSarifReport(record, workspaceFolderPath), null, 2), 'utf8');
+        written.push(file);
+    }
+    if (format === 'json' || format === 'both') {
+        const file = `${base}.compile.json`;
+        await fsPromises.writeFile(file, JSON.stringify(buildJsonReport(record), null, 2), 'utf8');
+        written.push(file);
+    }
+    return written;
+}
+
+module.exports = {
+    resolveReportFormat,
+    resolveReportDir,
+    reportBaseName,
+    buildSarifReport,
+    buildJsonReport,
+    writeCompileReports,
+};
@@ -80,6 +80,65 @@ function resolveIncludePath(includePath, currentFileDir, workspaceRoot, includeD
     return candidates;
 }
 
+/**
+ * Pick the Include4Dir/Include5Dir setting that applies to a source file.
+ * The extension wins over the path heuristic (a .mq5 under an MQL4/ dir is still MQL5).
+ */
+function selectIncludeDir(filePath, include4Dir, include5Dir, workspaceVersion) {
+    const ext = pathModule.extname(filePath).toLowerCase();
+    if (ext === '.mq4') return include4Dir;
+    if (ext === '.mq5') return include5Dir;
+    if (filePath.toLowerCase().includes('mql4')) return include4Dir;
+    if (filePath.toLowerCase().includes('mql5')) return include5Dir;
+    return workspaceVersion === 'mql4' ? include4Dir : include5Dir;
+}
+
+/** Include paths of a file read from disk, null when it cannot be read. */
+async function readFileIncludes(filePath) {
+    try {
+        return parseIncludes(await fs.promises.readFile(filePath, 'utf8'));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Collect the transitive include closure of a main file: the main itself plus
+ * every header it pulls in, resolved with the same rules as the reverse index.
+ * Includes that cannot be resolved on disk are ignored.
+ *
+ * @param {string} mainPath       Absolute path to the .mq4/.mq5 file
+ * @param {string} workspaceRoot  Workspace folder path
+ * @param {string} [includeDir]   Include directory for the main's MQL flavor
+ * @param {object} [options]
+ * @param {(filePath: string) => Promise<string[]|null>} [options.readIncludes]
+ *        Include paths of one file, null when unreadable (e.g. served from a cache)
+ * @returns {Promise<string[]>}   Absolute file paths, main first
+ */
+async function collectIncludeClosure(mainPath, workspaceRoot, includeDir, { readIncludes = readFileIncludes } = {}) {
+    const closure = [];
+    const visited = new Set();
+    const queue = [mainPath];
+
+    while (queue.length > 0) {
+        const current = queue.shift();
+        const key = pathModule.normalize(current).toLowerCase();
+        if (visited.has(key)) continue;
+        visited.add(key);
+
+        const includes = await readIncludes(current);
+        if (!includes) continue;
+        closure.push(current);
+
+        for (const includePath of includes) {
+            const resolvedPaths = resolveIncludePath(includePath, pathModule.dirname(current), workspaceRoot, includeDir);
+            queue.push(...resolvedPaths);
+        }
+    }
+
+    return closure;
+}
+
 /**
  * Build reverse include index: includedFile -> Set<includingFiles>
  */
@@ -105,20 +164,7 @@ async function buildReverseIndex(workspaceFolder, include4Dir, include5Dir, maxF
             const content = await fs.promises.readFile(filePath, 'utf8');
             const includes = parseIncludes(content);
 
-            const ext = pathModule.extname(filePath).toLowerCase();
-            let includeDir;
-            // Extension wins over path heuristic (a .mq5 under an MQL4/ dir is still MQL5)
-            if (ext === '.mq4') {
-                includeDir = include4Dir;
-            } else if (ext === '.mq5') {
-                includeDir = include5Dir;
-            } else if (filePath.toLowerCase().includes('mql4')) {
-                includeDir = include4Dir;
-            } else if (filePath.toLowerCase().includes('mql5')) {
-                includeDir = include5Dir;
-            } else {
-                includeDir = workspaceVersion === 'mql4' ? include4Dir : include5Dir;
-            }
+            const includeDir = selectIncludeDir(filePath, include4Dir, include5Dir, workspaceVersion);
 
             for (const includePath of includes) {
                 const resolvedPaths = resolveIncludePath(includePath, fileDir, workspaceRoot, includeDir);
@@ -402,6 +448,10 @@ module.exports = {
     markIndexDirty,
     getCompileTargets,
     parseIncludes,
-    resolveIncludePath
+    resolveIncludePath,
+    selectIncludeDir,
+    collectIncludeClosure,
+    getOrBuildReverseIndex,
+    findCandidateMains
 };
 
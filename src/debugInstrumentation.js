@@ -681,8 +681,11 @@ function parseLocalsInScope(lines, bpLine) {
 
     // MQL5 declaration pattern: type [modifiers] name [= ...][, name2 [= ...]];
     // Matches: int x;  double y = 1.0;  string a, b;  const int z = 5;
-    const RE_DECL = /^\s*(?:(?:static|const|input)\s+)*([A-Za-z_]\w*)\s+\*?\s*((?:[A-Za-z_]\w*(?:\s*(?:\[[^\]]*\]))*(?:\s*=[^,;]*)?(?:\s*,\s*)?)+)\s*;/;
-    const RE_VARNAME = /([A-Za-z_]\w*)(?:\s*(?:\[[^\]]*\]))*(?:\s*=[^,;]*)?/g;
+    // Initializers may contain calls with commas: double d = MathMax(a, b);
+    const INIT = String.raw`(?:\s*=(?:[^,;()]|\((?:[^()]|\([^()]*\))*\))*)?`;
+    const VAR = String.raw`[A-Za-z_]\w*(?:\s*(?:\[[^\]]*\]))*` + INIT;
+    const RE_DECL = new RegExp(String.raw`^\s*(?:(?:static|const|input)\s+)*([A-Za-z_]\w*)\s+\*?\s*(${VAR}(?:\s*,\s*${VAR})*)\s*;`);
+    const RE_VARNAME = new RegExp(String.raw`([A-Za-z_]\w*)(?:\s*(?:\[[^\]]*\]))*` + INIT, 'g');
 
     // NON_TYPE_KEYWORDS / NON_VARNAME_KEYWORDS are module-level constants
 
@@ -767,26 +770,34 @@ function parseFunctionParams(lines, braceLineIdx) {
 // -------------------------------------------------------------------------
 
 /**
- * Parse class/struct definitions from source lines.
- * Extracts class name, parent class, and member declarations.
+ * Parse class/struct/interface definitions from source lines.
+ * Extracts class name, parent class, member declarations and the 0-based
+ * lines of the head, the opening brace and the closing brace. This is the
+ * class parser the editor features build on (classMethods.parseClasses).
  *
  * @param {string[]} lines
- * @returns {{ name: string, parent: string|null, members: { name: string, type: string, isArray: boolean }[] }[]}
+ * @returns {{ name: string, kind: 'class'|'struct'|'interface', parent: string|null,
+ *             members: { name: string, type: string, isArray: boolean }[],
+ *             startLine: number, braceLine: number, endLine: number }[]}
  */
 function parseClassDefinitions(lines) {
     const classes = [];
-    const RE_CLASS = /^\s*(?:class|struct)\s+([A-Za-z_]\w*)(?:\s*:\s*(?:(?:public|private|protected)\s+)?([A-Za-z_]\w*))?/;
-    const RE_DECL = /^\s*(?:(?:static|const)\s+)*([A-Za-z_]\w*)\s+\*?\s*((?:[A-Za-z_]\w*(?:\s*(?:\[[^\]]*\]))*(?:\s*=[^,;]*)?(?:\s*,\s*)?)+)\s*;/;
+    const RE_CLASS = /^\s*(?:template\s*<[^>]*>\s*)?(class|struct|interface)\s+([A-Za-z_]\w*)(?:\s*:\s*(?:(?:public|private|protected)\s+)?([A-Za-z_]\w*))?/;
+    // Names are comma-separated: an optional comma let one long identifier
+    // split into many, which backtracked exponentially on lines without `;`
+    const VAR = String.raw`[A-Za-z_]\w*(?:\s*(?:\[[^\]]*\]))*(?:\s*=[^,;]*)?`;
+    const RE_DECL = new RegExp(String.raw`^\s*(?:(?:static|const)\s+)*([A-Za-z_]\w*)\s+\*?\s*(${VAR}(?:\s*,\s*${VAR})*)\s*;`);
     const RE_VNAME = /([A-Za-z_]\w*)(?:\s*(?:\[[^\]]*\]))*(?:\s*=[^,;]*)?/g;
     // Uses module-level NON_TYPE_KEYWORDS / NON_VARNAME_KEYWORDS
 
     for (let i = 0; i < lines.length; i++) {
         const m = lines[i].match(RE_CLASS);
         if (!m) continue;
-        if (lines[i].trimEnd().endsWith(';')) continue; // forward declaration
+        if (lines[i].trimEnd().endsWith(';') && !lines[i].includes('{')) continue; // forward declaration
 
-        const className = m[1];
-        const parent = m[2] || null;
+        const kind = m[1];
+        const className = m[2];
+        const parent = m[3] || null;
 
         // Find opening brace
         let braceIdx = -1;
@@ -802,6 +813,8 @@ function parseClassDefinitions(lines) {
             inBC = r.inBlockComment;
             depth += r.delta;
             if (depth === 0 && r.delta !== 0) { endIdx = j; break; }
+            // One-line body: `class CEmpty : public CBase {};`
+            if (depth === 0 && j === braceIdx && lines[j].includes('}')) { endIdx = j; break; }
         }
         if (endIdx < 0) continue;
 
@@ -814,9 +827,10 @@ function parseClassDefinitions(lines) {
             const r = braceDepthDelta(lines[j], inBC2);
             inBC2 = r.inBlockComment;
             bodyDepth += r.delta;
-            if (prevDepth !== 1) continue;
+            if (prevDepth !== 1 && j !== braceIdx) continue;
 
-            const trimmed = lines[j].trimStart();
+            // Declarations may follow the opening brace: `class CA { int count; …`
+            const trimmed = (j === braceIdx ? lines[j].slice(lines[j].indexOf('{') + 1) : lines[j]).trimStart();
             if (!trimmed || trimmed.startsWith('//') || trimmed.startsWith('/*') ||
                 trimmed.startsWith('*') || trimmed.startsWith('#')) continue;
 
@@ -833,7 +847,7 @@ function parseClassDefinitions(lines) {
             }
         }
 
-        classes.push({ name: className, parent, members });
+        classes.push({ name: className, kind, parent, members, startLine: i, braceLine: braceIdx, endLine: endIdx });
         i = endIdx;
     }
     return classes;
@@ -2388,6 +2402,11 @@ function instrumentWorkspace(entryPointPath, breakpointMap, mql5Root) {
 module.exports = {
     instrumentWorkspace,
     instrumentedToOriginal,
+    parseLocalsInScope,
+    parseClassDefinitions,
+    buildTypeDatabase,
+    lookupClassMember,
+    findEnclosingClassName,
     // Exported for unit testing
     _test: {
         MqlLineClassifier,
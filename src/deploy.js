@@ -0,0 +1,293 @@
+'use strict';
+const vscode = require('vscode');
+const fs = require('fs');
+const pathModule = require('path');
+const { fromWineWindowsPath, getWinePrefix, expandHomeDir } = require('./wineHelper');
+const { collectIncludeClosure } = require('./compileTargetResolver');
+const { resolveClosureContext, getCompiledBinaryPath } = require('./buildAll');
+const { decodeTextBuffer } = require('./textDecoding');
+
+const fsPromises = fs.promises;
+
+const REG_RESOURCE = /^[ \t]*#resource\s+"([^"]+)"/gm;
+const REG_WINDOWS_PATH = /^[A-Za-z]:[\\/]/;
+const PROGRAM_FOLDERS = ['Experts', 'Indicators', 'Scripts', 'Services', 'Libraries'];
+
+/**
+ * Read `mql_tools.Deploy.Targets`. Entries may be plain path strings or
+ * `{ name, path, winePrefix }` objects.
+ *
+ * @param {{ get: Function }} config - `mql_tools` configuration section
+ * @returns {Array<{ name: string, path: string, winePrefix: string }>}
+ */
+function readDeployTargets(config) {
+    const raw = config && config.get('Deploy.Targets', []);
+    const targets = [];
+    for (const entry of Array.isArray(raw) ? raw : []) {
+        const target = typeof entry === 'string' ? { path: entry } : (entry || {});
+        const targetPath = typeof target.path === 'string' ? target.path.trim() : '';
+        if (!targetPath) continue;
+        targets.push({
+            name: (typeof target.name === 'string' && target.name.trim()) || targetPath,
+            path: targetPath,
+            winePrefix: typeof target.winePrefix === 'string' ? target.winePrefix.trim() : '',
+        });
+    }
+    return targets;
+}
+
+/**
+ * Turn a configured data folder into a local MQL4/MQL5 folder.
+ *
+ * Windows-style paths on macOS/Linux are mapped into the Wine prefix (the
+ * target's own `winePrefix`, else the global Wine prefix). A terminal data
+ * folder that contains an `MQL4`/`MQL5` sub-folder is narrowed to it.
+ *
+ * @param {{ path: string, winePrefix: string }} target
+ * @param {object} opts
+ * @param {boolean} opts.isMql5
+ * @param {string} opts.defaultWinePrefix
+ * @param {string} [opts.platform=process.platform]
+ * @param {(p: string) => boolean} [opts.exists=fs.existsSync]
+ * @returns {string}
+ */
+function resolveDeployRoot(target, { isMql5, defaultWinePrefix, platform = process.platform, exists = fs.existsSync }) {
+    let root = target.path;
+    if (platform !== 'win32' && REG_WINDOWS_PATH.test(root)) {
+        const prefix = target.winePrefix ? expandHomeDir(target.winePrefix) : defaultWinePrefix;
+        root = fromWineWindowsPath(root, prefix);
+    } else {
+        root = expandHomeDir(root);
+    }
+    const mqlDir = pathModule.join(root, isMql5 ? 'MQL5' : 'MQL4');
+    return exists(mqlDir) ? mqlDir : root;
+}
+
+/**
+ * The MQL4/MQL5 folder a source file lives in (nearest ancestor with that
+ * name), or null when the source is not inside a terminal data layout.
+ *
+ * @param {string} sourcePath
+ * @returns {string|null}
+ */
+function findSourceMqlRoot(sourcePath) {
+    let current = pathModule.dirname(sourcePath);
+    while (true) {
+        if (/^mql[45]$/i.test(pathModule.basename(current))) return current;
+        const parent = pathModule.dirname(current);
+        if (parent === current) return null;
+        current = parent;
+    }
+}
+
+/**
+ * Path of a deployed file relative to the target's MQL folder.
+ *
+ * Inside a data layout the path below MQL4/MQL5 is kept
+ * (`Experts/MyEA/MyEA.ex5`). Otherwise the first program folder in the path
+ * (`Experts`, `Indicators`, …) is used as anchor, falling back to `Experts/`.
+ *
+ * @param {string} filePath
+ * @param {string|null} mqlRoot - from findSourceMqlRoot()
+ * @returns {string}
+ */
+function toDeployRelativePath(filePath, mqlRoot) {
+    if (mqlRoot) {
+        const rel = pathModule.relative(mqlRoot, filePath);
+        if (rel && !rel.startsWith('..') && !pathModule.isAbsolute(rel)) return rel;
+    }
+    const parts = pathModule.normalize(filePath).split(pathModule.sep);
+    for (let i = parts.length - 2; i >= 0; i--) {
+        const folder = PROGRAM_FOLDERS.find(f => f.toLowerCase() === parts[i].toLowerCase());
+        if (folder) return pathModule.join(folder, ...parts.slice(i + 1));
+    }
+    return pathModule.join('Experts', pathModule.basename(filePath));
+}
+
+/**
+ * Resolve `#resource` paths referenced by the main and its include closure.
+ * A leading backslash makes the path relative to the MQL folder; otherwise it
+ * is relative to the file containing the directive. Missing files are skipped.
+ *
+ * @param {string[]} sourceFiles - Main and headers to scan
+ * @param {string|null} mqlRoot
+ * @returns {Promise<string[]>}
+ */
+async function collectResourceFiles(sourceFiles, mqlRoot) {
+    const found = new Map();
+    for (const file of sourceFiles) {
+        let text;
+        try {
+            text = decodeTextBuffer(await fsPromises.readFile(file));
+        } catch {
+            continue;
+        }
+        REG_RESOURCE.lastIndex = 0;
+        let match;
+        while ((match = REG_RESOURCE.exec(text)) !== null) {
+            const raw = match[1].replace(/\\\\/g, '\\');
+            const segments = raw.split(/[\\/]+/).filter(Boolean);
+            const rootRelative = /^[\\/]/.test(raw);
+            if (rootRelative && !mqlRoot) continue;
+            const resolved = pathModule.join(rootRelative ? mqlRoot : pathModule.dirname(file), ...segments);
+            if (fs.existsSync(resolved)) found.set(resolved.toLowerCase(), resolved);
+        }
+    }
+    return [...found.values()];
+}
+
+/**
+ * `.set` presets next to the main named after the program: `MyEA.set`, or
+ * the program name followed by `_` or `-` (`MyEA_EURUSD.set`). `MyEA2.set`
+ * belongs to another program.
+ *
+ * @param {string} mainPath
+ * @returns {Promise<string[]>}
+ */
+async function collectPresetFiles(mainPath) {
+    const dir = pathModule.dirname(mainPath);
+    const base = pathModule.basename(mainPath, pathModule.extname(mainPath)).toLowerCase();
+    let entries;
+    try {
+        entries = await fsPromises.readdir(dir);
+    } catch {
+        return [];
+    }
+    return entries
+        .filter(name => {
+            const lower = name.toLowerCase();
+            if (!lower.endsWith('.set') || !lower.startsWith(base)) return false;
+            const next = lower.slice(base.length);
+            return next === '.set' || next[0] === '_' || next[0] === '-';
+        })
+        .sort()
+        .map(name => pathModule.join(dir, name));
+}
+
+/**
+ * List the files to deploy for one compiled main.
+ *
+ * @param {string} mainPath
+ * @param {object} [opts]
+ * @param {boolean} [opts.includeResources]
+ * @param {boolean} [opts.includePresets]
+ * @param {(mainPath: string) => Promise<string[]>} [opts.collectSources] - include closure provider
+ * @returns {Promise<Array<{ source: string, relativePath: string }>>}
+ */
+async function planDeployment(mainPath, opts = {}) {
+    const mqlRoot = findSourceMqlRoot(mainPath);
+    const binary = getCompiledBinaryPath(mainPath);
+    const files = [{ source: binary, relativePath: toDeployRelativePath(binary, mqlRoot) }];
+
+    if (opts.includeResources) {
+        const collectSources = opts.collectSources || (async (main) => {
+            const { workspaceRoot, includeDir } = resolveClosureContext(main);
+            return collectIncludeClosure(main, workspaceRoot, includeDir);
+        });
+        for (const resource of await collectResourceFiles(await collectSources(mainPath), mqlRoot)) {
+            files.push({ source: resource, relativePath: toDeployRelativePath(resource, mqlRoot) });
+        }
+    }
+    if (opts.includePresets) {
+        for (const preset of await collectPresetFiles(mainPath)) {
+            files.push({ source: preset, relativePath: pathModule.join('Presets', pathModule.basename(preset)) });
+        }
+    }
+    return files;
+}
+
+/**
+ * Copy the planned files into every resolved target root.
+ *
+ * @param {Array<{ source: string, relativePath: string }>} files
+ * @param {Array<{ name: string, root: string }>} roots
+ * @returns {Promise<Array<{ name: string, root: string, copied: number, error: string|null }>>}
+ */
+async function copyToTargets(files, roots) {
+    const results = [];
+    for (const { name, root } of roots) {
+        const result = { name, root, copied: 0, error: null };
+        try {
+            if (!fs.existsSync(root)) throw new Error(`data folder not found: ${root}`);
+            for (const file of files) {
+                const dest = pathModule.join(root, file.relativePath);
+                await fsPromises.mkdir(pathModule.dirname(dest), { recursive: true });
+                await fsPromises.copyFile(file.source, dest);
+                result.copied++;
+            }
+        } catch (err) {
+            result.error = err.message;
+        }
+        results.push(result);
+    }
+    return results;
+}
+
+function shouldDeployAfterCompile(hasErrors, config) {
+    if (hasErrors) return false;
+    return readDeployTargets(config || vscode.workspace.getConfiguration('mql_tools')).length > 0;
+}
+
+/**
+ * Deploy compiled programs to every configured data folder and report the
+ * outcome in the output channel and a notification.
+ *
+ * @param {string[]} mainPaths - Successfully compiled .mq4/.mq5 files
+ * @param {object} deps
+ * @param {vscode.OutputChannel} deps.outputChannel
+ * @returns {Promise<Array>} per-main, per-target results
+ */
+async function deployCompiledPrograms(mainPaths, { outputChannel }) {
+    const config = vscode.workspace.getConfiguration('mql_tools');
+    const targets = readDeployTargets(config);
+    if (targets.length === 0) return [];
+
+    const defaultWinePrefix = getWinePrefix(config);
+    const includeResources = config.get('Deploy.IncludeResources', false);
+    const includePresets = config.get('Deploy.IncludePresets', false);
+    const all = [];
+
+    for (const mainPath of mainPaths) {
+        if (!/\.mq[45]$/i.test(mainPath)) continue;
+        const isMql5 = pathModule.extname(mainPath).toLowerCase() === '.mq5';
+        const programName = pathModule.basename(mainPath);
+        let files;
+        try {
+            files = await planDeployment(mainPath, { includeResources, includePresets });
+        } catch (err) {
+            outputChannel.appendLine(`[Deploy] ${programName}: failed to collect files: ${err.message}`);
+            continue;
+        }
+        const roots = targets.map(t => ({ name: t.name, root: resolveDeployRoot(t, { isMql5, defaultWinePrefix }) }));
+        const results = await copyToTargets(files, roots);
+        all.push({ mainPath, results });
+
+        for (const r of results) {
+            outputChannel.appendLine(r.error
+                ? `[Deploy] ✗ ${programName} → ${r.name}: ${r.error}`
+                : `[Deploy] ✓ ${programName} → ${r.name} (${r.copied} file(s)) ${r.root}`);
+        }
+        const okCount = results.filter(r => !r.error).length;
+        const summary = `Deployed ${programName} to ${okCount}/${results.length} data folder(s)`;
+        if (okCount === results.length) {
+            vscode.window.showInformationMessage(summary);
+        } else {
+            vscode.window.showWarningMessage(`${summary}. Failed: ${results.filter(r => r.error).map(r => r.name).join(', ')}`, 'Show Output')
+                .then(choice => { if (choice) outputChannel.show(true); });
+        }
+    }
+    return all;
+}
+
+module.exports = {
+    readDeployTargets,
+    resolveDeployRoot,
+    findSourceMqlRoot,
+    toDeployRelativePath,
+    collectResourceFiles,
+    collectPresetFiles,
+    planDeployment,
+    copyToTargets,
+    shouldDeployAfterCompile,
+    deployCompiledPrograms,
+};
@@ -0,0 +1,120 @@
+'use strict';
+
+const REG_BANNER_RULE = /^\/\/\+[-=+\s]*$/;
+const REG_TAG = /^[@\\](param|return|returns|brief)\b\s*(.*)$/;
+
+/**
+ * Comment lines directly above `line` (no blank line in between): a `//`/`///`
+ * run, including MetaEditor banners, or a block comment ending there.
+ * @returns {string[]|null} raw lines, top to bottom
+ */
+function commentAbove(lines, line) {
+    let end = line - 1;
+    if (end < 0) return null;
+    const last = lines[end].trim();
+    if (last.endsWith('*/')) {
+        let start = end;
+        while (start >= 0 && !lines[start].includes('/*')) start--;
+        if (start < 0 || lines[start].slice(0, lines[start].indexOf('/*')).trim()) return null;
+        return lines.slice(start, end + 1);
+    }
+    let start = end + 1;
+    while (start > 0 && lines[start - 1].trim().startsWith('//')) start--;
+    return start <= end ? lines.slice(start, end + 1) : null;
+}
+
+/**
+ * Offset of a `//` comment ending the line, ignoring `//` inside string literals.
+ * @param {string} line
+ * @returns {number} -1 without a comment
+ */
+function commentStart(line) {
+    return (line || '').replace(/"(?:[^"\\\n]|\\.)*"/g, m => `"${' '.repeat(m.length - 2)}"`).indexOf('//');
+}
+
+/**
+ * Text of a `//` comment ending the line.
+ * @param {string} line
+ * @returns {string} empty without a comment
+ */
+function trailingComment(line) {
+    const at = commentStart(line);
+    return at < 0 ? '' : line.slice(at).replace(/^\/+/, '').trim();
+}
+
+/** Comment text without markers: `//`, `///`, `/**`, ` * `, banner rules and `|` borders. */
+function commentText(raw) {
+    const text = [];
+    for (const rawLine of raw) {
+        const trimmed = rawLine.trim();
+        if (REG_BANNER_RULE.test(trimmed)) continue;
+        let content = trimmed
+            .replace(/^\/\*+!?/, '')
+            .replace(/\*+\/$/, '')
+            .replace(/^\/\/[/!]?/, '')
+            .replace(/^\s*\*(?!\/)/, '');
+        // Banner rows: `//| Opens a position                |`
+        if (/^\|/.test(content)) content = content.replace(/^\|/, '').replace(/\|\s*$/, '');
+        text.push(content.trim());
+    }
+    while (text.length > 0 && !text[0]) text.shift();
+    while (text.length > 0 && !text[text.length - 1]) text.pop();
+    return text;
+}
+
+/**
+ * Documentation of the declaration on `line` (0-based): the comment right
+ * above it, else a trailing `//` comment on the line itself. Doxygen-style
+ * `@param`, `@return` and `@brief` tags are split out.
+ *
+ * @param {string[]} lines - Source lines
+ * @param {number} line
+ * @param {object} [opts]
+ * @param {boolean} [opts.trailing=true] - Fall back to a trailing comment; off for
+ *   inputs, where it is the tester label
+ * @returns {{ summary: string, params: Map<string, string>, returns: string }|null}
+ */
+function extractDocComment(lines, line, { trailing: useTrailing = true } = {}) {
+    let raw = commentAbove(lines, line);
+    if (!raw && useTrailing) {
+        const comment = trailingComment(lines[line]);
+        raw = comment ? [`// ${comment}`] : null;
+    }
+    if (!raw) return null;
+
+    const summary = [];
+    const params = new Map();
+    let returns = '';
+    let current = null;
+    for (const text of commentText(raw)) {
+        const tag = text.match(REG_TAG);
+        if (tag && tag[1] === 'param') {
+            const m = tag[2].match(/^(?:\[\w+\]\s*)?([A-Za-z_]\w*)\s*[-:]?\s*(.*)$/);
+            if (m) {
+                params.set(m[1], m[2]);
+                current = { param: m[1] };
+                continue;
+            }
+        } else if (tag && tag[1] !== 'brief') {
+            returns = tag[2];
+            current = { returns: true };
+            continue;
+        }
+        const content = tag ? tag[2] : text;
+        if (current && current.param && content) params.set(current.param, `${params.get(current.param)} ${content}`.trim());
+        else if (current && current.returns && content) returns = `${returns} ${content}`.trim();
+        else {
+            current = null;
+            summary.push(content);
+        }
+    }
+
+    const result = { summary: summary.join('\n').replace(/\n{3,}/g, '\n\n').trim(), params, returns };
+    return result.summary || params.size > 0 || returns ? result : null;
+}
+
+module.exports = {
+    extractDocComment,
+    commentStart,
+    trailingComment,
+};
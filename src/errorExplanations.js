@@ -0,0 +1,213 @@
+'use strict';
+const vscode = require('vscode');
+const { getLanguage } = require('./provider');
+const { getMql5DocLang } = require('./help');
+const { diagnosticCode } = require('./fixAll');
+
+let _knowledgeBase = null;
+function getKnowledgeBase() {
+    if (!_knowledgeBase) {
+        const data = require('../data/compiler-errors.json');
+        _knowledgeBase = {
+            labels: data.labels,
+            entries: data.entries.map(entry => ({ ...entry, regex: new RegExp(entry.match, 'i') })),
+            reference: require('../data/error-codes.json'),
+        };
+    }
+    return _knowledgeBase;
+}
+
+function codeNumber(code) {
+    return code && /^MQL\d+$/i.test(code) ? code.slice(3) : null;
+}
+
+/**
+ * Knowledge-base entry for a compiler diagnostic. MetaEditor codes (`MQL199`)
+ * are looked up first; otherwise the message text decides, which also covers
+ * codes without a fixed number and clangd's wording of the same problem.
+ *
+ * @param {string|null} code - Diagnostic code, e.g. `MQL199`
+ * @param {string} [message] - Diagnostic message
+ * @returns {object|null}
+ */
+function findErrorEntry(code, message) {
+    const { entries } = getKnowledgeBase();
+    const number = codeNumber(code);
+    if (number) {
+        const byCode = entries.find(entry => entry.codes.includes(number));
+        if (byCode) return byCode;
+    }
+    return entries.find(entry => entry.regex.test(message || '')) || null;
+}
+
+/**
+ * Texts in the VS Code display language, falling back to English per field.
+ * @param {Object<string, object>} texts - Keyed by language (`en`, `ru`, …)
+ * @param {string} [language=getLanguage()]
+ */
+function localizedText(texts, language = getLanguage()) {
+    const lang = language === 'zh-tw' ? 'zh-cn' : language;
+    return { ...texts.en, ...(texts[lang] || texts[lang.split('-')[0]] || {}) };
+}
+
+/**
+ * One-line description of a MetaEditor code from the MQL5 compilation errors
+ * reference (`data/error-codes.json`). The reference is translated to de, es,
+ * fr, it, ja, pt-br, ru, tr and zh-cn; other languages, English included,
+ * get null because the compiler message already says the same.
+ *
+ * @param {string|null} code - Diagnostic code, e.g. `MQL168`
+ * @param {string} [language=getLanguage()]
+ * @returns {string|null}
+ */
+function referenceDescription(code, language = getLanguage()) {
+    const number = codeNumber(code);
+    const lang = language === 'zh-tw' ? 'zh-cn' : language;
+    const table = getKnowledgeBase().reference[lang];
+    return (number && table && table[number]?.trim()) || null;
+}
+
+function isExplained(code, message) {
+    return Boolean(findErrorEntry(code, message) || referenceDescription(code));
+}
+
+function docsUrl() {
+    return `https://www.mql5.com/${getMql5DocLang()}/docs/constants/errorswarnings/errorscompile`;
+}
+
+/**
+ * Markdown explanation of a diagnostic: title, explanation, typical cause and
+ * a before/after example. Without a knowledge-base entry the compiler message,
+ * the translated reference description (if any) and the reference link are shown.
+ *
+ * @param {{ code: string|null, message?: string }} diagnostic
+ * @param {object} [opts]
+ * @param {boolean} [opts.quoteMessage=true] - Repeat the compiler message (hovers already show it)
+ * @param {string} [opts.language]
+ * @returns {string}
+ */
+function formatExplanation({ code, message }, { quoteMessage = true, language } = {}) {
+    const labels = localizedText(getKnowledgeBase().labels, language);
+    const entry = findErrorEntry(code, message);
+    const lines = [];
+    if (!entry) {
+        lines.push(`### ${code || 'MQL'}`, '');
+        if (message) lines.push(`> ${message}`, '');
+        lines.push(referenceDescription(code, language) || labels.unknown, '', `[${labels.docs}](${docsUrl()})`);
+        return lines.join('\n');
+    }
+
+    const text = localizedText(entry.text, language);
+    lines.push(`### ${code ? `${code}: ` : ''}${text.title}`, '');
+    if (quoteMessage && message) lines.push(`> ${message}`, '');
+    lines.push(text.explanation, '', `**${labels.cause}:** ${text.cause}`, '');
+    lines.push(`**${labels.before}**`, '', '```cpp', entry.example.before, '```', '');
+    lines.push(`**${labels.after}**`, '', '```cpp', entry.example.after, '```', '');
+    lines.push(`[${labels.docs}](${docsUrl()})`);
+    return lines.join('\n');
+}
+
+function rangeContains(range, position) {
+    const afterStart = position.line > range.start.line ||
+        (position.line === range.start.line && position.character >= range.start.character);
+    const beforeEnd = position.line < range.end.line ||
+        (position.line === range.end.line && position.character <= range.end.character);
+    return afterStart && beforeEnd;
+}
+
+/**
+ * Adds the knowledge-base explanation below the diagnostic hover.
+ */
+class ErrorExplanationHoverProvider {
+    provideHover(document, position) {
+        const explained = vscode.languages.getDiagnostics(document.uri)
+            .filter(d => rangeContains(d.range, position) && isExplained(diagnosticCode(d), d.message));
+        if (explained.length === 0) return undefined;
+
+        const contents = new vscode.MarkdownString(explained
+            .map(d => formatExplanation({ code: diagnosticCode(d), message: d.message }, { quoteMessage: false }))
+            .join('\n\n---\n\n'));
+        return new vscode.Hover(contents);
+    }
+}
+
+/**
+ * "Explain" entries in the light bulb for diagnostics with a knowledge-base
+ * entry or a translated reference description.
+ *
+ * QuickFix Title Pattern: "MQL: Explain error '<code>'"
+ *
+ * @param {vscode.Diagnostic[]} diagnostics
+ * @returns {vscode.CodeAction[]}
+ */
+function createExplainErrorActions(diagnostics) {
+    const actions = [];
+    for (const diagnostic of diagnostics) {
+        const code = diagnosticCode(diagnostic);
+        const entry = findErrorEntry(code, diagnostic.message);
+        if (!entry && !referenceDescription(code)) continue;
+        const label = code || localizedText(entry.text).title;
+        const action = new vscode.CodeAction(`MQL: Explain error '${label}'`, vscode.CodeActionKind.QuickFix);
+        action.command = {
+            command: 'mql_tools.explainError',
+            title: 'Explain this error',
+            arguments: [{ code, message: diagnostic.message }]
+        };
+        action.diagnostics = [diagnostic];
+        actions.push(action);
+    }
+    return actions;
+}
+
+/**
+ * Register the explanation hover for MQL files and `mql_tools.explainError`.
+ * The command explains the given `{ code, message }`, the diagnostic under the
+ * cursor, or one picked from the active file.
+ *
+ * @param {vscode.ExtensionContext} context
+ */
+function registerErrorExplanations(context) {
+    context.subscriptions.push(vscode.languages.registerHoverProvider(
+        { pattern: '**/*.{mq4,mq5,mqh}' },
+        new ErrorExplanationHoverProvider()
+    ));
+
+    context.subscriptions.push(vscode.commands.registerCommand('mql_tools.explainError', async (target) => {
+        if (!target) {
+            const editor = vscode.window.activeTextEditor;
+            if (!editor) return;
+            const diagnostics = vscode.languages.getDiagnostics(editor.document.uri);
+            const atCursor = diagnostics.filter(d => rangeContains(d.range, editor.selection.active));
+            let picked = atCursor.length === 1 ? atCursor[0] : null;
+            if (!picked) {
+                const candidates = atCursor.length > 0 ? atCursor : diagnostics;
+                if (candidates.length === 0) {
+                    vscode.window.showInformationMessage('No problems to explain in this file.');
+                    return;
+                }
+                const item = await vscode.window.showQuickPick(candidates.map(d => ({
+                    label: diagnosticCode(d) || d.source || 'MQL',
+                    description: `Ln ${d.range.start.line + 1}`,
+                    detail: d.message,
+                    diagnostic: d,
+                })), { placeHolder: 'Problem to explain' });
+                if (!item) return;
+                picked = item.diagnostic;
+            }
+            target = { code: diagnosticCode(picked), message: picked.message };
+        }
+        const content = formatExplanation(target);
+        const doc = await vscode.workspace.openTextDocument({ language: 'markdown', content });
+        await vscode.commands.executeCommand('markdown.showPreview', doc.uri);
+    }));
+}
+
+module.exports = {
+    findErrorEntry,
+    localizedText,
+    referenceDescription,
+    formatExplanation,
+    ErrorExplanationHoverProvider,
+    createExplainErrorActions,
+    registerErrorExplanations,
+};
@@ -1,5 +1,4 @@
 'use strict';
-const url = require('url');
 const vscode = require('vscode');
 const childProcess = require('child_process');
 const fs = require('fs');
@@ -10,42 +9,37 @@ const sleep = require('util').promisify(setTimeout);
 const fsPromises = fs.promises;
 const { bumpVersionsInFile } = require('./versionBumper');
 
-const REG_COMPILING = /: information: (?:compiling|checking)/;
-const REG_INCLUDE = /: information: including/;
-const REG_INFO = /: information: info/;
-const REG_RESULT = /(?:Result:|: information: result)/;
-const REG_ERR_WAR = /(?!0)\d+.(?:error|warning)/;
-const REG_RESULT_SHORT = /\d+.error.+/;
-const REG_LINE_PATH = /([a-zA-Z]:\\.+(?= :)|^\(\d+,\d+\))(?:.: )(.+)/;
-const REG_ERROR_CODE = /(?<=error |warning )\d+/;
-const REG_FULL_PATH = /[a-z]:\\.+/gi;
-const REG_LINE_POS = /\((?:\d+,\d+)\)$/gm;
-const REG_LINE_FRAGMENT = /\((?=(\d+,\d+).$)/gm;
 const REG_PROPERTY_VERSION = /^\s*#property\s+version\s+["']([^\r\n"']+)["']/im;
 
 // NOTE: diagnosticCollection and outputChannel are initialized in activate()
 let diagnosticCollection = null;
+// MetaEditor diagnostics keyed by (main, file), published to diagnosticCollection.
+let mainDiagnostics = null;
 let outputChannel = null;
 let autoCheckTimer = null;
-let isAutoCheckRunning = false;
 let autoCheckDocVersions = new Map(); // Track document versions to ignore our own edits
 // Guard to prevent CheckOnSave from re-triggering itself when Compile() saves files.
 let internalSaveDepth = 0;
+// Compile History store (initialized in activate()); every compilePath() run is recorded here.
+let compileHistory = null;
+// Build Insights store (initialized in activate()); includes reported by each compile.
+let buildInsights = null;
+// Serial compile queue (initialized in activate()); editor compiles and checks run through it.
+let compileQueue = null;
 const lg = require('./language');
 const { tf } = require('./timeUtils');
 const { Help, OfflineHelp } = require('./help');
 const { ShowFiles, InsertNameFileMQH, InsertMQH, InsertNameFileMQL, InsertMQL, InsertResource, InsertImport, InsertTime, InsertIcon, OpenFileInMetaEditor, OpenTradingTerminal, CreateComment } = require('./contextMenu');
 const { IconsInstallation } = require('./addIcon');
 const { ArrangeCharts, createStatusBar } = require('./chartLayout');
-const { Hover_log, DefinitionProvider, Hover_MQL, ItemProvider, HelpProvider, ColorProvider, MQLDocumentSymbolProvider, getObjItems, clearSymbolCache, getIncludeDir } = require('./provider');
+const { Hover_log, DefinitionProvider, Hover_MQL, ItemProvider, HelpProvider, ColorProvider, MQLDocumentSymbolProvider, clearSymbolCache, getIncludeDir } = require('./provider');
 const { registerLightweightDiagnostics } = require('./lightweightDiagnostics');
 const unresolvedSymbolWatcher = require('./unresolvedSymbolWatcher');
 const { CreateProperties, generatePortableSwitch, resolvePathRelativeToWorkspace, haveIncludesChanged, CLANGD_BASE_SUPPRESSIONS } = require('./createProperties');
 const { decodeTextBuffer } = require('./textDecoding');
-const { resolveCompileTargets, setCompileTargets, resetCompileTargets, markIndexDirty, getCompileTargets } = require('./compileTargetResolver');
+const { resolveCompileTargets, setCompileTargets, resetCompileTargets, markIndexDirty, getCompileTargets, collectIncludeClosure, parseIncludes, getOrBuildReverseIndex, findCandidateMains } = require('./compileTargetResolver');
 const {
     toWineWindowsPath,
-    fromWineWindowsPath,
     isWineEnabled,
     getWineBinary,
     getWinePrefix,
@@ -73,143 +67,44 @@ const { MqlDebugAdapter } = require('./debugAdapter');
 const { store: debugStore } = require('./debugStateStore');
 const { registerDebugCodeLens } = require('./debugCodeLens');
 const { showStartupPage } = require('./startupPage');
-
-
-// =============================================================================
-// SPELLCHECK INDEX - Lazy-loaded dictionary for typo detection
-// =============================================================================
-
-let spellcheckIndex = null;
-
-/**
- * Build and cache the spellcheck index from items.json
- * Filters to group=2 (functions) and indexes by first character for fast lookup
- * @returns {{ byFirstChar: Object<string, string[]>, all: Set<string> }}
- */
-function getSpellcheckIndex() {
-    if (spellcheckIndex) return spellcheckIndex;
-
-    const byFirstChar = {};
-    const all = new Set();
-    const items = getObjItems();
-
-    for (const name in items) {
-        // Only include functions (group 2) with reasonable length
-        if (items[name].group === 2 && name.length >= 3) {
-            all.add(name);
-            const firstChar = name[0].toUpperCase();
-            if (!byFirstChar[firstChar]) byFirstChar[firstChar] = [];
-            byFirstChar[firstChar].push(name);
-        }
-    }
-
-    spellcheckIndex = { byFirstChar, all };
-    return spellcheckIndex;
-}
-
-/**
- * Bounded Levenshtein distance with early termination
- * @param {string} a - First string
- * @param {string} b - Second string
- * @param {number} maxDist - Maximum distance threshold
- * @returns {number} Distance if <= maxDist, otherwise Infinity
- */
-function levenshteinBounded(a, b, maxDist) {
-    const lenA = a.length, lenB = b.length;
-
-    // Quick length check - if lengths differ by more than threshold, skip
-    if (Math.abs(lenA - lenB) > maxDist) return Infinity;
-
-    // Handle edge cases
-    if (lenA === 0) return lenB <= maxDist ? lenB : Infinity;
-    if (lenB === 0) return lenA <= maxDist ? lenA : Infinity;
-
-    // Single row DP (space optimized O(min(m,n)))
-    // Ensure we iterate over the shorter string for the inner loop
-    const [shorter, longer] = lenA < lenB ? [a, b] : [b, a];
-    const shortLen = shorter.length, longLen = longer.length;
-
-    let row = Array.from({ length: shortLen + 1 }, (_, i) => i);
-
-    for (let i = 1; i <= longLen; i++) {
-        let prev = i;
-        let minInRow = prev;
-
-        for (let j = 1; j <= shortLen; j++) {
-            const cost = longer[i - 1] === shorter[j - 1] ? 0 : 1;
-            const curr = Math.min(
-                row[j] + 1,       // deletion
-                prev + 1,         // insertion
-                row[j - 1] + cost // substitution
-            );
-            row[j - 1] = prev;
-            prev = curr;
-            minInRow = Math.min(minInRow, curr);
-        }
-        row[shortLen] = prev;
-
-        // Early exit: if minimum in this row > maxDist, we can't reach target
-        if (minInRow > maxDist) return Infinity;
-    }
-
-    return row[shortLen] <= maxDist ? row[shortLen] : Infinity;
-}
-
-/**
- * Find closest matches for a misspelled word
- * @param {string} word - The misspelled word
- * @param {number} maxDist - Maximum edit distance (default: 2)
- * @param {number} maxResults - Maximum number of results (default: 3)
- * @returns {Array<{name: string, distance: number}>} Sorted by distance
- */
-function findClosestMatches(word, maxDist = 2, maxResults = 3) {
-    if (word.length < 3) return []; // Too short to reliably match
-
-    const index = getSpellcheckIndex();
-    const candidates = [];
-
-    // First, check if it's already a valid function name
-    if (index.all.has(word)) return [];
-
-    // Strategy 1: Check words starting with same letter (most common typo pattern)
-    const firstChar = word[0].toUpperCase();
-    const primaryCandidates = index.byFirstChar[firstChar] || [];
-
-    for (const name of primaryCandidates) {
-        // Pre-filter by length difference
-        if (Math.abs(name.length - word.length) > maxDist) continue;
-
-        const dist = levenshteinBounded(word.toLowerCase(), name.toLowerCase(), maxDist);
-        if (dist !== Infinity) {
-            candidates.push({ name, distance: dist });
-        }
-    }
-
-    // Strategy 2: If no matches found, check adjacent letters (handles first-char typos)
-    if (candidates.length === 0 && word.length >= 4) {
-        const firstCharCode = firstChar.charCodeAt(0);
-        const adjacentChars = [
-            String.fromCharCode(firstCharCode - 1),
-            String.fromCharCode(firstCharCode + 1)
-        ].filter(c => c >= 'A' && c <= 'Z');
-
-        for (const altChar of adjacentChars) {
-            const altCandidates = index.byFirstChar[altChar] || [];
-            for (const name of altCandidates) {
-                if (Math.abs(name.length - word.length) > maxDist) continue;
-                const dist = levenshteinBounded(word.toLowerCase(), name.toLowerCase(), maxDist);
-                if (dist !== Infinity) {
-                    candidates.push({ name, distance: dist });
-                }
-            }
-        }
-    }
-
-    // Sort by distance (prefer closer matches), then alphabetically
-    candidates.sort((a, b) => a.distance - b.distance || a.name.localeCompare(b.name));
-
-    return candidates.slice(0, maxResults);
-}
+const { runBuildAll, runCompileChanged, recordCompileHashes } = require('./buildAll');
+const { registerCompileHistory, createRunRecord } = require('./compileHistory');
+const { writeCompileReports } = require('./compileReport');
+const {
+    readBuildProfiles,
+    getActiveBuildProfile,
+    getProfileProjectFlags,
+    resolvePreludeHeaderPath,
+    syncPreludeHeader,
+    copyProfileOutput,
+    registerBuildProfiles
+} = require('./buildProfiles');
+const { shouldDeployAfterCompile, deployCompiledPrograms } = require('./deploy');
+const { registerCompileQueue } = require('./compileQueue');
+const { registerBuildInsights } = require('./buildInsights');
+const { MainDiagnosticsStore } = require('./mainDiagnostics');
+const { createMethodBodyActions, createAbstractMethodActions, registerMethodBodyGenerator } = require('./classMethods');
+const { createReturnCheckActions } = require('./returnValueCheck');
+const { createExtractFunctionActions } = require('./extractFunction');
+const { createInputActions, registerInputOrganizer } = require('./inputOrganizer');
+const { MqlRenameProvider } = require('./mqlRename');
+const { registerWorkspaceIndex, MqlHoverProvider } = require('./workspaceIndex');
+const { MqlCallHierarchyProvider } = require('./callHierarchy');
+const { MqlMemberCompletionProvider } = require('./memberCompletion');
+const { MqlSignatureHelpProvider } = require('./signatureHelp');
+const { createFixAllActions, markFixAllSafe, registerFixAll } = require('./fixAll');
+const { createMigrationActions, registerMql4Migration } = require('./mql4Migration');
+const { createExplainErrorActions, registerErrorExplanations } = require('./errorExplanations');
+const { detectUsage, rankSpellingSuggestions, SpellingSymbolIndex } = require('./spellcheck');
+const {
+    buildMetaEditorCmd,
+    inferMqlDataDirFromPath,
+    CPU_ARCH_MAP,
+    createTempMqproj,
+    cleanupTempMqproj,
+    waitForLogFile,
+    parseMetaEditorLog
+} = require('./metaEditor');
 
 
 // =============================================================================
@@ -296,151 +191,24 @@ async function refreshClangdDiagnostics() {
 }
 
 
-/**
- * Build command arguments for MetaEditor on Windows.
- * Returns an object with executable and args array for use with child_process.spawn.
- * MetaEditor requires: /compile:"path" (quotes are part of the argument value)
- *
- * Only processes known MetaEditor flags (/compile:, /log:, /inc:) to avoid corrupting
- * Windows paths like C:\foo. Skips values already wrapped in quotes to avoid double-quoting.
- */
-function buildMetaEditorCmd(executable, args) {
-    const metaEditorFlags = ['/compile:', '/log:', '/inc:'];
-    const processedArgs = args.map(arg => {
-        const matchingFlag = metaEditorFlags.find(flag => arg.toLowerCase().startsWith(flag));
-        if (!matchingFlag) {
-            return arg;
-        }
-        const value = arg.substring(matchingFlag.length);
-        if (value.startsWith('"') && value.endsWith('"')) {
-            return arg;
-        }
-        // Strip trailing backslashes to prevent \" ambiguity when the closing quote
-        // immediately follows a backslash (e.g., /inc:"C:\dir\"). Windows APIs handle
-        // directory paths identically with or without trailing separators.
-        const safeValue = value.replace(/\\+$/, '');
-        return `${matchingFlag}"${safeValue}"`;
-    });
-    return { executable, args: processedArgs };
-}
-
-/**
- * Infers the MQL data folder (the one containing Include/, Experts/, Logs/, …)
- * by walking up the directory tree from the given source file path.
- *
- * This mirrors the heuristic used by LogTailer.inferDataFolder() but works
- * directly on a file path rather than reading from the active editor, so it
- * can be called during headless compilation (e.g. from compilePath).
- *
- * @param {string} filePath - Absolute path to the MQL source file being compiled
- * @param {boolean} isMql5  - true for MQL5, false for MQL4
- * @returns {string|null}   - Inferred data-folder path, or null if not found
- */
-function inferMqlDataDirFromPath(filePath, isMql5) {
-    const targetDirName = isMql5 ? 'MQL5' : 'MQL4';
-    let current = pathModule.dirname(filePath);
-    const root = pathModule.parse(current).root;
-    while (current && current !== root) {
-        if (pathModule.basename(current).toUpperCase() === targetDirName) {
-            if (fs.existsSync(pathModule.join(current, 'Include')) ||
-                fs.existsSync(pathModule.join(current, 'Logs'))) {
-                return current;
-            }
-        }
-        const parent = pathModule.dirname(current);
-        if (parent === current) break;
-        current = parent;
-    }
-    return null;
-}
-
-// ---------------------------------------------------------------------------
-// CPU Architecture setting for MetaEditor compilation
-// ---------------------------------------------------------------------------
-
-/** Mapping of user-facing enum values to the numeric values used in .mqproj files.
- *  0 = X64 Regular, 1 = AVX, 2 = AVX2 + FMA3, 3 = AVX512 + FMA3
- */
-const CPU_ARCH_MAP = {
-    'x64': 0,
-    'avx': 1,
-    'avx2': 2,
-    'avx512': 3,
-};
-
-/**
- * Create a temporary .mqproj file that wraps the source file with a cpu_architecture setting.
- * The project is placed in the same directory as the source file so relative paths work.
- *
- * @param {string} sourcePath - Absolute path to the .mq4/.mq5 source file
- * @param {number} archValue  - Numeric architecture value (0–3)
- * @returns {string} Absolute path to the created temporary .mqproj file
- */
-function createTempMqproj(sourcePath, archValue) {
-    const sourceDir = pathModule.dirname(sourcePath);
-    const sourceBasename = pathModule.basename(sourcePath);
-    const ext = pathModule.extname(sourcePath).toLowerCase();
-    const isMql4 = ext === '.mq4';
-
-    // Determine program_type from path heuristics
-    let programType = 'expert';
-    const lower = sourcePath.toLowerCase();
-    if (lower.includes('indicator')) programType = 'indicator';
-    else if (lower.includes('script')) programType = 'script';
-    else if (lower.includes('service')) programType = 'service';
-    else if (lower.includes('library')) programType = 'library';
-
-    const project = {
-        'platform': isMql4 ? 'mt4' : 'mt5',
-        'program_type': programType,
-        'optimize': '1',
-        'fpzerocheck': '1',
-        'cpu_architecture': String(archValue),
-        'files': [
-            {
-                'path': `.\\${sourceBasename}`,
-                'compile': 'true',
-                'relative_to_project': 'true'
-            }
-        ]
-    };
-
-    const projName = `._mql_clangd_cpu_arch_${Date.now()}.mqproj`;
-    const projPath = pathModule.join(sourceDir, projName);
-
-    // MetaEditor expects UTF-16 LE with BOM
-    const json = JSON.stringify(project, null, 2);
-    const bom = Buffer.from([0xFF, 0xFE]);
-    const encoded = Buffer.from(json, 'utf16le');
-    fs.writeFileSync(projPath, Buffer.concat([bom, encoded]));
-
-    return projPath;
-}
-
-/**
- * Clean up the temporary .mqproj file created by createTempMqproj.
- *
- * @param {string} projPath - Path to the temp .mqproj file
- */
-function cleanupTempMqproj(projPath) {
-    try {
-        if (projPath && fs.existsSync(projPath)) {
-            fs.unlinkSync(projPath);
-        }
-    } catch { /* best effort */ }
-}
-
 /**
  * Compile a single file path.
  *
  * @param {number} rt           - Compile mode (COMPILE_MODE_CHECK, COMPILE_MODE_COMPILE, COMPILE_MODE_SCRIPT)
  * @param {string} pathToCompile - Absolute path to the MQL source file
  * @param {object} _context      - VS Code extension context
+ * @param {object} [options]
+ * @param {Map<string, vscode.Diagnostic[]>} [options.diagnostics] - When given, the merged diagnostics of
+ *                                      every file this compile touched (empty once cleared) are written
+ *                                      into this map (keyed by file path) instead of being published
+ *                                      directly. Build All publishes them through the store at the end.
+ * @param {import('./compileQueue').CompileCancellation} [options.cancellation] - Registers the spawned
+ *                                      MetaEditor process so the compile queue can kill it.
  * @returns {Promise<boolean|string>} - Returns false/null on success, true for generic compilation
  *                                      errors (logged to output/problems), or a string for specific
  *                                      setup/environment errors.
  */
-async function compilePath(rt, pathToCompile, _context) {
+async function compilePath(rt, pathToCompile, _context, options = {}) {
     const config = vscode.workspace.getConfiguration('mql_tools');
     const fileName = pathModule.basename(pathToCompile);
     const extension = pathModule.extname(pathToCompile).toLowerCase();
@@ -532,13 +300,28 @@ async function compilePath(rt, pathToCompile, _context) {
     // CPU architecture is resolved here, but the metaeditor.ini mutation is deferred to
     // immediately before spawn (and wrapped in a try/finally + mutex) so that any early
     // return between here and the spawn cannot leak a mutated INI.
-    const cpuArchSetting = isMql5 ? config.Compile?.CpuArchitecture : 'default';
+    // The active build profile (status bar) takes precedence over the global setting.
+    const buildProfile = getActiveBuildProfile(_context);
+    const cpuArchSetting = isMql5 ? ((buildProfile && buildProfile.cpuArchitecture) || config.Compile?.CpuArchitecture) : 'default';
     const cpuArchActive = cpuArchSetting && cpuArchSetting !== 'default' && CPU_ARCH_MAP[cpuArchSetting] !== undefined;
+    const profileProjectFlags = isMql5 ? getProfileProjectFlags(buildProfile) : null;
+
+    // MetaEditor has no command-line switch for #define, so profile defines reach the
+    // source through a generated header that the program includes.
+    try {
+        const toolsConfig = vscode.workspace.getConfiguration('mql_tools');
+        const preludePath = resolvePreludeHeaderPath(toolsConfig, workspaceFolderPath);
+        if (await syncPreludeHeader(buildProfile, preludePath, readBuildProfiles(toolsConfig).profiles.length > 0)) {
+            outputChannel.appendLine(`[Build Profiles] Updated ${preludePath} for profile ${buildProfile ? buildProfile.name : '(none)'}`);
+        }
+    } catch (err) {
+        outputChannel.appendLine(`[Build Profiles] Failed to write prelude header: ${err.message}`);
+    }
 
     // Strategy: Place the log file directly next to the source file.
-    // MetaEditor creates log files without the source extension (e.g., SMC.log, not SMC.mq5.log)
-    const baseName = pathModule.basename(pathToCompile, extension);
-    logFile = pathModule.join(pathModule.dirname(pathToCompile), `${baseName}.log`);
+    // The name keeps the source extension (SMC.mq5.log) so EA.mq4 and EA.mq5 in one
+    // folder, compiled side by side during Build All, never share a log.
+    logFile = pathModule.join(pathModule.dirname(pathToCompile), `${pathModule.basename(pathToCompile)}.log`);
 
 
     // Check if Wine is enabled (macOS/Linux with Wine wrapper)
@@ -651,10 +434,42 @@ async function compilePath(rt, pathToCompile, _context) {
         command = MetaDir;
     }
 
+    // Feed the Compile History view and the SARIF/JSON report export.
+    // Debugger builds compile a throwaway instrumented copy; keep those out.
+    const recordCompileRun = (outcome) => {
+        if (fileName.includes('.mql_dbg_build')) return;
+        const run = {
+            target: pathToCompile,
+            mode: rt,
+            startedAt: startT.getTime(),
+            durationMs: Date.now() - startT.getTime(),
+            propertyVersion,
+            ...outcome
+        };
+        const record = createRunRecord(run);
+        if (compileHistory) {
+            compileHistory.add(record).catch(err =>
+                outputChannel.appendLine(`[Compile History] Failed to record ${fileName}: ${err.message}`));
+        }
+        // History caps what it stores; reports carry every diagnostic of the log
+        const reportRecord = createRunRecord(run, { maxDiagnostics: Infinity });
+        writeCompileReports(reportRecord, config, workspaceFolderPath).catch(err =>
+            outputChannel.appendLine(`[Compile Report] Failed to write report for ${fileName}: ${err.message}`));
+        if (buildInsights && outcome.includes) {
+            buildInsights.record({
+                target: pathToCompile,
+                mode: rt,
+                startedAt: record.startedAt,
+                durationMs: record.durationMs,
+                includes: outcome.includes
+            });
+        }
+    };
+
     const runCompile = () => new Promise((resolve) => {
 
         // Common handler for processing compilation results
-        const handleCompilationResult = async (launchError, stderror) => {
+        const handleCompilationResult = async (launchError, stderror, exitCode = null) => {
             if (stderror) {
                 outputChannel.appendLine(`[Warning] Stderr: ${stderror}`);
             }
@@ -665,22 +480,16 @@ async function compilePath(rt, pathToCompile, _context) {
             }
             // CPU architecture restoration is handled in the spawn try/finally, not here.
 
+            if (options.cancellation && options.cancellation.isCancelled) {
+                const cancelMsg = `Compilation of ${fileName} cancelled`;
+                outputChannel.appendLine(`[Compile Queue] ${cancelMsg}`);
+                recordCompileRun({ exitCode, failure: cancelMsg });
+                return resolve(cancelMsg);
+            }
+
             let data;
             try {
-                // Retry loop: Log file creation might be delayed.
-                // MetaEditor sometimes takes a moment to flush the file.
-                let attempts = 0;
-                while (attempts < 30) { // Wait up to 3 seconds
-                    if (fs.existsSync(logFile)) {
-                        // Small grace period to ensure write completion
-                        if (attempts > 0) await sleep(50);
-                        break;
-                    }
-                    await sleep(100);
-                    attempts++;
-                }
-
-                if (!fs.existsSync(logFile)) {
+                if (!await waitForLogFile(logFile)) {
                     if (launchError) {
                         outputChannel.appendLine(`[Error] Launch error: ${launchError.message || launchError}`);
                     }
@@ -692,6 +501,7 @@ async function compilePath(rt, pathToCompile, _context) {
                 const readErr = `${lg['err_read_log']} ${err.message}`;
                 outputChannel.appendLine(`[Error] Failed to read log file: ${err.message}`);
                 vscode.window.showErrorMessage(readErr);
+                recordCompileRun({ exitCode, failure: readErr });
                 return resolve(readErr);
             }
 
@@ -703,34 +513,36 @@ async function compilePath(rt, pathToCompile, _context) {
             // MetaEditor output to valid Linux paths when running under Wine.
             log = replaceLog(data, rt === COMPILE_MODE_CHECK, useWine ? winePrefix : '');
 
-            // Publish MetaEditor diagnostics to the Problems panel
-            if (log.diagnostics.length > 0) {
-                const diagnosticsMap = new Map();
-                for (const diag of log.diagnostics) {
-                    const uri = vscode.Uri.file(diag.file);
-                    if (!diagnosticsMap.has(uri.toString())) {
-                        diagnosticsMap.set(uri.toString(), []);
-                    }
-                    const diagnostic = new vscode.Diagnostic(diag.range, diag.message, diag.severity);
-                    if (diag.errorCode) {
-                        diagnostic.code = {
-                            value: `MQL${diag.errorCode}`,
-                            target: vscode.Uri.parse('https://www.mql5.com/en/docs/runtime/errors')
-                        };
-                    }
-                    diagnosticsMap.get(uri.toString()).push(diagnostic);
-                }
-                for (const [uriString, diags] of diagnosticsMap) {
-                    diagnosticCollection.set(vscode.Uri.parse(uriString), diags);
+            // Publish MetaEditor diagnostics to the Problems panel, replacing only this
+            // main's entries so header errors from other mains survive a clean compile.
+            // Multi-target builds get the merged per-file view in their aggregate map.
+            const affectedFiles = mainDiagnostics.record(pathToCompile, log.diagnostics);
+            if (options.diagnostics) {
+                for (const file of affectedFiles) {
+                    options.diagnostics.set(file, mainDiagnostics.getFileDiagnostics(file));
                 }
+            } else {
+                mainDiagnostics.publish(affectedFiles);
             }
 
             const endT = new Date();
             const timeCompile = (endT - startT) / 1000;
+            recordCompileRun({ exitCode, error: log.error, diagnostics: log.diagnostics, includes: log.includes });
             const targetLabel = formatCompileTargetLabel(fileName, propertyVersion);
 
             const cpuArchTag = cpuArchActive ? ` [${cpuArchSetting.toUpperCase()}]` : '';
-            outputChannel.appendLine(`[${time}] ${teq} ${targetLabel}${cpuArchTag} [${timeCompile}s]`);
+            const profileTag = buildProfile ? ` (${buildProfile.name})` : '';
+            outputChannel.appendLine(`[${time}] ${teq} ${targetLabel}${cpuArchTag}${profileTag} [${timeCompile}s]`);
+
+            if (buildProfile && buildProfile.outputFolder && !log.error && rt !== COMPILE_MODE_CHECK &&
+                !fileName.includes('.mql_dbg_build')) {
+                try {
+                    const dest = await copyProfileOutput(pathToCompile, buildProfile, workspaceFolderPath);
+                    outputChannel.appendLine(`[Build Profiles] Copied to ${dest}`);
+                } catch (err) {
+                    outputChannel.appendLine(`[Build Profiles] Failed to copy compiled program: ${err.message}`);
+                }
+            }
 
             if (rt === COMPILE_MODE_SCRIPT && !log.error) {
                 if (useWine) {
@@ -789,6 +601,9 @@ async function compilePath(rt, pathToCompile, _context) {
             const { executable, args } = buildMetaEditorCmd(command, execArgs);
             proc = childProcess.spawn(executable, args, buildSpawnOptions());
         }
+        if (options.cancellation) {
+            options.cancellation.track(proc);
+        }
         let stderrData = '';
         let timeoutId = null;
 
@@ -820,21 +635,23 @@ async function compilePath(rt, pathToCompile, _context) {
         });
         proc.on('close', (code) => {
             clearWineTimeout();
-            handleCompilationResult(code !== 0 ? `Process exited with code ${code}` : null, stderrData);
+            handleCompilationResult(code !== 0 ? `Process exited with code ${code}` : null, stderrData, code);
         });
     });
 
-    if (!cpuArchActive) {
+    if (!cpuArchActive && !profileProjectFlags) {
         return runCompile();
     }
 
-    // CPU architecture override: create a temporary .mqproj with cpu_architecture set,
-    // compile via /compile:<project.mqproj>, then clean up.
-    const archValue = CPU_ARCH_MAP[cpuArchSetting];
+    // CPU architecture / build profile override: create a temporary .mqproj with
+    // cpu_architecture and compiler switches set, compile via /compile:<project.mqproj>, then clean up.
+    const archValue = cpuArchActive ? CPU_ARCH_MAP[cpuArchSetting] : null;
     let tempProjPath = null;
     try {
-        tempProjPath = createTempMqproj(pathToCompile, archValue);
-        outputChannel.appendLine(`[CPU] Created temp project with cpu_architecture=${archValue} (${cpuArchSetting}): ${tempProjPath}`);
+        tempProjPath = createTempMqproj(pathToCompile, archValue, profileProjectFlags || {});
+        outputChannel.appendLine(cpuArchActive
+            ? `[CPU] Created temp project with cpu_architecture=${archValue} (${cpuArchSetting}): ${tempProjPath}`
+            : `[Build Profiles] Created temp project for profile ${buildProfile.name}: ${tempProjPath}`);
 
         // Override compileArg to point at the temp project instead of the source file.
         // We must rebuild the command arguments with the project path.
@@ -866,6 +683,19 @@ async function compilePath(rt, pathToCompile, _context) {
 }
 
 
+/**
+ * Save all dirty editors without re-triggering CheckOnSave for our own saves.
+ */
+async function saveAllInternal() {
+    internalSaveDepth++;
+    try {
+        await vscode.commands.executeCommand('workbench.action.files.saveAll');
+    } finally {
+        internalSaveDepth = Math.max(0, internalSaveDepth - 1);
+    }
+}
+
+
 function shouldFocusProblemsPanel(hasErrors, options = {}) {
     return Boolean(hasErrors) && !options.background;
 }
@@ -954,17 +784,14 @@ function resolveHeaderCompilePlan({ targets, magicPath, isBackground = false },
 async function Compile(rt, context, options = {}) {
     await FixFormatting();
     // Save after formatting. Guard against re-entrant CheckOnSave triggers.
-    internalSaveDepth++;
-    try {
-        await vscode.commands.executeCommand('workbench.action.files.saveAll');
-    } finally {
-        internalSaveDepth = Math.max(0, internalSaveDepth - 1);
-    }
+    await saveAllInternal();
 
+    // Queued runs pin the document they were requested for, so switching
+    // editors while a job waits does not change what gets compiled.
     const editor = vscode.window.activeTextEditor;
-    if (!editor) return;
+    const document = options.document || (editor && editor.document);
+    if (!document) return;
 
-    const document = editor.document;
     const extension = pathModule.extname(document.fileName).toLowerCase();
     const workspaceFolder = vscode.workspace.getWorkspaceFolder(document.uri);
 
@@ -1014,9 +841,9 @@ async function Compile(rt, context, options = {}) {
     outputChannel.clear();
     outputChannel.show(true);
 
-    // Always clear previous MetaEditor diagnostics so Problems reflects the last run.
+    // MetaEditor diagnostics are not cleared here: each compiled main replaces its own
+    // entries in mainDiagnostics, so header errors reported by other mains stay visible.
     // (We keep lightweight diagnostics in a separate collection.)
-    diagnosticCollection.clear();
 
     // Auto-version bump: bump #property version and/or const string version constants
     // before compilation, if configured.
@@ -1075,12 +902,23 @@ async function Compile(rt, context, options = {}) {
         },
         async () => {
             for (const pathToCompile of pathsToCompile) {
-                const error = await compilePath(rt, pathToCompile, context);
-                if (error) hasErrors = true;
+                if (options.cancellation && options.cancellation.isCancelled) break;
+                const error = await compilePath(rt, pathToCompile, context, { cancellation: options.cancellation });
+                if (error) {
+                    hasErrors = true;
+                } else if (rt === COMPILE_MODE_COMPILE) {
+                    // Keep Compile Changed in sync with manual compiles of the same main.
+                    await recordCompileHashes(context, pathToCompile).catch(err => {
+                        outputChannel.appendLine(`[Compile Changed] Failed to record include hashes for ${pathModule.basename(pathToCompile)}: ${err.message}`);
+                    });
+                }
             }
         }
     );
 
+    // A cancelled run has no meaningful result: skip the post-compile steps.
+    if (options.cancellation && options.cancellation.isCancelled) return;
+
     // Refresh clangd diagnostics after compilation
     // This ensures the Problems panel reflects the actual compilation result
     await refreshClangdDiagnostics();
@@ -1095,152 +933,59 @@ async function Compile(rt, context, options = {}) {
     if (shouldRunConfiguredPostCompileTask(hasErrors)) {
         await runConfiguredPostCompileTask();
     }
+    // Check runs do not leave a fresh binary worth copying.
+    if (rt !== COMPILE_MODE_CHECK && shouldDeployAfterCompile(hasErrors)) {
+        await deployCompiledPrograms(pathsToCompile, { outputChannel });
+    }
 }
 
-function replaceLog(str, f, winePrefix) {
-    let text = f ? '' : '\n\n', obj_hover = {}, ye = false, diagnostics = [];
-    if (!str) return { text, obj_hover, error: ye, diagnostics };
-
-    const lines = str.replace(/\u{FEFF}/gu, '').split('\n');
-    for (const item of lines) {
-        const trimmed = item.trim();
-        if (!trimmed) continue;
-
-        if (REG_COMPILING.test(item)) {
-            const isCompiling = item.includes('compiling');
-            const regEx = new RegExp(`(?<=${isCompiling ? 'compiling' : 'checking'}.).+'`, 'gi');
-            const mName = item.match(regEx);
-            const mPath = item.match(/[a-zA-Z]:\\.+(?= :)/gi);
-
-            if (mName && mPath) {
-                const name = mName[0];
-                const resolvedPath = fromWineWindowsPath(mPath[0], winePrefix);
-                const link = url.pathToFileURL(resolvedPath).href;
-                obj_hover[name] = { link };
-                text += name + '\n';
-            }
-        }
-        else if (REG_INCLUDE.test(item)) {
-            const mName = item.match(/(?<=information: including ).+'/gi);
-            const mPath = item.match(/[a-zA-Z]:\\.+(?= :)/gi);
-            if (mName && mPath) {
-                const name = mName[0];
-                const resolvedPath = fromWineWindowsPath(mPath[0], winePrefix);
-                const link = url.pathToFileURL(resolvedPath).href;
-                obj_hover[name] = { link };
-                text += name + '\n';
-            }
-        }
-        else if (item.includes('information: generating code') || item.includes('information: code generated')) {
-            continue;
-        }
-        else if (REG_INFO.test(item)) {
-            const mName = item.match(/(?<=information: ).+/gi);
-            const mPath = item.match(/[a-zA-Z]:\\.+(?= :)/gi);
-            if (mName && mPath) {
-                const name = mName[0];
-                const resolvedPath = fromWineWindowsPath(mPath[0], winePrefix);
-                const link = url.pathToFileURL(resolvedPath).href;
-                obj_hover[name] = { link };
-                text += name + '\n';
-            }
-        }
-        else if (REG_RESULT.test(item)) {
-            const mErrWar = item.match(REG_ERR_WAR);
-            const mSummary = item.match(REG_RESULT_SHORT);
-            const summaryText = mSummary ? mSummary[0] : item;
-
-            if (mErrWar) {
-                const isErr = mErrWar[0].includes('error');
-                if (isErr) ye = true;
-                text += f ? `[${isErr ? 'Error' : 'Warning'}] ${item}` : `[${isErr ? 'Error' : 'Warning'}] Result: ${summaryText}`;
-            } else {
-                text += f ? `[Done] ${item}` : `[Done] Result: ${summaryText}`;
-            }
-            text += '\n';
-        }
-        else {
-            const mLinePath = item.match(REG_LINE_PATH);
-            if (mLinePath) {
-                const link_res = (mLinePath[1] || '').replace(/[\r\n]+/g, '');
-                let name_res = (mLinePath[2] || '').replace(/[\r\n]+/g, '');
-
-                const gh_match = name_res.match(REG_ERROR_CODE);
-                const gh = gh_match ? gh_match[0] : null;
-                name_res = name_res.replace(gh || '', '').replace(/^(error|warning)\s*:\s*/i, '').trim();
-
-                if (link_res.match(REG_FULL_PATH) && name_res) {
-                    const mFullPath = link_res.match(/[a-zA-Z]:\\[^(\r\n]+/g);
-                    const mPos = link_res.match(/\((\d+),(\d+)\)$/);
-
-                    if (mFullPath && mPos) {
-                        const rawPath = mFullPath[0].replace(/\($/, '').trim();
-                        // On Linux/Wine, convert the Windows path emitted by MetaEditor to a
-                        // proper Linux path using the Wine prefix (e.g. C:\... → {prefix}/drive_c/...)
-                        const fullPath = fromWineWindowsPath(rawPath, winePrefix);
-                        const line = parseInt(mPos[1]) - 1;
-                        const col = parseInt(mPos[2]) - 1;
-                        const severity = item.toLowerCase().includes('error') ? vscode.DiagnosticSeverity.Error : vscode.DiagnosticSeverity.Warning;
-
-                        // Filter out MQL181 (implicit conversion from number to string)
-                        // These are noise since Print/PrintLive accept any type via implicit conversion
-                        // Broadened check to catch various formats of this warning
-                        const isMQL181 = gh === '181' ||
-                            (name_res.toLowerCase().includes('implicit conversion') &&
-                                ((name_res.includes("'number'") || name_res.includes('number')) &&
-                                    (name_res.includes("'string'") || name_res.includes('string'))));
-                        if (isMQL181) {
-                            continue; // Skip this warning entirely
-                        }
-
-                        if (severity === vscode.DiagnosticSeverity.Error) ye = true;
+/**
+ * Run Compile() through the compile queue so rapid saves and repeated commands
+ * never start overlapping MetaEditor processes. Requests for the same mode and
+ * document coalesce while they wait.
+ *
+ * @param {number} rt - COMPILE_MODE_*
+ * @param {vscode.ExtensionContext} context
+ * @param {object} [options] - Compile() options
+ * @returns {Promise<void>}
+ */
+function queueCompile(rt, context, options = {}) {
+    const document = options.document || vscode.window.activeTextEditor?.document;
+    if (!document) return Promise.resolve();
+    if (!compileQueue) return Compile(rt, context, options);
 
-                        diagnostics.push({
-                            file: fullPath,
-                            range: new vscode.Range(line, col, line, col + 1),
-                            message: name_res,
-                            severity: severity,
-                            errorCode: gh  // Include error code for documentation link
-                        });
+    const teq = rt === COMPILE_MODE_CHECK ? lg['checking'] : (rt === COMPILE_MODE_COMPILE ? lg['compiling'] : lg['comp_usi_script']);
+    return compileQueue.enqueue(
+        `${rt}|${document.fileName}`,
+        (cancellation) => Compile(rt, context, { ...options, document, cancellation }),
+        { label: `${teq} ${pathModule.basename(document.fileName)}`, background: Boolean(options.background) }
+    );
+}
 
-                        // Build hover link: resolve the raw Windows path portion of link_res
-                        // (which may include position suffix like "(10,5)") to a Linux path,
-                        // then let pathToFileURL produce a valid file:// URL.
-                        const resolvedLinkRes = fromWineWindowsPath(link_res, winePrefix);
-                        const linePos = resolvedLinkRes.match(REG_LINE_POS);
-                        const hoverKey = (name_res + ' ' + (linePos ? linePos[0] : '')).trim();
-                        obj_hover[hoverKey] = {
-                            link: url.pathToFileURL(resolvedLinkRes).href.replace(REG_LINE_FRAGMENT, '#').replace(/\)$/gm, ''),
-                            number: gh ? String(gh) : null
-                        };
-
-                        const suffix = link_res.match(/(.)(?:\d+,\d+).$/gm);
-                        text += name_res + (suffix ? ' ' + suffix[0] : '') + '\n';
-                    } else {
-                        text += name_res + '\n';
-                    }
 
-                }
-                else {
-                    text += name_res + (gh ? ` ${gh}` : '') + '\n';
-                }
-            } else {
-                text += item + '\n';
-            }
-        }
-    }
+/**
+ * Parse a MetaEditor log for the extension: wraps parseMetaEditorLog() and
+ * converts its plain positions/severities into VS Code ranges/severities.
+ */
+function replaceLog(str, f, winePrefix) {
+    const parsed = parseMetaEditorLog(str, f, winePrefix);
 
     // Store obj_hover in module-level variable for access by provider
-    module.exports.obj_hover = obj_hover;
+    module.exports.obj_hover = parsed.obj_hover;
     return {
-        text: text,
-        error: ye,
-        diagnostics: diagnostics
+        text: parsed.text,
+        error: parsed.error,
+        includes: parsed.includes,
+        diagnostics: parsed.diagnostics.map(diag => ({
+            file: diag.file,
+            range: new vscode.Range(diag.line, diag.character, diag.line, diag.character + 1),
+            message: diag.message,
+            severity: diag.severity === 'error' ? vscode.DiagnosticSeverity.Error : vscode.DiagnosticSeverity.Warning,
+            errorCode: diag.errorCode
+        }))
     };
-
 }
 
-
 function FindParentFile() {
     const editor = vscode.window.activeTextEditor;
     if (!editor) return undefined;
@@ -1363,11 +1108,45 @@ async function FixFormatting() {
     });
 }
 
+/**
+ * Files included by `doc`, transitively (main first)
+ * @param {vscode.TextDocument} doc
+ * @param {{ readIncludes?: (filePath: string) => Promise<string[]|null> }} [options]
+ * @returns {Promise<string[]>}
+ */
+function collectDocumentIncludeClosure(doc, options) {
+    const workspaceFolder = vscode.workspace.getWorkspaceFolder(doc.uri);
+    const workspaceRoot = workspaceFolder ? workspaceFolder.uri.fsPath : pathModule.dirname(doc.fileName);
+    return collectIncludeClosure(doc.fileName, workspaceRoot, getIncludeDir(doc), options);
+}
+
+/**
+ * Sources sharing symbols with `doc`: its include closure plus, for headers,
+ * every main program including it and their closures
+ * @param {vscode.TextDocument} doc
+ * @returns {Promise<string[]>}
+ */
+async function collectSymbolScope(doc) {
+    const files = new Set(await collectDocumentIncludeClosure(doc));
+    const workspaceFolder = vscode.workspace.getWorkspaceFolder(doc.uri);
+    if (!workspaceFolder || pathModule.extname(doc.fileName).toLowerCase() !== '.mqh') return [...files];
+
+    const reverseIndex = await getOrBuildReverseIndex(workspaceFolder);
+    for (const mainPath of findCandidateMains(reverseIndex, doc.fileName)) {
+        const closure = await collectIncludeClosure(mainPath, workspaceFolder.uri.fsPath, getIncludeDir(doc));
+        for (const file of closure) files.add(file);
+    }
+    return [...files];
+}
+
+// Workspace symbols for spelling suggestions, cached per document version and header mtime
+const spellingSymbolIndex = new SpellingSymbolIndex({ collectFiles: collectDocumentIncludeClosure });
+
 /**
  * Code Action provider for MQL errors - offers quick fixes
  */
 class MqlCodeActionProvider {
-    provideCodeActions(document, _range, context) {
+    async provideCodeActions(document, range, context) {
         const actions = [];
 
         for (const diagnostic of context.diagnostics) {
@@ -1433,7 +1212,7 @@ class MqlCodeActionProvider {
                 msgLower.includes('unknown') && msgLower.includes('identifier') ||
                 msgLower.includes('not declared') ||
                 msgLower.includes('was not declared')) {
-                const spellingActions = this._createSpellingFixActions(document, diagnostic);
+                const spellingActions = await this._createSpellingFixActions(document, diagnostic);
                 // Add spelling fixes at the beginning for visibility
                 actions.unshift(...spellingActions);
             }
@@ -1465,6 +1244,48 @@ class MqlCodeActionProvider {
 
         }
 
+        // MQL4-only APIs reported by the migration scan
+        actions.push(...createMigrationActions(document, context.diagnostics));
+
+        // Cursor-based refactorings are skipped when only quick fixes are requested (fix-all)
+        const cursorRange = context.only && !context.only.contains(vscode.CodeActionKind.Refactor) ? null : range;
+
+        // Unchecked OrderSend/FileOpen/OrderSelect/PositionSelect/CTrade results
+        actions.push(...createReturnCheckActions(document, cursorRange, context.diagnostics));
+
+        // The class refactorings below search other files. Without a matching diagnostic they
+        // only do so when actions are asked for explicitly, not for the light bulb on every
+        // cursor move.
+        const classRange = context.triggerKind === vscode.CodeActionTriggerKind.Invoke ? cursorRange : null;
+
+        // Class methods declared without a body (quick fix on "must have a body", refactor otherwise);
+        // definitions may live in the includes or in the mains including a header
+        actions.push(...await createMethodBodyActions(document, classRange, context.diagnostics, {
+            collectFiles: collectSymbolScope
+        }));
+
+        // Pure virtuals inherited from base classes found across the include closure
+        actions.push(...await createAbstractMethodActions(document, classRange, context.diagnostics, {
+            collectFiles: collectDocumentIncludeClosure
+        }));
+
+        // Selected statements moved into a new function
+        actions.push(...createExtractFunctionActions(document, cursorRange));
+
+        // Input grouping, magic numbers as inputs and .set presets
+        actions.push(...createInputActions(document, cursorRange));
+
+        // Knowledge-base explanation for compiler errors and warnings
+        actions.push(...createExplainErrorActions(context.diagnostics));
+
+        // "Fix all in file / workspace" next to each diagnostic with an unambiguous fix
+        if (!context.only) {
+            for (const diagnostic of context.diagnostics) {
+                const own = actions.filter(a => a.diagnostics && a.diagnostics.includes(diagnostic));
+                actions.push(...createFixAllActions(document, diagnostic, own));
+            }
+        }
+
         return actions;
     }
 
@@ -1931,7 +1752,7 @@ class MqlCodeActionProvider {
             }
 
             action.diagnostics = [diagnostic];
-            actions.push(action);
+            actions.push(markFixAllSafe(action));
         }
 
         return actions;
@@ -2379,8 +2200,9 @@ class MqlCodeActionProvider {
     }
 
     /**
-     * Create spelling fix actions for misspelled function names
-     * Uses Levenshtein distance to find closest matches
+     * Create spelling fix actions for misspelled identifiers
+     * Uses Levenshtein distance against builtins and the symbols visible from
+     * the document (locals, file globals, class members, enum values, headers)
      *
      * QuickFix Title Pattern: "MQL: Did you mean '<function>'?"
      * - Machine-recognizable prefix: "MQL: Did you mean"
@@ -2391,7 +2213,7 @@ class MqlCodeActionProvider {
      * @param {vscode.Diagnostic} diagnostic
      * @returns {vscode.CodeAction[]}
      */
-    _createSpellingFixActions(document, diagnostic) {
+    async _createSpellingFixActions(document, diagnostic) {
         const actions = [];
         const line = diagnostic.range.start.line;
         const col = diagnostic.range.start.character;
@@ -2417,8 +2239,12 @@ class MqlCodeActionProvider {
         // Skip if too short (likely not a function name typo)
         if (misspelled.length < 4) return actions;
 
-        // Find closest matches using Levenshtein distance
-        const matches = findClosestMatches(misspelled, 2, 3);
+        // Rank closest matches by distance, usage (call, member, type, value) and scope
+        const lineText = document.lineAt(line).text;
+        const matches = rankSpellingSuggestions(misspelled, {
+            symbols: await spellingSymbolIndex.symbolsFor(document, line),
+            usage: detectUsage(lineText.slice(0, col), lineText.slice(col + misspelled.length)),
+        });
 
         for (const match of matches) {
             const action = new vscode.CodeAction(
@@ -2440,7 +2266,7 @@ class MqlCodeActionProvider {
                 action.isPreferred = true;
             }
 
-            actions.push(action);
+            actions.push(markFixAllSafe(action));
         }
 
         return actions;
@@ -2517,11 +2343,15 @@ class MqlCodeActionProvider {
         doubleAction.diagnostics = [diagnostic];
         actions.push(doubleAction);
 
-        // If it looks like an integer (no decimal point), prefer IntegerToString
+        // If it looks like an integer (no decimal point), prefer IntegerToString.
+        // Otherwise DoubleToString, which never truncates the value; this is
+        // also the single conversion Fix All applies.
         if (/^\d+$/.test(valueToWrap) || /^[A-Z_][A-Z0-9_]*$/.test(valueToWrap)) {
             intAction.isPreferred = true;
-        } else if (valueToWrap.includes('.')) {
-            doubleAction.isPreferred = true;
+            markFixAllSafe(intAction);
+        } else {
+            if (valueToWrap.includes('.')) doubleAction.isPreferred = true;
+            markFixAllSafe(doubleAction);
         }
 
         return actions;
@@ -2619,6 +2449,7 @@ function findMql5Root() {
 function activate(context) {
     // Initialize VS Code API-dependent variables (must be inside activate, not at module level)
     diagnosticCollection = vscode.languages.createDiagnosticCollection('mql');
+    mainDiagnostics = new MainDiagnosticsStore(diagnosticCollection);
     outputChannel = vscode.window.createOutputChannel('MQL', 'mql-output');
 
     // Show Startup Page PoC
@@ -2628,6 +2459,18 @@ function activate(context) {
     // Debug watch annotation CodeLens
     registerDebugCodeLens(context);
 
+    // Compile History view
+    compileHistory = registerCompileHistory(context);
+
+    // Build Insights report (includes, fan-out, sizes per compile)
+    buildInsights = registerBuildInsights(context, { history: compileHistory });
+
+    // Build profiles (status bar picker)
+    registerBuildProfiles(context, outputChannel);
+
+    // Compile queue (status bar entry + cancel command)
+    compileQueue = registerCompileQueue(context, outputChannel);
+
     // Clear symbol cache when a document is closed
     context.subscriptions.push(vscode.workspace.onDidCloseTextDocument((document) => {
         clearSymbolCache(document.uri.toString());
@@ -2726,10 +2569,30 @@ function activate(context) {
     });
 
     context.subscriptions.push(vscode.commands.registerCommand('mql_tools.showStartupPage', () => showStartupPage(context, true)));
-    context.subscriptions.push(vscode.commands.registerCommand('mql_tools.checkFile', () => Compile(COMPILE_MODE_CHECK, context)));
-    context.subscriptions.push(vscode.commands.registerCommand('mql_tools.compileFile', () => Compile(COMPILE_MODE_COMPILE, context)));
-    context.subscriptions.push(vscode.commands.registerCommand('mql_tools.compileFileAndOpenTerminal', () => Compile(COMPILE_MODE_COMPILE, context, { onSuccess: OpenTradingTerminal })));
-    context.subscriptions.push(vscode.commands.registerCommand('mql_tools.compileScript', () => Compile(COMPILE_MODE_SCRIPT, context)));
+    context.subscriptions.push(vscode.commands.registerCommand('mql_tools.checkFile', () => queueCompile(COMPILE_MODE_CHECK, context)));
+    context.subscriptions.push(vscode.commands.registerCommand('mql_tools.compileFile', () => queueCompile(COMPILE_MODE_COMPILE, context)));
+    context.subscriptions.push(vscode.commands.registerCommand('mql_tools.compileFileAndOpenTerminal', () => queueCompile(COMPILE_MODE_COMPILE, context, { onSuccess: OpenTradingTerminal })));
+    context.subscriptions.push(vscode.commands.registerCommand('mql_tools.compileScript', () => queueCompile(COMPILE_MODE_SCRIPT, context)));
+    context.subscriptions.push(vscode.commands.registerCommand('mql_tools.buildAll', async () => {
+        await saveAllInternal();
+        await runBuildAll(context, {
+            compilePath,
+            outputChannel,
+            mainDiagnostics,
+            compileQueue,
+            refreshDiagnostics: refreshClangdDiagnostics
+        });
+    }));
+    context.subscriptions.push(vscode.commands.registerCommand('mql_tools.compileChanged', async () => {
+        await saveAllInternal();
+        await runCompileChanged(context, {
+            compilePath,
+            outputChannel,
+            mainDiagnostics,
+            compileQueue,
+            refreshDiagnostics: refreshClangdDiagnostics
+        });
+    }));
     context.subscriptions.push(vscode.commands.registerCommand('mql_tools.help', (keyword, version) => Help(keyword, version)));
     context.subscriptions.push(vscode.commands.registerCommand('mql_tools.offlineHelp', () => OfflineHelp()));
 
@@ -3071,9 +2934,7 @@ function activate(context) {
 
     context.subscriptions.push(vscode.languages.registerHoverProvider('mql-output', Hover_log()));
     context.subscriptions.push(vscode.languages.registerDefinitionProvider('mql-output', DefinitionProvider()));
-    context.subscriptions.push(vscode.languages.registerHoverProvider({ pattern: '**/*.{mq4,mq5,mqh}' }, Hover_MQL()));
     context.subscriptions.push(vscode.languages.registerColorProvider({ pattern: '**/*.{mq4,mq5,mqh}' }, ColorProvider()));
-    context.subscriptions.push(vscode.languages.registerCompletionItemProvider({ pattern: '**/*.{mq4,mq5,mqh}' }, ItemProvider()));
     context.subscriptions.push(vscode.languages.registerDocumentSymbolProvider({ pattern: '**/*.{mq4,mq5,mqh}' }, MQLDocumentSymbolProvider()));
     sleep(1000).then(() => { context.subscriptions.push(vscode.languages.registerSignatureHelpProvider({ pattern: '**/*.{mq4,mq5,mqh}' }, HelpProvider(), '(', ',')); });
 
@@ -3084,11 +2945,58 @@ function activate(context) {
     unresolvedSymbolWatcher.activate(context, getIncludeDir);
 
     // Register Code Action provider for MQL quick fixes
+    const mqlCodeActionProvider = new MqlCodeActionProvider();
     context.subscriptions.push(vscode.languages.registerCodeActionsProvider(
         { pattern: '**/*.{mq4,mq5,mqh}' },
-        new MqlCodeActionProvider(),
-        { providedCodeActionKinds: [vscode.CodeActionKind.QuickFix] }
+        mqlCodeActionProvider,
+        { providedCodeActionKinds: [vscode.CodeActionKind.QuickFix, vscode.CodeActionKind.Refactor] }
+    ));
+    registerMethodBodyGenerator(context, { collectFiles: collectSymbolScope });
+    registerMql4Migration(context);
+    registerErrorExplanations(context);
+    registerInputOrganizer(context);
+    const symbolIndex = registerWorkspaceIndex(context, {
+        collectIncludeClosure: collectDocumentIncludeClosure,
+        collectReferenceScope: collectSymbolScope,
+    });
+    context.subscriptions.push(vscode.languages.registerRenameProvider(
+        { pattern: '**/*.{mq4,mq5,mqh}' },
+        new MqlRenameProvider({
+            index: symbolIndex,
+            collectFiles: collectSymbolScope,
+            isEditable: filePath => !!vscode.workspace.getWorkspaceFolder(vscode.Uri.file(filePath)),
+        })
+    ));
+    context.subscriptions.push(vscode.languages.registerCallHierarchyProvider(
+        { pattern: '**/*.{mq4,mq5,mqh}' },
+        new MqlCallHierarchyProvider({ index: symbolIndex, collectFiles: collectSymbolScope })
+    ));
+    // Completion and signature help run per keystroke: includes come from the index's mtime cache
+    const collectCachedIncludeClosure = doc => collectDocumentIncludeClosure(doc, {
+        readIncludes: filePath => symbolIndex.parsed(filePath, 'includes', parseIncludes),
+    });
+    const userHover = new MqlHoverProvider({ index: symbolIndex, collectFiles: collectCachedIncludeClosure });
+    context.subscriptions.push(vscode.languages.registerHoverProvider(
+        { pattern: '**/*.{mq4,mq5,mqh}' },
+        Hover_MQL({ isShadowed: (document, position) => userHover.shadowsBuiltin(document, position) })
+    ));
+    context.subscriptions.push(vscode.languages.registerCompletionItemProvider(
+        { pattern: '**/*.{mq4,mq5,mqh}' },
+        ItemProvider({
+            memberCompletion: new MqlMemberCompletionProvider({ index: symbolIndex, collectFiles: collectCachedIncludeClosure }),
+        }),
+        '.', '>'
     ));
+    context.subscriptions.push(vscode.languages.registerSignatureHelpProvider(
+        { pattern: '**/*.{mq4,mq5,mqh}' },
+        new MqlSignatureHelpProvider({ index: symbolIndex, collectFiles: collectCachedIncludeClosure }),
+        '(', ','
+    ));
+    context.subscriptions.push(vscode.workspace.onDidSaveTextDocument(document => {
+        spellingSymbolIndex.invalidate(document.fileName);
+    }));
+    registerFixAll(context, (document, diagnostic) => mqlCodeActionProvider.provideCodeActions(
+        document, diagnostic.range, { diagnostics: [diagnostic], only: vscode.CodeActionKind.QuickFix }));
 
     // Debounced auto-check on text change
     context.subscriptions.push(vscode.workspace.onDidChangeTextDocument((event) => {
@@ -3115,24 +3023,21 @@ function activate(context) {
             autoCheckTimer = null;
         }
 
-        // Don't start new check if one is already running
-        if (isAutoCheckRunning) return;
-
         const delay = config.AutoCheck.Delay || 3000;
         autoCheckTimer = setTimeout(async () => {
-            isAutoCheckRunning = true;
+            autoCheckTimer = null;
             const activeDoc = vscode.window.activeTextEditor?.document;
             const checkingUri = activeDoc?.uri.toString();
 
             try {
-                await Compile(COMPILE_MODE_CHECK, context, { background: true }); // Syntax check (no compilation)
+                // Coalesces with a check already waiting in the compile queue.
+                await queueCompile(COMPILE_MODE_CHECK, context, { background: true }); // Syntax check (no compilation)
             } finally {
                 // Record the final document version after our edits complete
                 // This prevents re-triggering from FixFormatting or save changes
                 if (checkingUri && vscode.window.activeTextEditor?.document.uri.toString() === checkingUri) {
                     autoCheckDocVersions.set(checkingUri, vscode.window.activeTextEditor.document.version);
                 }
-                isAutoCheckRunning = false;
             }
         }, delay);
     }));
@@ -3158,37 +3063,25 @@ function activate(context) {
         const ext = pathModule.extname(document.fileName).toLowerCase();
         if (!['.mq4', '.mq5', '.mqh'].includes(ext)) return;
 
-        // Don't start if auto-check is already running
-        if (isAutoCheckRunning) return;
-
         // Clear any pending auto-check timer since we're checking now
         if (autoCheckTimer) {
             clearTimeout(autoCheckTimer);
             autoCheckTimer = null;
         }
 
-        isAutoCheckRunning = true;
-        try {
-            await Compile(COMPILE_MODE_CHECK, context, { background: true }); // Syntax check
-        } finally {
-            isAutoCheckRunning = false;
-        }
+        // Rapid successive saves coalesce into one queued syntax check.
+        await queueCompile(COMPILE_MODE_CHECK, context, { background: true });
     }));
 
     // Auto-compile once when workspace finishes loading (regardless of configuration)
     sleep(3000).then(async () => {
-        if (isAutoCheckRunning) return;
+        if (compileQueue && compileQueue.isBusy) return;
 
         const editor = vscode.window.activeTextEditor;
         if (editor) {
             const ext = pathModule.extname(editor.document.fileName).toLowerCase();
             if (['.mq4', '.mq5', '.mqh'].includes(ext)) {
-                isAutoCheckRunning = true;
-                try {
-                    await Compile(COMPILE_MODE_CHECK, context, { background: true }); // Syntax check on startup
-                } finally {
-                    isAutoCheckRunning = false;
-                }
+                await queueCompile(COMPILE_MODE_CHECK, context, { background: true }); // Syntax check on startup
             }
         }
     });
@@ -0,0 +1,272 @@
+'use strict';
+const vscode = require('vscode');
+const { maskCommentsAndStrings } = require('./createProperties');
+const { parseLocalsInScope } = require('./debugInstrumentation');
+
+const DEFAULT_NAME = 'ExtractedFunction';
+const PRIMITIVE_TYPES = new Set([
+    'bool', 'char', 'uchar', 'short', 'ushort', 'int', 'uint', 'long', 'ulong',
+    'float', 'double', 'string', 'datetime', 'color',
+]);
+const REG_IDENTIFIER = /[A-Za-z_]\w*/g;
+
+/**
+ * Raised when a selection cannot be extracted; the message is shown as the
+ * reason the refactoring is disabled.
+ */
+class ExtractFunctionError extends Error {}
+
+function leadingWhitespace(line) {
+    return line.match(/^\s*/)[0];
+}
+
+/**
+ * Open braces (offsets into `masked`) enclosing `offset`, outermost first.
+ */
+function openBracesAt(masked, offset) {
+    const open = [];
+    for (let i = 0; i < offset; i++) {
+        if (masked[i] === '{') open.push(i);
+        else if (masked[i] === '}') open.pop();
+    }
+    return open;
+}
+
+function matchingBrace(masked, open) {
+    let depth = 0;
+    for (let i = open; i < masked.length; i++) {
+        if (masked[i] === '{') depth++;
+        else if (masked[i] === '}' && --depth === 0) return i;
+    }
+    return -1;
+}
+
+/** Identifiers in `masked`, skipping member names after `.`, `->` and `::`. */
+function usedIdentifiers(masked) {
+    const used = new Set();
+    let m;
+    REG_IDENTIFIER.lastIndex = 0;
+    while ((m = REG_IDENTIFIER.exec(masked)) !== null) {
+        if (/(?:\.|->|::)\s*$/.test(masked.slice(Math.max(0, m.index - 3), m.index))) continue;
+        if (/\d/.test(masked[m.index - 1] || '')) continue;
+        used.add(m[0]);
+    }
+    return used;
+}
+
+function isModified(masked, name) {
+    const target = `\\b${name}\\b(?:\\s*\\[[^\\]]*\\])*`;
+    return new RegExp(`(?<![.>:]\\s*)${target}\\s*(?:[-+*/%&|^]|<<|>>)?=(?!=)`).test(masked) ||
+        new RegExp(`(?:\\+\\+|--)\\s*${target}|(?<![.>:]\\s*)${target}\\s*(?:\\+\\+|--)`).test(masked);
+}
+
+/**
+ * Parameter declaration for a local passed to the extracted function. MQL
+ * passes arrays, structs and class objects by reference only; other values
+ * are passed by reference when the extracted code assigns them.
+ */
+function parameterDeclaration(local, { modified, pointer, enums }) {
+    if (local.isArray) return `${local.type} &${local.name}[]`;
+    if (pointer) return `${local.type} *${local.name}`;
+    const byValue = PRIMITIVE_TYPES.has(local.type) || local.type.startsWith('ENUM_') || enums.has(local.type);
+    return byValue && !modified ? `${local.type} ${local.name}` : `${local.type} &${local.name}`;
+}
+
+/**
+ * Locals visible at the start of `line` inside the function whose body opens
+ * at `bodyLine`. Nested block braces are blanked so parseLocalsInScope() scans
+ * the whole function, and `for(int i = …)` headers of enclosing loops are added.
+ */
+function localsBefore(lines, maskedLines, bodyLine, line) {
+    const flattened = lines.slice(0, line).map((text, i) => {
+        if (i <= bodyLine) return text;
+        return [...text].map((c, j) => (maskedLines[i][j] === '{' || maskedLines[i][j] === '}') ? ' ' : c).join('');
+    });
+    return parseLocalsInScope(flattened, line);
+}
+
+/**
+ * Plan the extraction of lines `startLine`..`endLine` into a new function
+ * inserted above the enclosing function.
+ *
+ * @param {string} text - Document text
+ * @param {number} startLine - First selected line (0-based)
+ * @param {number} endLine - Last selected line (0-based, inclusive)
+ * @param {object} [opts]
+ * @param {string} [opts.name] - Name of the new function (default: a free `ExtractedFunction` name)
+ * @returns {{ name: string, params: string[], returns: { name: string, type: string }|null,
+ *             insertLine: number, functionText: string, callText: string, startLine: number, endLine: number }|null}
+ *          null when the selection is not inside a function body
+ * @throws {ExtractFunctionError} when the selection cannot be extracted
+ */
+function planExtractFunction(text, startLine, endLine, { name } = {}) {
+    const eol = text.includes('\r\n') ? '\r\n' : '\n';
+    const lines = text.split(/\r?\n/);
+    const masked = maskCommentsAndStrings(text.replace(/\r\n/g, '\n'));
+    const maskedLines = masked.split('\n');
+    while (startLine < endLine && !maskedLines[startLine].trim()) startLine++;
+    while (endLine > startLine && !maskedLines[endLine].trim()) endLine--;
+
+    const lineStarts = [0];
+    for (let i = 0; i < masked.length; i++) if (masked[i] === '\n') lineStarts.push(i + 1);
+    const lineOf = offset => {
+        let line = lineStarts.length - 1;
+        while (lineStarts[line] > offset) line--;
+        return line;
+    };
+
+    const open = openBracesAt(masked, lineStarts[startLine]);
+    if (open.length === 0) return null;
+    const bodyOpen = open[0];
+    let boundary = bodyOpen - 1;
+    while (boundary >= 0 && !';{}'.includes(masked[boundary])) boundary--;
+    const head = masked.slice(boundary + 1, bodyOpen).split('\n')
+        .filter(l => !l.trim().startsWith('#')).join(' ').replace(/\s+/g, ' ').trim();
+    if (/\b(?:class|struct|union|enum|interface)\b/.test(head)) {
+        throw new ExtractFunctionError('Extracting code from class methods is not supported');
+    }
+    const signature = head.match(/^(.*?)\b(~?[A-Za-z_]\w*(?:\s*::\s*~?[A-Za-z_]\w*)?)\s*\(/);
+    if (!signature) return null;
+    if (signature[2].includes('::')) {
+        throw new ExtractFunctionError('Extracting code from class methods is not supported');
+    }
+
+    const selection = maskedLines.slice(startLine, endLine + 1).join('\n');
+    let depth = 0;
+    let parens = 0;
+    for (const c of selection) {
+        if (c === '{') depth++;
+        else if (c === '}') depth--;
+        else if (c === '(') parens++;
+        else if (c === ')') parens--;
+        if (depth < 0 || parens < 0) break;
+    }
+    if (depth !== 0 || parens !== 0 || !/[;}]\s*$/.test(selection)) {
+        throw new ExtractFunctionError('Select complete statements');
+    }
+    if (/\breturn\b/.test(selection)) {
+        throw new ExtractFunctionError('The selection contains a return statement');
+    }
+    if (/\b(?:break|continue)\b/.test(selection) && !/\b(?:for|while|do|switch)\b/.test(selection)) {
+        throw new ExtractFunctionError('The selection contains break or continue outside a loop');
+    }
+
+    // Locals from before the selection become parameters when the selection uses them
+    const bodyLine = lineOf(bodyOpen);
+    const outer = localsBefore(lines, maskedLines, bodyLine, startLine);
+    for (const brace of open.slice(1)) {
+        const loop = masked.slice(Math.max(0, brace - 300), brace).match(/\bfor\s*\(\s*(?:const\s+)?([A-Za-z_]\w*)\s+([A-Za-z_]\w*)\s*=[^;]*;[^;]*;[^)]*\)\s*$/);
+        if (loop && !outer.some(l => l.name === loop[2])) outer.push({ name: loop[2], type: loop[1], isArray: false });
+    }
+    const outerNames = new Set(outer.map(l => l.name));
+    const inner = localsBefore(lines, maskedLines, bodyLine, endLine + 1).filter(l => !outerNames.has(l.name));
+
+    const used = usedIdentifiers(selection);
+    const bodyClose = matchingBrace(masked, bodyOpen);
+    const enclosing = masked.slice(boundary + 1, bodyClose);
+    const enums = new Set([...masked.matchAll(/\benum\s+([A-Za-z_]\w*)/g)].map(m => m[1]));
+    const params = outer.filter(l => used.has(l.name)).map(local => ({
+        local,
+        declaration: parameterDeclaration(local, {
+            modified: isModified(selection, local.name),
+            pointer: new RegExp(`\\b${local.type}\\s*\\*\\s*${local.name}\\b`).test(enclosing),
+            enums,
+        }),
+    }));
+
+    // Locals declared in the selection and read after it are returned
+    const after = usedIdentifiers(masked.slice(lineStarts[endLine + 1] ?? masked.length, bodyClose));
+    const liveOut = inner.filter(l => after.has(l.name));
+    if (liveOut.length > 1) {
+        throw new ExtractFunctionError(`Variables ${liveOut.map(l => `'${l.name}'`).join(', ')} are used after the selection`);
+    }
+    const returns = liveOut[0] || null;
+    if (returns && (returns.isArray || !(PRIMITIVE_TYPES.has(returns.type) || returns.type.startsWith('ENUM_') || enums.has(returns.type)))) {
+        throw new ExtractFunctionError(`'${returns.name}' is used after the selection and cannot be returned`);
+    }
+
+    if (!name) {
+        const taken = usedIdentifiers(masked);
+        name = DEFAULT_NAME;
+        for (let n = 2; taken.has(name); n++) name = `${DEFAULT_NAME}${n}`;
+    }
+
+    // Layout follows the enclosing function: brace placement and indentation
+    let headerLine = boundary < 0 ? 0 : lineOf(boundary);
+    if (boundary >= 0 && !masked.slice(boundary + 1, lineStarts[headerLine + 1] ?? masked.length).trim()) headerLine++;
+    while (headerLine < bodyLine && (!maskedLines[headerLine].trim() || maskedLines[headerLine].trim().startsWith('#'))) headerLine++;
+    let insertLine = headerLine;
+    while (insertLine > 0 && lines[insertLine - 1].trim() && !maskedLines[insertLine - 1].trim()) insertLine--;
+
+    const headerIndent = leadingWhitespace(lines[headerLine]);
+    const braceOwnLine = !maskedLines[bodyLine].slice(0, bodyOpen - lineStarts[bodyLine]).trim();
+    const braceIndent = braceOwnLine ? leadingWhitespace(lines[bodyLine]) : headerIndent;
+    const firstBodyLine = maskedLines.findIndex((l, i) => i > bodyLine && l.trim());
+    const bodyIndent = firstBodyLine > bodyLine ? leadingWhitespace(lines[firstBodyLine]) : `${braceIndent}    `;
+    const closeLine = lineOf(bodyClose);
+    const closeIndent = maskedLines[closeLine].slice(0, bodyClose - lineStarts[closeLine]).trim()
+        ? braceIndent : leadingWhitespace(lines[closeLine]);
+
+    const selected = lines.slice(startLine, endLine + 1);
+    const selIndent = selected.filter(l => l.trim()).map(leadingWhitespace)
+        .reduce((a, b) => (b.length < a.length ? b : a));
+    const body = selected.map(l => (l.trim() ? bodyIndent + l.slice(selIndent.length) : ''));
+    if (returns) body.push(`${bodyIndent}return ${returns.name};`);
+
+    const declaration = `${headerIndent}${returns ? returns.type : 'void'} ${name}(${params.map(p => p.declaration).join(', ')})`;
+    const fn = braceOwnLine
+        ? [declaration, `${braceIndent}{`, ...body, `${closeIndent}}`]
+        : [`${declaration} {`, ...body, `${closeIndent}}`];
+    const call = `${name}(${params.map(p => p.local.name).join(', ')});`;
+
+    return {
+        name,
+        params: params.map(p => p.declaration),
+        returns,
+        insertLine,
+        functionText: fn.join(eol) + eol + eol,
+        callText: selIndent + (returns ? `${returns.type} ${returns.name} = ${call}` : call),
+        startLine,
+        endLine,
+    };
+}
+
+/**
+ * "Extract function" refactoring for a selection of whole statements inside
+ * a function body. Locals used by the selection become parameters (by
+ * reference when assigned), and a single local declared in the selection and
+ * read afterwards becomes the return value.
+ *
+ * Refactor Title: "MQL: Extract function"
+ *
+ * @param {vscode.TextDocument} document
+ * @param {vscode.Range|null} range - Selection; null or empty skips the refactoring
+ * @returns {vscode.CodeAction[]}
+ */
+function createExtractFunctionActions(document, range) {
+    if (!range || (range.start.line === range.end.line && range.start.character === range.end.character)) return [];
+    const endLine = range.end.character === 0 && range.end.line > range.start.line ? range.end.line - 1 : range.end.line;
+
+    const action = new vscode.CodeAction('MQL: Extract function', vscode.CodeActionKind.RefactorExtract);
+    let plan;
+    try {
+        plan = planExtractFunction(document.getText(), range.start.line, endLine);
+    } catch (err) {
+        if (!(err instanceof ExtractFunctionError)) throw err;
+        action.disabled = { reason: err.message };
+        return [action];
+    }
+    if (!plan) return [];
+
+    action.edit = new vscode.WorkspaceEdit();
+    action.edit.insert(document.uri, new vscode.Position(plan.insertLine, 0), plan.functionText);
+    action.edit.replace(document.uri,
+        new vscode.Range(plan.startLine, 0, plan.endLine, document.lineAt(plan.endLine).text.length), plan.callText);
+    return [action];
+}
+
+module.exports = {
+    ExtractFunctionError,
+    planExtractFunction,
+    createExtractFunctionActions,
+};
@@ -0,0 +1,226 @@
+'use strict';
+const vscode = require('vscode');
+const pathModule = require('path');
+
+const FIX_ALL_KIND = vscode.CodeActionKind.SourceFixAll.append('mql');
+const MQL_EXTENSIONS = new Set(['.mq4', '.mq5', '.mqh']);
+
+/**
+ * Quick fixes that are safe to repeat mechanically, marked by their providers.
+ * Declarations, entry points and generated code need a human decision per
+ * site and are never marked.
+ */
+const fixAllSafe = new WeakSet();
+
+/**
+ * Mark `action` as safe to apply in bulk (Fix All, `source.fixAll.mql`).
+ * @param {vscode.CodeAction} action
+ * @returns {vscode.CodeAction} `action`
+ */
+function markFixAllSafe(action) {
+    fixAllSafe.add(action);
+    return action;
+}
+
+/**
+ * Error code of a diagnostic as shown in the Problems panel (`MQL181`, clangd codes, …).
+ * @param {vscode.Diagnostic} diagnostic
+ * @returns {string|null}
+ */
+function diagnosticCode(diagnostic) {
+    const code = diagnostic.code;
+    if (code === undefined || code === null) return null;
+    return String(typeof code === 'object' ? code.value : code);
+}
+
+/**
+ * The single fix to apply for `diagnostic` in bulk: the only fix-all-safe
+ * action with an edit, or the only preferred one among several.
+ *
+ * @param {vscode.CodeAction[]} actions - Actions provided for the diagnostic
+ * @returns {vscode.CodeAction|null}
+ */
+function selectUnambiguousFix(actions) {
+    const candidates = (actions || []).filter(action => action.edit && fixAllSafe.has(action));
+    if (candidates.length === 1) return candidates[0];
+    const preferred = candidates.filter(action => action.isPreferred);
+    return preferred.length === 1 ? preferred[0] : null;
+}
+
+function comparePositions(a, b) {
+    return a.line - b.line || a.character - b.character;
+}
+
+/**
+ * Combine the unambiguous fixes of many diagnostics into one WorkspaceEdit.
+ * Edits overlapping an already accepted edit of the same file are dropped, so
+ * the result always applies cleanly (a second run picks up what is left).
+ *
+ * @param {Array<{ document: vscode.TextDocument, diagnostics: vscode.Diagnostic[] }>} targets
+ * @param {(document: vscode.TextDocument, diagnostic: vscode.Diagnostic) => Promise<vscode.CodeAction[]>|vscode.CodeAction[]} getActions
+ * @param {object} [opts]
+ * @param {string} [opts.code] - Only fix diagnostics with this code
+ * @param {vscode.WorkspaceEditEntryMetadata} [opts.metadata] - e.g. `{ needsConfirmation: true, label }` for a refactor preview
+ * @returns {Promise<{ edit: vscode.WorkspaceEdit, fixed: number, files: number }>}
+ */
+async function collectFixAllEdit(targets, getActions, { code, metadata } = {}) {
+    const edit = new vscode.WorkspaceEdit();
+    let fixed = 0;
+    let files = 0;
+
+    for (const { document, diagnostics } of targets) {
+        const textEdits = [];
+        for (const diagnostic of diagnostics) {
+            if (code && diagnosticCode(diagnostic) !== code) continue;
+            const fix = selectUnambiguousFix(await getActions(document, diagnostic));
+            if (!fix) continue;
+            for (const [uri, edits] of fix.edit.entries()) {
+                if (uri.fsPath !== document.uri.fsPath) continue;
+                textEdits.push(...edits.map(e => ({ range: e.range, newText: e.newText })));
+            }
+        }
+
+        textEdits.sort((a, b) => comparePositions(a.range.start, b.range.start));
+        let last = null;
+        let accepted = 0;
+        for (const textEdit of textEdits) {
+            if (last && (comparePositions(textEdit.range.start, last.range.end) < 0 ||
+                comparePositions(textEdit.range.start, last.range.start) === 0)) continue;
+            edit.replace(document.uri, textEdit.range, textEdit.newText, metadata);
+            last = textEdit;
+            accepted++;
+        }
+        fixed += accepted;
+        if (accepted > 0) files++;
+    }
+    return { edit, fixed, files };
+}
+
+/**
+ * "Fix all" entries shown next to a diagnostic that has an unambiguous fix.
+ *
+ * @param {vscode.TextDocument} document
+ * @param {vscode.Diagnostic} diagnostic
+ * @param {vscode.CodeAction[]} actions - Actions already provided for `diagnostic`
+ * @returns {vscode.CodeAction[]}
+ */
+function createFixAllActions(document, diagnostic, actions) {
+    const code = diagnosticCode(diagnostic);
+    if (!code || !selectUnambiguousFix(actions)) return [];
+    return [['file', 'in file'], ['workspace', 'in workspace']].map(([scope, where]) => {
+        const action = new vscode.CodeAction(`MQL: Fix all '${code}' problems ${where}`, vscode.CodeActionKind.QuickFix);
+        action.command = {
+            command: 'mql_tools.fixAll',
+            title: `Fix all ${code} ${where}`,
+            arguments: [document.uri, code, scope]
+        };
+        action.diagnostics = [diagnostic];
+        return action;
+    });
+}
+
+function isMqlUri(uri) {
+    return MQL_EXTENSIONS.has(pathModule.extname(uri.fsPath).toLowerCase());
+}
+
+/**
+ * `source.fixAll.mql`: applies every unambiguous fix in the document, so
+ * `"editor.codeActionsOnSave": { "source.fixAll.mql": "explicit" }` works.
+ * Only answers requests for source fix-all actions, never the light bulb.
+ */
+class MqlFixAllProvider {
+    /**
+     * @param {(document: vscode.TextDocument, diagnostic: vscode.Diagnostic) => Promise<vscode.CodeAction[]>} getActions
+     */
+    constructor(getActions) {
+        this._getActions = getActions;
+    }
+
+    async provideCodeActions(document, _range, context) {
+        const only = context?.only;
+        if (!only || !(only.contains(FIX_ALL_KIND) || FIX_ALL_KIND.contains(only))) return [];
+        const diagnostics = vscode.languages.getDiagnostics(document.uri);
+        const { edit, fixed } = await collectFixAllEdit([{ document, diagnostics }], this._getActions);
+        if (fixed === 0) return [];
+        const action = new vscode.CodeAction(`MQL: Fix all auto-fixable problems (${fixed})`, FIX_ALL_KIND);
+        action.edit = edit;
+        return [action];
+    }
+}
+
+/**
+ * Register the `source.fixAll.mql` provider and `mql_tools.fixAll`.
+ *
+ * @param {vscode.ExtensionContext} context
+ * @param {(document: vscode.TextDocument, diagnostic: vscode.Diagnostic) => Promise<vscode.CodeAction[]>} getActions
+ *        Quick fixes for one diagnostic (MqlCodeActionProvider)
+ */
+function registerFixAll(context, getActions) {
+    context.subscriptions.push(vscode.languages.registerCodeActionsProvider(
+        { pattern: '**/*.{mq4,mq5,mqh}' },
+        new MqlFixAllProvider(getActions),
+        { providedCodeActionKinds: [FIX_ALL_KIND] }
+    ));
+
+    context.subscriptions.push(vscode.commands.registerCommand('mql_tools.fixAll', async (uri, code, scope) => {
+        const activeUri = uri || vscode.window.activeTextEditor?.document.uri;
+        if (!scope) {
+            const picked = await vscode.window.showQuickPick([
+                { label: 'Current file', scope: 'file' },
+                { label: 'Whole workspace', scope: 'workspace' },
+            ], { placeHolder: 'Fix all MQL problems in' });
+            if (!picked) return;
+            scope = picked.scope;
+        }
+        if (scope === 'file' && !activeUri) return;
+
+        const entries = scope === 'file'
+            ? [[activeUri, vscode.languages.getDiagnostics(activeUri)]]
+            : vscode.languages.getDiagnostics().filter(([entryUri]) => isMqlUri(entryUri));
+
+        if (!code) {
+            const counts = new Map();
+            for (const [, diagnostics] of entries) {
+                for (const d of diagnostics) {
+                    const c = diagnosticCode(d);
+                    if (c) counts.set(c, (counts.get(c) || 0) + 1);
+                }
+            }
+            const picked = await vscode.window.showQuickPick(
+                [{ label: 'All codes', code: null }, ...[...counts].sort((a, b) => b[1] - a[1])
+                    .map(([c, n]) => ({ label: c, description: `${n} problem${n === 1 ? '' : 's'}`, code: c }))],
+                { placeHolder: 'Error code to fix' });
+            if (!picked) return;
+            code = picked.code;
+        }
+
+        const targets = [];
+        for (const [entryUri, diagnostics] of entries) {
+            if (diagnostics.length === 0) continue;
+            targets.push({ document: await vscode.workspace.openTextDocument(entryUri), diagnostics });
+        }
+        const label = code ? `Fix all ${code}` : 'Fix all MQL problems';
+        const { edit, fixed, files } = await collectFixAllEdit(targets, getActions, {
+            code: code || undefined,
+            metadata: { needsConfirmation: true, label }
+        });
+        if (fixed === 0) {
+            vscode.window.showInformationMessage(`${label}: no unambiguous fixes found.`);
+            return;
+        }
+        if (await vscode.workspace.applyEdit(edit)) {
+            vscode.window.showInformationMessage(`${label}: ${fixed} fix${fixed === 1 ? '' : 'es'} in ${files} file${files === 1 ? '' : 's'}.`);
+        }
+    }));
+}
+
+module.exports = {
+    FIX_ALL_KIND,
+    markFixAllSafe,
+    diagnosticCode,
+    selectUnambiguousFix,
+    collectFixAllEdit,
+    createFixAllActions,
+    MqlFixAllProvider,
+    registerFixAll,
+};
@@ -0,0 +1,593 @@
+'use strict';
+const vscode = require('vscode');
+const fs = require('fs');
+const pathModule = require('path');
+const { maskCommentsAndStrings } = require('./createProperties');
+const { getObjItems } = require('./provider');
+const colorW = require('../data/color.json');
+
+const REG_INPUT = /^[ \t]*(input|sinput)[ \t]+(?!group\b)((?:const[ \t]+)?[A-Za-z_]\w*)[ \t]+([A-Za-z_]\w*)[ \t]*(=[^;]*)?;[ \t]*$/;
+const REG_GROUP = /^[ \t]*input[ \t]+group\b/;
+const REG_NUMBER = /(?<![\w.])(\d+\.\d*|\.\d+|\d+)(?:[eE][-+]?\d+)?(?![\w.])/;
+
+/**
+ * Sections for inputs outside an `input group`, picked by the first pattern
+ * matching a word of the input name. Anything else goes to "General".
+ */
+const GROUP_RULES = [
+    ['Trading', /^(?:lots?|volume|risk|magic|slippage|deviation|spread|orders?|trades?|positions?|comment)$/],
+    ['Stops', /^(?:sl|tp|stop|stoploss|take|takeprofit|profit|loss|trail|trailing|breakeven|break)$/],
+    ['Indicators', /^(?:period|ma|rsi|atr|bands|macd|stoch|adx|cci|fast|slow|signal|shift|method|price|timeframe|tf|level)$/],
+    ['Schedule', /^(?:hours?|minutes?|session|days?|time|start|end|friday|monday)$/],
+    ['Notifications', /^(?:alerts?|notify|notifications?|e?mail|push|sound|print|log|logging|debug)$/],
+    ['Display', /^(?:colou?r|clr|show|draw|font|width|style|panel)$/],
+];
+const DEFAULT_GROUP = 'General';
+
+/** Values of the built-in enums most inputs use, for `.set` files. */
+const ENUM_VALUES = {
+    PERIOD_CURRENT: 0, PERIOD_M1: 1, PERIOD_M2: 2, PERIOD_M3: 3, PERIOD_M4: 4, PERIOD_M5: 5, PERIOD_M6: 6,
+    PERIOD_M10: 10, PERIOD_M12: 12, PERIOD_M15: 15, PERIOD_M20: 20, PERIOD_M30: 30,
+    PERIOD_H1: 16385, PERIOD_H2: 16386, PERIOD_H3: 16387, PERIOD_H4: 16388, PERIOD_H6: 16390,
+    PERIOD_H8: 16392, PERIOD_H12: 16396, PERIOD_D1: 16408, PERIOD_W1: 32769, PERIOD_MN1: 49153,
+    MODE_SMA: 0, MODE_EMA: 1, MODE_SMMA: 2, MODE_LWMA: 3,
+    PRICE_CLOSE: 1, PRICE_OPEN: 2, PRICE_HIGH: 3, PRICE_LOW: 4, PRICE_MEDIAN: 5, PRICE_TYPICAL: 6, PRICE_WEIGHTED: 7,
+    clrNONE: -1, CLR_NONE: -1,
+};
+
+/** Brace depth at the start of every line of `masked`. */
+function lineDepths(maskedLines) {
+    const depths = [];
+    let depth = 0;
+    for (const line of maskedLines) {
+        depths.push(depth);
+        for (const c of line) {
+            if (c === '{') depth++;
+            else if (c === '}') depth = Math.max(0, depth - 1);
+        }
+    }
+    return depths;
+}
+
+function trailingComment(original, masked) {
+    const semi = masked.lastIndexOf(';');
+    const rest = original.slice(semi + 1).trim();
+    const m = rest.match(/^\/\/\s*(.*)$/) || rest.match(/^\/\*\s*(.*?)\s*\*\/$/);
+    return m ? m[1].trim() : '';
+}
+
+/**
+ * Top-level `input`/`sinput` declarations and `input group` directives.
+ * Declarations of several inputs in one statement are not listed.
+ *
+ * @param {string} text
+ * @returns {{ inputs: Array<{ line: number, keyword: string, type: string, name: string, value: string,
+ *             comment: string, group: string|null }>, groups: Array<{ line: number, name: string }> }}
+ */
+function parseInputs(text) {
+    const lines = text.split(/\r?\n/);
+    const maskedLines = maskCommentsAndStrings(text.replace(/\r\n/g, '\n')).split('\n');
+    const depths = lineDepths(maskedLines);
+    const inputs = [];
+    const groups = [];
+    let group = null;
+    for (let i = 0; i < lines.length; i++) {
+        if (depths[i] !== 0) continue;
+        const masked = maskedLines[i];
+        if (REG_GROUP.test(masked)) {
+            const name = (lines[i].match(/group\s+"([^"]*)"/) || [])[1] || '';
+            groups.push({ line: i, name });
+            group = name;
+            continue;
+        }
+        const m = masked.match(REG_INPUT);
+        if (!m || (m[4] && /,/.test(m[4].replace(/\([^()]*\)/g, '')))) continue;
+        const value = m[4] ? lines[i].slice(masked.indexOf(m[4]) + 1, masked.lastIndexOf(';')).trim() : '';
+        inputs.push({
+            line: i,
+            keyword: m[1],
+            type: m[2].replace(/\s+/g, ' '),
+            name: m[3],
+            value,
+            comment: trailingComment(lines[i], masked),
+            group,
+        });
+    }
+    return { inputs, groups };
+}
+
+/**
+ * Tester label for an input without a comment: `InpStopLoss` → `Stop loss`.
+ */
+function nameWords(name) {
+    return name.replace(/^(?:Inp|Input|inp|in)(?=[A-Z_])_?/, '')
+        .replace(/([a-z\d])([A-Z])/g, '$1 $2')
+        .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+        .split(/[\s_]+/).filter(Boolean);
+}
+
+function labelFromName(name) {
+    const words = nameWords(name).map(w => (/^[A-Z\d]+$/.test(w) && w.length > 1 ? w : w.toLowerCase()));
+    if (words.length === 0) return name;
+    words[0] = words[0][0].toUpperCase() + words[0].slice(1);
+    return words.join(' ');
+}
+
+function inferGroup(name) {
+    const words = nameWords(name).map(w => w.toLowerCase());
+    const rule = GROUP_RULES.find(([, re]) => words.some(w => re.test(w)));
+    return rule ? rule[0] : DEFAULT_GROUP;
+}
+
+/**
+ * Inputs sorted into sections: existing `input group` sections keep their
+ * names and order, ungrouped inputs go to sections named after their purpose.
+ *
+ * @returns {Array<{ name: string, inputs: object[] }>}
+ */
+function groupInputs(inputs) {
+    const sections = new Map();
+    const add = (name, input) => {
+        if (!sections.has(name)) sections.set(name, []);
+        sections.get(name).push(input);
+    };
+    for (const input of inputs) if (input.group !== null) add(input.group, input);
+    const inferred = new Map();
+    for (const input of inputs) {
+        if (input.group === null) {
+            const name = inferGroup(input.name);
+            if (!inferred.has(name)) inferred.set(name, []);
+            inferred.get(name).push(input);
+        }
+    }
+    for (const [name] of [...GROUP_RULES, [DEFAULT_GROUP]]) {
+        for (const input of inferred.get(name) || []) add(name, input);
+    }
+    return [...sections].map(([name, items]) => ({ name, inputs: items }));
+}
+
+/**
+ * Text of the organized input block: one `input group` per section, types,
+ * names and `//` labels aligned, and a label generated for inputs without one.
+ *
+ * @param {Array<{ name: string, inputs: object[] }>} sections - from groupInputs()
+ * @param {string} [eol='\n']
+ * @returns {string}
+ */
+function formatInputBlock(sections, eol = '\n') {
+    const all = sections.flatMap(s => s.inputs);
+    const keywordWidth = Math.max(...all.map(i => i.keyword.length));
+    const typeWidth = Math.max(...all.map(i => i.type.length));
+    const nameWidth = Math.max(...all.map(i => i.name.length));
+    const statement = i => `${i.keyword.padEnd(keywordWidth)} ${i.type.padEnd(typeWidth)} ` +
+        (i.value ? `${i.name.padEnd(nameWidth)} = ${i.value};` : `${i.name};`);
+    const commentColumn = Math.max(...all.map(i => statement(i).length)) + 1;
+
+    const out = [];
+    for (const section of sections) {
+        if (out.length > 0) out.push('');
+        out.push(`input group "${section.name}"`);
+        for (const input of section.inputs) {
+            out.push(`${statement(input).padEnd(commentColumn)}// ${input.comment || labelFromName(input.name)}`);
+        }
+    }
+    return out.join(eol);
+}
+
+/**
+ * Replacement for the lines holding the file's inputs with the organized block.
+ * Other lines between the first and last input (`#define`, `enum`, comments)
+ * are kept above the block, since inputs may use them; a comment line directly
+ * above an input without a trailing comment becomes its label.
+ *
+ * @param {string} text
+ * @returns {{ startLine: number, endLine: number, newText: string }|null} null when there is
+ *          nothing to change, or when a line between the inputs uses one of them and so
+ *          can be placed neither above nor below the block
+ */
+function organizeInputs(text) {
+    const eol = text.includes('\r\n') ? '\r\n' : '\n';
+    const lines = text.split(/\r?\n/);
+    const { inputs, groups } = parseInputs(text);
+    if (inputs.length === 0) return null;
+
+    const owned = new Set([...inputs.map(i => i.line), ...groups.map(g => g.line)]);
+    const startLine = Math.min(...owned);
+    const endLine = Math.max(...owned);
+    const labels = inputs.map(input => {
+        const above = lines[input.line - 1];
+        const m = !input.comment && input.line - 1 >= startLine && above !== undefined && above.match(/^\s*\/\/\s*(.*?)\s*$/);
+        if (m && m[1] && !/^[-=*\s]*$/.test(m[1])) {
+            owned.add(input.line - 1);
+            return { ...input, comment: m[1].replace(/^-+\s*/, '') };
+        }
+        return input;
+    });
+
+    const maskedLines = maskCommentsAndStrings(text.replace(/\r\n/g, '\n')).split('\n');
+    const inputNames = new RegExp(`\\b(?:${inputs.map(i => i.name).join('|')})\\b`);
+    const kept = [];
+    for (let i = startLine; i <= endLine; i++) {
+        if (owned.has(i) || (!lines[i].trim() && (kept.length === 0 || !kept[kept.length - 1].trim()))) continue;
+        if (inputNames.test(maskedLines[i])) return null;
+        kept.push(lines[i]);
+    }
+    while (kept.length > 0 && !kept[kept.length - 1].trim()) kept.pop();
+    const block = formatInputBlock(groupInputs(labels), eol);
+    const newText = kept.length > 0 ? [...kept, '', block].join(eol) : block;
+    if (newText === lines.slice(startLine, endLine + 1).join(eol)) return null;
+    return { startLine, endLine, newText };
+}
+
+// =============================================================================
+// MAGIC NUMBERS
+// =============================================================================
+
+function toPascal(name) {
+    return name.replace(/^(?:m_|g_|s_)/, '').split('_').filter(Boolean)
+        .map(w => w[0].toUpperCase() + w.slice(1)).join('');
+}
+
+/** Parameter names of a built-in function from the catalogue signature. */
+function builtinParameterNames(name) {
+    const item = getObjItems()[name];
+    const label = item && item.group === 2 && item.code && item.code[0] ? item.code[0].label : null;
+    const params = label && label.match(/\((.*)\)/);
+    if (!params || !params[1].trim()) return [];
+    return params[1].split(',').map(p => (p.replace(/=.*$/, '').match(/([A-Za-z_]\w*)\s*(?:\[\s*\])?\s*$/) || [])[1] || '');
+}
+
+/**
+ * Name for an input replacing the literal at `offset`: the parameter of the
+ * built-in function receiving it (`iRSI(…, 14, …)` → `InpMaPeriod`), the
+ * variable it is assigned or compared to, or `InpValue`.
+ */
+function suggestInputName(masked, offset) {
+    // Argument of a call: walk back to the unmatched '(' counting commas
+    let depth = 0;
+    let commas = 0;
+    for (let i = offset - 1; i >= 0 && !';{}'.includes(masked[i]); i--) {
+        const c = masked[i];
+        if (c === ')' || c === ']') depth++;
+        else if ((c === '(' || c === '[') && depth > 0) depth--;
+        else if (c === ',' && depth === 0) commas++;
+        else if (c === '(' && depth === 0) {
+            const callee = masked.slice(0, i).match(/([A-Za-z_]\w*)\s*$/);
+            const param = callee ? builtinParameterNames(callee[1])[commas] : null;
+            if (param) return `Inp${toPascal(param)}`;
+            break;
+        } else if (c === '[' && depth === 0) break;
+    }
+    const before = masked.slice(Math.max(0, offset - 80), offset);
+    const assigned = before.match(/([A-Za-z_]\w*)(?:\s*\[[^\]]*\])?\s*(?:[-+*/]?=|[<>]=?|==|!=)\s*-?\s*$/);
+    if (assigned && !/^(?:return|case)$/.test(assigned[1])) return `Inp${toPascal(assigned[1])}`;
+    const compared = masked.slice(offset).match(/^[\w.]*\s*(?:[<>]=?|==|!=)\s*([A-Za-z_]\w*)/);
+    if (compared) return `Inp${toPascal(compared[1])}`;
+    return 'InpValue';
+}
+
+/**
+ * Numeric literal at `offset` that may become an input: inside a function
+ * body, not part of a preprocessor line, an array size or an enum, and not 0 or 1.
+ *
+ * @param {string} text
+ * @param {number} offset
+ * @param {string} [masked] - `text` with comments and strings masked
+ * @returns {{ start: number, end: number, literal: string }|null}
+ */
+function findMagicNumber(text, offset, masked = maskCommentsAndStrings(text)) {
+    const re = new RegExp(REG_NUMBER.source, 'g');
+    re.lastIndex = Math.max(0, offset - 40);
+    let m;
+    let hit = null;
+    while ((m = re.exec(masked)) !== null && m.index <= offset) {
+        if (offset <= m.index + m[0].length) hit = m;
+    }
+    if (!hit || /^(?:0+\.?0*|1\.?0*)$/.test(hit[0])) return null;
+
+    const lineStart = masked.lastIndexOf('\n', hit.index) + 1;
+    if (masked.slice(lineStart, hit.index).trim().startsWith('#')) return null;
+    const open = [];
+    for (let i = 0; i < hit.index; i++) {
+        if (masked[i] === '{') open.push(i);
+        else if (masked[i] === '}') open.pop();
+    }
+    if (open.length === 0) return null;
+    const innermost = open[open.length - 1];
+    const head = masked.slice(Math.max(0, innermost - 200), innermost).split(/[;{}]/).pop();
+    if (/(?:enum|class|struct|union)/.test(head)) return null;
+    if (/\b[A-Za-z_]\w*\s+[A-Za-z_]\w*\s*\[\s*$/.test(masked.slice(lineStart, hit.index))) return null;
+    if (/\bcase\s+$/.test(masked.slice(lineStart, hit.index))) return null;
+    return { start: hit.index, end: hit.index + hit[0].length, literal: hit[0] };
+}
+
+/**
+ * Offsets of every occurrence of `literal` inside function bodies.
+ * @returns {number[]}
+ */
+function findLiteralOccurrences(text, literal) {
+    const masked = maskCommentsAndStrings(text);
+    const offsets = [];
+    const re = new RegExp(REG_NUMBER.source, 'g');
+    let m;
+    while ((m = re.exec(masked)) !== null) {
+        if (m[0] === literal && findMagicNumber(text, m.index, masked)) offsets.push(m.index);
+    }
+    return offsets;
+}
+
+/**
+ * Line after which a new input is declared: after the last input, otherwise
+ * after the leading `#property`/`#include` block.
+ */
+function newInputLine(text) {
+    const { inputs } = parseInputs(text);
+    if (inputs.length > 0) return { line: inputs[inputs.length - 1].line + 1, blank: false };
+    const lines = text.split(/\r?\n/);
+    let last = -1;
+    for (let i = 0; i < lines.length; i++) {
+        const t = lines[i].trim();
+        if (/^#(?:property|include|define|import)\b/.test(t)) last = i;
+        else if (t && !t.startsWith('//')) break;
+    }
+    return { line: last + 1, blank: last >= 0 };
+}
+
+/**
+ * Plan converting a numeric literal into a new input.
+ *
+ * @param {string} text
+ * @param {number} offset - Offset inside the literal
+ * @param {object} [opts]
+ * @param {boolean} [opts.all=false] - Replace every occurrence of the literal in function bodies
+ * @returns {{ name: string, declaration: string, insertLine: number, replacements: Array<{ start: number, end: number }> }|null}
+ */
+function planMagicNumberInput(text, offset, { all = false } = {}) {
+    const masked = maskCommentsAndStrings(text);
+    const hit = findMagicNumber(text, offset, masked);
+    if (!hit) return null;
+    const taken = new Set(masked.match(/[A-Za-z_]\w*/g) || []);
+    const base = suggestInputName(masked, hit.start);
+    let name = base;
+    for (let n = 2; taken.has(name); n++) name = `${base}${n}`;
+
+    const type = /[.eE]/.test(hit.literal) ? 'double' : 'int';
+    const declaration = `input ${type} ${name} = ${hit.literal}; // ${labelFromName(name)}`;
+    const starts = all ? findLiteralOccurrences(text, hit.literal) : [hit.start];
+    const { line, blank } = newInputLine(text);
+    return {
+        name,
+        declaration: blank ? `\n${declaration}` : declaration,
+        insertLine: line,
+        replacements: starts.map(start => ({ start, end: start + hit.literal.length })),
+    };
+}
+
+// =============================================================================
+// .SET FILES
+// =============================================================================
+
+/** Values of the enums declared in `masked`, by member name. */
+function userEnumValues(masked) {
+    const values = {};
+    const re = /\benum\s+[A-Za-z_]\w*\s*\{([^}]*)\}/g;
+    let m;
+    while ((m = re.exec(masked)) !== null) {
+        let next = 0;
+        for (const part of m[1].split(',')) {
+            const member = part.match(/^\s*([A-Za-z_]\w*)\s*(?:=\s*(-?(?:0x[\da-f]+|\d+)))?\s*$/i);
+            if (!member) continue;
+            if (member[2] !== undefined) next = Number(member[2]);
+            values[member[1]] = next++;
+        }
+    }
+    return values;
+}
+
+function rgbToColor(r, g, b) {
+    return Number(r) + Number(g) * 256 + Number(b) * 65536;
+}
+
+/**
+ * Value of an input default as written in a `.set` file, or null when it is
+ * an expression that cannot be evaluated here.
+ */
+function setFileValue(input, enumValues) {
+    const value = input.value;
+    const type = input.type.replace(/^const\s+/, '');
+    if (!value) return type === 'string' ? '' : type === 'bool' ? 'false' : '0';
+    if (type === 'string') {
+        const m = value.match(/^"((?:[^"\\]|\\.)*)"$/);
+        return m ? m[1].replace(/\\(.)/g, '$1') : null;
+    }
+    if (/^(?:true|false)$/.test(value)) return value;
+    if (/^[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?$/.test(value)) return String(Number(value));
+    if (/^0x[\da-f]+$/i.test(value)) return String(parseInt(value, 16));
+    if (value in enumValues) return String(enumValues[value]);
+    if (value in ENUM_VALUES) return String(ENUM_VALUES[value]);
+    if (value in colorW) return String(rgbToColor(...colorW[value].split(',')));
+    const rgb = value.match(/^C'\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*'$/);
+    if (rgb) return String(rgbToColor(rgb[1], rgb[2], rgb[3]));
+    const date = value.match(/^D'(\d{4})\.(\d{2})\.(\d{2})(?:\s+(\d{1,2}):(\d{2})(?::(\d{2}))?)?'$/);
+    if (date) {
+        const [, y, mo, d, h = 0, mi = 0, s = 0] = date;
+        return String(Date.UTC(+y, +mo - 1, +d, +h, +mi, +s) / 1000);
+    }
+    return null;
+}
+
+/**
+ * Contents of a `.set` preset with the inputs' default values. Numeric and
+ * bool inputs get MetaTrader's `value||start||step||stop||N` optimization
+ * fields (not selected for optimization); defaults that cannot be evaluated
+ * are listed as comments.
+ *
+ * @param {string} text - Program source
+ * @param {object} [opts]
+ * @param {string} [opts.programName]
+ * @returns {string} CRLF-separated lines
+ */
+function buildSetFile(text, { programName } = {}) {
+    const { inputs } = parseInputs(text);
+    const enumValues = userEnumValues(maskCommentsAndStrings(text));
+    const lines = [`; ${programName ? `${programName} inputs` : 'Inputs'} generated from the source defaults`];
+    let group;
+    for (const input of inputs) {
+        if (input.group !== group) {
+            group = input.group;
+            if (group !== null) lines.push(`; ${group}`);
+        }
+        const value = setFileValue(input, enumValues);
+        if (value === null) {
+            lines.push(`; ${input.name}: default '${input.value}' could not be evaluated`);
+            continue;
+        }
+        const type = input.type.replace(/^const\s+/, '');
+        if (type === 'string' || input.keyword === 'sinput') {
+            lines.push(`${input.name}=${value}`);
+        } else if (type === 'bool') {
+            lines.push(`${input.name}=${value}||false||0||true||N`);
+        } else if (/^(?:double|float)$/.test(type)) {
+            const number = Number(value);
+            const step = number === 0 ? 0.1 : Math.abs(number) / 10;
+            lines.push(`${input.name}=${value}||${value}||${step}||${number * 10 || 1}||N`);
+        } else if (/^(?:char|uchar|short|ushort|int|uint|long|ulong)$/.test(type)) {
+            const number = Number(value);
+            lines.push(`${input.name}=${value}||${value}||1||${number * 10 || 10}||N`);
+        } else {
+            lines.push(`${input.name}=${value}||${value}||0||${value}||N`);
+        }
+    }
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Write `<program>.set` next to the source, UTF-16LE with BOM as MetaTrader
+ * saves presets. The deploy command picks it up as the program's preset.
+ *
+ * @param {string} sourcePath
+ * @param {string} text
+ * @returns {string} Path of the written file
+ */
+function writeSetFile(sourcePath, text) {
+    const programName = pathModule.basename(sourcePath, pathModule.extname(sourcePath));
+    const setPath = pathModule.join(pathModule.dirname(sourcePath), `${programName}.set`);
+    const content = buildSetFile(text, { programName });
+    fs.writeFileSync(setPath, Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from(content, 'utf16le')]));
+    return setPath;
+}
+
+// =============================================================================
+// CODE ACTIONS
+// =============================================================================
+
+/**
+ * Refactorings for inputs.
+ *
+ * Refactor Title Patterns:
+ * - "MQL: Organize inputs into groups" / "MQL: Organize inputs and generate <program>.set"
+ *   while the cursor is on an input declaration or `input group` line
+ * - "MQL: Convert <number> into input '<name>'" and
+ *   "MQL: Convert all N occurrences of <number> into input '<name>'" on a numeric literal
+ *
+ * @param {vscode.TextDocument} document
+ * @param {vscode.Range|null} range - Cursor range; null skips the refactorings
+ * @returns {vscode.CodeAction[]}
+ */
+function createInputActions(document, range) {
+    if (!range) return [];
+    const text = document.getText();
+    const actions = [];
+
+    const { inputs, groups } = parseInputs(text);
+    const onInput = [...inputs, ...groups].some(i => i.line === range.start.line);
+    const plan = onInput ? organizeInputs(text) : null;
+    if (plan) {
+        const replaceRange = new vscode.Range(plan.startLine, 0, plan.endLine, document.lineAt(plan.endLine).text.length);
+        const organize = new vscode.CodeAction('MQL: Organize inputs into groups', vscode.CodeActionKind.RefactorRewrite);
+        organize.edit = new vscode.WorkspaceEdit();
+        organize.edit.replace(document.uri, replaceRange, plan.newText);
+        actions.push(organize);
+    }
+    if (onInput && /\.(?:mq4|mq5)$/i.test(document.fileName)) {
+        const setName = `${pathModule.basename(document.fileName, pathModule.extname(document.fileName))}.set`;
+        const withSet = new vscode.CodeAction(
+            plan ? `MQL: Organize inputs and generate ${setName}` : `MQL: Generate ${setName} from inputs`,
+            vscode.CodeActionKind.RefactorRewrite);
+        if (plan) {
+            withSet.edit = new vscode.WorkspaceEdit();
+            withSet.edit.replace(document.uri,
+                new vscode.Range(plan.startLine, 0, plan.endLine, document.lineAt(plan.endLine).text.length), plan.newText);
+        }
+        withSet.command = { command: 'mql_tools.generateSetFile', title: 'Generate .set file', arguments: [document.uri] };
+        actions.push(withSet);
+    }
+
+    const offset = document.offsetAt(range.start);
+    const single = planMagicNumberInput(text, offset);
+    if (single) {
+        const literal = text.slice(single.replacements[0].start, single.replacements[0].end);
+        const everywhere = planMagicNumberInput(text, offset, { all: true });
+        const variants = [[`MQL: Convert ${literal} into input '${single.name}'`, single]];
+        if (everywhere.replacements.length > 1) {
+            variants.push([`MQL: Convert all ${everywhere.replacements.length} occurrences of ${literal} into input '${everywhere.name}'`, everywhere]);
+        }
+        const eol = text.includes('\r\n') ? '\r\n' : '\n';
+        for (const [title, magic] of variants) {
+            const action = new vscode.CodeAction(title, vscode.CodeActionKind.RefactorExtract);
+            action.edit = new vscode.WorkspaceEdit();
+            action.edit.insert(document.uri, new vscode.Position(magic.insertLine, 0), magic.declaration.replace(/\n/g, eol) + eol);
+            for (const { start, end } of magic.replacements) {
+                action.edit.replace(document.uri, new vscode.Range(document.positionAt(start), document.positionAt(end)), magic.name);
+            }
+            actions.push(action);
+        }
+    }
+    return actions;
+}
+
+/**
+ * Register `mql_tools.generateSetFile`: writes `<program>.set` with the
+ * defaults of the given (or active) program's inputs.
+ *
+ * @param {vscode.ExtensionContext} context
+ */
+function registerInputOrganizer(context) {
+    context.subscriptions.push(vscode.commands.registerCommand('mql_tools.generateSetFile', async (uri) => {
+        const document = uri
+            ? await vscode.workspace.openTextDocument(uri)
+            : vscode.window.activeTextEditor && vscode.window.activeTextEditor.document;
+        if (!document || !/\.(?:mq4|mq5)$/i.test(document.fileName)) {
+            vscode.window.showWarningMessage('Open an .mq4 or .mq5 program to generate a .set file.');
+            return;
+        }
+        if (parseInputs(document.getText()).inputs.length === 0) {
+            vscode.window.showInformationMessage('This program declares no inputs.');
+            return;
+        }
+        const setName = `${pathModule.basename(document.fileName, pathModule.extname(document.fileName))}.set`;
+        if (fs.existsSync(pathModule.join(pathModule.dirname(document.fileName), setName))) {
+            const choice = await vscode.window.showWarningMessage(`${setName} already exists.`, { modal: true }, 'Overwrite');
+            if (choice !== 'Overwrite') return;
+        }
+        try {
+            const setPath = writeSetFile(document.fileName, document.getText());
+            vscode.window.showInformationMessage(`Wrote ${pathModule.basename(setPath)}.`);
+        } catch (err) {
+            vscode.window.showErrorMessage(`Could not write ${setName}: ${err.message}`);
+        }
+    }));
+}
+
+module.exports = {
+    parseInputs,
+    labelFromName,
+    groupInputs,
+    formatInputBlock,
+    organizeInputs,
+    planMagicNumberInput,
+    buildSetFile,
+    writeSetFile,
+    createInputActions,
+    registerInputOrganizer,
+};
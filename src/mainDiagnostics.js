@@ -0,0 +1,165 @@
+'use strict';
+const vscode = require('vscode');
+const fs = require('fs');
+const pathModule = require('path');
+
+const ERROR_DOCS_URL = 'https://www.mql5.com/en/docs/runtime/errors';
+
+function pathKey(p) {
+    return pathModule.normalize(p).toLowerCase();
+}
+
+function diagnosticKey(diag) {
+    return `${diag.severity}|${diag.range.start.line}|${diag.range.start.character}|${diag.errorCode || ''}|${diag.message}`;
+}
+
+/**
+ * Convert one replaceLog() diagnostic into a vscode.Diagnostic, linking the
+ * MQL error code to the runtime error reference.
+ *
+ * @param {{range: vscode.Range, message: string, severity: number, errorCode: string|null}} diag
+ * @returns {vscode.Diagnostic}
+ */
+function toVscodeDiagnostic(diag) {
+    const diagnostic = new vscode.Diagnostic(diag.range, diag.message, diag.severity);
+    if (diag.errorCode) {
+        diagnostic.code = {
+            value: `MQL${diag.errorCode}`,
+            target: vscode.Uri.parse(ERROR_DOCS_URL)
+        };
+    }
+    return diagnostic;
+}
+
+/**
+ * MetaEditor diagnostics keyed by (main, file).
+ *
+ * Each compile replaces only the entries of the main it compiled, so a header
+ * error reported while compiling EA A stays visible after EA B compiles
+ * cleanly. Diagnostics that land in a file other than the main carry the
+ * main(s) that reported them as `relatedInformation`; the same header error
+ * reported by several mains is shown once with one related entry per main.
+ */
+class MainDiagnosticsStore {
+    /**
+     * @param {vscode.DiagnosticCollection} [collection] - Published to by publish()/update()
+     */
+    constructor(collection) {
+        this._collection = collection;
+        // main key -> { mainPath, byFile: Map<file key, { file, diagnostics }> }
+        this._mains = new Map();
+    }
+
+    /**
+     * Replace the diagnostics recorded for `mainPath`.
+     *
+     * @param {string} mainPath
+     * @param {Array<{file: string, range: vscode.Range, message: string, severity: number, errorCode: string|null}>} logDiagnostics
+     * @returns {string[]} files whose merged diagnostics may have changed
+     */
+    record(mainPath, logDiagnostics) {
+        const mainKey = pathKey(mainPath);
+        const previous = this._mains.get(mainKey);
+        const affected = new Map();
+        if (previous) {
+            for (const [key, entry] of previous.byFile) affected.set(key, entry.file);
+        }
+
+        const byFile = new Map();
+        for (const diag of logDiagnostics || []) {
+            const key = pathKey(diag.file);
+            if (!byFile.has(key)) byFile.set(key, { file: diag.file, diagnostics: [] });
+            byFile.get(key).diagnostics.push(diag);
+            affected.set(key, diag.file);
+        }
+        if (byFile.size > 0) {
+            this._mains.set(mainKey, { mainPath, byFile });
+        } else {
+            this._mains.delete(mainKey);
+        }
+        return [...affected.values()];
+    }
+
+    /**
+     * Merged diagnostics for one file across every recorded main.
+     * @param {string} filePath
+     * @returns {vscode.Diagnostic[]}
+     */
+    getFileDiagnostics(filePath) {
+        const fileKey = pathKey(filePath);
+        const merged = new Map();
+        for (const [mainKey, { mainPath, byFile }] of this._mains) {
+            const entry = byFile.get(fileKey);
+            if (!entry) continue;
+            const isHeader = mainKey !== fileKey;
+            for (const diag of entry.diagnostics) {
+                const key = diagnosticKey(diag);
+                let slot = merged.get(key);
+                if (!slot) {
+                    slot = { diagnostic: toVscodeDiagnostic(diag), mains: [] };
+                    merged.set(key, slot);
+                }
+                if (isHeader && !slot.mains.includes(mainPath)) slot.mains.push(mainPath);
+            }
+        }
+
+        return [...merged.values()].map(({ diagnostic, mains }) => {
+            if (mains.length > 0) {
+                diagnostic.relatedInformation = mains.map(mainPath => new vscode.DiagnosticRelatedInformation(
+                    new vscode.Location(vscode.Uri.file(mainPath), new vscode.Range(0, 0, 0, 0)),
+                    `Reported while compiling ${pathModule.basename(mainPath)}`
+                ));
+            }
+            return diagnostic;
+        });
+    }
+
+    /** @returns {string[]} recorded main paths */
+    getMains() {
+        return [...this._mains.values()].map(m => m.mainPath);
+    }
+
+    /**
+     * Forget the mains that no longer exist, e.g. after a delete or rename.
+     * @param {(mainPath: string) => boolean} [exists]
+     * @returns {string[]} files whose merged diagnostics may have changed
+     */
+    evictMissing(exists = fs.existsSync) {
+        const affected = [];
+        for (const mainPath of this.getMains()) {
+            if (!exists(mainPath)) affected.push(...this.record(mainPath, []));
+        }
+        return affected;
+    }
+
+    /**
+     * Push the merged diagnostics of `files` to the collection.
+     * @param {string[]} files
+     */
+    publish(files) {
+        if (!this._collection) return;
+        for (const file of files) {
+            this._collection.set(vscode.Uri.file(file), this.getFileDiagnostics(file));
+        }
+    }
+
+    /**
+     * record() + publish() for a single compile.
+     * @returns {string[]} affected files
+     */
+    update(mainPath, logDiagnostics) {
+        const affected = this.record(mainPath, logDiagnostics);
+        this.publish(affected);
+        return affected;
+    }
+
+    clear() {
+        this._mains.clear();
+        if (this._collection) this._collection.clear();
+    }
+}
+
+module.exports = {
+    toVscodeDiagnostic,
+    MainDiagnosticsStore,
+};
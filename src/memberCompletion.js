@@ -0,0 +1,277 @@
+'use strict';
+const vscode = require('vscode');
+const fs = require('fs');
+const pathModule = require('path');
+const { extractTopLevelFunctionDefs } = require('./createProperties');
+const { parseClasses } = require('./classMethods');
+const {
+    parseLocalsInScope, buildTypeDatabase, lookupClassMember, findEnclosingClassName,
+} = require('./debugInstrumentation');
+
+const STDLIB_STUBS = pathModule.join(__dirname, '..', 'files', 'mql5_stdlib_stubs.h');
+const REG_ACCESS_LABEL = /^\s*(public|protected|private)\s*:/;
+
+/**
+ * Receiver chain before a trailing `.` / `->` and the partial member name
+ * typed after it, e.g. `m_trade.Result()->` → `[m_trade, Result()]`.
+ * Calls and indexes in the chain may not nest.
+ *
+ * @param {string} linePrefix - Line text up to the cursor
+ * @returns {{ parts: Array<{ name: string, call: boolean }>, partial: string }|null}
+ */
+function parseMemberAccess(linePrefix) {
+    const m = linePrefix.match(/((?:[A-Za-z_]\w*\s*(?:\([^()]*\))?\s*(?:\[[^\]]*\])*\s*(?:\.|->)\s*)+)(\w*)$/);
+    if (!m) return null;
+    const before = linePrefix.slice(0, m.index);
+    if (/[\w.]$/.test(before)) return null;
+    const parts = m[1].split(/\.|->/).map(p => p.trim()).filter(Boolean).map(p => ({
+        name: p.match(/^[A-Za-z_]\w*/)[0],
+        call: /\(/.test(p),
+    }));
+    return { parts, partial: m[2] };
+}
+
+function baseType(type) {
+    return (type || '').replace(/\b(?:const|static|virtual)\b/g, '').replace(/[*&\s]/g, '');
+}
+
+/**
+ * Classes of one source: fields from `buildTypeDatabase`, methods with their
+ * signatures from `parseClasses`, and the access level of every member.
+ *
+ * @param {string} text
+ * @returns {Map<string, { parent: string|null, fields: object[], methods: object[] }>}
+ */
+function buildClassModel(text) {
+    const lines = text.split('\n');
+    const { classMap } = buildTypeDatabase(new Map([['', { lines }]]));
+    const model = new Map();
+    for (const cls of parseClasses(text)) {
+        if (model.has(cls.name)) continue;
+        let access = cls.kind === 'struct' ? 'public' : 'private';
+        const accessByLine = new Map();
+        for (let line = cls.startLine; line <= cls.endLine; line++) {
+            const label = (lines[line] || '').match(REG_ACCESS_LABEL);
+            if (label) access = label[1];
+            accessByLine.set(line, access);
+        }
+        const lineOfField = name => {
+            const re = new RegExp(`\\b${name}\\b\\s*(?:\\[|=|;|,)`);
+            for (let line = cls.startLine + 1; line < cls.endLine; line++) if (re.test(lines[line])) return line;
+            return cls.startLine;
+        };
+
+        const typeInfo = classMap.get(cls.name);
+        const fields = typeInfo
+            ? [...typeInfo.members].map(([name, info]) => ({ name, type: info.type, isArray: info.isArray, access: accessByLine.get(lineOfField(name)) }))
+            : [];
+        const methods = cls.methods
+            .filter(method => !method.isConstructor)
+            .map(method => ({ ...method, access: accessByLine.get(method.line) }));
+        model.set(cls.name, { parent: cls.bases[0] || (typeInfo && typeInfo.parent) || null, fields, methods });
+    }
+    // Built-in structs (MqlTick, MqlRates, …) have no source to parse
+    for (const [name, typeInfo] of classMap) {
+        if (model.has(name)) continue;
+        const fields = [...typeInfo.members].map(([field, info]) => ({ name: field, type: info.type, isArray: info.isArray, access: 'public' }));
+        model.set(name, { parent: typeInfo.parent, fields, methods: [] });
+    }
+    return model;
+}
+
+let _stdlib = null;
+function getStdlibModel() {
+    if (!_stdlib) {
+        let text = '';
+        try {
+            text = fs.readFileSync(STDLIB_STUBS, 'utf8');
+        } catch {
+            text = '';
+        }
+        _stdlib = { text, model: buildClassModel(text) };
+    }
+    return _stdlib.model;
+}
+
+/** Classes, functions and globals of one source, cached per file by the workspace index. */
+function parseSource(text) {
+    return {
+        model: buildClassModel(text),
+        functions: extractTopLevelFunctionDefs(text),
+        globalMap: buildTypeDatabase(new Map([['', { lines: text.split('\n') }]])).globalMap,
+    };
+}
+
+function isDerivedFrom(models, className, baseName) {
+    const visited = new Set();
+    for (let current = className; current && !visited.has(current); current = lookupClass(models, current)?.parent) {
+        if (current === baseName) return true;
+        visited.add(current);
+    }
+    return false;
+}
+
+function lookupClass(models, name) {
+    for (const model of models) if (model.has(name)) return model.get(name);
+    return null;
+}
+
+/**
+ * Fields and methods reachable on `className`, own members first, then
+ * inherited ones. Overloads are merged into one entry per name.
+ */
+function collectMembers(models, className, { includeNonPublic }) {
+    const members = new Map();
+    const visited = new Set();
+    for (let current = className; current && !visited.has(current);) {
+        visited.add(current);
+        const cls = lookupClass(models, current);
+        if (!cls) break;
+        const visible = m => includeNonPublic ? (current === className || m.access !== 'private') : m.access === 'public';
+        for (const field of cls.fields.filter(visible)) {
+            if (!members.has(field.name)) members.set(field.name, { kind: 'field', owner: current, field });
+        }
+        for (const method of cls.methods.filter(visible)) {
+            const entry = members.get(method.name);
+            if (!entry) members.set(method.name, { kind: 'method', owner: current, overloads: [method] });
+            else if (entry.kind === 'method' && entry.owner === current) entry.overloads.push(method);
+        }
+        current = cls.parent;
+    }
+    return members;
+}
+
+/**
+ * Completion of fields and methods after `.` and `->`. The receiver's type
+ * comes from locals, parameters and globals (the debugger's type database),
+ * walked through fields and method return types of user classes and the
+ * standard library stubs.
+ */
+class MqlMemberCompletionProvider {
+    /**
+     * @param {object} deps
+     * @param {(document: vscode.TextDocument) => Promise<string[]>} deps.collectFiles - Include closure of the document
+     * @param {import('./workspaceIndex').WorkspaceSymbolIndex} deps.index
+     */
+    constructor({ index, collectFiles }) {
+        this._index = index;
+        this._collectFiles = collectFiles;
+    }
+
+    async provideCompletionItems(document, position) {
+        const text = document.getText();
+        const linePrefix = (text.split('\n')[position.line] || '').slice(0, position.character);
+        const access = parseMemberAccess(linePrefix);
+        if (!access) return undefined;
+        // Scope lookups walk braces backwards; what follows the cursor must not count
+        const lines = text.split('\n').slice(0, position.line);
+        lines.push(linePrefix);
+
+        let files = [];
+        try {
+            files = await this._collectFiles(document);
+        } catch {
+            files = [];
+        }
+        const own = this._index.parsedDocument(document, 'members', parseSource);
+        const sources = [{ ...own, globalMap: buildTypeDatabase(new Map([['', { lines }]])).globalMap }];
+        for (const filePath of files) {
+            if (filePath === document.fileName) continue;
+            const source = await this._index.parsed(filePath, 'members', parseSource);
+            if (source) sources.push(source);
+        }
+
+        const models = [...sources.map(s => s.model), getStdlibModel()];
+        const globalMap = new Map();
+        for (const source of sources) {
+            for (const [name, info] of source.globalMap) {
+                if (!globalMap.has(name)) globalMap.set(name, info);
+            }
+        }
+        const functions = sources.flatMap(s => s.functions);
+        const enclosingClass = findEnclosingClassName(lines, position.line + 1);
+        const locals = parseLocalsInScope(lines, position.line + 1);
+
+        const type = this._resolveType(access.parts, { models, globalMap, functions, enclosingClass, locals });
+        if (!type || !lookupClass(models, type)) return undefined;
+
+        const includeNonPublic = !!enclosingClass && isDerivedFrom(models, enclosingClass, type);
+        return [...collectMembers(models, type, { includeNonPublic })].map(([name, member]) => this._item(name, member));
+    }
+
+    _resolveType(parts, { models, globalMap, functions, enclosingClass, locals }) {
+        const [root, ...rest] = parts;
+        let type = null;
+        if (root.name === 'this') {
+            type = enclosingClass;
+        } else if (root.call) {
+            const own = enclosingClass && this._method(models, enclosingClass, root.name);
+            const fn = functions.find(f => f.name === root.name);
+            type = own ? own.returnType : fn ? fn.returnType : null;
+        } else {
+            const local = locals.find(l => l.name === root.name);
+            const field = !local && enclosingClass && lookupClassMember(this._typeMap(models), enclosingClass, root.name);
+            type = local ? local.type : field ? field.type : globalMap.has(root.name) ? globalMap.get(root.name).type : null;
+        }
+        for (const part of rest) {
+            if (!type) return null;
+            type = baseType(type);
+            if (part.call) {
+                const method = this._method(models, type, part.name);
+                type = method ? method.returnType : null;
+            } else {
+                const field = lookupClassMember(this._typeMap(models), type, part.name);
+                type = field ? field.type : null;
+            }
+        }
+        return type ? baseType(type) : null;
+    }
+
+    _method(models, className, name) {
+        const visited = new Set();
+        for (let current = className; current && !visited.has(current);) {
+            visited.add(current);
+            const cls = lookupClass(models, current);
+            if (!cls) return null;
+            const method = cls.methods.find(m => m.name === name);
+            if (method) return method;
+            current = cls.parent;
+        }
+        return null;
+    }
+
+    /** Class map in `buildTypeDatabase` shape, for `lookupClassMember`. */
+    _typeMap(models) {
+        const map = new Map();
+        for (const model of [...models].reverse()) {
+            for (const [name, cls] of model) {
+                map.set(name, { parent: cls.parent, members: new Map(cls.fields.map(f => [f.name, { type: f.type, isArray: f.isArray }])) });
+            }
+        }
+        return map;
+    }
+
+    _item(name, member) {
+        if (member.kind === 'field') {
+            const { field } = member;
+            const item = new vscode.CompletionItem(name, vscode.CompletionItemKind.Field);
+            item.detail = `${field.type} ${member.owner}::${name}${field.isArray ? '[]' : ''}`;
+            item.sortText = `0${name}`;
+            return item;
+        }
+        const [first, ...others] = member.overloads;
+        const signature = m => `${m.returnType} ${member.owner}::${name}(${m.params})${m.isConst ? ' const' : ''}`;
+        const item = new vscode.CompletionItem(name, vscode.CompletionItemKind.Method);
+        item.detail = others.length > 0 ? `${signature(first)} (+${others.length} overloads)` : signature(first);
+        item.documentation = new vscode.MarkdownString(member.overloads.map(m => `\`${signature(m)}\``).join('\n\n'));
+        item.insertText = new vscode.SnippetString(`${name}($0)`);
+        item.sortText = `1${name}`;
+        return item;
+    }
+}
+
+module.exports = {
+    parseMemberAccess,
+    buildClassModel,
+    MqlMemberCompletionProvider,
+};
@@ -0,0 +1,353 @@
+'use strict';
+// MetaEditor invocation and log parsing shared by the extension and the
+// headless compile CLI (tools/mql-compile). Must not depend on `vscode`.
+const url = require('url');
+const fs = require('fs');
+const pathModule = require('path');
+const { fromWineWindowsPath } = require('./wineHelper');
+
+const REG_COMPILING = /: information: (?:compiling|checking)/;
+const REG_INCLUDE = /: information: including/;
+const REG_INFO = /: information: info/;
+const REG_RESULT = /(?:Result:|: information: result)/;
+const REG_ERR_WAR = /(?!0)\d+.(?:error|warning)/;
+const REG_RESULT_SHORT = /\d+.error.+/;
+const REG_LINE_PATH = /([a-zA-Z]:\\.+(?= :)|^\(\d+,\d+\))(?:.: )(.+)/;
+const REG_ERROR_CODE = /(?<=error |warning )\d+/;
+const REG_FULL_PATH = /[a-z]:\\.+/gi;
+const REG_LINE_POS = /\((?:\d+,\d+)\)$/gm;
+const REG_LINE_FRAGMENT = /\((?=(\d+,\d+).$)/gm;
+
+/**
+ * Build command arguments for MetaEditor on Windows.
+ * Returns an object with executable and args array for use with child_process.spawn.
+ * MetaEditor requires: /compile:"path" (quotes are part of the argument value)
+ *
+ * Only processes known MetaEditor flags (/compile:, /log:, /inc:) to avoid corrupting
+ * Windows paths like C:\foo. Skips values already wrapped in quotes to avoid double-quoting.
+ */
+function buildMetaEditorCmd(executable, args) {
+    const metaEditorFlags = ['/compile:', '/log:', '/inc:'];
+    const processedArgs = args.map(arg => {
+        const matchingFlag = metaEditorFlags.find(flag => arg.toLowerCase().startsWith(flag));
+        if (!matchingFlag) {
+            return arg;
+        }
+        const value = arg.substring(matchingFlag.length);
+        if (value.startsWith('"') && value.endsWith('"')) {
+            return arg;
+        }
+        // Strip trailing backslashes to prevent \" ambiguity when the closing quote
+        // immediately follows a backslash (e.g., /inc:"C:\dir\"). Windows APIs handle
+        // directory paths identically with or without trailing separators.
+        const safeValue = value.replace(/\\+$/, '');
+        return `${matchingFlag}"${safeValue}"`;
+    });
+    return { executable, args: processedArgs };
+}
+
+/**
+ * Infers the MQL data folder (the one containing Include/, Experts/, Logs/, …)
+ * by walking up the directory tree from the given source file path.
+ *
+ * This mirrors the heuristic used by LogTailer.inferDataFolder() but works
+ * directly on a file path rather than reading from the active editor, so it
+ * can be called during headless compilation (e.g. from compilePath).
+ *
+ * @param {string} filePath - Absolute path to the MQL source file being compiled
+ * @param {boolean} isMql5  - true for MQL5, false for MQL4
+ * @returns {string|null}   - Inferred data-folder path, or null if not found
+ */
+function inferMqlDataDirFromPath(filePath, isMql5) {
+    const targetDirName = isMql5 ? 'MQL5' : 'MQL4';
+    let current = pathModule.dirname(filePath);
+    const root = pathModule.parse(current).root;
+    while (current && current !== root) {
+        if (pathModule.basename(current).toUpperCase() === targetDirName) {
+            if (fs.existsSync(pathModule.join(current, 'Include')) ||
+                fs.existsSync(pathModule.join(current, 'Logs'))) {
+                return current;
+            }
+        }
+        const parent = pathModule.dirname(current);
+        if (parent === current) break;
+        current = parent;
+    }
+    return null;
+}
+
+// ---------------------------------------------------------------------------
+// CPU Architecture setting for MetaEditor compilation
+// ---------------------------------------------------------------------------
+
+/** Mapping of user-facing enum values to the numeric values used in .mqproj files.
+ *  0 = X64 Regular, 1 = AVX, 2 = AVX2 + FMA3, 3 = AVX512 + FMA3
+ */
+const CPU_ARCH_MAP = {
+    'x64': 0,
+    'avx': 1,
+    'avx2': 2,
+    'avx512': 3,
+};
+
+/**
+ * Create a temporary .mqproj file that wraps the source file with a cpu_architecture setting.
+ * The project is placed in the same directory as the source file so relative paths work.
+ *
+ * @param {string} sourcePath - Absolute path to the .mq4/.mq5 source file
+ * @param {number|null} archValue - Numeric architecture value (0–3), or null to leave
+ *                                  the architecture to MetaEditor
+ * @param {object} [flags]        - Compiler switches (used by build profiles)
+ * @param {boolean} [flags.optimize=true]
+ * @param {boolean} [flags.fpZeroCheck=true] - Division-by-zero checks for floating point
+ * @returns {string} Absolute path to the created temporary .mqproj file
+ */
+function createTempMqproj(sourcePath, archValue, flags = {}) {
+    const sourceDir = pathModule.dirname(sourcePath);
+    const sourceBasename = pathModule.basename(sourcePath);
+    const ext = pathModule.extname(sourcePath).toLowerCase();
+    const isMql4 = ext === '.mq4';
+
+    // Determine program_type from path heuristics
+    let programType = 'expert';
+    const lower = sourcePath.toLowerCase();
+    if (lower.includes('indicator')) programType = 'indicator';
+    else if (lower.includes('script')) programType = 'script';
+    else if (lower.includes('service')) programType = 'service';
+    else if (lower.includes('library')) programType = 'library';
+
+    const project = {
+        'platform': isMql4 ? 'mt4' : 'mt5',
+        'program_type': programType,
+        'optimize': flags.optimize === false ? '0' : '1',
+        'fpzerocheck': flags.fpZeroCheck === false ? '0' : '1',
+        ...(archValue !== null && archValue !== undefined ? { 'cpu_architecture': String(archValue) } : {}),
+        'files': [
+            {
+                'path': `.\\${sourceBasename}`,
+                'compile': 'true',
+                'relative_to_project': 'true'
+            }
+        ]
+    };
+
+    // Include the source name and a random suffix so parallel compiles (Build All)
+    // of sibling files in the same folder never share a project file.
+    const projName = `._mql_clangd_cpu_arch_${pathModule.basename(sourcePath, ext)}_${Date.now()}_${Math.random().toString(36).slice(2, 8)}.mqproj`;
+    const projPath = pathModule.join(sourceDir, projName);
+
+    // MetaEditor expects UTF-16 LE with BOM
+    const json = JSON.stringify(project, null, 2);
+    const bom = Buffer.from([0xFF, 0xFE]);
+    const encoded = Buffer.from(json, 'utf16le');
+    fs.writeFileSync(projPath, Buffer.concat([bom, encoded]));
+
+    return projPath;
+}
+
+/**
+ * Clean up the temporary .mqproj file created by createTempMqproj.
+ *
+ * @param {string} projPath - Path to the temp .mqproj file
+ */
+function cleanupTempMqproj(projPath) {
+    try {
+        if (projPath && fs.existsSync(projPath)) {
+            fs.unlinkSync(projPath);
+        }
+    } catch { /* best effort */ }
+}
+
+/**
+ * Wait for MetaEditor's compile log to appear. The process can exit before
+ * the log is flushed, so poll for it instead of checking once.
+ *
+ * @param {string} logFile
+ * @param {object} [options]
+ * @param {number} [options.attempts=30] - Polls before giving up
+ * @param {number} [options.intervalMs=100]
+ * @param {number} [options.graceMs=50] - Extra wait once a late log shows up, so the write completes
+ * @returns {Promise<boolean>} false when the log never appeared
+ */
+async function waitForLogFile(logFile, { attempts = 30, intervalMs = 100, graceMs = 50 } = {}) {
+    const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+    for (let attempt = 0; attempt < attempts; attempt++) {
+        if (fs.existsSync(logFile)) {
+            if (attempt > 0) await sleep(graceMs);
+            return true;
+        }
+        await sleep(intervalMs);
+    }
+    return fs.existsSync(logFile);
+}
+
+/**
+ * Parse a MetaEditor compile log into display text, hover links and diagnostics.
+ *
+ * Positions are 0-based. `severity` is `'error'` or `'warning'`; the VS Code
+ * extension maps these to `vscode.Diagnostic`s, the CLI prints them as-is.
+ * MQL181 (implicit number → string conversion) is dropped as noise.
+ * `includes` lists the headers MetaEditor reported as `information: including`,
+ * in log order and without duplicates.
+ *
+ * @param {string} str        - Log contents (UTF-16 decoded)
+ * @param {boolean} f         - true for Check mode (affects the summary line format)
+ * @param {string} [winePrefix] - Wine prefix used to map `C:\...` paths back to Unix paths
+ * @returns {{ text: string, obj_hover: object, error: boolean,
+ *             diagnostics: Array<{file: string, line: number, character: number, message: string, severity: 'error'|'warning', errorCode: string|null}>,
+ *             includes: string[]}}
+ */
+function parseMetaEditorLog(str, f, winePrefix) {
+    let text = f ? '' : '\n\n', obj_hover = {}, ye = false, diagnostics = [];
+    const includes = new Set();
+    if (!str) return { text, obj_hover, error: ye, diagnostics, includes: [] };
+
+    const lines = str.replace(/\u{FEFF}/gu, '').split('\n');
+    for (const item of lines) {
+        const trimmed = item.trim();
+        if (!trimmed) continue;
+
+        if (REG_COMPILING.test(item)) {
+            const isCompiling = item.includes('compiling');
+            const regEx = new RegExp(`(?<=${isCompiling ? 'compiling' : 'checking'}.).+'`, 'gi');
+            const mName = item.match(regEx);
+            const mPath = item.match(/[a-zA-Z]:\\.+(?= :)/gi);
+
+            if (mName && mPath) {
+                const name = mName[0];
+                const resolvedPath = fromWineWindowsPath(mPath[0], winePrefix);
+                const link = url.pathToFileURL(resolvedPath).href;
+                obj_hover[name] = { link };
+                text += name + '\n';
+            }
+        }
+        else if (REG_INCLUDE.test(item)) {
+            const mName = item.match(/(?<=information: including ).+'/gi);
+            const mPath = item.match(/[a-zA-Z]:\\.+(?= :)/gi);
+            if (mPath) includes.add(fromWineWindowsPath(mPath[0], winePrefix));
+            if (mName && mPath) {
+                const name = mName[0];
+                const resolvedPath = fromWineWindowsPath(mPath[0], winePrefix);
+                const link = url.pathToFileURL(resolvedPath).href;
+                obj_hover[name] = { link };
+                text += name + '\n';
+            }
+        }
+        else if (item.includes('information: generating code') || item.includes('information: code generated')) {
+            continue;
+        }
+        else if (REG_INFO.test(item)) {
+            const mName = item.match(/(?<=information: ).+/gi);
+            const mPath = item.match(/[a-zA-Z]:\\.+(?= :)/gi);
+            if (mName && mPath) {
+                const name = mName[0];
+                const resolvedPath = fromWineWindowsPath(mPath[0], winePrefix);
+                const link = url.pathToFileURL(resolvedPath).href;
+                obj_hover[name] = { link };
+                text += name + '\n';
+            }
+        }
+        else if (REG_RESULT.test(item)) {
+            const mErrWar = item.match(REG_ERR_WAR);
+            const mSummary = item.match(REG_RESULT_SHORT);
+            const summaryText = mSummary ? mSummary[0] : item;
+
+            if (mErrWar) {
+                const isErr = mErrWar[0].includes('error');
+                if (isErr) ye = true;
+                text += f ? `[${isErr ? 'Error' : 'Warning'}] ${item}` : `[${isErr ? 'Error' : 'Warning'}] Result: ${summaryText}`;
+            } else {
+                text += f ? `[Done] ${item}` : `[Done] Result: ${summaryText}`;
+            }
+            text += '\n';
+        }
+        else {
+            const mLinePath = item.match(REG_LINE_PATH);
+            if (mLinePath) {
+                const link_res = (mLinePath[1] || '').replace(/[\r\n]+/g, '');
+                let name_res = (mLinePath[2] || '').replace(/[\r\n]+/g, '');
+
+                const gh_match = name_res.match(REG_ERROR_CODE);
+                const gh = gh_match ? gh_match[0] : null;
+                name_res = name_res.replace(gh || '', '').replace(/^(error|warning)\s*:\s*/i, '').trim();
+
+                if (link_res.match(REG_FULL_PATH) && name_res) {
+                    const mFullPath = link_res.match(/[a-zA-Z]:\\[^(\r\n]+/g);
+                    const mPos = link_res.match(/\((\d+),(\d+)\)$/);
+
+                    if (mFullPath && mPos) {
+                        const rawPath = mFullPath[0].replace(/\($/, '').trim();
+                        // On Linux/Wine, convert the Windows path emitted by MetaEditor to a
+                        // proper Linux path using the Wine prefix (e.g. C:\... → {prefix}/drive_c/...)
+                        const fullPath = fromWineWindowsPath(rawPath, winePrefix);
+                        const line = parseInt(mPos[1]) - 1;
+                        const col = parseInt(mPos[2]) - 1;
+                        const severity = item.toLowerCase().includes('error') ? 'error' : 'warning';
+
+                        // Filter out MQL181 (implicit conversion from number to string)
+                        // These are noise since Print/PrintLive accept any type via implicit conversion
+                        // Broadened check to catch various formats of this warning
+                        const isMQL181 = gh === '181' ||
+                            (name_res.toLowerCase().includes('implicit conversion') &&
+                                ((name_res.includes("'number'") || name_res.includes('number')) &&
+                                    (name_res.includes("'string'") || name_res.includes('string'))));
+                        if (isMQL181) {
+                            continue; // Skip this warning entirely
+                        }
+
+                        if (severity === 'error') ye = true;
+
+                        diagnostics.push({
+                            file: fullPath,
+                            line,
+                            character: col,
+                            message: name_res,
+                            severity: severity,
+                            errorCode: gh  // Include error code for documentation link
+                        });
+
+                        // Build hover link: resolve the raw Windows path portion of link_res
+                        // (which may include position suffix like "(10,5)") to a Linux path,
+                        // then let pathToFileURL produce a valid file:// URL.
+                        const resolvedLinkRes = fromWineWindowsPath(link_res, winePrefix);
+                        const linePos = resolvedLinkRes.match(REG_LINE_POS);
+                        const hoverKey = (name_res + ' ' + (linePos ? linePos[0] : '')).trim();
+                        obj_hover[hoverKey] = {
+                            link: url.pathToFileURL(resolvedLinkRes).href.replace(REG_LINE_FRAGMENT, '#').replace(/\)$/gm, ''),
+                            number: gh ? String(gh) : null
+                        };
+
+                        const suffix = link_res.match(/(.)(?:\d+,\d+).$/gm);
+                        text += name_res + (suffix ? ' ' + suffix[0] : '') + '\n';
+                    } else {
+                        text += name_res + '\n';
+                    }
+
+                }
+                else {
+                    text += name_res + (gh ? ` ${gh}` : '') + '\n';
+                }
+            } else {
+                text += item + '\n';
+            }
+        }
+    }
+
+    return {
+        text: text,
+        obj_hover,
+        error: ye,
+        diagnostics: diagnostics,
+        includes: [...includes]
+    };
+}
+
+module.exports = {
+    buildMetaEditorCmd,
+    inferMqlDataDirFromPath,
+    CPU_ARCH_MAP,
+    createTempMqproj,
+    cleanupTempMqproj,
+    waitForLogFile,
+    parseMetaEditorLog,
+};
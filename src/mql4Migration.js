@@ -0,0 +1,728 @@
+'use strict';
+const vscode = require('vscode');
+const pathModule = require('path');
+const { detectMqlVersion, maskCommentsAndStrings, extractTopLevelFunctionDefs } = require('./createProperties');
+const { getObjItems } = require('./provider');
+const { markFixAllSafe } = require('./fixAll');
+
+const MIGRATION_SOURCE = 'MQL4→MQL5';
+
+/** MQL4 predefined variables and their MQL5 expressions. */
+const PREDEFINED_VARIABLES = {
+    Bid: 'SymbolInfoDouble(_Symbol, SYMBOL_BID)',
+    Ask: 'SymbolInfoDouble(_Symbol, SYMBOL_ASK)',
+    Point: '_Point',
+    Digits: '_Digits',
+    Bars: 'Bars(_Symbol, _Period)',
+};
+
+/** MQL4 timeseries arrays (`Close[i]`) and the MQL5 functions reading one bar. */
+const SERIES_ARRAYS = {
+    Open: 'iOpen',
+    High: 'iHigh',
+    Low: 'iLow',
+    Close: 'iClose',
+    Time: 'iTime',
+    Volume: 'iVolume',
+};
+
+/** MarketInfo() modes: [SymbolInfoDouble|SymbolInfoInteger, property]. */
+const MARKET_INFO_MODES = {
+    MODE_BID: ['Double', 'SYMBOL_BID'],
+    MODE_ASK: ['Double', 'SYMBOL_ASK'],
+    MODE_POINT: ['Double', 'SYMBOL_POINT'],
+    MODE_DIGITS: ['Integer', 'SYMBOL_DIGITS'],
+    MODE_SPREAD: ['Integer', 'SYMBOL_SPREAD'],
+    MODE_STOPLEVEL: ['Integer', 'SYMBOL_TRADE_STOPS_LEVEL'],
+    MODE_FREEZELEVEL: ['Integer', 'SYMBOL_TRADE_FREEZE_LEVEL'],
+    MODE_LOTSIZE: ['Double', 'SYMBOL_TRADE_CONTRACT_SIZE'],
+    MODE_TICKVALUE: ['Double', 'SYMBOL_TRADE_TICK_VALUE'],
+    MODE_TICKSIZE: ['Double', 'SYMBOL_TRADE_TICK_SIZE'],
+    MODE_SWAPLONG: ['Double', 'SYMBOL_SWAP_LONG'],
+    MODE_SWAPSHORT: ['Double', 'SYMBOL_SWAP_SHORT'],
+    MODE_MINLOT: ['Double', 'SYMBOL_VOLUME_MIN'],
+    MODE_MAXLOT: ['Double', 'SYMBOL_VOLUME_MAX'],
+    MODE_LOTSTEP: ['Double', 'SYMBOL_VOLUME_STEP'],
+};
+
+/** Parameterless MQL4 account/terminal functions. */
+const ACCOUNT_FUNCTIONS = {
+    AccountBalance: 'AccountInfoDouble(ACCOUNT_BALANCE)',
+    AccountEquity: 'AccountInfoDouble(ACCOUNT_EQUITY)',
+    AccountProfit: 'AccountInfoDouble(ACCOUNT_PROFIT)',
+    AccountMargin: 'AccountInfoDouble(ACCOUNT_MARGIN)',
+    AccountFreeMargin: 'AccountInfoDouble(ACCOUNT_MARGIN_FREE)',
+    AccountCredit: 'AccountInfoDouble(ACCOUNT_CREDIT)',
+    AccountNumber: '(int)AccountInfoInteger(ACCOUNT_LOGIN)',
+    AccountLeverage: '(int)AccountInfoInteger(ACCOUNT_LEVERAGE)',
+    AccountCurrency: 'AccountInfoString(ACCOUNT_CURRENCY)',
+    AccountName: 'AccountInfoString(ACCOUNT_NAME)',
+    AccountServer: 'AccountInfoString(ACCOUNT_SERVER)',
+    AccountCompany: 'AccountInfoString(ACCOUNT_COMPANY)',
+    IsTesting: '(bool)MQLInfoInteger(MQL_TESTER)',
+    IsOptimization: '(bool)MQLInfoInteger(MQL_OPTIMIZATION)',
+    IsVisualMode: '(bool)MQLInfoInteger(MQL_VISUAL_MODE)',
+    IsTradeAllowed: '(bool)MQLInfoInteger(MQL_TRADE_ALLOWED)',
+    IsConnected: '(bool)TerminalInfoInteger(TERMINAL_CONNECTED)',
+};
+
+/** Order accessors of a selected MQL4 order and the equivalent for the selected MQL5 position. */
+const ORDER_ACCESSORS = {
+    OrderTicket: 'PositionGetInteger(POSITION_TICKET)',
+    OrderSymbol: 'PositionGetString(POSITION_SYMBOL)',
+    OrderType: '(ENUM_POSITION_TYPE)PositionGetInteger(POSITION_TYPE)',
+    OrderLots: 'PositionGetDouble(POSITION_VOLUME)',
+    OrderOpenPrice: 'PositionGetDouble(POSITION_PRICE_OPEN)',
+    OrderStopLoss: 'PositionGetDouble(POSITION_SL)',
+    OrderTakeProfit: 'PositionGetDouble(POSITION_TP)',
+    OrderProfit: 'PositionGetDouble(POSITION_PROFIT)',
+    OrderSwap: 'PositionGetDouble(POSITION_SWAP)',
+    OrderMagicNumber: 'PositionGetInteger(POSITION_MAGIC)',
+    OrderComment: 'PositionGetString(POSITION_COMMENT)',
+    OrderOpenTime: '(datetime)PositionGetInteger(POSITION_TIME)',
+};
+
+/** MQL4-only order functions without a one-to-one MQL5 replacement. */
+const ORDER_FUNCTIONS = {
+    OrderClose: 'use CTrade::PositionClose() or PositionClosePartial()',
+    OrderModify: 'use CTrade::PositionModify() or OrderModify()',
+    OrderDelete: 'use CTrade::OrderDelete()',
+    OrdersHistoryTotal: 'use HistorySelect() and HistoryDealsTotal()',
+    OrderClosePrice: 'read DEAL_PRICE of the closing deal from the history',
+    OrderCloseTime: 'read DEAL_TIME of the closing deal from the history',
+    OrderCommission: 'read DEAL_COMMISSION from the history',
+    OrderExpiration: 'use OrderGetInteger(ORDER_TIME_EXPIRATION)',
+    RefreshRates: 'prices are always current in MQL5; remove the call',
+};
+
+const ORDER_TYPES = {
+    OP_BUY: 'ORDER_TYPE_BUY',
+    OP_SELL: 'ORDER_TYPE_SELL',
+    OP_BUYLIMIT: 'ORDER_TYPE_BUY_LIMIT',
+    OP_SELLLIMIT: 'ORDER_TYPE_SELL_LIMIT',
+    OP_BUYSTOP: 'ORDER_TYPE_BUY_STOP',
+    OP_SELLSTOP: 'ORDER_TYPE_SELL_STOP',
+};
+const NUMERIC_ORDER_TYPES = ['OP_BUY', 'OP_SELL', 'OP_BUYLIMIT', 'OP_SELLLIMIT', 'OP_BUYSTOP', 'OP_SELLSTOP'];
+
+/**
+ * MQL4 argument layout of indicators that return values: total arity, the
+ * index of the buffer (`mode`) argument, and how the remaining arguments map
+ * onto the MQL5 handle signature. The shift is always the last argument; by
+ * default the MQL5 arguments are the leading ones.
+ */
+const INDICATORS = {
+    iMA: { arity: 7 },
+    iRSI: { arity: 5 },
+    iATR: { arity: 4 },
+    iCCI: { arity: 5 },
+    iMomentum: { arity: 5 },
+    iStdDev: { arity: 7 },
+    iWPR: { arity: 4 },
+    iSAR: { arity: 5 },
+    iDeMarker: { arity: 4 },
+    iOsMA: { arity: 7 },
+    iMACD: { arity: 8, mode: 6 },
+    iBands: { arity: 8, mode: 6, order: [0, 1, 2, 4, 3, 5] },
+    iStochastic: { arity: 9, mode: 7, priceField: 6 },
+    iADX: { arity: 6, mode: 4, order: [0, 1, 2] },
+};
+
+const BUFFER_MODES = {
+    MODE_MAIN: '0',
+    MODE_SIGNAL: '1',
+    MODE_UPPER: '1',
+    MODE_LOWER: '2',
+    MODE_PLUSDI: '1',
+    MODE_MINUSDI: '2',
+};
+
+const STO_PRICE_FIELDS = { 0: 'STO_LOWHIGH', 1: 'STO_CLOSECLOSE' };
+
+const INDICATOR_HELPER = [
+    '// Reads one value of an indicator buffer (added by the MQL4 → MQL5 migration).',
+    'double IndicatorValue(int handle, int buffer, int shift)',
+    '{',
+    '    double value[1];',
+    '    if(handle == INVALID_HANDLE || CopyBuffer(handle, buffer, shift, 1, value) != 1)',
+    '        return EMPTY_VALUE;',
+    '    return value[0];',
+    '}',
+];
+
+const REG_TRADE_INCLUDE = /#include\s*<Trade[\\/]Trade\.mqh>/i;
+const REG_DECLARATION = /\b(?:double|float|int|uint|long|ulong|short|ushort|char|uchar|bool|string|datetime|color)\s+(?:&\s*)?([A-Za-z_]\w*)\s*(?=[;=,)[])/g;
+
+/**
+ * Number of parameters of a function in the MQL5 catalogue (data/items.json).
+ * @returns {number|null} null when the catalogue does not know the function
+ */
+function catalogueArity(name) {
+    const signature = catalogueSignature(name);
+    if (!signature) return null;
+    const params = signature.slice(signature.indexOf('(') + 1, signature.lastIndexOf(')')).trim();
+    return params && params !== 'void' ? splitArguments(params).length : 0;
+}
+
+function catalogueSignature(name) {
+    const item = getObjItems()[name];
+    return item && item.code && item.code[0] ? item.code[0].label : null;
+}
+
+function splitArguments(argsText) {
+    const out = [];
+    let depth = 0;
+    let start = 0;
+    for (let i = 0; i < argsText.length; i++) {
+        const c = argsText[i];
+        if (c === '(' || c === '[') depth++;
+        else if (c === ')' || c === ']') depth--;
+        else if (c === ',' && depth === 0) {
+            out.push([start, i]);
+            start = i + 1;
+        }
+    }
+    out.push([start, argsText.length]);
+    return out;
+}
+
+function matchingBracket(masked, open) {
+    const openChar = masked[open];
+    const closeChar = openChar === '(' ? ')' : openChar === '[' ? ']' : '}';
+    let depth = 0;
+    for (let i = open; i < masked.length; i++) {
+        if (masked[i] === openChar) depth++;
+        else if (masked[i] === closeChar && --depth === 0) return i;
+    }
+    return -1;
+}
+
+/**
+ * Names the migration must not touch in `text`: functions it defines and
+ * variables it declares (an EA may already have its own `double Bid;`).
+ *
+ * @param {string} text - Document text
+ * @param {string} [fileName] - Used to decide between MQL4 and MQL5 wording
+ */
+function buildMigrationContext(text, fileName) {
+    const masked = maskCommentsAndStrings(text);
+    const declared = new Set();
+    let m;
+    REG_DECLARATION.lastIndex = 0;
+    while ((m = REG_DECLARATION.exec(masked)) !== null) declared.add(m[1]);
+    const trade = masked.match(/\bCTrade\s+([A-Za-z_]\w*)\s*;/);
+    return {
+        declared,
+        userFunctions: new Set(extractTopLevelFunctionDefs(text).map(fn => fn.name)),
+        tradeVar: trade ? trade[1] : 'trade',
+        hasTrade: Boolean(trade),
+        hasTradeInclude: REG_TRADE_INCLUDE.test(text),
+        hasIndicatorHelper: /\bdouble\s+IndicatorValue\s*\(/.test(masked),
+        eol: text.includes('\r\n') ? '\r\n' : '\n',
+        version: fileName ? detectMqlVersion(pathModule.dirname(fileName), fileName) : null,
+    };
+}
+
+/**
+ * Walk the identifiers of `text` and let `rules[name]` turn MQL4 constructs
+ * into findings. A finding with a replacement hides what it encloses: nested
+ * constructs are rewritten as part of it through `rewrite()`.
+ *
+ * @returns {Array<{ code: string, name: string, start: number, end: number, message: string,
+ *                   title?: string, replacement?: string, editStart: number, editEnd: number,
+ *                   before?: { offset: number, text: string }, needs: Set<string> }>}
+ */
+function visit(text, ctx, rules) {
+    const masked = maskCommentsAndStrings(text);
+    const findings = [];
+    const re = /\b[A-Za-z_]\w*\b/g;
+    let m;
+    while ((m = re.exec(masked)) !== null) {
+        const name = m[0];
+        const rule = Object.prototype.hasOwnProperty.call(rules, name) ? rules[name] : null;
+        if (!rule || ctx.userFunctions.has(name)) continue;
+        if (/(?:\.|->|::)\s*$/.test(masked.slice(Math.max(0, m.index - 4), m.index))) continue;
+
+        const node = { name, start: m.index, nameEnd: re.lastIndex, end: re.lastIndex, text, masked, isCall: false, args: null, index: null };
+        const next = re.lastIndex + masked.slice(re.lastIndex).search(/\S|$/);
+        if (masked[next] === '(' || masked[next] === '[') {
+            const close = matchingBracket(masked, next);
+            if (close < 0) continue;
+            const inner = text.slice(next + 1, close);
+            if (masked[next] === '(') {
+                node.isCall = true;
+                node.args = inner.trim() ? splitArguments(masked.slice(next + 1, close)).map(([s, e]) => inner.slice(s, e).trim()) : [];
+            } else {
+                node.index = inner.trim();
+            }
+            node.open = next;
+            node.end = close + 1;
+        }
+
+        let boundary = m.index - 1;
+        while (boundary >= 0 && !';{}'.includes(masked[boundary])) boundary--;
+        node.stmtStart = boundary + 1 + masked.slice(boundary + 1, m.index).search(/\S|$/);
+        node.isStatement = node.stmtStart === m.index && /^\s*;/.test(masked.slice(node.end));
+        const lineStart = text.lastIndexOf('\n', node.stmtStart - 1) + 1;
+        node.indent = text.slice(lineStart, node.stmtStart).match(/^\s*/)[0];
+
+        const needs = new Set();
+        const rewriteNested = (part, nestedRules = rules) => {
+            const result = rewrite(part, ctx, nestedRules);
+            result.needs.forEach(n => needs.add(n));
+            return result.text;
+        };
+        const finding = rule(node, ctx, rewriteNested);
+        if (!finding) continue;
+        for (const need of finding.needs || []) needs.add(need);
+        findings.push({
+            name,
+            start: node.start,
+            end: node.end,
+            editStart: node.start,
+            editEnd: node.end,
+            ...finding,
+            needs,
+        });
+        if (finding.replacement !== undefined) re.lastIndex = Math.max(re.lastIndex, finding.editEnd || node.end);
+    }
+    return findings;
+}
+
+/**
+ * Apply every finding with a replacement to `text`.
+ * @returns {{ text: string, needs: Set<string> }}
+ */
+function rewrite(text, ctx, rules) {
+    const needs = new Set();
+    const edits = [];
+    for (const finding of visit(text, ctx, rules)) {
+        if (finding.replacement === undefined) continue;
+        finding.needs.forEach(n => needs.add(n));
+        edits.push({ start: finding.editStart, end: finding.editEnd, newText: finding.replacement });
+        if (finding.before) edits.push({ start: finding.before.offset, end: finding.before.offset, newText: finding.before.text });
+    }
+    edits.sort((a, b) => b.start - a.start || b.end - a.end);
+    let out = text;
+    let limit = Infinity;
+    for (const edit of edits) {
+        if (edit.end > limit) continue;
+        out = out.slice(0, edit.start) + edit.newText + out.slice(edit.end);
+        limit = edit.start;
+    }
+    return { text: out, needs };
+}
+
+// ---------------------------------------------------------------------------
+// Rules
+// ---------------------------------------------------------------------------
+
+function predefinedRule(node, ctx) {
+    if (node.isCall || ctx.declared.has(node.name)) return null;
+    const replacement = PREDEFINED_VARIABLES[node.name];
+    return {
+        code: 'mql4-predefined',
+        start: node.start,
+        end: node.nameEnd,
+        editEnd: node.nameEnd,
+        message: `MQL4 predefined variable '${node.name}' does not exist in MQL5; use ${replacement}.`,
+        title: `MQL: Migrate '${node.name}' to ${replacement}`,
+        replacement,
+    };
+}
+
+function seriesRule(node, ctx, rw) {
+    if (node.index === null || ctx.declared.has(node.name)) return null;
+    const fn = SERIES_ARRAYS[node.name];
+    return {
+        code: 'mql4-series',
+        message: `MQL4 timeseries '${node.name}[]' does not exist in MQL5; use ${fn}(_Symbol, _Period, shift).`,
+        title: `MQL: Migrate '${node.name}[]' to ${fn}()`,
+        replacement: `${fn}(_Symbol, _Period, ${rw(node.index)})`,
+    };
+}
+
+function marketInfoRule(node, ctx, rw) {
+    if (!node.isCall || node.args.length !== 2) return null;
+    const mode = MARKET_INFO_MODES[node.args[1]];
+    if (!mode) {
+        return {
+            code: 'mql4-marketinfo',
+            message: `MarketInfo() does not exist in MQL5; use SymbolInfoDouble() or SymbolInfoInteger() for ${node.args[1]}.`,
+        };
+    }
+    const [kind, property] = mode;
+    const call = `SymbolInfo${kind}(${rw(node.args[0])}, ${property})`;
+    return {
+        code: 'mql4-marketinfo',
+        message: `MarketInfo() does not exist in MQL5; use ${call}.`,
+        title: `MQL: Migrate MarketInfo(${node.args[1]}) to SymbolInfo${kind}()`,
+        replacement: kind === 'Integer' ? `(int)${call}` : call,
+    };
+}
+
+function accountRule(node) {
+    if (!node.isCall || node.args.length !== 0 || catalogueSignature(node.name)) return null;
+    const replacement = ACCOUNT_FUNCTIONS[node.name];
+    return {
+        code: 'mql4-account',
+        message: `${node.name}() is MQL4-only; use ${replacement}.`,
+        title: `MQL: Migrate ${node.name}() to ${replacement.replace(/^\(\w+\)/, '').replace(/\(.*$/, '()')}`,
+        replacement,
+    };
+}
+
+function indicatorRule(node, ctx, rw) {
+    const layout = INDICATORS[node.name];
+    const mql5Arity = catalogueArity(node.name);
+    if (!node.isCall || mql5Arity === null || node.args.length !== layout.arity || mql5Arity >= layout.arity) return null;
+
+    const order = layout.order || [...Array(mql5Arity).keys()];
+    const args = order.map(i => {
+        const arg = node.args[i];
+        if (i === layout.priceField && STO_PRICE_FIELDS[arg]) return STO_PRICE_FIELDS[arg];
+        return rw(arg);
+    });
+    const mode = layout.mode !== undefined ? node.args[layout.mode] : '0';
+    const buffer = BUFFER_MODES[mode] || rw(mode);
+    const shift = rw(node.args[node.args.length - 1]);
+    return {
+        code: 'mql4-indicator',
+        message: `In MQL5 ${node.name}() returns an indicator handle: ${catalogueSignature(node.name)}. ` +
+            'Read values with CopyBuffer(); create the handle once in OnInit().',
+        title: `MQL: Migrate ${node.name}() to a handle read with CopyBuffer()`,
+        replacement: `IndicatorValue(${node.name}(${args.join(', ')}), ${buffer}, ${shift})`,
+        needs: ['indicatorHelper'],
+    };
+}
+
+function orderTypeOf(cmd, rw) {
+    if (ORDER_TYPES[cmd]) return { type: ORDER_TYPES[cmd], pending: !/^OP_(?:BUY|SELL)$/.test(cmd) };
+    if (/^[0-5]$/.test(cmd)) return orderTypeOf(NUMERIC_ORDER_TYPES[Number(cmd)], rw);
+    return { type: `(ENUM_ORDER_TYPE)${rw(cmd)}`, pending: false };
+}
+
+function orderSendRule(node, ctx, rw) {
+    if (!node.isCall || node.args.length <= catalogueArity('OrderSend')) return null;
+    const arg = i => (node.args[i] === undefined || node.args[i] === '' ? null : rw(node.args[i]));
+    const t = ctx.tradeVar;
+    const { type, pending } = orderTypeOf(node.args[1], rw);
+    const comment = arg(7);
+    const expiration = arg(9);
+    const hasExpiration = expiration !== null && expiration !== '0';
+
+    const call = pending
+        ? `${t}.OrderOpen(${arg(0)}, ${type}, ${arg(2)}, 0, ${arg(3)}, ${arg(5)}, ${arg(6)}, ` +
+          `${hasExpiration ? 'ORDER_TIME_SPECIFIED' : 'ORDER_TIME_GTC'}, ${hasExpiration ? expiration : 0}, ${comment || '""'})`
+        : `${t}.PositionOpen(${arg(0)}, ${type}, ${arg(2)}, ${arg(3)}, ${arg(5)}, ${arg(6)}${comment ? `, ${comment}` : ''})`;
+
+    const setup = [];
+    const magic = arg(8);
+    const slippage = arg(4);
+    if (magic !== null && magic !== '0') setup.push(`${t}.SetExpertMagicNumber(${magic});`);
+    if (slippage !== null && slippage !== '0') setup.push(`${t}.SetDeviationInPoints(${slippage});`);
+
+    return {
+        code: 'mql4-ordersend',
+        message: `OrderSend() with the MQL4 signature does not compile in MQL5 (${catalogueSignature('OrderSend')}); use CTrade.`,
+        title: `MQL: Migrate OrderSend() to CTrade::${pending ? 'OrderOpen' : 'PositionOpen'}()`,
+        replacement: node.isStatement ? call : `(${call} ? (long)${t}.ResultOrder() : -1)`,
+        before: setup.length ? { offset: node.stmtStart, text: setup.map(s => s + ctx.eol + node.indent).join('') } : undefined,
+        needs: ['ctrade'],
+    };
+}
+
+function orderSelectRule(node, ctx, rw) {
+    if (!node.isCall || node.args.length < 2) return null;
+    if (node.args[1] === 'SELECT_BY_TICKET') {
+        return {
+            code: 'mql4-orderselect',
+            message: 'MQL5 selects positions by ticket with PositionSelectByTicket() ' +
+                '(pending orders: OrderSelect(ticket), history: HistoryOrderSelect()).',
+            title: 'MQL: Migrate OrderSelect() to PositionSelectByTicket()',
+            replacement: `PositionSelectByTicket(${rw(node.args[0])})`,
+        };
+    }
+    return {
+        code: 'mql4-orderselect',
+        message: 'OrderSelect() by position does not exist in MQL5; iterate positions with PositionGetTicket(i) ' +
+            'or orders with OrderGetTicket(i).',
+    };
+}
+
+function orderApiRule(node) {
+    if (!node.isCall || catalogueSignature(node.name)) return null;
+    if (ORDER_ACCESSORS[node.name]) {
+        return {
+            code: 'mql4-order-api',
+            message: `${node.name}() is MQL4-only; after selecting a position use ${ORDER_ACCESSORS[node.name]}.`,
+        };
+    }
+    const finding = { code: 'mql4-order-api', message: `${node.name}() is MQL4-only; ${ORDER_FUNCTIONS[node.name]}.` };
+    if (node.name === 'RefreshRates' && node.isStatement) {
+        // Remove the whole line when the call is alone on it
+        let editStart = node.start;
+        let editEnd = node.masked.indexOf(';', node.end) + 1;
+        const lineStart = node.text.lastIndexOf('\n', node.start - 1) + 1;
+        const rest = node.text.slice(editEnd).match(/^[ \t]*(?:\r?\n|$)/);
+        if (!node.text.slice(lineStart, node.start).trim() && rest) {
+            editStart = lineStart;
+            editEnd += rest[0].length;
+        }
+        return { ...finding, title: 'MQL: Migrate by removing RefreshRates()', replacement: '', editStart, editEnd };
+    }
+    return finding;
+}
+
+// Inside a migrated `for(... OrdersTotal() ...)` loop the selected order is a position.
+
+function loopAccessorRule(node) {
+    if (!node.isCall || node.args.length !== 0) return null;
+    return { code: 'mql4-order-api', message: '', replacement: ORDER_ACCESSORS[node.name] };
+}
+
+function loopOrderSelectRule(node, ctx, rw) {
+    if (!node.isCall || node.args.length < 2 || node.args[1] !== 'SELECT_BY_POS') return orderSelectRule(node, ctx, rw);
+    const ticket = `PositionGetTicket(${rw(node.args[0])})`;
+    const negation = node.masked.slice(0, node.start).match(/!\s*$/);
+    if (negation) return { code: 'mql4-orderselect', message: '', replacement: `${ticket} == 0`, editStart: negation.index };
+    return { code: 'mql4-orderselect', message: '', replacement: `${ticket} > 0` };
+}
+
+function loopOrderCloseRule(node, ctx, rw) {
+    if (!node.isCall || node.args.length < 3) return null;
+    const [ticket, lots, , slippage] = node.args.map(a => rw(a));
+    const deviation = slippage !== undefined && slippage !== '0' ? `, ${slippage}` : '';
+    const replacement = node.args[1] === 'OrderLots()'
+        ? `${ctx.tradeVar}.PositionClose(${ticket}${deviation})`
+        : `${ctx.tradeVar}.PositionClosePartial(${ticket}, ${lots}${deviation})`;
+    return { code: 'mql4-order-api', message: '', replacement, needs: ['ctrade'] };
+}
+
+function loopOrderModifyRule(node, ctx, rw) {
+    if (!node.isCall || node.args.length < 4) return null;
+    const [ticket, , sl, tp] = node.args.map(a => rw(a));
+    return { code: 'mql4-order-api', message: '', replacement: `${ctx.tradeVar}.PositionModify(${ticket}, ${sl}, ${tp})`, needs: ['ctrade'] };
+}
+
+function loopOrdersTotalRule(node) {
+    return node.isCall && node.args.length === 0 ? { code: 'mql4-orders-loop', message: '', replacement: 'PositionsTotal()' } : null;
+}
+
+function loopOrderTypeRule(node) {
+    if (node.isCall) return null;
+    return { code: 'mql4-order-api', message: '', replacement: node.name === 'OP_BUY' ? 'POSITION_TYPE_BUY' : 'POSITION_TYPE_SELL' };
+}
+
+function ordersLoopRule(node, ctx, rw) {
+    if (!node.isCall) return null;
+    const header = node.masked.slice(node.open, node.end);
+    if (!/\bOrdersTotal\s*\(\s*\)/.test(header)) return null;
+
+    let bodyStart = node.end + node.masked.slice(node.end).search(/\S|$/);
+    let bodyEnd;
+    if (node.masked[bodyStart] === '{') {
+        bodyEnd = matchingBracket(node.masked, bodyStart) + 1;
+    } else {
+        bodyEnd = node.masked.indexOf(';', bodyStart) + 1;
+    }
+    if (bodyEnd <= 0) return null;
+    const body = node.masked.slice(bodyStart, bodyEnd);
+    if (/\bMODE_HISTORY\b/.test(body)) return null;
+
+    return {
+        code: 'mql4-orders-loop',
+        message: 'MQL4 loop over OrdersTotal() with OrderSelect(SELECT_BY_POS): in MQL5 open trades are positions; ' +
+            'iterate PositionsTotal() with PositionGetTicket() and close or modify them with CTrade.',
+        title: 'MQL: Migrate OrdersTotal() loop to positions',
+        replacement: rw(node.text.slice(node.start, bodyEnd), LOOP_RULES),
+        editEnd: bodyEnd,
+    };
+}
+
+const BASE_RULES = {
+    ...Object.fromEntries(Object.keys(PREDEFINED_VARIABLES).map(name => [name, predefinedRule])),
+    ...Object.fromEntries(Object.keys(SERIES_ARRAYS).map(name => [name, seriesRule])),
+    ...Object.fromEntries(Object.keys(ACCOUNT_FUNCTIONS).map(name => [name, accountRule])),
+    ...Object.fromEntries(Object.keys(INDICATORS).map(name => [name, indicatorRule])),
+    ...Object.fromEntries([...Object.keys(ORDER_ACCESSORS), ...Object.keys(ORDER_FUNCTIONS)].map(name => [name, orderApiRule])),
+    MarketInfo: marketInfoRule,
+    OrderSend: orderSendRule,
+    OrderSelect: orderSelectRule,
+    for: ordersLoopRule,
+};
+
+const LOOP_RULES = {
+    ...BASE_RULES,
+    ...Object.fromEntries(Object.keys(ORDER_ACCESSORS).map(name => [name, loopAccessorRule])),
+    OrderSelect: loopOrderSelectRule,
+    OrderClose: loopOrderCloseRule,
+    OrderModify: loopOrderModifyRule,
+    OrdersTotal: loopOrdersTotalRule,
+    OP_BUY: loopOrderTypeRule,
+    OP_SELL: loopOrderTypeRule,
+};
+delete LOOP_RULES.for;
+
+/**
+ * Scan MQL source for MQL4-only APIs.
+ *
+ * @param {string} text - Document text
+ * @param {string} [fileName]
+ * @returns {object[]} Findings with document offsets; see visit()
+ */
+function scanMql4Usage(text, fileName) {
+    return visit(text, buildMigrationContext(text, fileName), BASE_RULES);
+}
+
+/**
+ * Document-level edits a rewrite depends on: the CTrade include and object,
+ * and the IndicatorValue() helper.
+ *
+ * @returns {Array<{ start: number, end: number, newText: string }>}
+ */
+function supportEdits(text, ctx, needs) {
+    const edits = [];
+    if (needs.has('ctrade') && (!ctx.hasTradeInclude || !ctx.hasTrade)) {
+        const lines = [];
+        if (!ctx.hasTradeInclude) lines.push('#include <Trade\\Trade.mqh>');
+        if (!ctx.hasTrade) lines.push(`CTrade ${ctx.tradeVar};`);
+        const re = /^[ \t]*#(?:include|property)\b.*$/gm;
+        let offset = -1;
+        let m;
+        while ((m = re.exec(text)) !== null) offset = m.index + m[0].length;
+        edits.push(offset < 0
+            ? { start: 0, end: 0, newText: lines.join(ctx.eol) + ctx.eol + ctx.eol }
+            : { start: offset, end: offset, newText: ctx.eol + lines.join(ctx.eol) });
+    }
+    if (needs.has('indicatorHelper') && !ctx.hasIndicatorHelper) {
+        const trailing = /\n\s*$/.test(text) ? '' : ctx.eol;
+        edits.push({ start: text.length, end: text.length, newText: trailing + ctx.eol + INDICATOR_HELPER.join(ctx.eol) + ctx.eol });
+    }
+    return edits;
+}
+
+/**
+ * All edits migrating one finding, including the support edits it needs.
+ * @returns {Array<{ start: number, end: number, newText: string }>|null} null without a mechanical rewrite
+ */
+function buildMigrationEdits(text, finding, ctx) {
+    if (finding.replacement === undefined) return null;
+    const edits = [{ start: finding.editStart, end: finding.editEnd, newText: finding.replacement }];
+    if (finding.before && finding.before.offset === finding.editStart) {
+        edits[0].newText = finding.before.text + finding.replacement;
+    } else if (finding.before) {
+        edits.push({ start: finding.before.offset, end: finding.before.offset, newText: finding.before.text });
+    }
+    return [...edits, ...supportEdits(text, ctx, finding.needs)];
+}
+
+function toDiagnostic(document, finding, severity) {
+    const diagnostic = new vscode.Diagnostic(
+        new vscode.Range(document.positionAt(finding.start), document.positionAt(finding.end)),
+        finding.message,
+        severity);
+    diagnostic.source = MIGRATION_SOURCE;
+    diagnostic.code = finding.code;
+    return diagnostic;
+}
+
+/**
+ * Migration diagnostics for a document. MQL4 files get information markers
+ * (they still compile as MQL4); anything else gets warnings, since the code
+ * will not compile as MQL5.
+ *
+ * @param {vscode.TextDocument} document
+ * @returns {vscode.Diagnostic[]}
+ */
+function computeMigrationDiagnostics(document) {
+    const findings = scanMql4Usage(document.getText(), document.fileName);
+    const severity = detectMqlVersion(pathModule.dirname(document.fileName), document.fileName) === 'mql4'
+        ? vscode.DiagnosticSeverity.Information
+        : vscode.DiagnosticSeverity.Warning;
+    return findings.map(finding => toDiagnostic(document, finding, severity));
+}
+
+/**
+ * Quick fixes rewriting MQL4 constructs flagged by the migration scan.
+ *
+ * QuickFix Title Pattern: "MQL: Migrate …"
+ *
+ * @param {vscode.TextDocument} document
+ * @param {vscode.Diagnostic[]} diagnostics
+ * @returns {vscode.CodeAction[]}
+ */
+function createMigrationActions(document, diagnostics) {
+    const relevant = diagnostics.filter(d => d.source === MIGRATION_SOURCE);
+    if (relevant.length === 0) return [];
+
+    const text = document.getText();
+    const ctx = buildMigrationContext(text, document.fileName);
+    const findings = visit(text, ctx, BASE_RULES);
+    const actions = [];
+    for (const diagnostic of relevant) {
+        const start = document.offsetAt(diagnostic.range.start);
+        const finding = findings.find(f => f.start === start && f.code === diagnostic.code);
+        const edits = finding && buildMigrationEdits(text, finding, ctx);
+        if (!edits) continue;
+
+        const action = new vscode.CodeAction(finding.title, vscode.CodeActionKind.QuickFix);
+        action.edit = new vscode.WorkspaceEdit();
+        for (const edit of edits) {
+            action.edit.replace(document.uri, new vscode.Range(document.positionAt(edit.start), document.positionAt(edit.end)), edit.newText);
+        }
+        action.diagnostics = [diagnostic];
+        action.isPreferred = true;
+        actions.push(markFixAllSafe(action));
+    }
+    return actions;
+}
+
+/**
+ * Register `mql_tools.scanMql4Migration`. Scanned documents are rescanned on
+ * save until they are closed.
+ *
+ * @param {vscode.ExtensionContext} context
+ */
+function registerMql4Migration(context) {
+    const collection = vscode.languages.createDiagnosticCollection('mql-migration');
+    context.subscriptions.push(collection);
+
+    context.subscriptions.push(vscode.commands.registerCommand('mql_tools.scanMql4Migration', async (uri) => {
+        const document = uri
+            ? await vscode.workspace.openTextDocument(uri)
+            : vscode.window.activeTextEditor?.document;
+        if (!document || !/\.(?:mq4|mq5|mqh)$/i.test(document.fileName)) {
+            vscode.window.showWarningMessage('Open an MQL file to scan for MQL4 → MQL5 migration.');
+            return;
+        }
+        const diagnostics = computeMigrationDiagnostics(document);
+        collection.set(document.uri, diagnostics);
+        if (diagnostics.length === 0) {
+            vscode.window.showInformationMessage(`${pathModule.basename(document.fileName)}: no MQL4-only APIs found.`);
+            return;
+        }
+        const fixable = createMigrationActions(document, diagnostics).length;
+        vscode.window.showInformationMessage(
+            `${pathModule.basename(document.fileName)}: ${diagnostics.length} MQL4-only construct${diagnostics.length === 1 ? '' : 's'}, ` +
+            `${fixable} with a quick fix.`);
+        vscode.commands.executeCommand('workbench.actions.view.problems');
+    }));
+
+    context.subscriptions.push(vscode.workspace.onDidSaveTextDocument(document => {
+        if (collection.has(document.uri)) collection.set(document.uri, computeMigrationDiagnostics(document));
+    }));
+    context.subscriptions.push(vscode.workspace.onDidCloseTextDocument(document => {
+        collection.delete(document.uri);
+    }));
+}
+
+module.exports = {
+    MIGRATION_SOURCE,
+    scanMql4Usage,
+    buildMigrationContext,
+    buildMigrationEdits,
+    computeMigrationDiagnostics,
+    createMigrationActions,
+    registerMql4Migration,
+};
@@ -0,0 +1,390 @@
+'use strict';
+const vscode = require('vscode');
+const fs = require('fs');
+const pathModule = require('path');
+const { maskCommentsAndStrings } = require('./createProperties');
+const { stripMQLComments } = require('./provider');
+const { KEYWORDS, getBuiltins, escapeRegExp } = require('./unresolvedSymbolWatcher');
+const { decodeTextBuffer } = require('./textDecoding');
+const { collectPresetFiles } = require('./deploy');
+const { BacktestEAInfo } = require('./backtestService');
+const { parseClasses } = require('./classMethods');
+
+const REG_NAME = /^[A-Za-z_]\w*$/;
+const INI_INPUT_SECTIONS = new Set(['inputs', 'testerinputs']);
+
+/** Labels grouping the edits in the refactor preview. */
+const EDIT_LABELS = {
+    code: 'Code',
+    preprocessor: 'Preprocessor directives',
+    string: 'String literals',
+    unresolved: 'Member accesses of other classes',
+    preset: 'Tester presets (.set / .ini)',
+};
+
+/** Groups that may hit a different symbol; unchecked in the refactor preview. */
+const UNCERTAIN_KINDS = new Set(['string', 'unresolved']);
+
+function lineStartsOf(text) {
+    const starts = [0];
+    for (let i = 0; i < text.length; i++) if (text[i] === '\n') starts.push(i + 1);
+    return starts;
+}
+
+function positionOf(lineStarts, offset) {
+    let lo = 0;
+    let hi = lineStarts.length - 1;
+    while (lo < hi) {
+        const mid = (lo + hi + 1) >> 1;
+        if (lineStarts[mid] <= offset) lo = mid; else hi = mid - 1;
+    }
+    return new vscode.Position(lo, offset - lineStarts[lo]);
+}
+
+/**
+ * Identifier at `offset` when it is code (including `#define` bodies), not a
+ * comment or string.
+ *
+ * @returns {{ name: string, start: number, end: number }|null}
+ */
+function identifierAt(text, offset) {
+    const masked = maskCommentsAndStrings(text);
+    let start = offset;
+    while (start > 0 && /\w/.test(masked[start - 1])) start--;
+    let end = offset;
+    while (end < masked.length && /\w/.test(masked[end])) end++;
+    const name = masked.slice(start, end);
+    return REG_NAME.test(name) ? { name, start, end } : null;
+}
+
+/**
+ * Body span of the function declaring `name` as a parameter or local, when
+ * `offset` lies inside that function.
+ *
+ * @returns {{ start: number, end: number }|null} offsets from the signature to the closing brace
+ */
+function localScopeOf(masked, offset, name) {
+    const open = [];
+    for (let i = 0; i < offset; i++) {
+        if (masked[i] === '{') open.push(i);
+        else if (masked[i] === '}') open.pop();
+    }
+    for (const brace of open) {
+        let boundary = brace - 1;
+        while (boundary >= 0 && !';{}'.includes(masked[boundary])) boundary--;
+        const head = masked.slice(boundary + 1, brace);
+        if (/\b(?:class|struct|union|enum|interface)\b/.test(head) || !/\)\s*(?:const\s*)?$/.test(head.trim())) continue;
+        let depth = 0;
+        let close = brace;
+        for (; close < masked.length; close++) {
+            if (masked[close] === '{') depth++;
+            else if (masked[close] === '}' && --depth === 0) break;
+        }
+        const fnText = masked.slice(boundary + 1, close);
+        const declaration = new RegExp(
+            `(?:^|[(,;{}])\\s*(?!(?:return|else|new|delete|case|goto)\\s)(?:(?:const|static)\\s+)*[A-Za-z_]\\w*(?:\\s*[*&])?\\s+[&*]?\\s*${escapeRegExp(name)}\\s*(?=[=;,[)])`);
+        return declaration.test(fnText) ? { start: boundary + 1, end: close } : null;
+    }
+    return null;
+}
+
+/**
+ * Occurrences of `name` in an MQL source: code, preprocessor lines (`#define`
+ * bodies, `#ifdef`) and whole words inside string literals such as object names.
+ * Comments and `#include` paths are skipped.
+ *
+ * @param {string} text
+ * @param {string} name
+ * @param {{ start: number, end: number }} [scope] - Limit to this offset range
+ * @returns {Array<{ start: number, end: number, kind: 'code'|'preprocessor'|'string' }>}
+ */
+function findRenameOccurrences(text, name, scope) {
+    const masked = maskCommentsAndStrings(text);
+    const uncommented = stripMQLComments(text);
+    const re = new RegExp(`(?<![\\w])${escapeRegExp(name)}(?![\\w])`, 'g');
+    const from = scope ? scope.start : 0;
+    const to = scope ? scope.end : text.length;
+    re.lastIndex = from;
+    const occurrences = [];
+    let m;
+    while ((m = re.exec(text)) !== null && m.index < to) {
+        const lineStart = text.lastIndexOf('\n', m.index) + 1;
+        const directive = masked.slice(lineStart, m.index).trimStart().startsWith('#');
+        if (masked[m.index] === text[m.index]) {
+            occurrences.push({ start: m.index, end: m.index + name.length, kind: directive ? 'preprocessor' : 'code' });
+        } else if (uncommented[m.index] === text[m.index] && !/^\s*#\s*include\b/.test(masked.slice(lineStart, m.index))) {
+            occurrences.push({ start: m.index, end: m.index + name.length, kind: 'string' });
+        }
+    }
+    return occurrences;
+}
+
+/**
+ * Key ranges of `name` in a `.set` preset or a tester `.ini` file. In INI
+ * files only the `[Inputs]` / `[TesterInputs]` sections hold input values.
+ *
+ * @param {string} text
+ * @param {string} name
+ * @param {boolean} [ini=false]
+ * @returns {Array<{ start: number, end: number }>}
+ */
+function findPresetKeys(text, name, ini = false) {
+    const keys = [];
+    const re = new RegExp(`^([ \\t]*)${escapeRegExp(name)}[ \\t]*=`);
+    let section = '';
+    let offset = 0;
+    for (const line of text.split('\n')) {
+        const trimmed = line.trim();
+        if (trimmed.startsWith('[') && trimmed.endsWith(']')) {
+            section = trimmed.slice(1, -1).toLowerCase();
+        } else if (!ini || INI_INPUT_SECTIONS.has(section)) {
+            const m = line.match(re);
+            if (m) keys.push({ start: offset + m[1].length, end: offset + m[1].length + name.length });
+        }
+        offset += line.length + 1;
+    }
+    return keys;
+}
+
+/**
+ * Offset spans of class bodies and out-of-line method bodies
+ * (`void CPanel::Draw() { … }`), in which unqualified names may be members.
+ *
+ * @returns {Array<{ owner: string, start: number, end: number }>}
+ */
+function memberScopes(text, masked, classes) {
+    const lineStarts = lineStartsOf(text);
+    const spans = classes.map(cls => ({
+        owner: cls.name,
+        start: lineStarts[cls.startLine],
+        end: (lineStarts[cls.endLine] ?? text.length) + cls.endCharacter,
+    }));
+    const re = /\b([A-Za-z_]\w*)\s*::\s*~?[A-Za-z_]\w*\s*\(/g;
+    let m;
+    while ((m = re.exec(masked)) !== null) {
+        let depth = 1;
+        let j = m.index + m[0].length;
+        for (; j < masked.length && depth > 0; j++) {
+            if (masked[j] === '(') depth++;
+            else if (masked[j] === ')') depth--;
+        }
+        const head = masked.slice(j).match(/^\s*(?:const\s*)?(?::[^{;]*)?\{/);
+        if (!head) continue;
+        let close = j + head[0].length - 1;
+        for (depth = 0; close < masked.length; close++) {
+            if (masked[close] === '{') depth++;
+            else if (masked[close] === '}' && --depth === 0) break;
+        }
+        spans.push({ owner: m[1], start: m.index, end: close });
+        re.lastIndex = close;
+    }
+    return spans;
+}
+
+/**
+ * Which symbol named `name` an occurrence refers to, from the classes of
+ * every source: `member:<Class>` (the class declaring it, bases included),
+ * `global`, `local`, or `unresolved` for `obj.name` when several classes
+ * declare the member.
+ *
+ * @param {Map<string, object>} classes - parseClasses() results by name
+ * @returns {(text: string) => (offset: number) => string}
+ */
+function createResolver(classes, name) {
+    const declares = cls => cls.fields.some(f => f.name === name) || cls.methods.some(m => m.name === name);
+    const ownerOf = (className, seen = new Set()) => {
+        const cls = classes.get(className);
+        if (!cls || seen.has(className)) return null;
+        seen.add(className);
+        if (declares(cls)) return className;
+        for (const base of cls.bases) {
+            const owner = ownerOf(base, seen);
+            if (owner) return owner;
+        }
+        return null;
+    };
+    const declaring = [...classes.values()].filter(declares).map(cls => cls.name);
+
+    return text => {
+        const masked = maskCommentsAndStrings(text);
+        const scopes = memberScopes(text, masked, parseClasses(text));
+        const enclosing = offset => scopes
+            .filter(s => s.start <= offset && offset <= s.end)
+            .sort((a, b) => b.start - a.start)[0];
+        return offset => {
+            const before = masked.slice(Math.max(0, offset - 80), offset);
+            const qualified = before.match(/([A-Za-z_]\w*)\s*::\s*$/);
+            if (qualified) {
+                const owner = ownerOf(qualified[1]);
+                return owner ? `member:${owner}` : 'global';
+            }
+            if (/(?:\.|->)\s*$/.test(before)) {
+                const scope = /\bthis\s*(?:\.|->)\s*$/.test(before) && enclosing(offset);
+                const owner = scope ? ownerOf(scope.owner) : declaring.length === 1 ? declaring[0] : null;
+                return owner ? `member:${owner}` : 'unresolved';
+            }
+            if (localScopeOf(masked, offset, name)) return 'local';
+            const scope = enclosing(offset);
+            const owner = scope && ownerOf(scope.owner);
+            return owner ? `member:${owner}` : 'global';
+        };
+    };
+}
+
+function readSource(filePath) {
+    const open = vscode.workspace.textDocuments.find(d => d.uri.fsPath === filePath);
+    if (open) return open.getText();
+    try {
+        return decodeTextBuffer(fs.readFileSync(filePath));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Rename provider aware of MQL specifics clangd misses: identifiers inside
+ * `#define` bodies, object names in string literals and input names used as
+ * keys in `.set` presets and tester `.ini` files. Sources are the document's
+ * include graph. The renamed symbol is resolved from the workspace index and
+ * the class declarations, so only its references change: a class member is
+ * not confused with a global or another class's member of the same name.
+ * Every edit is labelled; string literals and member accesses whose class
+ * cannot be told need confirmation, so they are unchecked in the refactor preview.
+ */
+class MqlRenameProvider {
+    /**
+     * @param {object} deps
+     * @param {import('./workspaceIndex').WorkspaceSymbolIndex} deps.index
+     * @param {(document: vscode.TextDocument) => Promise<string[]>} deps.collectFiles - Sources sharing symbols with the document
+     * @param {(filePath: string) => boolean} [deps.isEditable] - Sources outside it are never edited
+     * @param {(filePath: string) => string|null} [deps.readFile]
+     */
+    constructor({ index, collectFiles, isEditable = () => true, readFile = readSource }) {
+        this._index = index;
+        this._collectFiles = collectFiles;
+        this._isEditable = isEditable;
+        this._readFile = readFile;
+    }
+
+    _target(document, position) {
+        const text = document.getText();
+        const hit = identifierAt(text, document.offsetAt(position));
+        if (!hit) throw new Error('Place the cursor on an MQL identifier to rename it.');
+        if (KEYWORDS.has(hit.name) || getBuiltins().has(hit.name)) {
+            throw new Error(`'${hit.name}' is a built-in MQL name and cannot be renamed.`);
+        }
+        return { ...hit, text, local: localScopeOf(maskCommentsAndStrings(text), hit.start, hit.name) };
+    }
+
+    prepareRename(document, position) {
+        const target = this._target(document, position);
+        return {
+            range: new vscode.Range(document.positionAt(target.start), document.positionAt(target.end)),
+            placeholder: target.name,
+        };
+    }
+
+    async provideRenameEdits(document, position, newName) {
+        const target = this._target(document, position);
+        if (!REG_NAME.test(newName) || KEYWORDS.has(newName)) {
+            throw new Error(`'${newName}' is not a valid MQL identifier.`);
+        }
+        if (newName === target.name) return new vscode.WorkspaceEdit();
+        const usedIn = (text, scope) => findRenameOccurrences(text, newName, scope).some(o => o.kind !== 'string');
+
+        const edit = new vscode.WorkspaceEdit();
+        const replaceAll = (uri, text, ranges, kindOf) => {
+            const lineStarts = lineStartsOf(text);
+            for (const range of ranges) {
+                const kind = kindOf(range);
+                edit.replace(uri, new vscode.Range(positionOf(lineStarts, range.start), positionOf(lineStarts, range.end)), newName,
+                    { needsConfirmation: UNCERTAIN_KINDS.has(kind), label: EDIT_LABELS[kind] });
+            }
+        };
+
+        if (target.local) {
+            if (usedIn(target.text, target.local)) throw new Error(`'${newName}' is already used in this function.`);
+            replaceAll(document.uri, target.text, findRenameOccurrences(target.text, target.name, target.local), o => o.kind);
+            return edit;
+        }
+
+        const documentPath = pathModule.normalize(document.fileName);
+        const files = [...new Set([document.fileName, ...await this._collectFiles(document)].map(f => pathModule.normalize(f)))];
+        const texts = new Map();
+        const classes = new Map();
+        for (const filePath of files) {
+            const text = filePath === documentPath ? target.text : this._readFile(filePath);
+            if (text === null || text === undefined) continue;
+            texts.set(filePath, text);
+            for (const cls of parseClasses(text)) if (!classes.has(cls.name)) classes.set(cls.name, cls);
+        }
+
+        const resolverFor = createResolver(classes, target.name);
+        const symbol = resolverFor(target.text)(target.start);
+        if (symbol === 'unresolved') {
+            throw new Error(`Several classes declare '${target.name}'; rename it at its declaration.`);
+        }
+        const declarations = [...this._index.documentSymbols(document),
+            ...await this._index.symbolsIn([...texts.keys()].filter(f => f !== documentPath))]
+            .filter(s => s.name === target.name && s.kind !== 'method');
+        if (symbol === 'global' && declarations.length === 0) {
+            throw new Error(`No declaration of '${target.name}' was found in this file or its includes.`);
+        }
+
+        const sources = [];
+        for (const [filePath, text] of texts) {
+            const resolve = resolverFor(text);
+            const occurrences = [];
+            for (const occurrence of findRenameOccurrences(text, target.name)) {
+                if (occurrence.kind === 'string') {
+                    occurrences.push(occurrence);
+                    continue;
+                }
+                const resolved = resolve(occurrence.start);
+                if (resolved === symbol) occurrences.push(occurrence);
+                else if (resolved === 'unresolved' && symbol.startsWith('member:')) occurrences.push({ ...occurrence, kind: 'unresolved' });
+            }
+            if (!this._isEditable(filePath)) {
+                if (occurrences.some(o => !UNCERTAIN_KINDS.has(o.kind))) {
+                    throw new Error(`'${target.name}' is also used in ${pathModule.basename(filePath)}, outside the workspace.`);
+                }
+                continue;
+            }
+            if (usedIn(text)) throw new Error(`'${newName}' is already used in ${pathModule.basename(filePath)}.`);
+            sources.push({ filePath, text, occurrences });
+        }
+
+        for (const { filePath, text, occurrences } of sources) {
+            replaceAll(vscode.Uri.file(filePath), text, occurrences, o => o.kind);
+        }
+
+        const isInput = symbol === 'global' && declarations.some(s => s.kind === 'input');
+
+        if (isInput) {
+            const mains = sources.map(s => s.filePath).filter(f => /\.(?:mq4|mq5)$/i.test(f));
+            const presets = new Set();
+            for (const main of mains) {
+                for (const preset of await collectPresetFiles(main)) presets.add(preset);
+                const ea = new BacktestEAInfo(pathModule.basename(main, pathModule.extname(main)), pathModule.dirname(main));
+                for (const ini of ea.getTesterIniCandidates()) presets.add(ini);
+            }
+            for (const preset of presets) {
+                const text = this._readFile(preset);
+                if (text === null || text === undefined) continue;
+                const normalized = text.replace(/\r\n/g, '\n');
+                const keys = findPresetKeys(normalized, target.name, /\.ini$/i.test(preset));
+                replaceAll(vscode.Uri.file(preset), normalized, keys, () => 'preset');
+            }
+        }
+        return edit;
+    }
+}
+
+module.exports = {
+    identifierAt,
+    localScopeOf,
+    findRenameOccurrences,
+    createResolver,
+    findPresetKeys,
+    MqlRenameProvider,
+};
@@ -348,9 +348,14 @@ function DefinitionProvider() {
     };
 }
 
-function Hover_MQL() {
+/**
+ * @param {object} [deps]
+ * @param {(document: vscode.TextDocument, position: vscode.Position) => Promise<boolean>} [deps.isShadowed]
+ *        Whether a user declaration hides the builtin of that name
+ */
+function Hover_MQL({ isShadowed } = {}) {
     return {
-        provideHover(document, position) {
+        async provideHover(document, position) {
             const loclang = getLanguage() === 'zh-tw' ? 'zh-cn' : getLanguage();
             const range = document.getWordRangeAtPosition(position);
             const word = document.getText(range);
@@ -358,50 +363,14 @@ function Hover_MQL() {
             if (!word) return undefined;
 
             // =================================================================
-            // PRIORITY 1: Check local document symbols first
-            // =================================================================
-            const docSymbols = extractDocumentSymbols(document);
-
-            // Check if it's a local input parameter
-            const inputMatch = docSymbols.inputs.find(i => i.name === word);
-            if (inputMatch) {
-                const contents = new vscode.MarkdownString();
-                contents.appendCodeblock(`${inputMatch.type} ${inputMatch.name}`, 'cpp');
-                contents.appendMarkdown(`**Input Parameter** (line ${inputMatch.line + 1})\n\n`);
-                contents.appendMarkdown('User-configurable parameter for this EA/Indicator.');
-                return new vscode.Hover(contents, range);
-            }
-
-            // Check if it's a local #define
-            const defineMatch = docSymbols.defines.find(d => d.name === word);
-            if (defineMatch) {
-                const contents = new vscode.MarkdownString();
-                contents.appendCodeblock(`#define ${defineMatch.name}`, 'cpp');
-                contents.appendMarkdown(`**Macro** (line ${defineMatch.line + 1})`);
-                return new vscode.Hover(contents, range);
-            }
-
-            // Check if it's a local function
-            const funcMatch = docSymbols.functions.find(f => f.name === word);
-            if (funcMatch) {
-                const contents = new vscode.MarkdownString();
-                contents.appendMarkdown(`**Local Function** (line ${funcMatch.line + 1})`);
-                return new vscode.Hover(contents, range);
-            }
-
-            // Check if it's a local class/struct
-            const classMatch = docSymbols.classes.find(c => c.name === word);
-            if (classMatch) {
-                const contents = new vscode.MarkdownString();
-                contents.appendMarkdown(`**Class/Struct** (line ${classMatch.line + 1})`);
-                return new vscode.Hover(contents, range);
-            }
-
-            // =================================================================
-            // PRIORITY 2: Check MQL library items
+            // MQL library items
             // =================================================================
             if (!(word in getObjItems())) return undefined;
 
+            // User symbols come first: a declaration in scope that shadows the
+            // builtin is described by MqlHoverProvider instead
+            if (isShadowed && await isShadowed(document, position)) return undefined;
+
             const item = getObjItems()[word];
             const contents = new vscode.MarkdownString();
             contents.supportHtml = true;
@@ -467,9 +436,13 @@ function Hover_MQL() {
     };
 }
 
-function ItemProvider() {
+/**
+ * @param {object} [deps]
+ * @param {{ provideCompletionItems: Function }} [deps.memberCompletion] - Members after `.` / `->`
+ */
+function ItemProvider({ memberCompletion } = {}) {
     return {
-        provideCompletionItems(document, position, _token, _context) {
+        async provideCompletionItems(document, position, _token, _context) {
             const loclang = getLanguage() === 'zh-tw' ? 'zh-cn' : getLanguage();
             const line = document.lineAt(position).text;
             const linePrefix = line.substring(0, position.character);
@@ -531,6 +504,13 @@ function ItemProvider() {
                 return completionItems;
             }
 
+            // Members after `.` / `->`; when the receiver type is unknown the
+            // usual completions below still apply
+            if (memberCompletion && /(?:[A-Za-z_]\w*|\)|\])\s*(?:\.|->)\s*\w*$/.test(linePrefix)) {
+                const members = await memberCompletion.provideCompletionItems(document, position);
+                if (members) return members;
+            }
+
             // Early return for empty prefix (except for include completion above)
             if (!prefix) return [];
 
@@ -1369,7 +1349,10 @@ module.exports = {
     ColorProvider,
     MQLDocumentSymbolProvider,
     getObjItems,
+    getLanguage,
     extractDocumentSymbols,
     clearSymbolCache,
-    getIncludeDir
+    getIncludeDir,
+    stripMQLComments,
+    MQL_EVENT_HANDLERS
 };
@@ -0,0 +1,275 @@
+'use strict';
+const vscode = require('vscode');
+const { maskCommentsAndStrings } = require('./createProperties');
+const { defaultReturnStatements } = require('./classMethods');
+const { markFixAllSafe } = require('./fixAll');
+
+const REG_UNCHECKED = /return value of '(?:[\w:.>-]*?(?:\.|::|->))?([A-Za-z_]\w*)' should be checked/i;
+const REG_LIVELOG_INCLUDE = /#include\s*[<"](?:[^>"]*[\\/])?LiveLog\.mqh[>"]/i;
+const REG_CONTROL = /^(?:if|for|while|switch|else|do|return)\b/;
+const SPECIFIERS = new Set(['static', 'virtual', 'inline']);
+
+/**
+ * Functions whose result reports failure, and how:
+ * `bool` (false), `handle` (INVALID_HANDLE) or `ticket` (negative).
+ * MQL4's 9-argument OrderSend returns a ticket; see failureKind().
+ */
+const CHECKED_FUNCTIONS = {
+    OrderSend: 'bool',
+    OrderSendAsync: 'bool',
+    OrderSelect: 'bool',
+    OrderCheck: 'bool',
+    OrderClose: 'bool',
+    OrderCloseBy: 'bool',
+    OrderModify: 'bool',
+    OrderDelete: 'bool',
+    PositionSelect: 'bool',
+    PositionSelectByTicket: 'bool',
+    HistorySelect: 'bool',
+    FileOpen: 'handle',
+    FileFindFirst: 'handle',
+};
+
+/** CTrade methods, matched when called through an object (`trade.Buy(...)`, `m_trade->Sell(...)`). */
+const TRADE_METHODS = new Set([
+    'Buy', 'Sell', 'BuyLimit', 'BuyStop', 'SellLimit', 'SellStop',
+    'PositionOpen', 'PositionClose', 'PositionClosePartial', 'PositionCloseBy', 'PositionModify',
+    'OrderOpen', 'OrderModify', 'OrderDelete',
+]);
+
+const CALL_NAMES = [...new Set([...Object.keys(CHECKED_FUNCTIONS), ...TRADE_METHODS])];
+
+function matchingParen(masked, open) {
+    let depth = 0;
+    for (let i = open; i < masked.length; i++) {
+        if (masked[i] === '(') depth++;
+        else if (masked[i] === ')' && --depth === 0) return i;
+    }
+    return -1;
+}
+
+function countArguments(argsText) {
+    if (!argsText.trim()) return 0;
+    let depth = 0;
+    let count = 1;
+    for (const c of argsText) {
+        if (c === '(' || c === '[') depth++;
+        else if (c === ')' || c === ']') depth--;
+        else if (c === ',' && depth === 0) count++;
+    }
+    return count;
+}
+
+function failureKind(call) {
+    if (call.object) return 'bool';
+    const kind = CHECKED_FUNCTIONS[call.name];
+    return call.name === 'OrderSend' && call.argCount > 2 ? 'ticket' : kind;
+}
+
+/**
+ * Find an unchecked call statement of a checked function on `line`: either a
+ * bare call (`OrderSend(req, res);`) or an assignment (`int h = FileOpen(...);`).
+ * Calls whose result is already consumed (`if(OrderSelect(...))`) are ignored.
+ *
+ * @param {string} text - Document text
+ * @param {number} lineStartOffset - Offset of the line's first character
+ * @param {number} lineEndOffset - Offset of the line's end
+ * @param {string} [name] - Restrict to this function/method name
+ * @returns {{ name: string, object: string, kind: 'bare'|'assign', variable: string|null,
+ *             stmtStart: number, stmtEnd: number, callStart: number, callEnd: number, argCount: number }|null}
+ */
+function findUncheckedCall(text, lineStartOffset, lineEndOffset, name) {
+    const masked = maskCommentsAndStrings(text);
+    const names = name ? [name] : CALL_NAMES;
+    const re = new RegExp(`((?:\\b[A-Za-z_]\\w*(?:\\.|->))?)\\b(${names.join('|')})\\s*\\(`, 'g');
+    re.lastIndex = lineStartOffset;
+    let m;
+    while ((m = re.exec(masked)) !== null && m.index < lineEndOffset) {
+        const object = m[1];
+        const callName = m[2];
+        if (object ? !TRADE_METHODS.has(callName) : !CHECKED_FUNCTIONS[callName]) continue;
+
+        const open = m.index + m[0].length - 1;
+        const close = matchingParen(masked, open);
+        if (close < 0) return null;
+        const semi = masked.slice(close + 1).match(/^\s*;/);
+        if (!semi) continue;
+
+        let boundary = m.index - 1;
+        while (boundary >= 0 && !';{}'.includes(masked[boundary])) boundary--;
+        const prefixStart = boundary + 1 + masked.slice(boundary + 1, m.index).search(/\S|$/);
+        const prefix = masked.slice(prefixStart, m.index).trim();
+
+        let kind = 'bare';
+        let variable = null;
+        if (prefix) {
+            const assign = prefix.match(/^(?:(?:const|static)\s+)?(?:[A-Za-z_]\w*\s+)?([A-Za-z_]\w*(?:\[[^\]]*\])?)\s*=$/);
+            if (!assign || REG_CONTROL.test(prefix)) continue;
+            kind = 'assign';
+            variable = assign[1];
+        }
+        return {
+            name: callName,
+            object,
+            kind,
+            variable,
+            stmtStart: kind === 'bare' ? m.index : prefixStart,
+            stmtEnd: close + 1 + semi[0].length,
+            callStart: m.index,
+            callEnd: close + 1,
+            argCount: countArguments(masked.slice(open + 1, close)),
+        };
+    }
+    return null;
+}
+
+/**
+ * Return type and name of the function whose body contains `offset`.
+ * @param {string} text
+ * @param {number} offset
+ * @returns {{ name: string, returnType: string }|null}
+ */
+function findEnclosingFunction(text, offset) {
+    const masked = maskCommentsAndStrings(text);
+    const open = [];
+    for (let i = 0; i < offset; i++) {
+        if (masked[i] === '{') open.push(i);
+        else if (masked[i] === '}') open.pop();
+    }
+    for (let k = open.length - 1; k >= 0; k--) {
+        const brace = open[k];
+        let s = brace - 1;
+        while (s >= 0 && !';{}'.includes(masked[s])) s--;
+        const head = masked.slice(s + 1, brace).split('\n')
+            .filter(line => !line.trim().startsWith('#'))
+            .join(' ').replace(/\s+/g, ' ').trim();
+        if (!head || REG_CONTROL.test(head)) continue;
+        const m = head.match(/^(.*?)\b(~?[A-Za-z_]\w*(?:\s*::\s*~?[A-Za-z_]\w*)?)\s*\(/);
+        if (!m) continue;
+        const returnType = m[1].trim().split(' ').filter(t => t && !SPECIFIERS.has(t)).join(' ');
+        return { name: m[2].replace(/\s+/g, '').split('::').pop(), returnType };
+    }
+    return null;
+}
+
+/**
+ * Statements leaving the enclosing function after a failed call.
+ * @param {{ name: string, returnType: string }|null} fn
+ * @returns {string[]}
+ */
+function failureReturnStatements(fn) {
+    if (!fn) return ['return;'];
+    if (fn.name === 'OnInit') return ['return(INIT_FAILED);'];
+    const statements = fn.returnType ? defaultReturnStatements(fn.returnType) : [];
+    return statements.length > 0 ? statements : ['return;'];
+}
+
+/**
+ * The logging statement for a failed call: Print() or LiveLog's LL().
+ * CTrade calls also report the trade server return code.
+ */
+function failureLogStatement(call, useLiveLog) {
+    const values = call.object
+        ? [['retcode', `${call.object}ResultRetcode()`], ['error', 'GetLastError()']]
+        : [['error', 'GetLastError()']];
+    const label = `${call.object}${call.name} failed`;
+    const pieces = values.map(([key, value], i) => [`${i === 0 ? label : ''}, ${key} `, value]);
+    if (useLiveLog) {
+        return `LL(${pieces.map(([str, value]) => `"${str}" + IntegerToString(${value})`).join(' + ')});`;
+    }
+    return `Print(${pieces.map(([str, value]) => `"${str}", ${value}`).join(', ')});`;
+}
+
+function failureCondition(call, expression) {
+    switch (failureKind(call)) {
+        case 'handle': return `${expression} == INVALID_HANDLE`;
+        case 'ticket': return `${expression} < 0`;
+        default: return `!${expression}`;
+    }
+}
+
+/**
+ * Build the replacement for an unchecked call.
+ *
+ * @param {string} text - Document text
+ * @param {object} call - from findUncheckedCall()
+ * @param {object} [opts]
+ * @param {string} [opts.indent=''] - Indentation of the statement's line
+ * @param {string} [opts.eol='\n']
+ * @returns {{ start: number, end: number, newText: string }} offsets into `text`
+ */
+function buildReturnCheckEdit(text, call, { indent = '', eol = '\n' } = {}) {
+    const useLiveLog = REG_LIVELOG_INCLUDE.test(text);
+    const body = [failureLogStatement(call, useLiveLog), ...failureReturnStatements(findEnclosingFunction(text, call.callStart))];
+    const block = [`${indent}{`, ...body.map(line => `${indent}    ${line}`), `${indent}}`].join(eol);
+
+    if (call.kind === 'assign') {
+        const variable = call.variable.replace(/\[.*$/, '');
+        return {
+            start: call.stmtEnd,
+            end: call.stmtEnd,
+            newText: `${eol}${indent}if(${failureCondition(call, variable)})${eol}${block}`
+        };
+    }
+    const callText = text.slice(call.callStart, call.callEnd);
+    return {
+        start: call.stmtStart,
+        end: call.stmtEnd,
+        newText: `if(${failureCondition(call, callText)})${eol}${block}`
+    };
+}
+
+/**
+ * Code actions wrapping unchecked trade/file calls in a failure check.
+ *
+ * QuickFix Title Pattern: "MQL: Check return value of '<call>'"
+ * Offered as a quick fix on MetaEditor's "return value of '…' should be
+ * checked" warning, otherwise as a refactoring on a line with an unchecked
+ * OrderSend/FileOpen/OrderSelect/PositionSelect/CTrade call.
+ *
+ * @param {vscode.TextDocument} document
+ * @param {vscode.Range|null} range - Cursor range; null skips the cursor-based refactoring
+ * @param {vscode.Diagnostic[]} diagnostics
+ * @returns {vscode.CodeAction[]}
+ */
+function createReturnCheckActions(document, range, diagnostics) {
+    const text = document.getText();
+    const eol = text.includes('\r\n') ? '\r\n' : '\n';
+    const requests = [];
+    for (const diagnostic of diagnostics) {
+        const m = (diagnostic.message || '').match(REG_UNCHECKED);
+        if (m) requests.push({ line: diagnostic.range.start.line, name: m[1], diagnostic });
+    }
+    if (range && !requests.some(r => r.line === range.start.line)) requests.push({ line: range.start.line });
+
+    const actions = [];
+    const seen = new Set();
+    for (const { line, name, diagnostic } of requests) {
+        if (line >= document.lineCount) continue;
+        const lineRange = document.lineAt(line).range;
+        const call = findUncheckedCall(text, document.offsetAt(lineRange.start), document.offsetAt(lineRange.end), name);
+        if (!call || seen.has(call.callStart)) continue;
+        seen.add(call.callStart);
+
+        const indent = document.lineAt(line).text.match(/^\s*/)[0];
+        const edit = buildReturnCheckEdit(text, call, { indent, eol });
+        const action = new vscode.CodeAction(
+            `MQL: Check return value of '${call.object}${call.name}'`,
+            diagnostic ? vscode.CodeActionKind.QuickFix : vscode.CodeActionKind.Refactor);
+        action.edit = new vscode.WorkspaceEdit();
+        action.edit.replace(document.uri, new vscode.Range(document.positionAt(edit.start), document.positionAt(edit.end)), edit.newText);
+        action.diagnostics = diagnostic ? [diagnostic] : [];
+        action.isPreferred = Boolean(diagnostic);
+        actions.push(diagnostic ? markFixAllSafe(action) : action);
+    }
+    return actions;
+}
+
+module.exports = {
+    CHECKED_FUNCTIONS,
+    TRADE_METHODS,
+    findUncheckedCall,
+    findEnclosingFunction,
+    buildReturnCheckEdit,
+    createReturnCheckActions,
+};
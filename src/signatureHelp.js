@@ -0,0 +1,262 @@
+'use strict';
+const vscode = require('vscode');
+const { maskCommentsAndStrings, extractTopLevelFunctionDefs } = require('./createProperties');
+const { parseClasses } = require('./classMethods');
+const { findEnclosingClassName } = require('./debugInstrumentation');
+const { extractDocComment } = require('./docComments');
+const { escapeRegExp } = require('./unresolvedSymbolWatcher');
+
+const MAX_CALL_LOOKBACK = 4000;
+
+/**
+ * The call whose argument list contains `offset`: its name, how it is
+ * qualified and the index of the argument being typed.
+ *
+ * @param {string} masked - Text with comments and strings masked
+ * @param {number} offset
+ * @returns {{ name: string, qualifier: string|null, member: boolean, argIndex: number }|null}
+ */
+function findCallContext(masked, offset) {
+    let depth = 0;
+    let commas = 0;
+    const stop = Math.max(0, offset - MAX_CALL_LOOKBACK);
+    for (let i = offset - 1; i >= stop; i--) {
+        const c = masked[i];
+        if (c === ')' || c === ']') depth++;
+        else if (c === '[') depth--;
+        else if (c === ';' || c === '{' || c === '}') return null;
+        else if (c === ',' && depth === 0) commas++;
+        else if (c === '(') {
+            if (depth > 0) { depth--; continue; }
+            const before = masked.slice(Math.max(0, i - 200), i);
+            const m = before.match(/(?:(?:([A-Za-z_]\w*)?\s*::\s*)|(\.|->)\s*)?([A-Za-z_]\w*)\s*$/);
+            if (!m) return null;
+            return {
+                name: m[3],
+                qualifier: m[0].includes('::') ? m[1] || '' : null,
+                member: !!m[2],
+                argIndex: commas,
+            };
+        }
+    }
+    return null;
+}
+
+/** Split at top-level commas; offsets come from `masked`, text from `source`. */
+function splitParams(source, masked) {
+    const out = [];
+    let depth = 0;
+    let start = 0;
+    for (let i = 0; i <= masked.length; i++) {
+        const c = masked[i];
+        if (c === '(' || c === '[' || c === '<') depth++;
+        else if (c === ')' || c === ']' || c === '>') depth--;
+        else if ((c === ',' && depth === 0) || i === masked.length) {
+            const param = source.slice(start, i).replace(/\s+/g, ' ').trim();
+            if (param) out.push(param);
+            start = i + 1;
+        }
+    }
+    return out.length === 1 && out[0] === 'void' ? [] : out;
+}
+
+function paramName(param) {
+    const m = param.replace(/=.*$/, '').replace(/\[[^\]]*\]/g, '').match(/([A-Za-z_]\w*)\s*$/);
+    return m ? m[1] : '';
+}
+
+/**
+ * Signatures declared in one source: free functions with a body and the
+ * methods (and constructors) declared in class bodies. Parameters keep
+ * their default values from the original text; documentation comes from
+ * the comment above the declaration or, for methods, above the out-of-line
+ * definition.
+ *
+ * @param {string} text
+ * @returns {Array<{ name: string, container: string|null, returnType: string, params: string[], line: number, doc: object|null }>}
+ */
+function collectSignatures(text) {
+    const masked = maskCommentsAndStrings(text);
+    const lines = text.split('\n');
+    const lineStarts = [0];
+    for (let i = 0; i < text.length; i++) if (text[i] === '\n') lineStarts.push(i + 1);
+
+    const paramsAt = (line, name) => {
+        const re = new RegExp(`${/^\w/.test(name) ? '\\b' : ''}${escapeRegExp(name)}\\s*\\(`, 'g');
+        re.lastIndex = lineStarts[line] || 0;
+        const m = re.exec(masked);
+        if (!m) return [];
+        const open = m.index + m[0].length - 1;
+        let depth = 0;
+        for (let i = open; i < masked.length; i++) {
+            if (masked[i] === '(') depth++;
+            else if (masked[i] === ')' && --depth === 0) return splitParams(text.slice(open + 1, i), masked.slice(open + 1, i));
+        }
+        return [];
+    };
+
+    // `extractTopLevelFunctionDefs` counts lines from 1
+    const signatures = extractTopLevelFunctionDefs(text).map(fn => ({
+        name: fn.name,
+        container: null,
+        returnType: fn.returnType,
+        params: paramsAt(fn.line - 1, fn.name),
+        line: fn.line - 1,
+        doc: extractDocComment(lines, fn.line - 1),
+    }));
+    for (const cls of parseClasses(text)) {
+        for (const method of cls.methods) {
+            if (method.name.startsWith('~')) continue;
+            let doc = extractDocComment(lines, method.line);
+            if (!doc) {
+                const outOfLine = new RegExp(`\\b${cls.name}\\s*::\\s*${escapeRegExp(method.name)}\\s*\\(`).exec(masked);
+                if (outOfLine) {
+                    const line = lineStarts.filter(start => start <= outOfLine.index).length - 1;
+                    doc = extractDocComment(lines, line);
+                }
+            }
+            signatures.push({
+                name: method.name,
+                container: cls.name,
+                returnType: method.isConstructor ? '' : method.returnType,
+                params: paramsAt(method.line, method.name),
+                line: method.line,
+                doc,
+                bases: cls.bases,
+            });
+        }
+    }
+    return signatures;
+}
+
+/**
+ * Overload to highlight: the first with room for the argument being typed,
+ * fewest parameters first. A choice the user cycled to stays while it fits.
+ */
+function selectOverload(signatures, argIndex, previous) {
+    const fits = sig => sig.params.length > argIndex || (argIndex === 0 && sig.params.length === 0) ||
+        sig.params.some(p => p === '...');
+    if (previous !== undefined && signatures[previous] && fits(signatures[previous])) return previous;
+    const index = signatures.findIndex(fits);
+    return index >= 0 ? index : 0;
+}
+
+/**
+ * Signature help for functions and methods defined in the document and its
+ * includes. `HelpProvider()` covers the builtins from `items.json`; this one
+ * answers for everything the workspace declares itself.
+ */
+class MqlSignatureHelpProvider {
+    /**
+     * @param {object} deps
+     * @param {(document: vscode.TextDocument) => Promise<string[]>} deps.collectFiles - Include closure of the document
+     * @param {import('./workspaceIndex').WorkspaceSymbolIndex} deps.index
+     */
+    constructor({ index, collectFiles }) {
+        this._index = index;
+        this._collectFiles = collectFiles;
+    }
+
+    async provideSignatureHelp(document, position, _token, context) {
+        const text = document.getText();
+        const offset = document.offsetAt(position);
+        const call = findCallContext(maskCommentsAndStrings(text.slice(0, offset)), offset);
+        if (!call) return undefined;
+
+        let files = [];
+        try {
+            files = await this._collectFiles(document);
+        } catch {
+            files = [];
+        }
+        const signatures = [this._index.parsedDocument(document, 'signatures', collectSignatures)];
+        for (const filePath of files) {
+            if (filePath === document.fileName) continue;
+            const source = await this._index.parsed(filePath, 'signatures', collectSignatures);
+            if (source) signatures.push(source);
+        }
+
+        const lines = text.slice(0, offset).split('\n');
+        const enclosingClass = findEnclosingClassName(lines, lines.length);
+        const matches = this._resolve(call, signatures.flat(), enclosingClass);
+        if (matches.length === 0) return undefined;
+
+        const help = new vscode.SignatureHelp();
+        help.signatures = matches.map(sig => this._information(sig));
+        const previous = context && context.activeSignatureHelp ? context.activeSignatureHelp.activeSignature : undefined;
+        help.activeSignature = selectOverload(matches, call.argIndex, context && context.isRetrigger ? previous : undefined);
+        help.activeParameter = call.argIndex;
+        return help;
+    }
+
+    /** Candidates as `resolveCall` in the call hierarchy picks them, de-duplicated by signature. */
+    _resolve(call, all, enclosingClass) {
+        const named = all.filter(sig => sig.name === call.name);
+        let matches;
+        if (call.qualifier !== null) {
+            matches = named.filter(sig => (call.qualifier ? sig.container === call.qualifier : !sig.container));
+        } else if (call.member) {
+            matches = named.filter(sig => sig.container && sig.container !== sig.name);
+        } else {
+            const own = enclosingClass ? this._ownMethods(named, all, enclosingClass) : [];
+            const free = named.filter(sig => !sig.container);
+            const constructors = named.filter(sig => sig.container === sig.name);
+            matches = own.length > 0 ? own : free.length > 0 ? free : constructors;
+        }
+        const seen = new Set();
+        return matches
+            .filter(sig => {
+                const key = `${sig.container}::${sig.name}(${sig.params.join(',')})`;
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            })
+            .sort((a, b) => a.params.length - b.params.length);
+    }
+
+    /** Methods of the enclosing class or its bases, nearest class first. */
+    _ownMethods(named, all, className) {
+        const visited = new Set();
+        for (let current = className; current && !visited.has(current);) {
+            visited.add(current);
+            const own = named.filter(sig => sig.container === current && sig.name !== current);
+            if (own.length > 0) return own;
+            const member = all.find(sig => sig.container === current && sig.bases);
+            current = member ? member.bases[0] : null;
+        }
+        return [];
+    }
+
+    _information(sig) {
+        const head = sig.container ? `${sig.container}::${sig.name}` : sig.name;
+        const prefix = `${sig.returnType ? `${sig.returnType} ` : ''}${head}(`;
+        let label = prefix;
+        const ranges = sig.params.map((param, i) => {
+            if (i > 0) label += ', ';
+            const start = label.length;
+            label += param;
+            return [start, label.length];
+        });
+        label += ')';
+
+        const doc = sig.doc;
+        let documentation;
+        if (doc && (doc.summary || doc.returns)) {
+            documentation = new vscode.MarkdownString(doc.summary);
+            if (doc.returns) documentation.appendMarkdown(`${doc.summary ? '\n\n' : ''}*@return* ${doc.returns}`);
+        }
+        const info = new vscode.SignatureInformation(label, documentation);
+        info.parameters = sig.params.map((param, i) => {
+            const text = doc && doc.params.get(paramName(param));
+            return new vscode.ParameterInformation(ranges[i], text ? new vscode.MarkdownString(text) : undefined);
+        });
+        return info;
+    }
+}
+
+module.exports = {
+    findCallContext,
+    collectSignatures,
+    selectOverload,
+    MqlSignatureHelpProvider,
+};
@@ -0,0 +1,439 @@
+'use strict';
+const fs = require('fs');
+const { decodeTextBuffer } = require('./textDecoding');
+const { maskCommentsAndStrings } = require('./createProperties');
+const { getObjItems, extractDocumentSymbols, clearSymbolCache } = require('./provider');
+const { parseClasses } = require('./classMethods');
+
+// =============================================================================
+// SPELLCHECK INDEX - Lazy-loaded dictionary for typo detection
+// =============================================================================
+
+let spellcheckIndex = null;
+
+/**
+ * Build and cache the spellcheck index from items.json
+ * Indexes functions (group 2) and constants (groups 15 and 20) by first character for fast lookup
+ * @returns {{ byFirstChar: Object<string, string[]>, all: Set<string>, kinds: Map<string, string> }}
+ */
+function getSpellcheckIndex() {
+    if (spellcheckIndex) return spellcheckIndex;
+
+    const byFirstChar = {};
+    const all = new Set();
+    const kinds = new Map();
+    const items = getObjItems();
+
+    for (const name in items) {
+        const group = items[name].group;
+        const kind = group === 2 ? 'function' : group === 15 || group === 20 ? 'constant' : null;
+        // Only include functions and constants with reasonable length
+        if (!kind || name.length < 3 || !/^\w+$/.test(name)) continue;
+        all.add(name);
+        kinds.set(name, kind);
+        const firstChar = name[0].toUpperCase();
+        if (!byFirstChar[firstChar]) byFirstChar[firstChar] = [];
+        byFirstChar[firstChar].push(name);
+    }
+
+    spellcheckIndex = { byFirstChar, all, kinds };
+    return spellcheckIndex;
+}
+
+/**
+ * Bounded Levenshtein distance with early termination
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} maxDist - Maximum distance threshold
+ * @returns {number} Distance if <= maxDist, otherwise Infinity
+ */
+function levenshteinBounded(a, b, maxDist) {
+    const lenA = a.length, lenB = b.length;
+
+    // Quick length check - if lengths differ by more than threshold, skip
+    if (Math.abs(lenA - lenB) > maxDist) return Infinity;
+
+    // Handle edge cases
+    if (lenA === 0) return lenB <= maxDist ? lenB : Infinity;
+    if (lenB === 0) return lenA <= maxDist ? lenA : Infinity;
+
+    // Single row DP (space optimized O(min(m,n)))
+    // Ensure we iterate over the shorter string for the inner loop
+    const [shorter, longer] = lenA < lenB ? [a, b] : [b, a];
+    const shortLen = shorter.length, longLen = longer.length;
+
+    let row = Array.from({ length: shortLen + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= longLen; i++) {
+        let prev = i;
+        let minInRow = prev;
+
+        for (let j = 1; j <= shortLen; j++) {
+            const cost = longer[i - 1] === shorter[j - 1] ? 0 : 1;
+            const curr = Math.min(
+                row[j] + 1,       // deletion
+                prev + 1,         // insertion
+                row[j - 1] + cost // substitution
+            );
+            row[j - 1] = prev;
+            prev = curr;
+            minInRow = Math.min(minInRow, curr);
+        }
+        row[shortLen] = prev;
+
+        // Early exit: if minimum in this row > maxDist, we can't reach target
+        if (minInRow > maxDist) return Infinity;
+    }
+
+    return row[shortLen] <= maxDist ? row[shortLen] : Infinity;
+}
+
+/**
+ * Builtin names within `maxDist` of `word`
+ * @returns {Array<{name: string, distance: number, kind: string}>}
+ */
+function builtinCandidates(word, maxDist) {
+    const index = getSpellcheckIndex();
+    const candidates = [];
+    const scan = names => {
+        for (const name of names || []) {
+            // Pre-filter by length difference
+            if (Math.abs(name.length - word.length) > maxDist) continue;
+            const dist = levenshteinBounded(word.toLowerCase(), name.toLowerCase(), maxDist);
+            if (dist !== Infinity) candidates.push({ name, distance: dist, kind: index.kinds.get(name) });
+        }
+    };
+
+    // Strategy 1: Check words starting with same letter (most common typo pattern)
+    const firstChar = word[0].toUpperCase();
+    scan(index.byFirstChar[firstChar]);
+
+    // Strategy 2: If no matches found, check adjacent letters (handles first-char typos)
+    if (candidates.length === 0 && word.length >= 4) {
+        const firstCharCode = firstChar.charCodeAt(0);
+        [String.fromCharCode(firstCharCode - 1), String.fromCharCode(firstCharCode + 1)]
+            .filter(c => c >= 'A' && c <= 'Z')
+            .forEach(c => scan(index.byFirstChar[c]));
+    }
+    return candidates;
+}
+
+/**
+ * Find closest builtin matches for a misspelled word
+ * @param {string} word - The misspelled word
+ * @param {number} maxDist - Maximum edit distance (default: 2)
+ * @param {number} maxResults - Maximum number of results (default: 3)
+ * @returns {Array<{name: string, distance: number}>} Sorted by distance
+ */
+function findClosestMatches(word, maxDist = 2, maxResults = 3) {
+    if (word.length < 3) return []; // Too short to reliably match
+
+    // First, check if it's already a valid name
+    if (getSpellcheckIndex().all.has(word)) return [];
+
+    const candidates = builtinCandidates(word, maxDist).map(({ name, distance }) => ({ name, distance }));
+
+    // Sort by distance (prefer closer matches), then alphabetically
+    candidates.sort((a, b) => a.distance - b.distance || a.name.localeCompare(b.name));
+
+    return candidates.slice(0, maxResults);
+}
+
+// =============================================================================
+// RANKING - scope proximity and usage compatibility
+// =============================================================================
+
+const SCOPE_RANK = { local: 0, file: 1, include: 2, builtin: 2 };
+
+const CALLABLE = new Set(['function', 'method']);
+const VALUES = new Set(['variable', 'input', 'field', 'enumValue', 'define', 'constant']);
+const TYPES = new Set(['class', 'enum']);
+
+/**
+ * How well a symbol kind fits where the misspelled name is used (0 = fits).
+ * @param {string} kind
+ * @param {'call'|'member'|'type'|'value'} usage
+ */
+function kindPenalty(kind, usage) {
+    switch (usage) {
+        case 'call': return CALLABLE.has(kind) ? 0 : kind === 'define' ? 1 : 3;
+        case 'member': return kind === 'method' || kind === 'field' ? 0 : 3;
+        case 'type': return TYPES.has(kind) ? 0 : 3;
+        default: return VALUES.has(kind) ? 0 : 2;
+    }
+}
+
+/**
+ * Classify how an identifier is used from the text around it.
+ * @param {string} before - Line text before the identifier
+ * @param {string} after - Line text after the identifier
+ * @returns {'call'|'member'|'type'|'value'}
+ */
+function detectUsage(before, after) {
+    if (/(?:\.|->)\s*$/.test(before)) return 'member';
+    if (/^\s*\(/.test(after)) return /\bnew\s+$/.test(before) ? 'type' : 'call';
+    if (/\bnew\s+$/.test(before) || /^\s*[*&]?\s*[A-Za-z_]\w*\s*(?:[;=,)[]|$)/.test(after)) return 'type';
+    return 'value';
+}
+
+/**
+ * Spelling suggestions from builtins and workspace symbols, ranked by edit
+ * distance, then by how well the kind fits the usage, then by scope
+ * proximity (locals, this file, included headers, builtins).
+ *
+ * @param {string} word - The misspelled word
+ * @param {object} [opts]
+ * @param {Array<{name: string, kind: string, scope: string}>} [opts.symbols] - Visible workspace symbols
+ * @param {'call'|'member'|'type'|'value'} [opts.usage='value']
+ * @param {number} [opts.maxDist=2]
+ * @param {number} [opts.maxResults=3]
+ * @returns {Array<{name: string, distance: number, kind: string, scope: string, score: number}>}
+ */
+function rankSpellingSuggestions(word, { symbols = [], usage = 'value', maxDist = 2, maxResults = 3 } = {}) {
+    if (word.length < 3) return [];
+    if (getSpellcheckIndex().all.has(word) || symbols.some(s => s.name === word)) return [];
+
+    const best = new Map();
+    const consider = (candidate) => {
+        const score = candidate.distance * 4 + kindPenalty(candidate.kind, usage) + SCOPE_RANK[candidate.scope];
+        const existing = best.get(candidate.name);
+        if (!existing || score < existing.score) best.set(candidate.name, { ...candidate, score });
+    };
+
+    const lower = word.toLowerCase();
+    for (const symbol of symbols) {
+        if (symbol.name.length < 3 || Math.abs(symbol.name.length - word.length) > maxDist) continue;
+        const distance = levenshteinBounded(lower, symbol.name.toLowerCase(), maxDist);
+        if (distance !== Infinity) consider({ name: symbol.name, distance, kind: symbol.kind, scope: symbol.scope });
+    }
+    for (const candidate of builtinCandidates(word, maxDist)) consider({ ...candidate, scope: 'builtin' });
+
+    return [...best.values()]
+        .sort((a, b) => a.score - b.score || a.distance - b.distance || a.name.localeCompare(b.name))
+        .slice(0, maxResults);
+}
+
+// =============================================================================
+// WORKSPACE SYMBOLS
+// =============================================================================
+
+/**
+ * Line spans of top-level function bodies (class, struct and enum bodies excluded).
+ * @returns {Array<{ start: number, end: number }>}
+ */
+function functionBodySpans(masked) {
+    const spans = [];
+    let line = 0;
+    let depth = 0;
+    let open = null;
+    let headStart = 0;
+    for (let i = 0; i < masked.length; i++) {
+        const c = masked[i];
+        if (c === '\n') line++;
+        else if (c === ';' && depth === 0) headStart = i + 1;
+        else if (c === '{') {
+            if (depth === 0 && !/\b(?:class|struct|enum|union)\b/.test(masked.slice(headStart, i))) open = line;
+            depth++;
+        } else if (c === '}' && depth > 0 && --depth === 0) {
+            if (open !== null) spans.push({ start: open, end: line });
+            open = null;
+            headStart = i + 1;
+        }
+    }
+    return spans;
+}
+
+/** Enum types and their values. */
+function extractEnums(masked) {
+    const out = [];
+    const re = /\benum\s+([A-Za-z_]\w*)?\s*\{([^}]*)\}/g;
+    let m;
+    while ((m = re.exec(masked)) !== null) {
+        if (m[1]) out.push({ name: m[1], kind: 'enum' });
+        for (const part of m[2].split(',')) {
+            const value = part.match(/^\s*([A-Za-z_]\w*)/);
+            if (value) out.push({ name: value[1], kind: 'enumValue', container: m[1] || null });
+        }
+    }
+    return out;
+}
+
+/** Methods and data members of the classes and structs in `text`. */
+function extractClassMembers(classes, masked) {
+    const out = [];
+    const lines = masked.split('\n');
+    for (const cls of classes) {
+        for (const method of cls.methods) {
+            if (!method.isConstructor) out.push({ name: method.name, kind: 'method', container: cls.name });
+        }
+        let body = lines.slice(cls.startLine, cls.endLine + 1).join('\n');
+        body = body.slice(body.indexOf('{') + 1, body.lastIndexOf('}'));
+        // Drop nested bodies so only member declarations remain
+        let previous;
+        do {
+            previous = body;
+            body = body.replace(/\{[^{}]*\}/g, ';');
+        } while (body !== previous);
+        for (const statement of body.split(';')) {
+            const decl = statement.replace(/\b(?:public|protected|private)\s*:/g, '').trim();
+            if (!decl || decl.includes('(')) continue;
+            const m = decl.match(/^(?:(?:static|const|mutable)\s+)*[A-Za-z_][\w<>,\s]*?[\s*&]+([A-Za-z_]\w*(?:\s*\[[^\]]*\])?(?:\s*=[^,]*)?(?:\s*,\s*[A-Za-z_]\w*(?:\s*\[[^\]]*\])?(?:\s*=[^,]*)?)*)$/);
+            if (!m) continue;
+            for (const part of m[1].split(',')) {
+                const name = part.match(/^\s*([A-Za-z_]\w*)/);
+                if (name) out.push({ name: name[1], kind: 'field', container: cls.name });
+            }
+        }
+    }
+    return out;
+}
+
+/**
+ * Symbols a file contributes to spelling suggestions, from the document symbol
+ * provider plus enum values and class members. Variables declared inside
+ * function bodies carry their body span so callers can keep only visible ones.
+ *
+ * @param {{ uri: { toString(): string }, version: number, getText(): string, positionAt(offset: number): { line: number } }} document
+ * @returns {Array<{ name: string, kind: string, line?: number, span?: { start: number, end: number }, container?: string|null }>}
+ */
+function collectSpellingSymbols(document) {
+    const text = document.getText();
+    const masked = maskCommentsAndStrings(text);
+    const symbols = extractDocumentSymbols(document);
+    const spans = functionBodySpans(masked);
+    const spanOf = line => spans.find(s => s.start <= line && line <= s.end) || null;
+    // Inline methods and data members are reported as members, not as globals
+    const classes = parseClasses(text);
+    const outsideClasses = s => !classes.some(c => c.startLine <= s.line && s.line <= c.endLine);
+
+    return [
+        ...symbols.functions.filter(outsideClasses).map(f => ({ name: f.name, kind: 'function', line: f.line })),
+        ...symbols.inputs.map(i => ({ name: i.name, kind: 'input', line: i.line })),
+        ...symbols.defines.map(d => ({ name: d.name, kind: 'define', line: d.line })),
+        ...symbols.classes.map(c => ({ name: c.name, kind: 'class', line: c.line })),
+        ...symbols.variables.filter(outsideClasses).map(v => ({ name: v.name, kind: 'variable', line: v.line, span: spanOf(v.line) })),
+        ...extractEnums(masked),
+        ...extractClassMembers(classes, masked),
+    ];
+}
+
+function fileDocument(filePath, text, stamp) {
+    const lineStarts = [0];
+    for (let i = 0; i < text.length; i++) if (text[i] === '\n') lineStarts.push(i + 1);
+    return {
+        uri: { toString: () => `spellcheck:${filePath}` },
+        version: stamp,
+        getText: () => text,
+        positionAt: offset => {
+            let lo = 0, hi = lineStarts.length - 1;
+            while (lo < hi) {
+                const mid = (lo + hi + 1) >> 1;
+                if (lineStarts[mid] <= offset) lo = mid; else hi = mid - 1;
+            }
+            return { line: lo, character: offset - lineStarts[lo] };
+        },
+    };
+}
+
+/**
+ * Workspace symbols visible from a document: its own symbols and those of its
+ * include closure. Kept incremental: the open document is rescanned per
+ * version, headers per modification time, and the include closure only when
+ * the document's `#include` lines change or a header is saved.
+ */
+class SpellingSymbolIndex {
+    /**
+     * @param {object} opts
+     * @param {(document: vscode.TextDocument) => Promise<string[]>} opts.collectFiles - Include closure, main first
+     */
+    constructor({ collectFiles }) {
+        this._collectFiles = collectFiles;
+        this._documents = new Map();
+        this._headers = new Map();
+        this._closures = new Map();
+    }
+
+    /**
+     * @param {vscode.TextDocument} document
+     * @param {number} line - Line of the misspelled identifier (decides which locals are visible)
+     * @returns {Promise<Array<{ name: string, kind: string, scope: 'local'|'file'|'include' }>>}
+     */
+    async symbolsFor(document, line) {
+        const out = [];
+        for (const symbol of this._documentSymbols(document)) {
+            if (!symbol.span) out.push({ name: symbol.name, kind: symbol.kind, scope: 'file' });
+            else if (symbol.span.start <= line && line <= symbol.span.end) out.push({ name: symbol.name, kind: symbol.kind, scope: 'local' });
+        }
+        for (const file of await this._closure(document)) {
+            for (const symbol of await this._headerSymbols(file)) {
+                if (!symbol.span) out.push({ name: symbol.name, kind: symbol.kind, scope: 'include' });
+            }
+        }
+        return out;
+    }
+
+    /**
+     * Forget cached data after `filePath` changed on disk.
+     * @param {string} filePath
+     */
+    invalidate(filePath) {
+        this._headers.delete(filePath);
+        this._closures.clear();
+    }
+
+    _documentSymbols(document) {
+        const key = document.uri.toString();
+        const cached = this._documents.get(key);
+        if (cached && cached.version === document.version) return cached.symbols;
+        const symbols = collectSpellingSymbols(document);
+        this._documents.set(key, { version: document.version, symbols });
+        return symbols;
+    }
+
+    async _closure(document) {
+        const key = document.uri.toString();
+        const signature = (document.getText().match(/^[ \t]*#include\b.*$/gm) || []).join('\n');
+        const cached = this._closures.get(key);
+        if (cached && cached.signature === signature) return cached.files;
+        let files = [];
+        try {
+            files = (await this._collectFiles(document)).filter(f => f !== document.fileName);
+        } catch {
+            files = [];
+        }
+        this._closures.set(key, { signature, files });
+        return files;
+    }
+
+    async _headerSymbols(filePath) {
+        let stat;
+        try {
+            stat = await fs.promises.stat(filePath);
+        } catch {
+            return [];
+        }
+        const cached = this._headers.get(filePath);
+        if (cached && cached.mtimeMs === stat.mtimeMs) return cached.symbols;
+
+        let symbols = [];
+        try {
+            const document = fileDocument(filePath, decodeTextBuffer(await fs.promises.readFile(filePath)), stat.mtimeMs);
+            symbols = collectSpellingSymbols(document);
+            clearSymbolCache(document.uri.toString());
+        } catch {
+            symbols = [];
+        }
+        this._headers.set(filePath, { mtimeMs: stat.mtimeMs, symbols });
+        return symbols;
+    }
+}
+
+module.exports = {
+    getSpellcheckIndex,
+    levenshteinBounded,
+    findClosestMatches,
+    detectUsage,
+    rankSpellingSuggestions,
+    collectSpellingSymbols,
+    SpellingSymbolIndex,
+};
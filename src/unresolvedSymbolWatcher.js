@@ -610,6 +610,7 @@ module.exports = {
     mapWithConcurrency,
     rangeContainsPosition,
     escapeRegExp,
+    getClangdClient,
     UnresolvedCodeActionProvider,
     UnresolvedCodeLensProvider,
     unresolvedByDoc,
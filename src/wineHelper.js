@@ -512,6 +512,7 @@ module.exports = {
     toWineWindowsPath,
     toWineWindowsPathLegacy,
     fromWineWindowsPath,
+    expandHomeDir,
     isWineEnabled,
     getWineBinary,
     getWinePrefix,
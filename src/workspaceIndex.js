@@ -0,0 +1,677 @@
+'use strict';
+const vscode = require('vscode');
+const fs = require('fs');
+const pathModule = require('path');
+const { decodeTextBuffer } = require('./textDecoding');
+const { maskCommentsAndStrings, extractTopLevelFunctionDefs } = require('./createProperties');
+const { extractDocumentSymbols, clearSymbolCache, MQL_EVENT_HANDLERS } = require('./provider');
+const { parseClasses } = require('./classMethods');
+const { KEYWORDS, getBuiltins, escapeRegExp, getClangdClient } = require('./unresolvedSymbolWatcher');
+const { identifierAt, localScopeOf, findRenameOccurrences, createResolver } = require('./mqlRename');
+const { extractDocComment, commentStart, trailingComment } = require('./docComments');
+
+const MAX_WORKSPACE_SYMBOLS = 1000;
+const REG_OUT_OF_LINE = /\b([A-Za-z_]\w*)\s*::\s*(~?[A-Za-z_]\w*)\s*\(/g;
+const REG_ENUM = /\benum\s+([A-Za-z_]\w*)\s*\{([^}]*)\}/g;
+
+function symbolKindOf(kind) {
+    return {
+        function: vscode.SymbolKind.Function,
+        method: vscode.SymbolKind.Method,
+        class: vscode.SymbolKind.Class,
+        struct: vscode.SymbolKind.Struct,
+        interface: vscode.SymbolKind.Interface,
+        enum: vscode.SymbolKind.Enum,
+        enumValue: vscode.SymbolKind.EnumMember,
+        define: vscode.SymbolKind.Constant,
+        input: vscode.SymbolKind.Variable,
+        variable: vscode.SymbolKind.Variable,
+    }[kind];
+}
+
+function sourceDocument(filePath, text, stamp) {
+    const lineStarts = [0];
+    for (let i = 0; i < text.length; i++) if (text[i] === '\n') lineStarts.push(i + 1);
+    return {
+        uri: { toString: () => `mql-index:${filePath}` },
+        version: stamp,
+        getText: () => text,
+        positionAt: offset => {
+            let lo = 0, hi = lineStarts.length - 1;
+            while (lo < hi) {
+                const mid = (lo + hi + 1) >> 1;
+                if (lineStarts[mid] <= offset) lo = mid; else hi = mid - 1;
+            }
+            return { line: lo, character: offset - lineStarts[lo] };
+        },
+    };
+}
+
+/**
+ * Whether the first whole-word `name` on `line` sits at brace depth 0, i.e.
+ * declares a global rather than a local of a one-line function.
+ * @returns {(line: number, name: string) => boolean}
+ */
+function topLevelLookup(masked) {
+    const lines = masked.split('\n');
+    const depthAtLine = [];
+    let depth = 0;
+    for (const line of lines) {
+        depthAtLine.push(depth);
+        for (const c of line) {
+            if (c === '{') depth++;
+            else if (c === '}') depth--;
+        }
+    }
+    return (line, name) => {
+        const text = lines[line] || '';
+        const at = new RegExp(`(?<!\\w)${escapeRegExp(name)}(?!\\w)`).exec(text);
+        if (!at) return false;
+        let d = depthAtLine[line];
+        for (const c of text.slice(0, at.index)) {
+            if (c === '{') d++;
+            else if (c === '}') d--;
+        }
+        return d === 0;
+    };
+}
+
+/**
+ * Navigable declarations of one MQL source: functions, classes and their
+ * methods (inline and out-of-line), enums with their values, `#define`s,
+ * inputs and global variables. Builds on `extractDocumentSymbols` for inputs,
+ * macros, functions and variables.
+ *
+ * @param {{ getText(): string, positionAt(offset: number): { line: number } }} document
+ * @returns {Array<{ name: string, kind: string, container: string|null, line: number, character: number }>}
+ */
+function collectIndexSymbols(document) {
+    const text = document.getText();
+    const masked = maskCommentsAndStrings(text);
+    const lines = text.split('\n');
+    const out = [];
+    const seen = new Set();
+    const add = (name, kind, line, container = null) => {
+        const key = `${kind}:${container}:${name}:${line}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+        const column = new RegExp(`(?<!\\w)${escapeRegExp(name)}(?!\\w)`).exec(lines[line] || '');
+        out.push({ name, kind, container, line, character: column ? column.index : 0 });
+    };
+
+    const symbols = extractDocumentSymbols(document);
+    const classes = parseClasses(text);
+    const insideClass = line => classes.some(c => c.startLine <= line && line <= c.endLine);
+
+    for (const input of symbols.inputs) add(input.name, 'input', input.line);
+    for (const define of symbols.defines) add(define.name, 'define', define.line);
+    for (const fn of symbols.functions) if (!insideClass(fn.line)) add(fn.name, 'function', fn.line);
+    const isTopLevel = topLevelLookup(masked);
+    for (const variable of symbols.variables) if (isTopLevel(variable.line, variable.name)) add(variable.name, 'variable', variable.line);
+    for (const fn of extractTopLevelFunctionDefs(text)) add(fn.name, 'function', fn.line - 1);
+
+    for (const cls of classes) {
+        add(cls.name, cls.kind, cls.startLine);
+        for (const method of cls.methods) add(method.name, 'method', method.line, cls.name);
+    }
+
+    let m;
+    REG_OUT_OF_LINE.lastIndex = 0;
+    while ((m = REG_OUT_OF_LINE.exec(masked)) !== null) {
+        let depth = 1;
+        let j = m.index + m[0].length;
+        for (; j < masked.length && depth > 0; j++) {
+            if (masked[j] === '(') depth++;
+            else if (masked[j] === ')') depth--;
+        }
+        if (/^\s*(?:const\s*)?(?::[^{;]*)?\{/.test(masked.slice(j, j + 200))) {
+            add(m[2], 'method', document.positionAt(m.index + m[0].indexOf(m[2], m[1].length)).line, m[1]);
+        }
+    }
+
+    REG_ENUM.lastIndex = 0;
+    while ((m = REG_ENUM.exec(masked)) !== null) {
+        add(m[1], 'enum', document.positionAt(m.index).line);
+        let offset = m.index + m[0].indexOf('{') + 1;
+        for (const part of m[2].split(',')) {
+            const value = part.match(/^(\s*)([A-Za-z_]\w*)/);
+            if (value) add(value[2], 'enumValue', document.positionAt(offset + value[1].length).line, m[1]);
+            offset += part.length + 1;
+        }
+    }
+    return out;
+}
+
+/**
+ * Case-insensitive subsequence match, the loose filter VS Code expects from
+ * workspace symbol providers.
+ */
+function matchesQuery(name, query) {
+    const lower = name.toLowerCase();
+    let i = 0;
+    for (const c of query.toLowerCase()) {
+        i = lower.indexOf(c, i) + 1;
+        if (i === 0) return false;
+    }
+    return true;
+}
+
+async function readFileText(filePath) {
+    return decodeTextBuffer(await fs.promises.readFile(filePath));
+}
+
+function openDocument(filePath) {
+    return (vscode.workspace.textDocuments || []).find(d => d.fileName === filePath);
+}
+
+/**
+ * Declarations of every MQL source in the workspace. Files are rescanned when
+ * their modification time changes; the file list is refreshed after
+ * `invalidate(…, { structural: true })`, i.e. when files are created or deleted.
+ *
+ * The same cache serves other per-file results through `parsed()`, so call
+ * hierarchy, member completion and signature help do not re-read the include
+ * graph on every request.
+ */
+class WorkspaceSymbolIndex {
+    /**
+     * @param {object} opts
+     * @param {() => Promise<string[]>} opts.findFiles - MQL sources of the workspace
+     * @param {(filePath: string) => Promise<string>} [opts.readFile]
+     * @param {(filePath: string) => Promise<{ mtimeMs: number }>} [opts.stat]
+     */
+    constructor({ findFiles, readFile = readFileText, stat = filePath => fs.promises.stat(filePath) }) {
+        this._findFiles = findFiles;
+        this._readFile = readFile;
+        this._stat = stat;
+        this._files = null;
+        this._sources = new Map();
+        this._documents = new Map();
+    }
+
+    /**
+     * All indexed symbols.
+     * @returns {Promise<Array<{ name: string, kind: string, container: string|null, filePath: string, line: number, character: number }>>}
+     */
+    async allSymbols() {
+        if (!this._files) this._files = Promise.resolve(this._findFiles()).catch(() => []);
+        return this.symbolsIn(await this._files);
+    }
+
+    /**
+     * Symbols of the given files, also outside the workspace (e.g. the include directory).
+     * @param {string[]} files
+     */
+    async symbolsIn(files) {
+        const out = [];
+        for (const filePath of files) out.push(...await this._fileSymbols(filePath));
+        return out;
+    }
+
+    /**
+     * Symbols of an open document, rescanned per version.
+     * @param {vscode.TextDocument} document
+     */
+    documentSymbols(document) {
+        const cached = this._documents.get(document.fileName);
+        if (cached && cached.version === document.version) return cached.symbols;
+        const symbols = collectIndexSymbols(document).map(s => ({ ...s, filePath: document.fileName }));
+        this._documents.set(document.fileName, { version: document.version, symbols });
+        return symbols;
+    }
+
+    /**
+     * Result of `parse(text, filePath)` for a source, cached under `key` until
+     * the source changes: per version while it is open in the editor, per
+     * modification time otherwise. Files that disappear are evicted.
+     *
+     * @template T
+     * @param {string} filePath
+     * @param {string} key - One per kind of result, e.g. `'calls'`
+     * @param {(text: string, filePath: string) => T} parse
+     * @returns {Promise<T|null>} null when the file cannot be read
+     */
+    async parsed(filePath, key, parse) {
+        const open = openDocument(filePath);
+        let stamp;
+        if (open) {
+            stamp = `open:${open.version}`;
+        } else {
+            try {
+                stamp = (await this._stat(filePath)).mtimeMs;
+            } catch {
+                this._sources.delete(filePath);
+                return null;
+            }
+        }
+        let entry = this._sources.get(filePath);
+        if (!entry || entry.stamp !== stamp) {
+            entry = { stamp, values: new Map() };
+            this._sources.set(filePath, entry);
+        }
+        if (!entry.values.has(key)) {
+            let text;
+            try {
+                text = open ? open.getText() : await this._readFile(filePath);
+            } catch {
+                return null;
+            }
+            entry.values.set(key, parse(text, filePath));
+        }
+        return entry.values.get(key);
+    }
+
+    /**
+     * `parsed()` for a document at hand, e.g. the one being edited.
+     *
+     * @template T
+     * @param {vscode.TextDocument} document
+     * @param {string} key
+     * @param {(text: string, filePath: string) => T} parse
+     * @returns {T}
+     */
+    parsedDocument(document, key, parse) {
+        const stamp = `open:${document.version}`;
+        let entry = this._sources.get(document.fileName);
+        if (!entry || entry.stamp !== stamp) {
+            entry = { stamp, values: new Map() };
+            this._sources.set(document.fileName, entry);
+        }
+        if (!entry.values.has(key)) entry.values.set(key, parse(document.getText(), document.fileName));
+        return entry.values.get(key);
+    }
+
+    /**
+     * Forget cached data for `filePath`.
+     * @param {string} filePath
+     * @param {object} [opts]
+     * @param {boolean} [opts.structural=false] - A file was created or deleted
+     */
+    invalidate(filePath, { structural = false } = {}) {
+        this._sources.delete(filePath);
+        this._documents.delete(filePath);
+        if (structural) this._files = null;
+    }
+
+    async _fileSymbols(filePath) {
+        const symbols = await this.parsed(filePath, 'symbols', text => {
+            try {
+                const document = sourceDocument(filePath, text, 0);
+                const found = collectIndexSymbols(document).map(s => ({ ...s, filePath }));
+                clearSymbolCache(document.uri.toString());
+                return found;
+            } catch {
+                return [];
+            }
+        });
+        return symbols || [];
+    }
+}
+
+/**
+ * Send a request to clangd when its extension is loaded.
+ * @returns {Promise<any>} the response, or null without clangd or on error
+ */
+async function askClangd(method, params) {
+    const client = await getClangdClient();
+    if (!client || typeof client.sendRequest !== 'function') return null;
+    try {
+        return await client.sendRequest(method, params);
+    } catch {
+        return null;
+    }
+}
+
+function hasAnswer(response) {
+    return Array.isArray(response) ? response.length > 0 : !!response;
+}
+
+function positionParams(document, position) {
+    return {
+        textDocument: { uri: document.uri.toString() },
+        position: { line: position.line, character: position.character },
+    };
+}
+
+function userIdentifierAt(document, position) {
+    const hit = identifierAt(document.getText(), document.offsetAt(position));
+    if (!hit || KEYWORDS.has(hit.name) || getBuiltins().has(hit.name)) return null;
+    return hit;
+}
+
+function locationOf(symbol) {
+    const start = new vscode.Position(symbol.line, symbol.character);
+    const end = new vscode.Position(symbol.line, symbol.character + symbol.name.length);
+    return new vscode.Location(vscode.Uri.file(symbol.filePath), new vscode.Range(start, end));
+}
+
+/**
+ * Workspace symbol search (`Ctrl+T`) over the MQL index. Symbols clangd
+ * already reports at the same place are left out.
+ */
+class MqlWorkspaceSymbolProvider {
+    /**
+     * @param {object} deps
+     * @param {WorkspaceSymbolIndex} deps.index
+     * @param {(method: string, params: object) => Promise<any>} [deps.askClangd]
+     */
+    constructor({ index, askClangd: ask = askClangd }) {
+        this._index = index;
+        this._askClangd = ask;
+    }
+
+    async provideWorkspaceSymbols(query) {
+        const fromClangd = await this._askClangd('workspace/symbol', { query });
+        const known = new Set((Array.isArray(fromClangd) ? fromClangd : [])
+            .filter(s => s && s.location && s.location.range)
+            .map(s => `${s.name}:${pathModule.normalize(vscode.Uri.parse(s.location.uri).fsPath).toLowerCase()}:${s.location.range.start.line}`));
+
+        const results = [];
+        for (const symbol of await this._index.allSymbols()) {
+            if (!matchesQuery(symbol.name, query)) continue;
+            if (known.has(`${symbol.name}:${pathModule.normalize(symbol.filePath).toLowerCase()}:${symbol.line}`)) continue;
+            results.push(new vscode.SymbolInformation(symbol.name, symbolKindOf(symbol.kind), symbol.container || '', locationOf(symbol)));
+            if (results.length >= MAX_WORKSPACE_SYMBOLS) break;
+        }
+        return results;
+    }
+}
+
+/**
+ * Go to Definition for user MQL symbols when clangd has no answer. Looks in
+ * the document and its include closure first, then in the whole workspace.
+ */
+class MqlDefinitionProvider {
+    /**
+     * @param {object} deps
+     * @param {WorkspaceSymbolIndex} deps.index
+     * @param {(document: vscode.TextDocument) => Promise<string[]>} deps.collectFiles - Include closure of the document
+     * @param {(method: string, params: object) => Promise<any>} [deps.askClangd]
+     */
+    constructor({ index, collectFiles, askClangd: ask = askClangd }) {
+        this._index = index;
+        this._collectFiles = collectFiles;
+        this._askClangd = ask;
+    }
+
+    async provideDefinition(document, position) {
+        const hit = userIdentifierAt(document, position);
+        if (!hit || localScopeOf(maskCommentsAndStrings(document.getText()), hit.start, hit.name)) return undefined;
+        if (hasAnswer(await this._askClangd('textDocument/definition', positionParams(document, position)))) return undefined;
+
+        let files = [];
+        try {
+            files = (await this._collectFiles(document)).filter(f => f !== document.fileName);
+        } catch {
+            files = [];
+        }
+        const visible = [...this._index.documentSymbols(document), ...await this._index.symbolsIn(files)]
+            .filter(s => s.name === hit.name);
+        const matches = visible.length > 0
+            ? visible
+            : (await this._index.allSymbols()).filter(s => s.name === hit.name && s.filePath !== document.fileName);
+        return matches.length > 0 ? matches.map(locationOf) : undefined;
+    }
+}
+
+/**
+ * Find All References for user MQL symbols when clangd has no answer: code
+ * and preprocessor occurrences in every file sharing the symbol. Locals and
+ * parameters are searched in their function only; other occurrences are
+ * resolved like a rename, so a global, a class member and a local of the
+ * same name are told apart.
+ */
+class MqlReferenceProvider {
+    /**
+     * @param {object} deps
+     * @param {WorkspaceSymbolIndex} deps.index
+     * @param {(document: vscode.TextDocument) => Promise<string[]>} deps.collectFiles - Sources sharing symbols with the document
+     * @param {(filePath: string) => Promise<string>} [deps.readFile]
+     * @param {(method: string, params: object) => Promise<any>} [deps.askClangd]
+     */
+    constructor({ index, collectFiles, readFile = readFileText, askClangd: ask = askClangd }) {
+        this._index = index;
+        this._collectFiles = collectFiles;
+        this._readFile = readFile;
+        this._askClangd = ask;
+    }
+
+    async provideReferences(document, position, context = { includeDeclaration: true }) {
+        const hit = userIdentifierAt(document, position);
+        if (!hit) return undefined;
+        const params = { ...positionParams(document, position), context: { includeDeclaration: context.includeDeclaration } };
+        if (hasAnswer(await this._askClangd('textDocument/references', params))) return undefined;
+
+        const text = document.getText();
+        const local = localScopeOf(maskCommentsAndStrings(text), hit.start, hit.name);
+        const sources = [{ filePath: document.fileName, text, scope: local }];
+        if (!local) {
+            let files = [];
+            try {
+                files = await this._collectFiles(document);
+            } catch {
+                files = [];
+            }
+            for (const filePath of new Set(files)) {
+                if (filePath === document.fileName) continue;
+                try {
+                    sources.push({ filePath, text: await this._readFile(filePath), scope: undefined });
+                } catch {
+                    // Unreadable sources have no references to offer
+                }
+            }
+        }
+
+        const classes = new Map();
+        for (const { text: source } of sources) {
+            for (const cls of parseClasses(source)) if (!classes.has(cls.name)) classes.set(cls.name, cls);
+        }
+        const resolverFor = createResolver(classes, hit.name);
+        const symbol = local ? 'local' : resolverFor(text)(hit.start);
+        const isSymbol = resolved => resolved === symbol
+            || (resolved === 'unresolved' && symbol.startsWith('member:'))
+            || (symbol === 'unresolved' && resolved.startsWith('member:'));
+
+        const declarations = new Set();
+        if (!context.includeDeclaration) {
+            const files = sources.map(s => s.filePath).filter(f => f !== document.fileName);
+            for (const symbol of [...this._index.documentSymbols(document), ...await this._index.symbolsIn(files)]) {
+                if (symbol.name === hit.name) declarations.add(`${symbol.filePath}:${symbol.line}:${symbol.character}`);
+            }
+        }
+
+        const locations = [];
+        for (const { filePath, text: source, scope } of sources) {
+            const lineStarts = [0];
+            for (let i = 0; i < source.length; i++) if (source[i] === '\n') lineStarts.push(i + 1);
+            const resolve = scope ? () => 'local' : resolverFor(source);
+            for (const occurrence of findRenameOccurrences(source, hit.name, scope)) {
+                if (occurrence.kind === 'string' || !isSymbol(resolve(occurrence.start))) continue;
+                let line = lineStarts.length - 1;
+                while (lineStarts[line] > occurrence.start) line--;
+                const character = occurrence.start - lineStarts[line];
+                if (declarations.has(`${filePath}:${line}:${character}`)) continue;
+                locations.push(locationOf({ name: hit.name, filePath, line, character }));
+            }
+        }
+        return locations;
+    }
+}
+
+/**
+ * Source text of a declaration: the statement head up to its body or `;`
+ * (`double CalcLots(double risk, int stop = 100)`, `input int Magic = 1`),
+ * the `#define` line, or `Enum::VALUE` for enum values.
+ *
+ * @param {string} text
+ * @param {{ name: string, kind: string, container: string|null, line: number }} symbol
+ * @returns {string}
+ */
+function declarationText(text, symbol) {
+    const lines = text.split('\n');
+    const line = lines[symbol.line] || '';
+    if (symbol.kind === 'enumValue') return `${symbol.container}::${symbol.name}`;
+    const code = l => (commentStart(l) < 0 ? l : l.slice(0, commentStart(l)));
+    if (symbol.kind === 'define') return code(line).trim();
+
+    const start = lines.slice(0, symbol.line).reduce((offset, l) => offset + l.length + 1, 0);
+    const masked = maskCommentsAndStrings(text.slice(start, start + 1000));
+    let depth = 0;
+    let end = masked.length;
+    for (let i = 0; i < masked.length; i++) {
+        const c = masked[i];
+        if (c === '(') depth++;
+        else if (c === ')') depth--;
+        else if (depth === 0 && (c === '{' || c === ';')) { end = i; break; }
+    }
+    const head = text.slice(start, start + end).split('\n').map(code).join(' ');
+    return head.replace(/^\s*(?:(?:public|private|protected)\s*:\s*)+/, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Hover for user MQL symbols declared in the document or its include
+ * closure: the declaration, the doc comment above it (MetaEditor banners,
+ * `///` and `/** *\/` blocks), the declaring file and, for inputs, the
+ * tester label from the trailing comment. Builtin names are described here
+ * only when the user's code declares them; `Hover_MQL` then stays silent.
+ */
+class MqlHoverProvider {
+    /**
+     * @param {object} deps
+     * @param {WorkspaceSymbolIndex} deps.index
+     * @param {(document: vscode.TextDocument) => Promise<string[]>} deps.collectFiles - Include closure of the document
+     * @param {(filePath: string) => Promise<string>} [deps.readFile]
+     */
+    constructor({ index, collectFiles, readFile = readFileText }) {
+        this._index = index;
+        this._collectFiles = collectFiles;
+        this._readFile = readFile;
+    }
+
+    async provideHover(document, position) {
+        const text = document.getText();
+        const hit = identifierAt(text, document.offsetAt(position));
+        if (!hit || KEYWORDS.has(hit.name) || MQL_EVENT_HANDLERS.has(hit.name)) return undefined;
+        const masked = maskCommentsAndStrings(text);
+        if (localScopeOf(masked, hit.start, hit.name)) return undefined;
+        const candidates = await this._candidates(document, masked, hit);
+        if (candidates.length === 0) return undefined;
+
+        const texts = new Map([[document.fileName, text]]);
+        const described = [];
+        for (const symbol of candidates) {
+            if (!texts.has(symbol.filePath)) {
+                try {
+                    texts.set(symbol.filePath, await this._readFile(symbol.filePath));
+                } catch {
+                    continue;
+                }
+            }
+            const lines = texts.get(symbol.filePath).split('\n');
+            const doc = extractDocComment(lines, symbol.line, { trailing: symbol.kind !== 'input' });
+            described.push({ symbol, doc, source: texts.get(symbol.filePath), lines });
+        }
+        const chosen = described.find(d => d.doc) || described[0];
+        if (!chosen) return undefined;
+
+        const range = new vscode.Range(document.positionAt(hit.start), document.positionAt(hit.end));
+        return new vscode.Hover(this._contents(chosen), range);
+    }
+
+    /**
+     * Whether the identifier at `position` is a local or a declaration of the
+     * document or its includes, hiding a builtin of the same name.
+     * @returns {Promise<boolean>}
+     */
+    async shadowsBuiltin(document, position) {
+        const text = document.getText();
+        const hit = identifierAt(text, document.offsetAt(position));
+        if (!hit || MQL_EVENT_HANDLERS.has(hit.name)) return false;
+        const masked = maskCommentsAndStrings(text);
+        if (localScopeOf(masked, hit.start, hit.name)) return true;
+        return (await this._candidates(document, masked, hit)).length > 0;
+    }
+
+    /** Declarations `hit` may refer to, judged by `::`, `.`/`->` or a plain use. */
+    async _candidates(document, masked, hit) {
+        let files = [];
+        try {
+            files = (await this._collectFiles(document)).filter(f => f !== document.fileName);
+        } catch {
+            files = [];
+        }
+        const named = [...this._index.documentSymbols(document), ...await this._index.symbolsIn(files)]
+            .filter(s => s.name === hit.name);
+        const before = masked.slice(Math.max(0, hit.start - 80), hit.start);
+        const qualified = before.match(/([A-Za-z_]\w*)\s*::\s*$/);
+        if (qualified) return named.filter(s => s.container === qualified[1]);
+        if (/(?:\.|->)\s*$/.test(before)) return named.filter(s => s.kind === 'method');
+        const plain = named.filter(s => s.kind !== 'method');
+        // A method named like a builtin does not hide the builtin from plain calls
+        return plain.length > 0 || getBuiltins().has(hit.name) ? plain : named;
+    }
+
+    _contents({ symbol, doc, source, lines }) {
+        const contents = new vscode.MarkdownString();
+        contents.appendCodeblock(declarationText(source, symbol), 'cpp');
+        if (symbol.kind === 'input') {
+            const label = trailingComment(lines[symbol.line]);
+            if (label) contents.appendMarkdown(`**Tester label:** ${label}\n\n`);
+        }
+        if (doc) {
+            if (doc.summary) contents.appendMarkdown(`${doc.summary}\n\n`);
+            for (const [name, text] of doc.params) contents.appendMarkdown(`- \`${name}\` ${text}\n`);
+            if (doc.params.size > 0) contents.appendMarkdown('\n');
+            if (doc.returns) contents.appendMarkdown(`*@return* ${doc.returns}\n\n`);
+        }
+        contents.appendMarkdown(`*${pathModule.basename(symbol.filePath)}, line ${symbol.line + 1}*`);
+        return contents;
+    }
+}
+
+/**
+ * Register the workspace symbol, definition and reference fallbacks and the
+ * user symbol hover for MQL files, and keep the index in step with file
+ * creation and deletion.
+ *
+ * @param {vscode.ExtensionContext} context
+ * @param {object} deps
+ * @param {(document: vscode.TextDocument) => Promise<string[]>} deps.collectIncludeClosure
+ * @param {(document: vscode.TextDocument) => Promise<string[]>} deps.collectReferenceScope
+ * @returns {WorkspaceSymbolIndex}
+ */
+function registerWorkspaceIndex(context, { collectIncludeClosure, collectReferenceScope }) {
+    const selector = { pattern: '**/*.{mq4,mq5,mqh}' };
+    const index = new WorkspaceSymbolIndex({
+        findFiles: async () => {
+            const maxFiles = vscode.workspace.getConfiguration('mql_tools').get('CompileTarget.InferMaxFiles', 5000);
+            const uris = await vscode.workspace.findFiles('**/*.{mq4,mq5,mqh}', '**/node_modules/**', maxFiles);
+            return uris.map(uri => uri.fsPath);
+        },
+    });
+
+    context.subscriptions.push(
+        vscode.languages.registerWorkspaceSymbolProvider(new MqlWorkspaceSymbolProvider({ index })),
+        vscode.languages.registerDefinitionProvider(selector, new MqlDefinitionProvider({ index, collectFiles: collectIncludeClosure })),
+        vscode.languages.registerReferenceProvider(selector, new MqlReferenceProvider({ index, collectFiles: collectReferenceScope })),
+        vscode.languages.registerHoverProvider(selector, new MqlHoverProvider({ index, collectFiles: collectIncludeClosure })),
+    );
+
+    const watcher = vscode.workspace.createFileSystemWatcher('**/*.{mq4,mq5,mqh}');
+    watcher.onDidCreate(uri => index.invalidate(uri.fsPath, { structural: true }));
+    watcher.onDidDelete(uri => index.invalidate(uri.fsPath, { structural: true }));
+    context.subscriptions.push(watcher);
+    return index;
+}
+
+module.exports = {
+    collectIndexSymbols,
+    matchesQuery,
+    WorkspaceSymbolIndex,
+    MqlWorkspaceSymbolProvider,
+    MqlDefinitionProvider,
+    MqlReferenceProvider,
+    MqlHoverProvider,
+    declarationText,
+    registerWorkspaceIndex,
+};
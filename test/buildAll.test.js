@@ -0,0 +1,347 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const vscode = require('vscode');
+const {
+    runBuildAll,
+    isBuildableMain,
+    resolveBuildConcurrency,
+    summarizeBuildResults,
+    countDiagnostics,
+    formatBuildSummary,
+    computeClosureHashes,
+    hasClosureChanged,
+    planChangedBuild,
+    recordCompileHashes,
+    getCompiledBinaryPath,
+} = require('../src/buildAll');
+const { collectIncludeClosure } = require('../src/compileTargetResolver');
+const { CompileQueue } = require('../src/compileQueue');
+const { MainDiagnosticsStore } = require('../src/mainDiagnostics');
+const { setActiveBuildProfile } = require('../src/buildProfiles');
+
+const stubConfig = values => ({ get: (key, fallback) => key in values ? values[key] : fallback });
+
+function withConfig(values, fn) {
+    const original = vscode.workspace._configMock;
+    vscode.workspace._configMock = stubConfig(values);
+    return Promise.resolve().then(fn).finally(() => {
+        vscode.workspace._configMock = original;
+    });
+}
+
+suite('buildAll — helpers', function () {
+    test('isBuildableMain accepts mains and rejects headers and debug builds', function () {
+        assert.ok(isBuildableMain(path.join('Experts', 'MyEA.mq5')));
+        assert.ok(isBuildableMain(path.join('Experts', 'Old.MQ4')));
+        assert.strictEqual(isBuildableMain(path.join('Include', 'Shared.mqh')), false);
+        assert.strictEqual(isBuildableMain(path.join('Experts', 'MyEA.mql_dbg_build.mq5')), false);
+    });
+
+    test('resolveBuildConcurrency clamps to 1..8 and falls back to 2', function () {
+        assert.strictEqual(resolveBuildConcurrency(stubConfig({})), 2);
+        assert.strictEqual(resolveBuildConcurrency(stubConfig({ 'BuildAll.Concurrency': 0 })), 1);
+        assert.strictEqual(resolveBuildConcurrency(stubConfig({ 'BuildAll.Concurrency': 99 })), 8);
+        assert.strictEqual(resolveBuildConcurrency(stubConfig({ 'BuildAll.Concurrency': 3.7 })), 3);
+        assert.strictEqual(resolveBuildConcurrency(stubConfig({ 'BuildAll.Concurrency': 'x' })), 2);
+    });
+
+    test('summarizeBuildResults treats compilePath error strings and true as failures', function () {
+        const summary = summarizeBuildResults([
+            { target: 'a.mq5', error: false },
+            { target: 'b.mq5', error: null },
+            { target: 'c.mq5', error: true },
+            { target: 'd.mq5', error: 'MetaEditor not found' },
+            { target: 'e.mq5', error: null, skipped: true },
+        ]);
+
+        assert.strictEqual(summary.ok, 2);
+        assert.strictEqual(summary.failed, 2);
+        assert.strictEqual(summary.skipped, 1);
+        assert.deepStrictEqual(summary.failedTargets, ['c.mq5', 'd.mq5']);
+    });
+
+    test('countDiagnostics and formatBuildSummary report totals', function () {
+        const E = vscode.DiagnosticSeverity.Error;
+        const W = vscode.DiagnosticSeverity.Warning;
+        const counts = countDiagnostics(new Map([
+            ['a.mq5', [{ severity: E }, { severity: W }]],
+            ['b.mqh', [{ severity: W }]],
+        ]));
+
+        assert.deepStrictEqual(counts, { errors: 1, warnings: 2 });
+        assert.strictEqual(
+            formatBuildSummary({ ok: 3, failed: 1, skipped: 0 }, counts, 12.34),
+            'Build All: 3 ok / 1 failed — 1 error(s), 2 warning(s) [12.3s]'
+        );
+    });
+});
+
+suite('buildAll — runBuildAll', function () {
+    function makeDeps(compilePath) {
+        const published = new Map();
+        return {
+            published,
+            deps: {
+                compilePath,
+                outputChannel: { clear: () => { }, show: () => { }, appendLine: () => { } },
+                mainDiagnostics: new MainDiagnosticsStore({
+                    clear: () => published.clear(),
+                    set: (uri, diags) => published.set(uri.fsPath, diags),
+                }),
+            },
+        };
+    }
+
+    /** What compilePath() does with `options.diagnostics` after parsing a log. */
+    function recordLog(store, options, target, logDiagnostics) {
+        for (const file of store.record(target, logDiagnostics)) {
+            options.diagnostics.set(file, store.getFileDiagnostics(file));
+        }
+    }
+
+    function logError(file, message) {
+        return { file, range: new vscode.Range(0, 0, 0, 1), message, severity: vscode.DiagnosticSeverity.Error, errorCode: '256' };
+    }
+
+    test('compiles every target within the concurrency bound and publishes merged diagnostics', async function () {
+        let inFlight = 0;
+        let maxInFlight = 0;
+        const { deps, published } = makeDeps(async (rt, target, _ctx, options) => {
+            inFlight++;
+            maxInFlight = Math.max(maxInFlight, inFlight);
+            await new Promise(r => setTimeout(r, 5));
+            inFlight--;
+            if (target === 'bad.mq5') {
+                recordLog(deps.mainDiagnostics, options, target, [logError('bad.mq5', 'undeclared identifier')]);
+                return true;
+            }
+            return false;
+        });
+
+        const outcome = await withConfig({ 'BuildAll.Concurrency': 2 }, () => runBuildAll({}, {
+            ...deps,
+            targets: ['a.mq5', 'b.mq5', 'bad.mq5', 'c.mq4'],
+        }));
+
+        assert.strictEqual(maxInFlight, 2);
+        assert.strictEqual(outcome.summary.ok, 3);
+        assert.strictEqual(outcome.summary.failed, 1);
+        assert.strictEqual(outcome.counts.errors, 1);
+        assert.ok(published.has('bad.mq5'));
+    });
+
+    test('publishes through the store, keeping other mains and evicting deleted ones', async function () {
+        const { deps, published } = makeDeps(async (rt, target, _ctx, options) => {
+            recordLog(deps.mainDiagnostics, options, target, []);
+            return false;
+        });
+        const store = deps.mainDiagnostics;
+        const root = fs.mkdtempSync(path.join(os.tmpdir(), 'mql-buildall-'));
+        const kept = path.join(root, 'Kept.mq5');
+        const fixed = path.join(root, 'Fixed.mq5');
+        fs.writeFileSync(kept, '');
+        fs.writeFileSync(fixed, '');
+        const shared = path.join(root, 'Shared.mqh');
+        try {
+            store.update(kept, [logError(shared, 'kept error')]);
+            store.update(fixed, [logError(fixed, 'fixed error')]);
+            store.update(path.join(root, 'Renamed.mq5'), [logError(shared, 'stale error')]);
+
+            await withConfig({}, () => runBuildAll({}, { ...deps, targets: [fixed] }));
+
+            assert.deepStrictEqual(published.get(fixed), []);
+            assert.deepStrictEqual(published.get(shared).map(d => d.message), ['kept error']);
+            assert.deepStrictEqual(store.getMains(), [kept]);
+        } finally {
+            fs.rmSync(root, { recursive: true, force: true });
+        }
+    });
+
+    test('records a thrown compile as a failure instead of aborting the build', async function () {
+        const { deps } = makeDeps(async (rt, target) => {
+            if (target === 'boom.mq5') throw new Error('spawn failed');
+            return false;
+        });
+
+        const outcome = await withConfig({}, () => runBuildAll({}, { ...deps, targets: ['ok.mq5', 'boom.mq5'] }));
+
+        assert.strictEqual(outcome.summary.ok, 1);
+        assert.deepStrictEqual(outcome.summary.failedTargets, ['boom.mq5']);
+    });
+
+    test('holds the compile queue for the batch and shares one cancellation', async function () {
+        const queue = new CompileQueue();
+        const order = [];
+        const cancellations = new Set();
+        let single;
+        const { deps } = makeDeps(async (rt, target, ctx, options) => {
+            cancellations.add(options.cancellation);
+            order.push(`start ${target}`);
+            // A single-file compile requested while the batch runs
+            if (target === 'a.mq5') single = queue.enqueue('1|c.mq5', async () => order.push('single c.mq5'));
+            await new Promise(resolve => setImmediate(resolve));
+            return false;
+        });
+
+        const outcome = await withConfig({ 'BuildAll.Concurrency': 1 }, () =>
+            runBuildAll({}, { ...deps, compileQueue: queue, targets: ['a.mq5', 'b.mq5'] }));
+        await single;
+
+        assert.deepStrictEqual(order, ['start a.mq5', 'start b.mq5', 'single c.mq5']);
+        assert.strictEqual(cancellations.size, 1);
+        assert.strictEqual(outcome.summary.ok, 2);
+        queue.dispose();
+    });
+
+    test('Cancel Compile skips the targets the batch has not started', async function () {
+        const queue = new CompileQueue();
+        const { deps } = makeDeps(async (rt, target) => {
+            if (target === 'a.mq5') queue.cancelAll();
+            return false;
+        });
+
+        const outcome = await withConfig({ 'BuildAll.Concurrency': 1 }, () =>
+            runBuildAll({}, { ...deps, compileQueue: queue, targets: ['a.mq5', 'b.mq5'] }));
+
+        assert.strictEqual(outcome.summary.ok, 0);
+        assert.strictEqual(outcome.summary.skipped, 2);
+        queue.dispose();
+    });
+
+    test('returns null when there is nothing to build', async function () {
+        const { deps } = makeDeps(async () => false);
+        const outcome = await withConfig({}, () => runBuildAll({}, { ...deps, targets: [] }));
+        assert.strictEqual(outcome, null);
+    });
+});
+
+suite('buildAll — Compile Changed', function () {
+    let root;
+
+    function write(rel, content) {
+        const full = path.join(root, rel);
+        fs.mkdirSync(path.dirname(full), { recursive: true });
+        fs.writeFileSync(full, content);
+        return full;
+    }
+
+    function makeContext() {
+        const state = {};
+        return {
+            workspaceState: {
+                get: (key, fallback) => key in state ? state[key] : fallback,
+                update: (key, value) => { state[key] = value; return Promise.resolve(); },
+            },
+        };
+    }
+
+    setup(function () {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'mql-build-changed-'));
+    });
+
+    teardown(function () {
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    test('collectIncludeClosure follows nested includes once and ignores unresolved ones', async function () {
+        const main = write('Experts/A.mq5', '#include "../Include/Shared.mqh"\n#include <Missing.mqh>\n');
+        write('Include/Shared.mqh', '#include "Util.mqh"\n#include "Util.mqh"\n');
+        write('Include/Util.mqh', '// #include "Commented.mqh"\n');
+
+        const closure = await collectIncludeClosure(main, root, '');
+
+        assert.deepStrictEqual(closure.map(f => path.relative(root, f)).sort(), [
+            path.join('Experts', 'A.mq5'),
+            path.join('Include', 'Shared.mqh'),
+            path.join('Include', 'Util.mqh'),
+        ]);
+    });
+
+    test('hasClosureChanged detects modified, added and removed files', function () {
+        const prev = { a: '1', b: '2' };
+        assert.strictEqual(hasClosureChanged(prev, { a: '1', b: '2' }), false);
+        assert.strictEqual(hasClosureChanged(prev, { a: '1', b: '3' }), true);
+        assert.strictEqual(hasClosureChanged(prev, { a: '1', b: '2', c: '4' }), true);
+        assert.strictEqual(hasClosureChanged(prev, { a: '1' }), true);
+        assert.strictEqual(hasClosureChanged(undefined, { a: '1' }), true);
+    });
+
+    test('getCompiledBinaryPath maps sources to their binaries', function () {
+        assert.strictEqual(getCompiledBinaryPath(path.join('x', 'A.mq5')), path.join('x', 'A.ex5'));
+        assert.strictEqual(getCompiledBinaryPath(path.join('x', 'B.mq4')), path.join('x', 'B.ex4'));
+    });
+
+    test('planChangedBuild only marks mains whose shared header changed as stale', async function () {
+        const a = write('Experts/A.mq5', '#include "../Include/Shared.mqh"\n');
+        const b = write('Experts/B.mq5', '#include "../Include/Other.mqh"\n');
+        const shared = write('Include/Shared.mqh', 'int x;\n');
+        write('Include/Other.mqh', 'int y;\n');
+        const ctx = { workspaceRoot: root, includeDir: '' };
+        const context = makeContext();
+        const exists = () => true;
+
+        await recordCompileHashes(context, a, await computeClosureHashes(a, ctx));
+        await recordCompileHashes(context, b, await computeClosureHashes(b, ctx));
+
+        let plan = await planChangedBuild(context, [a, b], exists);
+        assert.deepStrictEqual(plan.stale, []);
+
+        fs.writeFileSync(shared, 'int x = 1;\n');
+        plan = await planChangedBuild(context, [a, b], exists);
+        assert.deepStrictEqual(plan.stale, [a]);
+        assert.deepStrictEqual(plan.upToDate, [b]);
+    });
+
+    test('Build All records closure hashes of successful targets only', async function () {
+        const a = write('Experts/A.mq5', 'void OnStart() {}\n');
+        const b = write('Experts/B.mq5', 'void OnStart() {}\n');
+        const context = makeContext();
+        const outcome = await withConfig({}, () => runBuildAll(context, {
+            compilePath: async (rt, target) => target === b,
+            outputChannel: { clear: () => { }, show: () => { }, appendLine: () => { } },
+            mainDiagnostics: new MainDiagnosticsStore(),
+            targets: [a, b],
+        }));
+        assert.strictEqual(outcome.summary.ok, 1);
+
+        const plan = await planChangedBuild(context, [a, b], () => true);
+        assert.deepStrictEqual(plan.upToDate, [a]);
+        assert.deepStrictEqual(plan.stale, [b]);
+    });
+
+    test('planChangedBuild rebuilds every main when the compile settings change', async function () {
+        const a = write('Experts/A.mq5', 'void OnStart() {}\n');
+        const context = makeContext();
+        const profiles = [{ name: 'Release', optimize: true }, { name: 'Debug', optimize: false, defines: ['TRACE'] }];
+
+        await withConfig({ 'Build.Profiles': profiles }, async () => {
+            await recordCompileHashes(context, a);
+            assert.deepStrictEqual((await planChangedBuild(context, [a], () => true)).upToDate, [a]);
+
+            await setActiveBuildProfile(context, 'Debug');
+            assert.deepStrictEqual((await planChangedBuild(context, [a], () => true)).stale, [a]);
+            await recordCompileHashes(context, a);
+            assert.deepStrictEqual((await planChangedBuild(context, [a], () => true)).upToDate, [a]);
+        });
+        await withConfig({ 'Build.Profiles': profiles, 'Compile.CpuArchitecture': 'avx2' }, async () => {
+            assert.deepStrictEqual((await planChangedBuild(context, [a], () => true)).stale, [a]);
+        });
+    });
+
+    test('planChangedBuild rebuilds mains without a record or without a binary', async function () {
+        const a = write('Experts/A.mq5', 'void OnStart() {}\n');
+        const context = makeContext();
+
+        let plan = await planChangedBuild(context, [a], () => true);
+        assert.deepStrictEqual(plan.stale, [a]);
+
+        await recordCompileHashes(context, a, plan.hashes.get(a));
+        plan = await planChangedBuild(context, [a], () => false);
+        assert.deepStrictEqual(plan.stale, [a]);
+    });
+});
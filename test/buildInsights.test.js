@@ -0,0 +1,93 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+
+const { parseMetaEditorLog } = require('../src/metaEditor');
+const {
+    BuildInsightsStore,
+    collectIncludeStats,
+    formatBytes,
+    buildInsightsMarkdown,
+} = require('../src/buildInsights');
+
+const ws = path.join(path.sep, 'ws');
+const main1 = path.join(ws, 'Experts', 'A.mq5');
+const main2 = path.join(ws, 'Experts', 'B.mq5');
+const core = path.join(ws, 'Include', 'Core.mqh');
+const util = path.join(ws, 'Include', 'Util.mqh');
+
+/** Reverse index shaped like compileTargetResolver's: normalized lower-case header → including files. */
+function makeReverseIndex(entries) {
+    const index = new Map();
+    for (const [header, includers] of entries) {
+        index.set(path.normalize(header).toLowerCase(), new Set(includers));
+    }
+    return index;
+}
+
+suite('buildInsights', function () {
+    test('parseMetaEditorLog collects including lines once each', function () {
+        const log = [
+            'C:\\P\\Main.mq5 : information: compiling \'Main.mq5\'',
+            'C:\\P\\Include\\Core.mqh : information: including \'Core.mqh\'',
+            'C:\\P\\Include\\Util.mqh : information: including \'Util.mqh\'',
+            'C:\\P\\Include\\Core.mqh : information: including \'Core.mqh\'',
+            ' : information: result 0 errors, 0 warnings, 80 msec elapsed',
+        ].join('\r\n');
+        assert.deepStrictEqual(parseMetaEditorLog(log, false, '').includes, [
+            'C:\\P\\Include\\Core.mqh',
+            'C:\\P\\Include\\Util.mqh',
+        ]);
+        assert.deepStrictEqual(parseMetaEditorLog('', false, '').includes, []);
+    });
+
+    test('BuildInsightsStore keeps the latest run per target within the cap', function () {
+        const store = new BuildInsightsStore(2);
+        store.record({ target: main1, mode: 1, startedAt: 1, durationMs: 10, includes: [core] });
+        store.record({ target: main2, mode: 0, startedAt: 2, durationMs: 20, includes: [] });
+        store.record({ target: main1, mode: 1, startedAt: 3, durationMs: 30, includes: [core, util] });
+        store.record({ target: 'C.mq5', mode: 2, startedAt: 4, durationMs: 40, includes: [] });
+
+        assert.deepStrictEqual(store.getTargets(), ['C.mq5', main1]);
+        assert.strictEqual(store.get(main1).durationMs, 30);
+        assert.strictEqual(store.get(main1).mode, 'compile');
+        assert.strictEqual(store.get(main2), undefined);
+    });
+
+    test('collectIncludeStats ranks headers by size times fan-out', async function () {
+        const reverseIndex = makeReverseIndex([
+            [core, [util, main1]],
+            [util, [main1, main2]],
+        ]);
+        const sizes = { [core]: 1000, [util]: 800 };
+        const stats = await collectIncludeStats([core, util], {
+            reverseIndex,
+            statSize: async file => sizes[file],
+        });
+
+        assert.deepStrictEqual(stats.map(s => [s.file, s.mains.length, s.weight]), [
+            [core, 2, 2000],
+            [util, 2, 1600],
+        ]);
+        assert.deepStrictEqual(stats[0].mains, [main1, main2].sort());
+    });
+
+    test('buildInsightsMarkdown renders totals and a ranked table', function () {
+        const run = { target: main1, mode: 'compile', startedAt: 0, durationMs: 4200, includes: [] };
+        const md = buildInsightsMarkdown(run, [
+            { file: core, size: 2048, mains: [main1, main2], weight: 4096 },
+            { file: 'C:\\MT5\\Include\\Trade\\Trade.mqh', size: null, mains: [], weight: 0 },
+        ], { workspaceFolderPath: ws, recentDurationsMs: [4200, 3900] });
+
+        assert.ok(md.startsWith('# Build Insights: A.mq5\n'));
+        assert.ok(md.includes('- Duration: 4.2 s'));
+        assert.ok(md.includes('- Recent durations: 4.2 s, 3.9 s'));
+        assert.ok(md.includes('- Included files: 2 (2.0 KB)'));
+        assert.ok(md.includes('| 1 | `Include/Core.mqh` | 2.0 KB | 2 | 4.0 KB |'));
+        assert.ok(md.includes('| 2 | `C:\\MT5\\Include\\Trade\\Trade.mqh` | n/a | 0 | 0 B |'));
+
+        assert.ok(buildInsightsMarkdown(run, []).includes('no included files'));
+        assert.strictEqual(formatBytes(3 * 1024 * 1024), '3.00 MB');
+    });
+});
@@ -0,0 +1,163 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+    ACTIVE_PROFILE_KEY,
+    readBuildProfiles,
+    getActiveBuildProfile,
+    getProfileProjectFlags,
+    buildPreludeHeaderContent,
+    resolvePreludeHeaderPath,
+    syncPreludeHeader,
+    copyProfileOutput,
+    describeBuildProfile,
+} = require('../src/buildProfiles');
+const { createTempMqproj, cleanupTempMqproj } = require('../src/metaEditor');
+
+const stubConfig = values => ({ get: (key, fallback) => key in values ? values[key] : fallback });
+
+function makeContext(activeName) {
+    const data = new Map([[ACTIVE_PROFILE_KEY, activeName]]);
+    return {
+        workspaceState: {
+            get: (key, fallback) => data.has(key) ? data.get(key) : fallback,
+            update: (key, value) => { data.set(key, value); return Promise.resolve(); },
+        },
+    };
+}
+
+function readMqproj(projPath) {
+    return JSON.parse(fs.readFileSync(projPath).subarray(2).toString('utf16le'));
+}
+
+suite('buildProfiles', function () {
+    let tmpDir;
+
+    setup(function () {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mql-profiles-'));
+    });
+
+    teardown(function () {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('readBuildProfiles normalises entries and reports problems', function () {
+        const { profiles, problems } = readBuildProfiles(stubConfig({
+            'Build.Profiles': [
+                { name: 'Release-AVX2', cpuArchitecture: 'AVX2', outputFolder: ' dist/avx2 ' },
+                { name: 'Debug', defines: ['DEBUG_LOG', 'LOG_LEVEL = 3', '1BAD'], optimize: false },
+                { name: 'Debug' },
+                { cpuArchitecture: 'x64' },
+                { name: 'Odd', cpuArchitecture: 'sse4' },
+            ],
+        }));
+
+        assert.deepStrictEqual(profiles.map(p => p.name), ['Release-AVX2', 'Debug', 'Odd']);
+        assert.strictEqual(profiles[0].cpuArchitecture, 'avx2');
+        assert.strictEqual(profiles[0].outputFolder, 'dist/avx2');
+        assert.deepStrictEqual(profiles[1].defines, [
+            { name: 'DEBUG_LOG', value: '' },
+            { name: 'LOG_LEVEL', value: '3' },
+        ]);
+        assert.strictEqual(profiles[1].optimize, false);
+        assert.strictEqual(profiles[1].fpZeroCheck, null);
+        assert.strictEqual(profiles[2].cpuArchitecture, null);
+        assert.strictEqual(problems.length, 4);
+    });
+
+    test('getActiveBuildProfile resolves the stored name against the settings', function () {
+        const config = stubConfig({ 'Build.Profiles': [{ name: 'Tester' }] });
+        assert.strictEqual(getActiveBuildProfile(makeContext('Tester'), config).name, 'Tester');
+        assert.strictEqual(getActiveBuildProfile(makeContext('Removed'), config), null);
+        assert.strictEqual(getActiveBuildProfile(makeContext(undefined), config), null);
+        assert.strictEqual(getActiveBuildProfile(undefined, config), null);
+    });
+
+    test('getProfileProjectFlags only reports explicit overrides', function () {
+        assert.strictEqual(getProfileProjectFlags(null), null);
+        assert.strictEqual(getProfileProjectFlags({ optimize: null, fpZeroCheck: null }), null);
+        assert.deepStrictEqual(getProfileProjectFlags({ optimize: false, fpZeroCheck: null }), { optimize: false });
+    });
+
+    test('createTempMqproj applies profile flags and optional architecture', function () {
+        const source = path.join(tmpDir, 'EA.mq5');
+        fs.writeFileSync(source, '');
+
+        const withArch = createTempMqproj(source, 2, { optimize: false });
+        const noArch = createTempMqproj(source, null, { fpZeroCheck: false });
+        try {
+            assert.deepStrictEqual(
+                (({ optimize, fpzerocheck, cpu_architecture }) => ({ optimize, fpzerocheck, cpu_architecture }))(readMqproj(withArch)),
+                { optimize: '0', fpzerocheck: '1', cpu_architecture: '2' });
+            const project = readMqproj(noArch);
+            assert.strictEqual(project.fpzerocheck, '0');
+            assert.strictEqual('cpu_architecture' in project, false);
+        } finally {
+            cleanupTempMqproj(withArch);
+            cleanupTempMqproj(noArch);
+        }
+    });
+
+    test('buildPreludeHeaderContent emits BUILD_PROFILE and defines', function () {
+        const content = buildPreludeHeaderContent({
+            name: 'Debug "x"',
+            defines: [{ name: 'DEBUG_LOG', value: '' }, { name: 'LOG_LEVEL', value: '3' }],
+        });
+        assert.ok(content.includes('#define BUILD_PROFILE "Debug \\"x\\""\r\n'));
+        assert.ok(content.includes('#define DEBUG_LOG\r\n'));
+        assert.ok(content.includes('#define LOG_LEVEL 3\r\n'));
+        assert.ok(!buildPreludeHeaderContent(null).includes('#define'));
+    });
+
+    test('syncPreludeHeader writes only when needed', async function () {
+        const headerPath = resolvePreludeHeaderPath(stubConfig({}), tmpDir);
+        assert.strictEqual(headerPath, path.join(tmpDir, 'Include', 'BuildProfile.mqh'));
+        assert.strictEqual(resolvePreludeHeaderPath(stubConfig({ 'Build.PreludeHeader': '' }), tmpDir), null);
+
+        // No profile and no header yet: nothing is created.
+        assert.strictEqual(await syncPreludeHeader(null, headerPath, true), false);
+        assert.strictEqual(fs.existsSync(headerPath), false);
+
+        const profile = { name: 'Tester', defines: [{ name: 'TESTER', value: '' }] };
+        assert.strictEqual(await syncPreludeHeader(profile, headerPath, true), true);
+        assert.strictEqual(await syncPreludeHeader(profile, headerPath, true), false, 'unchanged content is not rewritten');
+        assert.ok(fs.readFileSync(headerPath, 'utf8').includes('#define TESTER'));
+
+        // Deselecting the profile resets the existing header.
+        assert.strictEqual(await syncPreludeHeader(null, headerPath, true), true);
+        assert.ok(!fs.readFileSync(headerPath, 'utf8').includes('#define'));
+    });
+
+    test('syncPreludeHeader leaves the header alone without profiles or when user-written', async function () {
+        const headerPath = path.join(tmpDir, 'Include', 'BuildProfile.mqh');
+        fs.mkdirSync(path.dirname(headerPath));
+        const own = '#define BUILD_PROFILE "mine"\r\n';
+        fs.writeFileSync(headerPath, own);
+
+        assert.strictEqual(await syncPreludeHeader(null, headerPath, false), false);
+        await assert.rejects(syncPreludeHeader(null, headerPath, true), /not generated by MQL Tools/);
+        await assert.rejects(syncPreludeHeader({ name: 'Tester', defines: [] }, headerPath, true), /not generated by MQL Tools/);
+        assert.strictEqual(fs.readFileSync(headerPath, 'utf8'), own);
+    });
+
+    test('copyProfileOutput copies the compiled binary into the output folder', async function () {
+        const source = path.join(tmpDir, 'Experts', 'EA.mq5');
+        fs.mkdirSync(path.dirname(source));
+        fs.writeFileSync(path.join(tmpDir, 'Experts', 'EA.ex5'), 'bin');
+
+        const dest = await copyProfileOutput(source, { outputFolder: 'dist/avx2' }, tmpDir);
+        assert.strictEqual(dest, path.join(tmpDir, 'dist', 'avx2', 'EA.ex5'));
+        assert.strictEqual(fs.readFileSync(dest, 'utf8'), 'bin');
+        assert.strictEqual(await copyProfileOutput(source, { outputFolder: null }, tmpDir), null);
+    });
+
+    test('describeBuildProfile summarises the overrides', function () {
+        assert.strictEqual(describeBuildProfile({
+            cpuArchitecture: 'avx2', defines: [{ name: 'A' }, { name: 'B' }], optimize: false, fpZeroCheck: null, outputFolder: 'dist',
+        }), 'AVX2 · A, B · no optimize · → dist');
+    });
+});
@@ -0,0 +1,161 @@
+'use strict';
+
+const assert = require('assert');
+const vscode = require('vscode');
+
+const {
+    findFunctionDefinitions,
+    MqlCallHierarchyProvider,
+} = require('../src/callHierarchy');
+const { WorkspaceSymbolIndex } = require('../src/workspaceIndex');
+
+let documentVersion = 0;
+
+function fakeDocument(text, fileName) {
+    const lineStarts = [0];
+    for (let i = 0; i < text.length; i++) if (text[i] === '\n') lineStarts.push(i + 1);
+    return {
+        uri: vscode.Uri.file(fileName),
+        fileName,
+        version: ++documentVersion,
+        getText: () => text,
+        offsetAt: pos => lineStarts[pos.line] + pos.character,
+    };
+}
+
+function positionOf(text, needle, nth = 0) {
+    let offset = -1;
+    for (let i = 0; i <= nth; i++) offset = text.indexOf(needle, offset + 1);
+    const before = text.slice(0, offset).split('\n');
+    return new vscode.Position(before.length - 1, before[before.length - 1].length);
+}
+
+const HEADER = [
+    'class CTrader',                                            // 0
+    '  {',                                                      // 1
+    'public:',                                                  // 2
+    '                     CTrader() : m_count(0) { Reset(); }', // 3
+    '                    ~CTrader() { Reset(); }',              // 4
+    '   void              Reset() { m_count = 0; }',            // 5
+    '   bool              CloseAll();',                         // 6
+    'private:',                                                 // 7
+    '   int               m_count;',                            // 8
+    '  };',                                                     // 9
+    'bool CTrader::CloseAll()',                                 // 10
+    '  {',                                                      // 11
+    '   Reset();',                                              // 12
+    '   return CloseAllPositions();',                           // 13
+    '  }',                                                      // 14
+    '#define SAFE(x) if(x) { x; }',                             // 15
+    'bool CloseAllPositions() { return PositionsTotal() == 0; }', // 16
+].join('\n');
+
+const MAIN = [
+    '#include "Trader.mqh"',                   // 0
+    'CTrader trader;',                         // 1
+    'void OnTick()',                           // 2
+    '  {',                                     // 3
+    '   if(Signal()) trader.CloseAll();',      // 4
+    '   for(int i = 0; i < 3; i++) { Log(); }', // 5
+    '  }',                                     // 6
+    'void OnTimer() { CloseAllPositions(); }', // 7
+    'bool Signal() { return true; }',          // 8
+    'void Log() { Print("CloseAllPositions()"); }', // 9
+].join('\n');
+
+/** In-memory sources with a modification time per file; counts the reads. */
+function memoryIndex(files, mtimes = {}, reads = []) {
+    return new WorkspaceSymbolIndex({
+        findFiles: async () => Object.keys(files),
+        readFile: async filePath => {
+            reads.push(filePath);
+            return files[filePath];
+        },
+        stat: async filePath => {
+            if (!(filePath in files)) throw new Error(`ENOENT: ${filePath}`);
+            return { mtimeMs: mtimes[filePath] || 1 };
+        },
+    });
+}
+
+function createProvider(files = { '/ws/Bot.mq5': MAIN, '/ws/Trader.mqh': HEADER }, index = memoryIndex(files)) {
+    return new MqlCallHierarchyProvider({
+        index,
+        collectFiles: async () => Object.keys(files),
+    });
+}
+
+const describe = item => `${item.name}@${item.selectionRange.start.line}`;
+
+suite('callHierarchy', function () {
+    test('findFunctionDefinitions finds functions, inline and out-of-line methods and event handlers', function () {
+        const defs = findFunctionDefinitions(`${HEADER}\n${MAIN}`)
+            .map(d => `${d.container ? `${d.container}::` : ''}${d.name}${d.isEvent ? ' (event)' : ''}`);
+        assert.deepStrictEqual(defs, [
+            'CTrader::CTrader',
+            'CTrader::~CTrader',
+            'CTrader::Reset',
+            'CTrader::CloseAll',
+            'CloseAllPositions',
+            'OnTick (event)',
+            'OnTimer (event)',
+            'Signal',
+            'Log',
+        ]);
+    });
+
+    test('outgoing calls of an event handler resolve across the include graph', async function () {
+        const provider = createProvider();
+        const item = await provider.prepareCallHierarchy(fakeDocument(MAIN, '/ws/Bot.mq5'), positionOf(MAIN, 'OnTick'));
+        assert.strictEqual(item.kind, vscode.SymbolKind.Event);
+        assert.strictEqual(item.detail, 'event handler');
+
+        const outgoing = await provider.provideCallHierarchyOutgoingCalls(item);
+        assert.deepStrictEqual(outgoing.map(c => `${describe(c.to)}:${c.fromRanges[0].start.line}`), [
+            'Signal@8:4', 'CTrader::CloseAll@10:4', 'Log@9:5',
+        ]);
+        const closeAll = outgoing[1].to;
+        assert.strictEqual(closeAll.uri.fsPath, '/ws/Trader.mqh');
+        const next = await provider.provideCallHierarchyOutgoingCalls(closeAll);
+        assert.deepStrictEqual(next.map(c => describe(c.to)), ['CTrader::Reset@5', 'CloseAllPositions@16']);
+    });
+
+    test('incoming calls lead back to the event handlers, ignoring strings and comments', async function () {
+        const provider = createProvider();
+        const items = await provider.prepareCallHierarchy(fakeDocument(HEADER, '/ws/Trader.mqh'), positionOf(HEADER, 'CloseAllPositions();'));
+        assert.deepStrictEqual(items.map(describe), ['CloseAllPositions@16']);
+
+        const incoming = await provider.provideCallHierarchyIncomingCalls(items[0]);
+        assert.deepStrictEqual(incoming.map(c => describe(c.from)).sort(), ['CTrader::CloseAll@10', 'OnTimer@7']);
+        const viaMethod = incoming.find(c => c.from.name === 'CTrader::CloseAll');
+        const roots = await provider.provideCallHierarchyIncomingCalls(viaMethod.from);
+        assert.deepStrictEqual(roots.map(c => `${describe(c.from)}:${c.from.kind}`), [`OnTick@2:${vscode.SymbolKind.Event}`]);
+    });
+
+    test('unqualified calls inside a method prefer the own class', async function () {
+        const provider = createProvider();
+        const reset = await provider.prepareCallHierarchy(fakeDocument(HEADER, '/ws/Trader.mqh'), positionOf(HEADER, 'Reset() {'));
+        const incoming = await provider.provideCallHierarchyIncomingCalls(reset);
+        assert.deepStrictEqual(incoming.map(c => `${describe(c.from)}:${c.fromRanges.length}`), [
+            'CTrader::CTrader@3:1', 'CTrader::~CTrader@4:1', 'CTrader::CloseAll@10:1',
+        ]);
+    });
+
+    test('sources are read again only when their modification time changes', async function () {
+        const files = { '/ws/Bot.mq5': MAIN, '/ws/Trader.mqh': HEADER };
+        const mtimes = {};
+        const reads = [];
+        const provider = createProvider(files, memoryIndex(files, mtimes, reads));
+        const item = await provider.prepareCallHierarchy(fakeDocument(MAIN, '/ws/Bot.mq5'), positionOf(MAIN, 'OnTick'));
+
+        await provider.provideCallHierarchyOutgoingCalls(item);
+        await provider.provideCallHierarchyOutgoingCalls(item);
+        assert.deepStrictEqual(reads.sort(), ['/ws/Bot.mq5', '/ws/Trader.mqh']);
+
+        files['/ws/Trader.mqh'] = HEADER.replace('CloseAllPositions()', 'CloseEverything()');
+        mtimes['/ws/Trader.mqh'] = 2;
+        const closeAll = (await provider.provideCallHierarchyOutgoingCalls(item))[1].to;
+        assert.deepStrictEqual((await provider.provideCallHierarchyOutgoingCalls(closeAll)).map(c => describe(c.to)), ['CTrader::Reset@5']);
+        assert.strictEqual(reads.length, 3);
+    });
+});
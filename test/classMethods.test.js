@@ -0,0 +1,265 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vscode = require('vscode');
+
+const {
+    normalizeParamTypes,
+    parseClasses,
+    findOutOfLineDefinitions,
+    findMissingMethodBodies,
+    defaultReturnStatements,
+    buildMethodStubs,
+    findEnumNames,
+    findUnimplementedPureVirtuals,
+    buildOverrideStubs,
+    loadClassIndex,
+    createMethodBodyActions,
+    createAbstractMethodActions,
+} = require('../src/classMethods');
+
+const SOURCE = [
+    'enum MyMode { MODE_A, MODE_B };',          // 0
+    'class CFoo : public CBase',                // 1
+    '  {',                                      // 2
+    'private:',                                 // 3
+    '   int m_x; // not a method(); {',         // 4
+    'public:',                                  // 5
+    '   CFoo(void) : m_x(0) {}',                // 6
+    '   ~CFoo(void);',                          // 7
+    '   virtual bool Init(const string &sym, int n = 3) const;', // 8
+    '   CObject *Create(void);',                // 9
+    '   MyMode Mode(void);',                    // 10
+    '   CArrayInt Items(void);',                // 11
+    '   virtual void Pure(void) = 0;',          // 12
+    '   double Price() { return 0; }',          // 13
+    '  };',                                     // 14
+    'CFoo::~CFoo(void) {}',                     // 15
+    'bool CFoo::Init(const string &s, int k) const { return true; }', // 16
+].join('\n');
+
+const SIGNAL_BASE = [
+    'class CSignalBase',
+    '  {',
+    'public:',
+    '   virtual bool      CheckLong(double &price, int shift = 0) = 0;',
+    '   virtual string    Name(void) const = 0;',
+    '   virtual void      Reset(void) {}',
+    '  };',
+    'class CFilteredSignal : public CSignalBase',
+    '  {',
+    'public:',
+    '   virtual string    Name(void) const { return "filtered"; }',
+    '   virtual ENUM_TIMEFRAMES Period(void) = 0;',
+    '  };',
+].join('\n');
+
+function fakeDocument(text, fileName = '/ws/Include/Foo.mqh') {
+    const lines = text.split('\n');
+    return {
+        uri: vscode.Uri.file(fileName),
+        fileName,
+        getText: () => text,
+        lineAt: line => ({ text: lines[line], range: { end: new vscode.Position(line, lines[line].length) } }),
+    };
+}
+
+suite('classMethods', function () {
+    test('normalizeParamTypes drops names, defaults and whitespace', function () {
+        assert.strictEqual(normalizeParamTypes('const string &sym, int n = 3'), 'const string&,int');
+        assert.strictEqual(normalizeParamTypes('double &buf[], CObject *obj'), 'double&[],CObject*');
+        assert.strictEqual(normalizeParamTypes('void'), '');
+        assert.strictEqual(normalizeParamTypes(''), '');
+    });
+
+    test('parseClasses finds methods with their bodies and specifiers', function () {
+        const [cls] = parseClasses(SOURCE);
+        assert.strictEqual(cls.name, 'CFoo');
+        assert.deepStrictEqual(cls.bases, ['CBase']);
+        assert.deepStrictEqual([cls.startLine, cls.endLine], [1, 14]);
+        assert.deepStrictEqual(cls.methods.map(m => [m.name, m.hasBody, m.line]), [
+            ['CFoo', true, 6], ['~CFoo', false, 7], ['Init', false, 8], ['Create', false, 9],
+            ['Mode', false, 10], ['Items', false, 11], ['Pure', false, 12], ['Price', true, 13],
+        ]);
+        const init = cls.methods[2];
+        assert.ok(init.isVirtual && init.isConst && !init.isPure);
+        assert.strictEqual(cls.methods[3].returnType, 'CObject *');
+        assert.ok(cls.methods[6].isPure);
+    });
+
+    test('parseClasses finds a field declared after the opening brace', function () {
+        const [cls] = parseClasses('class CA { int count; void Inc(){ count++; } };');
+        assert.deepStrictEqual(cls.fields.map(f => f.name), ['count']);
+        assert.deepStrictEqual(cls.methods.map(m => m.name), ['Inc']);
+    });
+
+    test('findMissingMethodBodies matches definitions by parameter types', function () {
+        assert.deepStrictEqual(findOutOfLineDefinitions(SOURCE),
+            new Set(['CFoo::~CFoo()', 'CFoo::Init(const string&,int)']));
+        const [cls] = parseClasses(SOURCE);
+        assert.deepStrictEqual(findMissingMethodBodies(cls, [SOURCE]).map(m => m.name), ['Create', 'Mode', 'Items']);
+        const elsewhere = 'MyMode CFoo::Mode(void)\n{\n   return MODE_A;\n}\n';
+        assert.deepStrictEqual(findMissingMethodBodies(cls, [SOURCE, elsewhere]).map(m => m.name), ['Create', 'Items']);
+    });
+
+    test('defaultReturnStatements picks a neutral value per type', function () {
+        const enums = new Set(['MyMode']);
+        assert.deepStrictEqual(defaultReturnStatements('void'), []);
+        assert.deepStrictEqual(defaultReturnStatements('bool'), ['return false;']);
+        assert.deepStrictEqual(defaultReturnStatements('double'), ['return 0.0;']);
+        assert.deepStrictEqual(defaultReturnStatements('const string'), ['return "";']);
+        assert.deepStrictEqual(defaultReturnStatements('CObject *'), ['return NULL;']);
+        assert.deepStrictEqual(defaultReturnStatements('ENUM_TIMEFRAMES'), ['return (ENUM_TIMEFRAMES)0;']);
+        assert.deepStrictEqual(defaultReturnStatements('MyMode', enums), ['return (MyMode)0;']);
+        assert.deepStrictEqual(defaultReturnStatements('CArrayInt'), ['CArrayInt result;', 'return result;']);
+    });
+
+    test('buildMethodStubs strips defaults and keeps const', function () {
+        const [cls] = parseClasses(SOURCE);
+        const [init, create] = [cls.methods[2], cls.methods[3]];
+        assert.strictEqual(buildMethodStubs('CFoo', [init, create], { knownEnums: findEnumNames(SOURCE) }), [
+            'bool CFoo::Init(const string &sym, int n) const',
+            '{',
+            '    return false;',
+            '}',
+            '',
+            'CObject *CFoo::Create(void)',
+            '{',
+            '    return NULL;',
+            '}',
+        ].join('\n'));
+    });
+
+    test('createMethodBodyActions inserts stubs after the class', async function () {
+        const document = fakeDocument(SOURCE);
+        const diagnostic = new vscode.Diagnostic(new vscode.Range(10, 3, 10, 7), "'Mode' - function must have a body");
+
+        const [here, elsewhere] = await createMethodBodyActions(document, new vscode.Range(0, 0, 0, 0), [diagnostic]);
+        assert.strictEqual(here.title, "MQL: Generate 3 missing method bodies for 'CFoo' after the class");
+        assert.strictEqual(here.kind, vscode.CodeActionKind.QuickFix);
+        assert.deepStrictEqual(here.diagnostics, [diagnostic]);
+        const [edit] = here.edit.edits;
+        assert.deepStrictEqual([edit.position.line, edit.position.character], [14, 4]);
+        assert.ok(edit.newText.startsWith('\n\nCObject *CFoo::Create(void)\n'));
+        assert.ok(edit.newText.includes('MyMode CFoo::Mode(void)\n{\n    return (MyMode)0;\n}'));
+        assert.ok(!edit.newText.includes('TODO'));
+        assert.deepStrictEqual(elsewhere.command.arguments, [document.uri, 'CFoo']);
+
+        const refactors = await createMethodBodyActions(document, new vscode.Range(8, 0, 8, 0), []);
+        assert.strictEqual(refactors[0].kind, vscode.CodeActionKind.Refactor);
+        assert.deepStrictEqual(await createMethodBodyActions(document, new vscode.Range(16, 0, 16, 0), []), []);
+    });
+
+    test('findUnimplementedPureVirtuals walks the base chain', function () {
+        const index = new Map(parseClasses(SIGNAL_BASE).map(c => [c.name, c]));
+        const [derived] = parseClasses('class CMy : public CFilteredSignal\n  {\n   bool CheckLong(double &p, int s);\n  };');
+        assert.deepStrictEqual(findUnimplementedPureVirtuals(derived, index).map(m => [m.name, m.declaredIn]),
+            [['Period', 'CFilteredSignal']]);
+
+        const [bare] = parseClasses('class CBare : public CFilteredSignal {};');
+        assert.deepStrictEqual(findUnimplementedPureVirtuals(bare, index).map(m => m.name), ['Period', 'CheckLong']);
+        const [unknown] = parseClasses('class CX : public CUnknown {};');
+        assert.deepStrictEqual(findUnimplementedPureVirtuals(unknown, index), []);
+    });
+
+    test('buildOverrideStubs writes inline overrides', function () {
+        const [base] = parseClasses(SIGNAL_BASE);
+        assert.strictEqual(buildOverrideStubs(base.methods.slice(0, 2), { indent: '   ' }), [
+            '   virtual bool CheckLong(double &price, int shift) override',
+            '   {',
+            '      // TODO: Implement',
+            '      return false;',
+            '   }',
+            '   virtual string Name(void) const override',
+            '   {',
+            '      // TODO: Implement',
+            '      return "";',
+            '   }',
+        ].join('\n'));
+        assert.ok(!buildOverrideStubs(base.methods.slice(0, 1), { override: false }).includes('override'));
+    });
+
+    suite('with a base header on disk', function () {
+        let tmpDir;
+        let baseFile;
+
+        setup(function () {
+            tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mql-class-'));
+            baseFile = path.join(tmpDir, 'SignalBase.mqh');
+            fs.writeFileSync(baseFile, SIGNAL_BASE);
+        });
+
+        teardown(function () {
+            fs.rmSync(tmpDir, { recursive: true, force: true });
+        });
+
+        test('loadClassIndex keeps existing entries first', async function () {
+            const local = parseClasses('class CSignalBase {};')[0];
+            const index = await loadClassIndex([baseFile, path.join(tmpDir, 'missing.mqh')], new Map([['CSignalBase', local]]));
+            assert.strictEqual(index.get('CSignalBase'), local);
+            assert.strictEqual(index.get('CFilteredSignal').bases[0], 'CSignalBase');
+        });
+
+        test('createAbstractMethodActions inserts overrides before the closing brace', async function () {
+            const text = [
+                '#include "SignalBase.mqh"',
+                'class CMySignal : public CFilteredSignal',
+                '  {',
+                '   int               m_period;',
+                '  };',
+            ].join('\n');
+            const document = fakeDocument(text, path.join(tmpDir, 'MySignal.mqh'));
+            const diagnostic = new vscode.Diagnostic(new vscode.Range(9, 0, 9, 1), "'CMySignal' - cannot instantiate abstract class");
+
+            const [action] = await createAbstractMethodActions(document, new vscode.Range(0, 0, 0, 0), [diagnostic], {
+                collectFiles: async () => [document.fileName, baseFile]
+            });
+            assert.strictEqual(action.title, "MQL: Implement 2 abstract methods in 'CMySignal'");
+            assert.strictEqual(action.kind, vscode.CodeActionKind.QuickFix);
+            const [edit] = action.edit.edits;
+            assert.deepStrictEqual([edit.position.line, edit.position.character], [4, 0]);
+            assert.ok(edit.newText.startsWith('  public:\n   virtual ENUM_TIMEFRAMES Period(void) override\n'));
+            assert.ok(edit.newText.includes('      return (ENUM_TIMEFRAMES)0;'));
+            assert.ok(edit.newText.includes('   virtual bool CheckLong(double &price, int shift) override'));
+
+            const outside = await createAbstractMethodActions(document, new vscode.Range(0, 0, 0, 0), [], {
+                collectFiles: async () => { throw new Error('includes must not be resolved without a candidate class'); }
+            });
+            assert.deepStrictEqual(outside, []);
+        });
+
+        test('createMethodBodyActions skips methods defined in the include graph', async function () {
+            const main = path.join(tmpDir, 'Bot.mq5');
+            fs.writeFileSync(main, '#include "Foo.mqh"\nCObject *CFoo::Create(void) { return NULL; }\nMyMode CFoo::Mode(void) { return MODE_A; }\n');
+            const document = fakeDocument(SOURCE, path.join(tmpDir, 'Foo.mqh'));
+
+            const [here] = await createMethodBodyActions(document, new vscode.Range(8, 0, 8, 0), [], {
+                collectFiles: async () => [document.fileName, main]
+            });
+            assert.strictEqual(here.title, "MQL: Generate 1 missing method body for 'CFoo' after the class");
+            assert.ok(here.edit.edits[0].newText.includes('CArrayInt CFoo::Items(void)'));
+
+            const none = await createMethodBodyActions(document, null, [], {
+                collectFiles: async () => { throw new Error('no candidate class, no include search'); }
+            });
+            assert.deepStrictEqual(none, []);
+        });
+
+        test('createAbstractMethodActions reuses the include closure until the includes change', async function () {
+            const text = '#include "SignalBase.mqh"\nclass CCached : public CFilteredSignal\n  {\n  };';
+            let calls = 0;
+            const collectFiles = async () => { calls++; return [baseFile]; };
+            const cursor = new vscode.Range(2, 0, 2, 0);
+            const fileName = path.join(tmpDir, 'Cached.mqh');
+
+            assert.strictEqual((await createAbstractMethodActions(fakeDocument(text, fileName), cursor, [], { collectFiles })).length, 1);
+            await createAbstractMethodActions(fakeDocument(`${text}\n// edited`, fileName), cursor, [], { collectFiles });
+            assert.strictEqual(calls, 1);
+            await createAbstractMethodActions(fakeDocument(`#include <Trade.mqh>\n${text}`, fileName), new vscode.Range(3, 0, 3, 0), [], { collectFiles });
+            assert.strictEqual(calls, 2);
+        });
+    });
+});
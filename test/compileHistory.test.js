@@ -0,0 +1,142 @@
+'use strict';
+
+const assert = require('assert');
+const vscode = require('vscode');
+const {
+    HISTORY_STATE_KEY,
+    resolveMaxEntries,
+    createRunRecord,
+    diffDiagnostics,
+    CompileHistoryStore,
+    CompileHistoryProvider,
+} = require('../src/compileHistory');
+
+const stubConfig = values => ({ get: (key, fallback) => key in values ? values[key] : fallback });
+
+function makeMemento() {
+    const data = new Map();
+    return {
+        get: (key, fallback) => data.has(key) ? data.get(key) : fallback,
+        update: (key, value) => { data.set(key, value); return Promise.resolve(); },
+        _data: data,
+    };
+}
+
+function logDiag(file, line, message, severity = vscode.DiagnosticSeverity.Error, errorCode = '256') {
+    return { file, range: new vscode.Range(line, 4, line, 5), message, severity, errorCode };
+}
+
+function run(target, startedAt, diagnostics, extra = {}) {
+    return createRunRecord({ target, mode: 1, startedAt, durationMs: 1500, diagnostics, ...extra });
+}
+
+suite('compileHistory — records and diff', function () {
+    test('resolveMaxEntries clamps to 1..200 and falls back to 20', function () {
+        assert.strictEqual(resolveMaxEntries(stubConfig({})), 20);
+        assert.strictEqual(resolveMaxEntries(stubConfig({ 'CompileHistory.MaxEntries': 0 })), 1);
+        assert.strictEqual(resolveMaxEntries(stubConfig({ 'CompileHistory.MaxEntries': 1000 })), 200);
+        assert.strictEqual(resolveMaxEntries(stubConfig({ 'CompileHistory.MaxEntries': 'x' })), 20);
+    });
+
+    test('createRunRecord counts severities and serialises diagnostics', function () {
+        const record = run('/ws/EA.mq5', 1000, [
+            logDiag('/ws/EA.mq5', 10, "'x' - undeclared identifier"),
+            logDiag('/ws/Inc.mqh', 3, 'possible loss of data', vscode.DiagnosticSeverity.Warning, '43'),
+            logDiag('/ws/Inc.mqh', 7, 'implicit conversion', vscode.DiagnosticSeverity.Warning, '43'),
+        ], { propertyVersion: '1.02', exitCode: 1, error: true });
+
+        assert.strictEqual(record.mode, 'compile');
+        assert.strictEqual(record.result, 'errors');
+        assert.strictEqual(record.errors, 1);
+        assert.strictEqual(record.warnings, 2);
+        assert.strictEqual(record.propertyVersion, '1.02');
+        assert.strictEqual(record.exitCode, 1);
+        assert.deepStrictEqual(record.diagnostics[0], {
+            file: '/ws/EA.mq5', line: 10, character: 4,
+            message: "'x' - undeclared identifier", severity: 'error', code: '256',
+        });
+        // Must survive a workspaceState round trip.
+        assert.deepStrictEqual(JSON.parse(JSON.stringify(record)), record);
+    });
+
+    test('createRunRecord marks runs without a log as failed', function () {
+        const record = run('/ws/EA.mq5', 1000, [], { failure: 'Log file not found' });
+        assert.strictEqual(record.result, 'failed');
+        assert.strictEqual(record.failure, 'Log file not found');
+        assert.strictEqual(record.exitCode, null);
+    });
+
+    test('diffDiagnostics ignores line shifts and reports appeared/disappeared', function () {
+        const prev = run('/ws/EA.mq5', 1, [
+            logDiag('/ws/EA.mq5', 10, 'kept'),
+            logDiag('/ws/EA.mq5', 20, 'fixed'),
+        ]).diagnostics;
+        const cur = run('/ws/EA.mq5', 2, [
+            logDiag('/ws/EA.mq5', 14, 'kept'),
+            logDiag('/ws/EA.mq5', 30, 'new problem'),
+        ]).diagnostics;
+
+        const diff = diffDiagnostics(prev, cur);
+        assert.deepStrictEqual(diff.appeared.map(d => d.message), ['new problem']);
+        assert.deepStrictEqual(diff.disappeared.map(d => d.message), ['fixed']);
+    });
+
+    test('diffDiagnostics treats an extra copy of an existing diagnostic as new', function () {
+        const prev = run('/ws/EA.mq5', 1, [logDiag('/ws/EA.mq5', 1, 'dup')]).diagnostics;
+        const cur = run('/ws/EA.mq5', 2, [logDiag('/ws/EA.mq5', 1, 'dup'), logDiag('/ws/EA.mq5', 5, 'dup')]).diagnostics;
+
+        const diff = diffDiagnostics(prev, cur);
+        assert.strictEqual(diff.appeared.length, 1);
+        assert.strictEqual(diff.appeared[0].line, 5);
+        assert.strictEqual(diff.disappeared.length, 0);
+    });
+});
+
+suite('compileHistory — store and tree', function () {
+    test('store keeps the newest runs per target up to the limit', async function () {
+        const memento = makeMemento();
+        const store = new CompileHistoryStore(memento, () => 2);
+        await store.add(run('/ws/A.mq5', 1, []));
+        await store.add(run('/ws/A.mq5', 2, []));
+        await store.add(run('/ws/A.mq5', 3, []));
+        await store.add(run('/ws/B.mq5', 4, []));
+
+        assert.deepStrictEqual(store.getRuns('/ws/A.mq5').map(r => r.startedAt), [3, 2]);
+        assert.deepStrictEqual(store.getTargets(), ['/ws/B.mq5', '/ws/A.mq5']);
+        assert.ok(memento._data.has(HISTORY_STATE_KEY));
+
+        await store.clear('/ws/B.mq5');
+        assert.deepStrictEqual(store.getTargets(), ['/ws/A.mq5']);
+        await store.clear();
+        assert.deepStrictEqual(store.getTargets(), []);
+    });
+
+    test('provider shows targets, runs with diff summary and diagnostic groups', async function () {
+        const store = new CompileHistoryStore(makeMemento());
+        const provider = new CompileHistoryProvider(store);
+        let changes = 0;
+        provider.onDidChangeTreeData(() => changes++);
+
+        await store.add(run('/ws/EA.mq5', 1, [logDiag('/ws/EA.mq5', 1, 'old')]));
+        await store.add(run('/ws/EA.mq5', 2, [logDiag('/ws/EA.mq5', 2, 'new')], { propertyVersion: '2.0' }));
+        assert.strictEqual(changes, 2);
+
+        const [target] = provider.getChildren();
+        assert.strictEqual(target.item.label, 'EA.mq5');
+        assert.match(target.item.description, /^1 error\(s\), 0 warning\(s\)/);
+
+        const [latest, first] = provider.getChildren(target);
+        assert.match(latest.item.description, /^v2\.0 · 1\.5s · 1 error\(s\), 0 warning\(s\) · \+1 \/ −1$/);
+        assert.deepStrictEqual(provider.getChildren(latest).map(g => g.item.label),
+            ['Appeared (1)', 'Disappeared (1)', 'All diagnostics (1)']);
+        // The oldest run has nothing to diff against.
+        assert.deepStrictEqual(provider.getChildren(first).map(g => g.item.label), ['All diagnostics (1)']);
+
+        const [appeared] = provider.getChildren(latest);
+        const [diagNode] = provider.getChildren(appeared);
+        assert.strictEqual(diagNode.item.label, 'new');
+        assert.strictEqual(diagNode.item.command.command, 'vscode.open');
+        assert.strictEqual(diagNode.item.description, 'EA.mq5:3:5 · MQL256');
+        provider.dispose();
+    });
+});
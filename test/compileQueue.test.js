@@ -0,0 +1,131 @@
+'use strict';
+
+const assert = require('assert');
+const { EventEmitter } = require('events');
+
+const { CompileCancellation, CompileQueue, formatQueueStatus } = require('../src/compileQueue');
+
+/** Stand-in for a spawned MetaEditor process. */
+function fakeProcess() {
+    const proc = new EventEmitter();
+    proc.exitCode = null;
+    proc.signalCode = null;
+    proc.signals = [];
+    proc.kill = (signal) => {
+        proc.signals.push(signal);
+        proc.signalCode = signal;
+        setImmediate(() => proc.emit('close', null));
+    };
+    return proc;
+}
+
+/** A job that stays running until release() is called. */
+function deferredJob(result) {
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+    const job = { calls: 0, cancellation: null, release: () => release() };
+    job.run = async (cancellation) => {
+        job.calls++;
+        job.cancellation = cancellation;
+        await gate;
+        return result;
+    };
+    return job;
+}
+
+suite('compileQueue', function () {
+    test('runs one job at a time in request order', async function () {
+        const queue = new CompileQueue();
+        const order = [];
+        const a = deferredJob('a');
+        const first = queue.enqueue('check|A.mq5', async (c) => { order.push('A'); return a.run(c); });
+        const second = queue.enqueue('check|B.mq5', async () => { order.push('B'); return 'b'; });
+
+        assert.deepStrictEqual(order, ['A']);
+        assert.strictEqual(queue.getSnapshot().pending.length, 1);
+        a.release();
+        assert.deepStrictEqual(await Promise.all([first, second]), ['a', 'b']);
+        assert.deepStrictEqual(order, ['A', 'B']);
+        assert.strictEqual(queue.isBusy, false);
+    });
+
+    test('requests for a waiting target coalesce into one run', async function () {
+        const queue = new CompileQueue();
+        const running = deferredJob('first');
+        queue.enqueue('check|EA.mq5', running.run);
+
+        let runs = 0;
+        const p1 = queue.enqueue('check|EA.mq5', async () => { runs++; return 'old'; }, { background: true });
+        const p2 = queue.enqueue('check|EA.mq5', async () => { runs++; return 'new'; }, { background: true });
+        assert.strictEqual(p1, p2);
+        assert.strictEqual(queue.getSnapshot().pending[0].coalesced, 1);
+
+        running.release();
+        assert.strictEqual(await p2, 'new');
+        assert.strictEqual(runs, 1);
+    });
+
+    test('a background request never replaces a waiting user request', async function () {
+        const queue = new CompileQueue();
+        const running = deferredJob();
+        queue.enqueue('compile|EA.mq5', running.run);
+
+        const user = queue.enqueue('check|EA.mq5', async () => 'user', { label: 'user' });
+        queue.enqueue('check|EA.mq5', async () => 'background', { label: 'bg', background: true });
+        assert.strictEqual(queue.getSnapshot().pending[0].label, 'user');
+
+        running.release();
+        assert.strictEqual(await user, 'user');
+    });
+
+    test('cancelAll kills the running process and drops waiting jobs', async function () {
+        const queue = new CompileQueue();
+        const proc = fakeProcess();
+        const running = queue.enqueue('compile|EA.mq5', (cancellation) => new Promise(resolve => {
+            cancellation.track(proc);
+            proc.on('close', () => resolve(cancellation.isCancelled ? 'cancelled' : false));
+        }));
+        let waitingRan = false;
+        const waiting = queue.enqueue('check|Other.mq5', async () => { waitingRan = true; });
+
+        assert.strictEqual(queue.getSnapshot().running.cancelled, false);
+        assert.strictEqual(queue.cancelAll(), 2);
+        assert.deepStrictEqual(proc.signals, ['SIGTERM']);
+        assert.strictEqual(await waiting, undefined);
+        assert.strictEqual(await running, 'cancelled');
+        assert.strictEqual(waitingRan, false);
+        assert.strictEqual(queue.cancelAll(), 0);
+    });
+
+    test('CompileCancellation kills processes tracked after cancel and escalates to SIGKILL', async function () {
+        const cancellation = new CompileCancellation(5);
+        cancellation.cancel();
+        const late = fakeProcess();
+        cancellation.track(late);
+        assert.deepStrictEqual(late.signals, ['SIGTERM']);
+
+        const stubborn = new EventEmitter();
+        stubborn.exitCode = null;
+        stubborn.signalCode = null;
+        stubborn.signals = [];
+        stubborn.kill = (signal) => stubborn.signals.push(signal);
+        const other = new CompileCancellation(5);
+        other.track(stubborn);
+        other.cancel();
+        await new Promise(resolve => setTimeout(resolve, 20));
+        assert.deepStrictEqual(stubborn.signals, ['SIGTERM', 'SIGKILL']);
+    });
+
+    test('formatQueueStatus describes running and queued jobs', function () {
+        assert.strictEqual(formatQueueStatus({ running: null, pending: [] }), null);
+        const status = formatQueueStatus({
+            running: { key: 'k', label: 'Checking EA.mq5', background: true, cancelled: false },
+            pending: [{ key: 'k2', label: 'Compiling Bot.mq5', background: false, coalesced: 2 }],
+        });
+        assert.strictEqual(status.text, '$(sync~spin) Checking EA.mq5 (+1 queued)');
+        assert.ok(status.tooltip.includes('Queued: Compiling Bot.mq5 (3 requests merged)'));
+        assert.strictEqual(formatQueueStatus({
+            running: { key: 'k', label: 'x', background: false, cancelled: true }, pending: [],
+        }).text, '$(sync~spin) Cancelling');
+    });
+});
@@ -0,0 +1,173 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const vscode = require('vscode');
+const { createRunRecord, MAX_STORED_DIAGNOSTICS } = require('../src/compileHistory');
+const {
+    resolveReportFormat,
+    resolveReportDir,
+    buildSarifReport,
+    buildJsonReport,
+    writeCompileReports,
+} = require('../src/compileReport');
+
+const stubConfig = values => ({ get: (key, fallback) => key in values ? values[key] : fallback });
+
+function makeRecord(workspace, extra = {}) {
+    return createRunRecord({
+        target: path.join(workspace, 'Experts', 'EA.mq5'),
+        mode: 1,
+        startedAt: Date.UTC(2024, 0, 2, 3, 4, 5),
+        durationMs: 2500,
+        propertyVersion: '1.10',
+        exitCode: 1,
+        error: true,
+        diagnostics: [
+            {
+                file: path.join(workspace, 'Experts', 'EA.mq5'),
+                range: new vscode.Range(9, 2, 9, 3),
+                message: "'x' - undeclared identifier",
+                severity: vscode.DiagnosticSeverity.Error,
+                errorCode: '256',
+            },
+            {
+                file: path.join(os.tmpdir(), 'Outside.mqh'),
+                range: new vscode.Range(0, 0, 0, 1),
+                message: 'possible loss of data',
+                severity: vscode.DiagnosticSeverity.Warning,
+                errorCode: '43',
+            },
+        ],
+        ...extra,
+    });
+}
+
+suite('compileReport', function () {
+    let tmpDir;
+
+    setup(function () {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mql-report-'));
+    });
+
+    teardown(function () {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('resolveReportFormat defaults to off and rejects unknown values', function () {
+        assert.strictEqual(resolveReportFormat(stubConfig({})), 'off');
+        assert.strictEqual(resolveReportFormat(stubConfig({ 'CompileReport.Format': 'both' })), 'both');
+        assert.strictEqual(resolveReportFormat(stubConfig({ 'CompileReport.Format': 'xml' })), 'off');
+    });
+
+    test('resolveReportDir uses the source folder unless a folder is configured', function () {
+        const target = path.join(tmpDir, 'Experts', 'EA.mq5');
+        assert.strictEqual(resolveReportDir(target, stubConfig({}), tmpDir), path.join(tmpDir, 'Experts'));
+        assert.strictEqual(
+            resolveReportDir(target, stubConfig({ 'CompileReport.Folder': 'build/reports' }), tmpDir),
+            path.join(tmpDir, 'build', 'reports'));
+        assert.strictEqual(
+            resolveReportDir(target, stubConfig({ 'CompileReport.Folder': '${workspaceFolder}/out' }), tmpDir),
+            path.join(tmpDir, 'out'));
+    });
+
+    test('buildSarifReport maps diagnostics to SARIF 2.1.0 results', function () {
+        const sarif = buildSarifReport(makeRecord(tmpDir), tmpDir);
+        assert.strictEqual(sarif.version, '2.1.0');
+        const [run] = sarif.runs;
+        assert.strictEqual(run.tool.driver.name, 'MetaEditor');
+        assert.deepStrictEqual(run.tool.driver.rules.map(r => r.id), ['MQL256', 'MQL43']);
+        assert.strictEqual(run.invocations[0].exitCode, 1);
+        assert.strictEqual(run.invocations[0].executionSuccessful, true);
+        assert.strictEqual(run.invocations[0].startTimeUtc, '2024-01-02T03:04:05.000Z');
+        assert.ok(run.originalUriBaseIds.SRCROOT.uri.endsWith('/'));
+
+        const [inside, outside] = run.results;
+        assert.strictEqual(inside.ruleId, 'MQL256');
+        assert.strictEqual(inside.level, 'error');
+        assert.deepStrictEqual(inside.locations[0].physicalLocation.artifactLocation,
+            { uri: 'Experts/EA.mq5', uriBaseId: 'SRCROOT' });
+        assert.deepStrictEqual(inside.locations[0].physicalLocation.region, { startLine: 10, startColumn: 3 });
+        assert.strictEqual(outside.level, 'warning');
+        assert.ok(outside.locations[0].physicalLocation.artifactLocation.uri.startsWith('file://'));
+        assert.strictEqual(run.properties.propertyVersion, '1.10');
+    });
+
+    test('buildSarifReport reports a missing log as a failed invocation', function () {
+        const record = makeRecord(tmpDir, { diagnostics: [], failure: 'Log file not found', exitCode: null });
+        const [run] = buildSarifReport(record, tmpDir).runs;
+        assert.strictEqual(run.invocations[0].executionSuccessful, false);
+        assert.strictEqual(run.invocations[0].exitCode, undefined);
+        assert.strictEqual(run.invocations[0].toolExecutionNotifications[0].message.text, 'Log file not found');
+        assert.deepStrictEqual(run.results, []);
+    });
+
+    test('buildJsonReport uses 1-based positions and MQL-prefixed codes', function () {
+        const json = buildJsonReport(makeRecord(tmpDir));
+        assert.strictEqual(json.result, 'errors');
+        assert.strictEqual(json.errors, 1);
+        assert.strictEqual(json.warnings, 1);
+        assert.deepStrictEqual(json.diagnostics[0], {
+            file: path.join(tmpDir, 'Experts', 'EA.mq5'),
+            line: 10,
+            column: 3,
+            severity: 'error',
+            code: 'MQL256',
+            message: "'x' - undeclared identifier",
+        });
+    });
+
+    test('reports keep every diagnostic beyond the history cap', function () {
+        const file = path.join(tmpDir, 'Experts', 'EA.mq5');
+        const diagnostics = Array.from({ length: MAX_STORED_DIAGNOSTICS + 20 }, (_, i) => ({
+            file,
+            range: new vscode.Range(i, 0, i, 1),
+            message: 'possible loss of data',
+            severity: vscode.DiagnosticSeverity.Warning,
+            errorCode: '43',
+        }));
+        const run = { target: file, mode: 1, startedAt: 0, durationMs: 1, diagnostics };
+        assert.strictEqual(createRunRecord(run).diagnostics.length, MAX_STORED_DIAGNOSTICS);
+
+        const record = createRunRecord(run, { maxDiagnostics: Infinity });
+        assert.strictEqual(buildJsonReport(record).diagnostics.length, diagnostics.length);
+        assert.strictEqual(buildSarifReport(record, tmpDir).runs[0].results.length, diagnostics.length);
+        assert.strictEqual(buildJsonReport(record).warnings, diagnostics.length);
+    });
+
+    test('writeCompileReports writes nothing when off and both files when enabled', async function () {
+        const record = makeRecord(tmpDir);
+        assert.deepStrictEqual(await writeCompileReports(record, stubConfig({}), tmpDir), []);
+
+        const written = await writeCompileReports(record,
+            stubConfig({ 'CompileReport.Format': 'both', 'CompileReport.Folder': 'reports' }), tmpDir);
+        assert.deepStrictEqual(written, [
+            path.join(tmpDir, 'reports', 'Experts_EA.mq5.sarif'),
+            path.join(tmpDir, 'reports', 'Experts_EA.mq5.compile.json'),
+        ]);
+        const sarif = JSON.parse(fs.readFileSync(written[0], 'utf8'));
+        assert.strictEqual(sarif.runs[0].results.length, 2);
+    });
+
+    test('writeCompileReports keeps same-named programs apart in a shared folder', async function () {
+        const config = stubConfig({ 'CompileReport.Format': 'sarif', 'CompileReport.Folder': 'reports' });
+        const first = makeRecord(tmpDir, { target: path.join(tmpDir, 'Experts', 'A', 'EA.mq5') });
+        const second = makeRecord(tmpDir, { target: path.join(tmpDir, 'Experts', 'B', 'EA.mq5') });
+
+        const written = [
+            ...await writeCompileReports(first, config, tmpDir),
+            ...await writeCompileReports(second, config, tmpDir),
+        ];
+        assert.deepStrictEqual(written, [
+            path.join(tmpDir, 'reports', 'Experts_A_EA.mq5.sarif'),
+            path.join(tmpDir, 'reports', 'Experts_B_EA.mq5.sarif'),
+        ]);
+        assert.ok(written.every(file => fs.existsSync(file)));
+
+        const nextToSource = await writeCompileReports(first, stubConfig({ 'CompileReport.Format': 'sarif' }), tmpDir);
+        assert.deepStrictEqual(nextToSource, [path.join(tmpDir, 'Experts', 'A', 'EA.mq5.sarif')]);
+    });
+});
@@ -499,6 +499,16 @@ suite('debugInstrumentation', function () {
             assert.ok(names.includes('price'), 'should find price');
         });
 
+        test('finds locals whose initializer calls a function with several arguments', function () {
+            const lines = [
+                'void OnTick() {',
+                '  double spread = SymbolInfoDouble(_Symbol, SYMBOL_ASK) - MathMax(a, b), half = spread / 2;',
+                '  // bp here',
+                '}',
+            ];
+            assert.deepStrictEqual(parseLocalsInScope(lines, 3).map(l => l.name), ['spread', 'half']);
+        });
+
         test('includes function parameters', function () {
             const lines = [
                 'void Foo(int bar, double baz) {',
@@ -0,0 +1,149 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+    readDeployTargets,
+    resolveDeployRoot,
+    findSourceMqlRoot,
+    toDeployRelativePath,
+    collectResourceFiles,
+    collectPresetFiles,
+    planDeployment,
+    copyToTargets,
+    shouldDeployAfterCompile,
+} = require('../src/deploy');
+
+const stubConfig = values => ({ get: (key, fallback) => key in values ? values[key] : fallback });
+
+function write(file, content = '') {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+}
+
+suite('deploy', function () {
+    let tmpDir;
+
+    setup(function () {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mql-deploy-'));
+    });
+
+    teardown(function () {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('readDeployTargets accepts strings and objects', function () {
+        const targets = readDeployTargets(stubConfig({
+            'Deploy.Targets': ['/mt5/demo/MQL5', { name: 'Live', path: ' C:\\MT5\\MQL5 ', winePrefix: '~/.wine-live' }, { name: 'Empty' }, 42],
+        }));
+        assert.deepStrictEqual(targets, [
+            { name: '/mt5/demo/MQL5', path: '/mt5/demo/MQL5', winePrefix: '' },
+            { name: 'Live', path: 'C:\\MT5\\MQL5', winePrefix: '~/.wine-live' },
+        ]);
+        assert.strictEqual(shouldDeployAfterCompile(false, stubConfig({ 'Deploy.Targets': targets })), true);
+        assert.strictEqual(shouldDeployAfterCompile(true, stubConfig({ 'Deploy.Targets': targets })), false);
+        assert.strictEqual(shouldDeployAfterCompile(false, stubConfig({})), false);
+    });
+
+    test('resolveDeployRoot maps Windows paths into the Wine prefix and narrows to MQL5', function () {
+        const prefix = path.join(tmpDir, 'prefix');
+        const root = resolveDeployRoot({ path: 'C:\\MT5\\Data', winePrefix: '' },
+            { isMql5: true, defaultWinePrefix: prefix, platform: 'linux', exists: () => true });
+        assert.strictEqual(root, path.join(prefix, 'drive_c', 'MT5', 'Data', 'MQL5'));
+
+        const plain = resolveDeployRoot({ path: '/mt4/MQL4', winePrefix: '' },
+            { isMql5: false, defaultWinePrefix: prefix, platform: 'linux', exists: () => false });
+        assert.strictEqual(plain, '/mt4/MQL4');
+    });
+
+    test('toDeployRelativePath keeps the layout below MQL5 or anchors on a program folder', function () {
+        const mqlRoot = path.join(tmpDir, 'MQL5');
+        const inLayout = path.join(mqlRoot, 'Experts', 'Bot', 'Bot.ex5');
+        assert.strictEqual(findSourceMqlRoot(path.join(mqlRoot, 'Experts', 'Bot', 'Bot.mq5')), mqlRoot);
+        assert.strictEqual(toDeployRelativePath(inLayout, mqlRoot), path.join('Experts', 'Bot', 'Bot.ex5'));
+
+        const repoFile = path.join(tmpDir, 'repo', 'src', 'Indicators', 'Trend.ex5');
+        assert.strictEqual(findSourceMqlRoot(repoFile), null);
+        assert.strictEqual(toDeployRelativePath(repoFile, null), path.join('Indicators', 'Trend.ex5'));
+        assert.strictEqual(toDeployRelativePath(path.join(tmpDir, 'x', 'Bot.ex5'), null), path.join('Experts', 'Bot.ex5'));
+    });
+
+    test('collectResourceFiles resolves root-relative and file-relative resources', async function () {
+        const mqlRoot = path.join(tmpDir, 'MQL5');
+        const main = path.join(mqlRoot, 'Experts', 'Bot', 'Bot.mq5');
+        write(main, [
+            '#resource "\\\\Images\\\\logo.bmp"',
+            '#resource "sounds/alert.wav"',
+            '#resource "missing.bin"',
+            '// #resource "commented.bmp" is not at line start',
+        ].join('\n'));
+        write(path.join(mqlRoot, 'Images', 'logo.bmp'));
+        write(path.join(mqlRoot, 'Experts', 'Bot', 'sounds', 'alert.wav'));
+
+        const files = await collectResourceFiles([main], mqlRoot);
+        assert.deepStrictEqual(files.sort(), [
+            path.join(mqlRoot, 'Experts', 'Bot', 'sounds', 'alert.wav'),
+            path.join(mqlRoot, 'Images', 'logo.bmp'),
+        ].sort());
+    });
+
+    test('planDeployment finds resources through the include closure by default', async function () {
+        const mqlRoot = path.join(tmpDir, 'src', 'MQL5');
+        const main = path.join(mqlRoot, 'Experts', 'Bot.mq5');
+        write(main, '#include "Model.mqh"\n');
+        write(path.join(mqlRoot, 'Experts', 'Model.mqh'), '#resource "\\\\Files\\\\model.onnx"\n');
+        write(path.join(mqlRoot, 'Files', 'model.onnx'), 'onnx');
+
+        const files = await planDeployment(main, { includeResources: true });
+        assert.deepStrictEqual(files.map(f => f.relativePath), [
+            path.join('Experts', 'Bot.ex5'),
+            path.join('Files', 'model.onnx'),
+        ]);
+    });
+
+    test('planDeployment and copyToTargets copy binary, resources and presets', async function () {
+        const mqlRoot = path.join(tmpDir, 'src', 'MQL5');
+        const main = path.join(mqlRoot, 'Experts', 'Bot.mq5');
+        write(main, '#resource "\\\\Files\\\\model.onnx"\n');
+        write(path.join(mqlRoot, 'Experts', 'Bot.ex5'), 'bin');
+        write(path.join(mqlRoot, 'Files', 'model.onnx'), 'onnx');
+        write(path.join(mqlRoot, 'Experts', 'Bot_EURUSD.set'), 'preset');
+        write(path.join(mqlRoot, 'Experts', 'Other.set'), 'other');
+        write(path.join(mqlRoot, 'Experts', 'Bot2.set'), 'another program');
+
+        const files = await planDeployment(main, {
+            includeResources: true,
+            includePresets: true,
+            collectSources: async () => [main],
+        });
+        assert.deepStrictEqual(files.map(f => f.relativePath), [
+            path.join('Experts', 'Bot.ex5'),
+            path.join('Files', 'model.onnx'),
+            path.join('Presets', 'Bot_EURUSD.set'),
+        ]);
+
+        const demo = path.join(tmpDir, 'demo', 'MQL5');
+        fs.mkdirSync(demo, { recursive: true });
+        const results = await copyToTargets(files, [
+            { name: 'Demo', root: demo },
+            { name: 'Gone', root: path.join(tmpDir, 'gone') },
+        ]);
+        assert.strictEqual(results[0].error, null);
+        assert.strictEqual(results[0].copied, 3);
+        assert.strictEqual(fs.readFileSync(path.join(demo, 'Experts', 'Bot.ex5'), 'utf8'), 'bin');
+        assert.strictEqual(fs.readFileSync(path.join(demo, 'Presets', 'Bot_EURUSD.set'), 'utf8'), 'preset');
+        assert.match(results[1].error, /data folder not found/);
+    });
+
+    test('collectPresetFiles matches the exact program name', async function () {
+        const main = path.join(tmpDir, 'Experts', 'MyEA.mq5');
+        for (const name of ['MyEA.set', 'MyEA_EURUSD.set', 'myea-H1.set', 'MyEA2.set', 'MyEAX_EURUSD.set', 'MyEA.txt']) {
+            write(path.join(tmpDir, 'Experts', name), '');
+        }
+        assert.deepStrictEqual((await collectPresetFiles(main)).map(f => path.basename(f)),
+            ['MyEA.set', 'MyEA_EURUSD.set', 'myea-H1.set']);
+    });
+});
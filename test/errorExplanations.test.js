@@ -0,0 +1,128 @@
+'use strict';
+
+const assert = require('assert');
+const vscode = require('vscode');
+
+const {
+    findErrorEntry,
+    localizedText,
+    referenceDescription,
+    formatExplanation,
+    ErrorExplanationHoverProvider,
+    createExplainErrorActions,
+} = require('../src/errorExplanations');
+const knowledgeBase = require('../data/compiler-errors.json');
+const reference = require('../data/error-codes.json');
+
+function diagnostic(line, message, code) {
+    const d = new vscode.Diagnostic(new vscode.Range(line, 2, line, 10), message, vscode.DiagnosticSeverity.Error);
+    if (code) d.code = { value: code };
+    return d;
+}
+
+suite('errorExplanations', function () {
+    test('every entry has English texts, an example and a valid pattern', function () {
+        for (const entry of knowledgeBase.entries) {
+            for (const field of ['title', 'explanation', 'cause']) {
+                assert.ok(entry.text.en[field], `${entry.id}: missing en.${field}`);
+            }
+            assert.ok(entry.example.before && entry.example.after, `${entry.id}: missing example`);
+            assert.doesNotThrow(() => new RegExp(entry.match, 'i'), entry.id);
+        }
+        const ids = knowledgeBase.entries.map(e => e.id);
+        assert.strictEqual(new Set(ids).size, ids.length, 'ids are unique');
+    });
+
+    test('entry codes are MetaEditor codes from the compilation errors reference', function () {
+        const owners = new Map();
+        for (const entry of knowledgeBase.entries) {
+            for (const code of entry.codes) {
+                assert.ok(code in reference.ru, `${entry.id}: ${code} is not a compiler code`);
+                assert.ok(!owners.has(code), `${code} belongs to ${owners.get(code)} and ${entry.id}`);
+                owners.set(code, entry.id);
+            }
+        }
+        assert.ok(owners.size >= 100, `${owners.size} codes mapped`);
+    });
+
+    test('findErrorEntry prefers the MetaEditor code, then the message', function () {
+        assert.strictEqual(findErrorEntry('MQL199', 'anything').id, 'wrong-parameters-count');
+        assert.strictEqual(findErrorEntry('MQL121', '').id, 'missing-return');
+        assert.strictEqual(findErrorEntry('MQL999', "'}' - unexpected end of program").id, 'unexpected-end-of-program');
+        assert.strictEqual(findErrorEntry(null, "use of undeclared identifier 'Bid'").id, 'undeclared-identifier');
+        assert.strictEqual(findErrorEntry('MQL69', '').id, 'empty-controlled-statement');
+        assert.strictEqual(findErrorEntry(null, "'else' without 'if'").id, 'statement-outside-construct');
+        assert.strictEqual(findErrorEntry('MQL999', 'something new'), null);
+    });
+
+    test('referenceDescription is the translated one-liner of the reference', function () {
+        assert.strictEqual(referenceDescription('MQL168', 'de'), reference.de['168'].trim());
+        assert.strictEqual(referenceDescription('MQL168', 'zh-tw'), reference['zh-cn']['168'].trim());
+        assert.strictEqual(referenceDescription('MQL168', 'en'), null);
+        assert.strictEqual(referenceDescription('MQL168', 'ko'), null);
+        assert.strictEqual(referenceDescription('undeclared_var_use', 'de'), null);
+        assert.strictEqual(referenceDescription('MQL999', 'de'), null);
+    });
+
+    test('localizedText falls back to English per field', function () {
+        const texts = { en: { title: 'T', cause: 'C' }, ru: { title: 'Т' }, 'zh-cn': { title: '标' } };
+        assert.deepStrictEqual(localizedText(texts, 'ru'), { title: 'Т', cause: 'C' });
+        assert.deepStrictEqual(localizedText(texts, 'zh-tw'), { title: '标', cause: 'C' });
+        assert.deepStrictEqual(localizedText(texts, 'pt-br'), { title: 'T', cause: 'C' });
+    });
+
+    test('formatExplanation renders cause, example and reference', function () {
+        const md = formatExplanation({ code: 'MQL256', message: "'Bid' - undeclared identifier" });
+        assert.ok(md.startsWith('### MQL256: Undeclared identifier\n\n> \'Bid\' - undeclared identifier\n'));
+        assert.ok(md.includes('**Typical cause:** A typo'));
+        assert.ok(md.includes('**Before**\n\n```cpp\nvoid OnTick()'));
+        assert.ok(md.endsWith('(https://www.mql5.com/en/docs/constants/errorswarnings/errorscompile)'));
+
+        const ru = formatExplanation({ code: 'MQL256' }, { language: 'ru' });
+        assert.ok(ru.includes('### MQL256: Необъявленный идентификатор'));
+        assert.ok(ru.includes('**Типичная причина:**'));
+
+        const unknown = formatExplanation({ code: 'MQL999', message: 'brand new' });
+        assert.ok(unknown.includes('> brand new') && unknown.includes('No explanation is available'));
+
+        const described = formatExplanation({ code: 'MQL410', message: 'ambiguous' }, { language: 'fr' });
+        assert.ok(described.includes(`> ambiguous\n\n${reference.fr['410'].trim()}\n`));
+        assert.ok(!described.includes('No explanation is available'));
+    });
+
+    suite('with diagnostics', function () {
+        let originalGetDiagnostics;
+
+        setup(function () {
+            originalGetDiagnostics = vscode.languages.getDiagnostics;
+            vscode.languages.getDiagnostics = () => [
+                diagnostic(3, "'iMA' - wrong parameters count", 'MQL199'),
+                diagnostic(3, 'some unknown problem', 'MQL999'),
+                diagnostic(8, 'semicolon expected', 'MQL154'),
+            ];
+        });
+
+        teardown(function () {
+            vscode.languages.getDiagnostics = originalGetDiagnostics;
+        });
+
+        test('the hover explains the diagnostics under the cursor', function () {
+            const provider = new ErrorExplanationHoverProvider();
+            const document = { uri: vscode.Uri.file('/ws/EA.mq5') };
+            const hover = provider.provideHover(document, new vscode.Position(3, 4));
+            const value = hover.contents[0].value;
+            assert.ok(value.startsWith('### MQL199: Wrong parameters count\n\nA function is called'));
+            assert.ok(!value.includes('MQL154'));
+            assert.strictEqual(provider.provideHover(document, new vscode.Position(5, 0)), undefined);
+        });
+    });
+
+    test('createExplainErrorActions offers the explain command for known errors', function () {
+        const known = diagnostic(1, 'semicolon expected');
+        const actions = createExplainErrorActions([known, diagnostic(2, 'brand new', 'MQL999')]);
+        assert.strictEqual(actions.length, 1);
+        assert.strictEqual(actions[0].title, "MQL: Explain error 'Semicolon expected'");
+        assert.deepStrictEqual(actions[0].command.arguments, [{ code: null, message: 'semicolon expected' }]);
+        assert.deepStrictEqual(actions[0].diagnostics, [known]);
+    });
+});
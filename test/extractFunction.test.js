@@ -0,0 +1,115 @@
+'use strict';
+
+const assert = require('assert');
+const vscode = require('vscode');
+
+const {
+    ExtractFunctionError,
+    planExtractFunction,
+    createExtractFunctionActions,
+} = require('../src/extractFunction');
+
+const EA = [
+    '#property strict',                                     // 0
+    'input double Risk = 1.0;',                             // 1
+    '',                                                     // 2
+    '// Main tick handler',                                 // 3
+    'void OnTick()',                                        // 4
+    '  {',                                                  // 5
+    '   double balance = AccountInfoDouble(ACCOUNT_BALANCE);', // 6
+    '   int count = 0;',                                    // 7
+    '   double prices[];',                                  // 8
+    '   MqlTick tick;',                                     // 9
+    '   for(int i = 0; i < 10; i++)',                       // 10
+    '     {',                                               // 11
+    '      double lots = balance * Risk / 100.0;',          // 12
+    '      count++;',                                       // 13
+    '      prices[i] = tick.bid + lots;',                   // 14
+    '     }',                                               // 15
+    '   double spread = SymbolInfoDouble(_Symbol, SYMBOL_ASK) - tick.bid;', // 16
+    '   Print(count, spread);',                             // 17
+    '  }',                                                  // 18
+    '',
+].join('\n');
+
+function fakeDocument(text) {
+    const lines = text.split('\n');
+    return {
+        uri: vscode.Uri.file('/ws/EA.mq5'),
+        getText: () => text,
+        lineAt: line => ({ text: lines[line] }),
+    };
+}
+
+suite('extractFunction', function () {
+    test('locals become parameters, by reference when assigned or not copyable', function () {
+        const plan = planExtractFunction(EA, 12, 14);
+        assert.deepStrictEqual(plan.params,
+            ['double balance', 'int &count', 'double &prices[]', 'MqlTick &tick', 'int i']);
+        assert.strictEqual(plan.returns, null);
+        assert.strictEqual(plan.insertLine, 3, 'inserted above the comment of the enclosing function');
+        assert.strictEqual(plan.callText, '      ExtractedFunction(balance, count, prices, tick, i);');
+        assert.strictEqual(plan.functionText, [
+            'void ExtractedFunction(double balance, int &count, double &prices[], MqlTick &tick, int i)',
+            '  {',
+            '   double lots = balance * Risk / 100.0;',
+            '   count++;',
+            '   prices[i] = tick.bid + lots;',
+            '  }',
+            '',
+            '',
+        ].join('\n'));
+    });
+
+    test('a local read after the selection becomes the return value', function () {
+        const plan = planExtractFunction(EA, 16, 16);
+        assert.deepStrictEqual(plan.returns, { name: 'spread', type: 'double', isArray: false });
+        assert.strictEqual(plan.callText, '   double spread = ExtractedFunction(tick);');
+        assert.ok(plan.functionText.startsWith('double ExtractedFunction(MqlTick &tick)\n'));
+        assert.ok(plan.functionText.includes('   return spread;\n  }'));
+    });
+
+    test('brace style, CRLF and a free name follow the file', function () {
+        const text = [
+            'void ExtractedFunction() {}',
+            'int Calc(int a) {',
+            '    int total = a * 2;',
+            '    total += 1;',
+            '    return total;',
+            '}',
+        ].join('\r\n');
+        const plan = planExtractFunction(text, 3, 3);
+        assert.strictEqual(plan.insertLine, 1);
+        assert.strictEqual(plan.functionText,
+            'void ExtractedFunction2(int &total) {\r\n    total += 1;\r\n}\r\n\r\n');
+    });
+
+    test('unsupported selections are rejected with a reason', function () {
+        const rejects = (text, start, end, reason) => assert.throws(
+            () => planExtractFunction(text, start, end),
+            err => err instanceof ExtractFunctionError && reason.test(err.message));
+        rejects(EA, 10, 12, /complete statements/);
+        rejects('int f(int a)\n{\n   if(a > 0)\n      return 1;\n   return 0;\n}', 2, 3, /return statement/);
+        rejects('void f()\n{\n   int a = 1;\n   int b = 2;\n   Print(a + b);\n}', 2, 3, /'a', 'b'/);
+        rejects('class C\n{\n   void f() { int a = 1; Print(a); }\n};', 2, 2, /class methods/);
+        assert.strictEqual(planExtractFunction(EA, 1, 1), null);
+    });
+
+    test('the code action replaces the selection and inserts the function', function () {
+        const document = fakeDocument(EA);
+        const [action] = createExtractFunctionActions(document, new vscode.Range(12, 0, 15, 0));
+        assert.strictEqual(action.title, 'MQL: Extract function');
+        assert.strictEqual(action.kind, vscode.CodeActionKind.RefactorExtract);
+        const [insert, replace] = action.edit.edits;
+        assert.deepStrictEqual(insert.range.start, { line: 3, character: 0 });
+        assert.deepStrictEqual([replace.range.start, replace.range.end],
+            [{ line: 12, character: 0 }, { line: 14, character: 34 }]);
+
+        const [disabled] = createExtractFunctionActions(document, new vscode.Range(10, 0, 12, 5));
+        assert.strictEqual(disabled.disabled.reason, 'Select complete statements');
+        assert.strictEqual(disabled.edit, undefined);
+
+        assert.deepStrictEqual(createExtractFunctionActions(document, new vscode.Range(12, 3, 12, 3)), []);
+        assert.deepStrictEqual(createExtractFunctionActions(document, null), []);
+    });
+});
@@ -0,0 +1,125 @@
+'use strict';
+
+const assert = require('assert');
+const vscode = require('vscode');
+
+const {
+    FIX_ALL_KIND,
+    markFixAllSafe,
+    diagnosticCode,
+    selectUnambiguousFix,
+    collectFixAllEdit,
+    createFixAllActions,
+    MqlFixAllProvider,
+} = require('../src/fixAll');
+
+const uri = vscode.Uri.file('/ws/Experts/EA.mq4');
+const document = { uri };
+
+function diag(line, code, message = 'problem') {
+    const d = new vscode.Diagnostic(new vscode.Range(line, 4, line, 5), message);
+    d.code = { value: code };
+    return d;
+}
+
+function fix(title, line, newText, { preferred = false, safe = true, start = 4, end = 5 } = {}) {
+    const action = new vscode.CodeAction(title, vscode.CodeActionKind.QuickFix);
+    action.edit = new vscode.WorkspaceEdit();
+    action.edit.replace(uri, new vscode.Range(line, start, line, end), newText);
+    action.isPreferred = preferred;
+    return safe ? markFixAllSafe(action) : action;
+}
+
+/**
+ * getActions stub shaped like the MQL181 fixes: IntegerToString is preferred and
+ * marked on even lines, otherwise only DoubleToString is marked.
+ */
+function wrapFixes(_document, diagnostic) {
+    const line = diagnostic.range.start.line;
+    const even = line % 2 === 0;
+    return [
+        fix('MQL: Wrap with IntegerToString()', line, 'IntegerToString(x)', { preferred: even, safe: even }),
+        fix('MQL: Wrap with DoubleToString()', line, 'DoubleToString(x, 8)', { safe: !even }),
+    ];
+}
+
+suite('fixAll', function () {
+    test('fix-all kind and diagnostic codes', function () {
+        assert.strictEqual(FIX_ALL_KIND.value, 'source.fixAll.mql');
+        assert.strictEqual(diagnosticCode(diag(0, 'MQL181')), 'MQL181');
+        const clangd = new vscode.Diagnostic(new vscode.Range(0, 0, 0, 1), 'x');
+        clangd.code = 'undeclared_var_use';
+        assert.strictEqual(diagnosticCode(clangd), 'undeclared_var_use');
+        assert.strictEqual(diagnosticCode(new vscode.Diagnostic(new vscode.Range(0, 0, 0, 1), 'x')), null);
+    });
+
+    test('selectUnambiguousFix takes the only marked fix or the only preferred one', function () {
+        const spelling = fix("MQL: Did you mean 'OrderSend'?", 1, 'OrderSend');
+        assert.strictEqual(selectUnambiguousFix([spelling]), spelling);
+
+        const [int, dbl] = wrapFixes(document, diag(2, 'MQL181'));
+        assert.strictEqual(selectUnambiguousFix([int, dbl]), int);
+        assert.strictEqual(selectUnambiguousFix(wrapFixes(document, diag(3, 'MQL181'))).title,
+            'MQL: Wrap with DoubleToString()');
+
+        const first = fix("MQL: Did you mean 'OrderSend'?", 1, 'OrderSend');
+        const second = fix("MQL: Did you mean 'OrderSelect'?", 1, 'OrderSelect');
+        assert.strictEqual(selectUnambiguousFix([first, second]), null);
+        second.isPreferred = true;
+        assert.strictEqual(selectUnambiguousFix([first, second]), second);
+
+        const declare = fix("MQL: Declare 'x' as local int", 1, 'int x;', { preferred: true, safe: false });
+        assert.strictEqual(selectUnambiguousFix([declare]), null, 'unmarked fixes are never bulk-applied');
+    });
+
+    test('collectFixAllEdit merges fixes of one code and drops overlaps', async function () {
+        const diagnostics = [diag(0, 'MQL181'), diag(2, 'MQL181'), diag(2, 'MQL181'), diag(3, 'MQL181'), diag(4, 'MQL262')];
+        const metadata = { needsConfirmation: true, label: 'Fix all MQL181' };
+        const { edit, fixed, files } = await collectFixAllEdit([{ document, diagnostics }], wrapFixes, { code: 'MQL181', metadata });
+
+        assert.deepStrictEqual([fixed, files], [3, 1]);
+        assert.deepStrictEqual(edit.edits.map(e => [e.range.start.line, e.newText]), [
+            [0, 'IntegerToString(x)'],
+            [2, 'IntegerToString(x)'],
+            [3, 'DoubleToString(x, 8)'],
+        ]);
+        assert.strictEqual(edit.edits[0].metadata, metadata);
+
+        const all = await collectFixAllEdit([{ document, diagnostics }], wrapFixes);
+        assert.strictEqual(all.fixed, 4, 'without a code filter the MQL262 line is fixed too');
+    });
+
+    test('createFixAllActions offers file and workspace scopes for fixable diagnostics', function () {
+        const d = diag(2, 'MQL181');
+        const [inFile, inWorkspace] = createFixAllActions(document, d, wrapFixes(document, d));
+        assert.strictEqual(inFile.title, "MQL: Fix all 'MQL181' problems in file");
+        assert.deepStrictEqual(inFile.command.arguments, [uri, 'MQL181', 'file']);
+        assert.deepStrictEqual(inWorkspace.command.arguments, [uri, 'MQL181', 'workspace']);
+
+        const unmarked = fix("MQL: Declare 'x' as local int", 2, 'int x;', { safe: false });
+        assert.deepStrictEqual(createFixAllActions(document, d, [unmarked]), []);
+    });
+
+    test('MqlFixAllProvider returns one source.fixAll.mql action', async function () {
+        const original = vscode.languages.getDiagnostics;
+        vscode.languages.getDiagnostics = () => [diag(0, 'MQL181'), diag(1, 'MQL181')];
+        const provider = new MqlFixAllProvider(wrapFixes);
+        const range = new vscode.Range(0, 0, 0, 0);
+        try {
+            const [action] = await provider.provideCodeActions(document, range, { only: vscode.CodeActionKind.SourceFixAll });
+            assert.strictEqual(action.kind, FIX_ALL_KIND);
+            assert.strictEqual(action.title, 'MQL: Fix all auto-fixable problems (2)');
+            assert.strictEqual((await provider.provideCodeActions(document, range, { only: FIX_ALL_KIND })).length, 1);
+            assert.strictEqual((await provider.provideCodeActions(document, range, { only: vscode.CodeActionKind.Source })).length, 1);
+
+            for (const context of [{}, { only: vscode.CodeActionKind.QuickFix }, { only: vscode.CodeActionKind.SourceFixAll.append('eslint') }]) {
+                assert.deepStrictEqual(await provider.provideCodeActions(document, range, context), [], 'light bulb and other fixers');
+            }
+
+            vscode.languages.getDiagnostics = () => [];
+            assert.deepStrictEqual(await provider.provideCodeActions(document, range, { only: FIX_ALL_KIND }), []);
+        } finally {
+            vscode.languages.getDiagnostics = original;
+        }
+    });
+});
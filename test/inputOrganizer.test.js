@@ -0,0 +1,213 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vscode = require('vscode');
+
+const {
+    parseInputs,
+    labelFromName,
+    organizeInputs,
+    planMagicNumberInput,
+    buildSetFile,
+    writeSetFile,
+    createInputActions,
+} = require('../src/inputOrganizer');
+
+const EA = [
+    '#property strict',                                  // 0
+    'enum ESignalMode { SIGNAL_CROSS, SIGNAL_LEVEL = 5, SIGNAL_BOTH };', // 1
+    '//--- inputs',                                      // 2
+    'input double Lots = 0.1;           // Lot size',    // 3
+    'input int StopLoss = 300;',                         // 4
+    '// Magic number of the EA',                         // 5
+    'input long MagicNumber = 12345;',                   // 6
+    'sinput string InpComment = "my \\"ea\\"";',         // 7
+    'input ENUM_TIMEFRAMES InpTF = PERIOD_H1;',          // 8
+    'input ESignalMode InpMode = SIGNAL_LEVEL;',         // 9
+    'input color InpColor = clrRed;',                    // 10
+    'input double InpWeird = 2 * Lots;',                 // 11
+    '',                                                  // 12
+    'void OnTick()',                                     // 13
+    '  {',                                               // 14
+    '   int h = iRSI(_Symbol, _Period, 14, PRICE_CLOSE);', // 15
+    '   double arr[5];',                                 // 16
+    '   if(h > 70 || h < 0) Print("14");',               // 17
+    '   int fast = 14;',                                 // 18
+    '  }',                                               // 19
+].join('\n');
+
+function fakeDocument(text, fileName = '/ws/MQL5/Experts/Bot.mq5') {
+    const lines = text.split('\n');
+    const lineStarts = [0];
+    for (let i = 0; i < text.length; i++) if (text[i] === '\n') lineStarts.push(i + 1);
+    return {
+        uri: vscode.Uri.file(fileName),
+        fileName,
+        getText: () => text,
+        lineAt: line => ({ text: lines[line] }),
+        offsetAt: pos => lineStarts[pos.line] + pos.character,
+        positionAt: offset => {
+            let line = lineStarts.length - 1;
+            while (lineStarts[line] > offset) line--;
+            return new vscode.Position(line, offset - lineStarts[line]);
+        },
+    };
+}
+
+suite('inputOrganizer', function () {
+    test('parseInputs reads declarations, trailing comments and groups', function () {
+        const { inputs, groups } = parseInputs('input group "Risk"\ninput double Lots = 0.1; // Lot size\nvoid f() { }\ninput int a = 1, b = 2;');
+        assert.deepStrictEqual(groups, [{ line: 0, name: 'Risk' }]);
+        assert.deepStrictEqual(inputs, [{
+            line: 1, keyword: 'input', type: 'double', name: 'Lots', value: '0.1', comment: 'Lot size', group: 'Risk',
+        }]);
+    });
+
+    test('labelFromName turns input names into tester labels', function () {
+        assert.strictEqual(labelFromName('InpStopLoss'), 'Stop loss');
+        assert.strictEqual(labelFromName('Inp_max_spread'), 'Max spread');
+        assert.strictEqual(labelFromName('InpATRPeriod'), 'ATR period');
+    });
+
+    test('organizeInputs groups inputs by purpose and aligns labels', function () {
+        const plan = organizeInputs(EA);
+        assert.deepStrictEqual([plan.startLine, plan.endLine], [3, 11]);
+        assert.strictEqual(plan.newText, [
+            'input group "Trading"',
+            'input  double          Lots        = 0.1;          // Lot size',
+            'input  long            MagicNumber = 12345;        // Magic number of the EA',
+            'sinput string          InpComment  = "my \\"ea\\"";  // Comment',
+            '',
+            'input group "Stops"',
+            'input  int             StopLoss    = 300;          // Stop loss',
+            '',
+            'input group "Indicators"',
+            'input  ENUM_TIMEFRAMES InpTF       = PERIOD_H1;    // TF',
+            '',
+            'input group "Display"',
+            'input  color           InpColor    = clrRed;       // Color',
+            '',
+            'input group "General"',
+            'input  ESignalMode     InpMode     = SIGNAL_LEVEL; // Mode',
+            'input  double          InpWeird    = 2 * Lots;     // Weird',
+        ].join('\n'));
+
+        const lines = EA.split('\n');
+        const organized = [...lines.slice(0, plan.startLine), plan.newText, ...lines.slice(plan.endLine + 1)].join('\n');
+        assert.strictEqual(organizeInputs(organized), null, 'organizing twice changes nothing');
+    });
+
+    test('existing input groups keep their names and other lines are kept above', function () {
+        const text = [
+            'input double Risk = 1;',
+            '#define SLOW_DEFAULT 20',
+            'input group "Entry"',
+            'enum EEntry { ENTRY_CROSS, ENTRY_LEVEL };',
+            'input int InpFastPeriod = 5;',
+            'int counter = 0; // Risk is in percent',
+            'input int InpSlowPeriod = SLOW_DEFAULT;',
+            'input EEntry InpEntry = ENTRY_CROSS;',
+        ].join('\n');
+        assert.strictEqual(organizeInputs(text).newText, [
+            '#define SLOW_DEFAULT 20',
+            'enum EEntry { ENTRY_CROSS, ENTRY_LEVEL };',
+            'int counter = 0; // Risk is in percent',
+            '',
+            'input group "Entry"',
+            'input int    InpFastPeriod = 5;            // Fast period',
+            'input int    InpSlowPeriod = SLOW_DEFAULT; // Slow period',
+            'input EEntry InpEntry      = ENTRY_CROSS;  // Entry',
+            '',
+            'input group "Trading"',
+            'input double Risk          = 1;            // Risk',
+        ].join('\n'));
+    });
+
+    test('organizeInputs refuses when a line between the inputs uses one of them', function () {
+        const text = 'input double Risk = 1;\ndouble g_risk = Risk / 100;\ninput int InpFastPeriod = 5;';
+        assert.strictEqual(organizeInputs(text), null);
+    });
+
+    test('magic numbers become inputs named after their use', function () {
+        const at = (needle, delta = 0) => EA.indexOf(needle) + delta;
+        const rsi = planMagicNumberInput(EA, at('14,'));
+        assert.strictEqual(rsi.name, 'InpMaPeriod');
+        assert.strictEqual(rsi.declaration, 'input int InpMaPeriod = 14; // Ma period');
+        assert.strictEqual(rsi.insertLine, 12);
+        assert.deepStrictEqual(rsi.replacements, [{ start: at('14,'), end: at('14,') + 2 }]);
+        assert.strictEqual(planMagicNumberInput(EA, at('14,'), { all: true }).replacements.length, 2);
+
+        assert.strictEqual(planMagicNumberInput(EA, at('70')).name, 'InpH');
+        assert.strictEqual(planMagicNumberInput(EA, at('= 14', 2)).name, 'InpFast');
+        assert.strictEqual(planMagicNumberInput(EA, at('[5]', 1)), null);
+        assert.strictEqual(planMagicNumberInput(EA, at('< 0', 2)), null);
+        assert.strictEqual(planMagicNumberInput(EA, at('"14"', 1)), null);
+        assert.strictEqual(planMagicNumberInput(EA, at('300')), null, 'input defaults are not magic numbers');
+
+        const source = '#property strict\nvoid f() { Sleep(250); }';
+        const noInputs = planMagicNumberInput(source, source.indexOf('250'));
+        assert.deepStrictEqual([noInputs.insertLine, noInputs.declaration], [1, '\ninput int InpMilliseconds = 250; // Milliseconds']);
+    });
+
+    test('buildSetFile writes defaults with optimization fields', function () {
+        assert.strictEqual(buildSetFile(EA, { programName: 'Bot' }), [
+            '; Bot inputs generated from the source defaults',
+            'Lots=0.1||0.1||0.01||1||N',
+            'StopLoss=300||300||1||3000||N',
+            'MagicNumber=12345||12345||1||123450||N',
+            'InpComment=my "ea"',
+            'InpTF=16385||16385||0||16385||N',
+            'InpMode=5||5||0||5||N',
+            'InpColor=255||255||0||255||N',
+            '; InpWeird: default \'2 * Lots\' could not be evaluated',
+            '',
+        ].join('\r\n'));
+        assert.ok(buildSetFile('input group "Risk"\ninput bool UseTrail = true;').includes('; Risk\r\nUseTrail=true||false||0||true||N'));
+    });
+
+    suite('with a program on disk', function () {
+        let tmpDir;
+
+        setup(function () {
+            tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mql-inputs-'));
+        });
+
+        teardown(function () {
+            fs.rmSync(tmpDir, { recursive: true, force: true });
+        });
+
+        test('writeSetFile saves <program>.set as UTF-16LE with BOM', function () {
+            const setPath = writeSetFile(path.join(tmpDir, 'Bot.mq5'), 'input int Period = 14;');
+            assert.strictEqual(setPath, path.join(tmpDir, 'Bot.set'));
+            const raw = fs.readFileSync(setPath);
+            assert.deepStrictEqual([...raw.subarray(0, 2)], [0xFF, 0xFE]);
+            assert.ok(raw.toString('utf16le', 2).includes('Period=14||14||1||140||N\r\n'));
+        });
+    });
+
+    test('code actions are offered on inputs and numeric literals', function () {
+        const document = fakeDocument(EA);
+        const onInput = createInputActions(document, new vscode.Range(4, 3, 4, 3));
+        assert.deepStrictEqual(onInput.map(a => a.title),
+            ['MQL: Organize inputs into groups', 'MQL: Organize inputs and generate Bot.set']);
+        assert.strictEqual(onInput[0].kind, vscode.CodeActionKind.RefactorRewrite);
+        assert.deepStrictEqual(onInput[1].command.arguments, [document.uri]);
+        assert.strictEqual(onInput[1].edit.edits[0].newText, onInput[0].edit.edits[0].newText);
+
+        const onLiteral = createInputActions(document, new vscode.Range(15, 34, 15, 34));
+        assert.deepStrictEqual(onLiteral.map(a => a.title), [
+            "MQL: Convert 14 into input 'InpMaPeriod'",
+            "MQL: Convert all 2 occurrences of 14 into input 'InpMaPeriod'",
+        ]);
+        assert.strictEqual(onLiteral[1].kind, vscode.CodeActionKind.RefactorExtract);
+        assert.deepStrictEqual(onLiteral[1].edit.edits.map(e => e.newText),
+            ['input int InpMaPeriod = 14; // Ma period\n', 'InpMaPeriod', 'InpMaPeriod']);
+
+        assert.deepStrictEqual(createInputActions(fakeDocument(EA, '/ws/MQL5/Include/Lib.mqh'), new vscode.Range(4, 0, 4, 0))
+            .map(a => a.title), ['MQL: Organize inputs into groups']);
+        assert.deepStrictEqual(createInputActions(document, null), []);
+    });
+});
@@ -0,0 +1,69 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const vscode = require('vscode');
+
+const { MainDiagnosticsStore, toVscodeDiagnostic } = require('../src/mainDiagnostics');
+
+const eaA = path.join(path.sep, 'ws', 'Experts', 'A.mq5');
+const eaB = path.join(path.sep, 'ws', 'Experts', 'B.mq5');
+const header = path.join(path.sep, 'ws', 'Include', 'Shared.mqh');
+
+function diag(file, line, message, errorCode = '100', severity = vscode.DiagnosticSeverity.Error) {
+    return { file, range: new vscode.Range(line, 0, line, 1), message, severity, errorCode };
+}
+
+function fakeCollection() {
+    const published = new Map();
+    return {
+        published,
+        set: (uri, diags) => published.set(uri.fsPath, diags),
+        clear: () => published.clear(),
+    };
+}
+
+suite('mainDiagnostics', function () {
+    test('toVscodeDiagnostic links the MQL error code', function () {
+        const d = toVscodeDiagnostic(diag(eaA, 3, 'boom', '256'));
+        assert.strictEqual(d.code.value, 'MQL256');
+        assert.strictEqual(toVscodeDiagnostic(diag(eaA, 3, 'boom', null)).code, undefined);
+    });
+
+    test('header diagnostics from two mains merge with one related entry per main', function () {
+        const store = new MainDiagnosticsStore();
+        store.record(eaA, [diag(header, 4, 'undeclared identifier'), diag(eaA, 1, 'in main')]);
+        store.record(eaB, [diag(header, 4, 'undeclared identifier'), diag(header, 9, 'only B')]);
+
+        const onHeader = store.getFileDiagnostics(header);
+        assert.deepStrictEqual(onHeader.map(d => d.message), ['undeclared identifier', 'only B']);
+        assert.deepStrictEqual(onHeader[0].relatedInformation.map(r => r.location.uri.fsPath), [eaA, eaB]);
+        assert.strictEqual(onHeader[1].relatedInformation[0].message, 'Reported while compiling B.mq5');
+
+        const onMain = store.getFileDiagnostics(eaA);
+        assert.strictEqual(onMain.length, 1);
+        assert.strictEqual(onMain[0].relatedInformation, undefined, 'errors in the main itself need no attribution');
+    });
+
+    test('a clean compile of one main keeps the header errors of another', function () {
+        const collection = fakeCollection();
+        const store = new MainDiagnosticsStore(collection);
+        store.update(eaA, [diag(header, 4, 'breaks A')]);
+        store.update(eaB, [diag(header, 7, 'breaks B')]);
+
+        const affected = store.update(eaB, []);
+        assert.deepStrictEqual(affected, [header]);
+        assert.deepStrictEqual(collection.published.get(header).map(d => d.message), ['breaks A']);
+        assert.deepStrictEqual(store.getMains(), [eaA]);
+
+        store.update(eaA, []);
+        assert.deepStrictEqual(collection.published.get(header), []);
+    });
+
+    test('main identity ignores path case and normalization', function () {
+        const store = new MainDiagnosticsStore();
+        store.record(eaA, [diag(header, 1, 'x')]);
+        store.record(eaA.toUpperCase(), []);
+        assert.deepStrictEqual(store.getFileDiagnostics(header), []);
+    });
+});
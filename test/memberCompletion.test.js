@@ -0,0 +1,148 @@
+'use strict';
+
+const assert = require('assert');
+const vscode = require('vscode');
+
+const {
+    parseMemberAccess,
+    buildClassModel,
+    MqlMemberCompletionProvider,
+} = require('../src/memberCompletion');
+const { WorkspaceSymbolIndex } = require('../src/workspaceIndex');
+
+let documentVersion = 0;
+
+function fakeDocument(text, fileName) {
+    return { uri: vscode.Uri.file(fileName), fileName, version: ++documentVersion, getText: () => text };
+}
+
+function positionAfter(text, needle) {
+    const before = text.slice(0, text.indexOf(needle) + needle.length).split('\n');
+    return new vscode.Position(before.length - 1, before[before.length - 1].length);
+}
+
+const HEADER = [
+    'class CBase',
+    '  {',
+    'protected:',
+    '   int               m_id;',
+    'public:',
+    '   int               Id() const { return m_id; }',
+    '  };',
+    'class CPosition : public CBase',
+    '  {',
+    'private:',
+    '   double            m_secret;',
+    'public:',
+    '   double            volume;',
+    '   string            tags[];',
+    '                     CPosition();',
+    '   bool              Close(double lots);',
+    '   bool              Close();',
+    '   CPosition        *Next() { return NULL; }',
+    '  };',
+].join('\n');
+
+function memoryIndex(files, mtimes = {}, reads = []) {
+    return new WorkspaceSymbolIndex({
+        findFiles: async () => Object.keys(files),
+        readFile: async filePath => { reads.push(filePath); return files[filePath]; },
+        stat: async filePath => {
+            if (!(filePath in files)) throw new Error(`ENOENT: ${filePath}`);
+            return { mtimeMs: mtimes[filePath] || 1 };
+        },
+    });
+}
+
+function createProvider(files = { '/ws/Position.mqh': HEADER }, mtimes = {}, reads = []) {
+    return new MqlMemberCompletionProvider({
+        index: memoryIndex(files, mtimes, reads),
+        collectFiles: async () => Object.keys(files),
+    });
+}
+
+async function complete(provider, text, needle) {
+    const items = await provider.provideCompletionItems(fakeDocument(text, '/ws/Bot.mq5'), positionAfter(text, needle));
+    return items && items.map(item => `${item.label}|${item.detail}`);
+}
+
+suite('memberCompletion', function () {
+    test('parseMemberAccess splits the receiver chain', function () {
+        assert.deepStrictEqual(parseMemberAccess('   x = trade.Result()->Ret'), {
+            parts: [{ name: 'trade', call: false }, { name: 'Result', call: true }],
+            partial: 'Ret',
+        });
+        assert.deepStrictEqual(parseMemberAccess('positions[i].').parts, [{ name: 'positions', call: false }]);
+        assert.strictEqual(parseMemberAccess('double d = 1.'), null);
+        assert.strictEqual(parseMemberAccess('if(a > '), null);
+    });
+
+    test('buildClassModel records bases, fields, methods and access', function () {
+        const model = buildClassModel(HEADER);
+        const position = model.get('CPosition');
+        assert.strictEqual(position.parent, 'CBase');
+        assert.deepStrictEqual(position.fields.map(f => `${f.access}:${f.name}`), ['private:m_secret', 'public:volume', 'public:tags']);
+        assert.deepStrictEqual(position.methods.map(m => `${m.access}:${m.name}`), ['public:Close', 'public:Close', 'public:Next']);
+    });
+
+    test('lists public fields and methods of locals, globals and chained calls', async function () {
+        const provider = createProvider();
+        const main = [
+            '#include "Position.mqh"',
+            'CPosition g_first;',
+            'void OnTick()',
+            '  {',
+            '   CPosition *pos = GetPointer(g_first);',
+            '   pos.',
+            '   g_first.Next()->',
+            '  }',
+        ].join('\n');
+        assert.deepStrictEqual(await complete(provider, main, '   pos.'), [
+            'volume|double CPosition::volume',
+            'tags|string CPosition::tags[]',
+            'Close|bool CPosition::Close(double lots) (+1 overloads)',
+            'Next|CPosition * CPosition::Next()',
+            'Id|int CBase::Id() const',
+        ]);
+        assert.strictEqual((await complete(provider, main, 'Next()->')).length, 5);
+    });
+
+    test('members of the enclosing class hierarchy include protected ones', async function () {
+        const provider = createProvider();
+        const main = [
+            '#include "Position.mqh"',
+            'class CTracked : public CPosition',
+            '  {',
+            '   void              Log() { this. }',
+            '  };',
+        ].join('\n');
+        const labels = (await complete(provider, main, 'this.')).map(item => item.split('|')[0]);
+        assert.deepStrictEqual(labels, ['Log', 'volume', 'tags', 'Close', 'Next', 'm_id', 'Id']);
+    });
+
+    test('standard library classes and built-in structs come with signatures', async function () {
+        const provider = createProvider({});
+        const main = 'CTrade trade;\nvoid OnTick()\n  {\n   MqlTick tick;\n   trade.\n   tick.\n  }';
+        const trade = await complete(provider, main, 'trade.');
+        assert.ok(trade.includes('RequestMagic|ulong CTrade::RequestMagic(void) const'));
+        assert.ok(trade.some(item => item.startsWith('SetExpertMagicNumber|')));
+        assert.ok((await complete(provider, main, 'tick.')).includes('bid|double MqlTick::bid'));
+        assert.strictEqual(await complete(provider, main, 'OnTick('), undefined);
+    });
+
+    test('included sources are read again only when their mtime changes', async function () {
+        const files = { '/ws/Position.mqh': HEADER };
+        const mtimes = { '/ws/Position.mqh': 1 };
+        const reads = [];
+        const provider = createProvider(files, mtimes, reads);
+        const main = 'CPosition pos;\nvoid OnTick()\n  {\n   pos.\n  }';
+        assert.ok((await complete(provider, main, 'pos.')).includes('volume|double CPosition::volume'));
+        assert.ok(await complete(provider, main, 'pos.'));
+        assert.deepStrictEqual(reads, ['/ws/Position.mqh']);
+
+        files['/ws/Position.mqh'] = HEADER.replace('volume', 'lots');
+        mtimes['/ws/Position.mqh'] = 2;
+        assert.ok((await complete(provider, main, 'pos.')).includes('lots|double CPosition::lots'));
+        assert.strictEqual(reads.length, 2);
+    });
+});
@@ -3,6 +3,12 @@ const path = require('path');
 
 class Range {
     constructor(startLine, startChar, endLine, endChar) {
+        if (typeof startLine === 'object') {
+            // Range(start: Position, end: Position)
+            this.start = { line: startLine.line, character: startLine.character };
+            this.end = { line: startChar.line, character: startChar.character };
+            return;
+        }
         this.start = { line: startLine, character: startChar };
         this.end = { line: endLine, character: endChar };
     }
@@ -37,21 +43,55 @@ class Diagnostic {
     }
 }
 
+class Location {
+    constructor(uri, range) {
+        this.uri = uri;
+        this.range = range;
+    }
+}
+
+class DiagnosticRelatedInformation {
+    constructor(location, message) {
+        this.location = location;
+        this.message = message;
+    }
+}
+
+const ProgressLocation = {
+    SourceControl: 1,
+    Window: 10,
+    Notification: 15
+};
+
 const ConfigurationTarget = {
     Global: 1,
     Workspace: 2,
     WorkspaceFolder: 3
 };
 
+function codeActionKind(value) {
+    return {
+        value,
+        append: part => codeActionKind(value ? `${value}.${part}` : part),
+        contains: other => other.value === value || other.value.startsWith(`${value}.`),
+    };
+}
+
 const CodeActionKind = {
-    Empty: { value: '' },
-    QuickFix: { value: 'quickfix' },
-    Refactor: { value: 'refactor' },
-    RefactorExtract: { value: 'refactor.extract' },
-    RefactorInline: { value: 'refactor.inline' },
-    RefactorRewrite: { value: 'refactor.rewrite' },
-    Source: { value: 'source' },
-    SourceOrganizeImports: { value: 'source.organizeImports' }
+    Empty: codeActionKind(''),
+    QuickFix: codeActionKind('quickfix'),
+    Refactor: codeActionKind('refactor'),
+    RefactorExtract: codeActionKind('refactor.extract'),
+    RefactorInline: codeActionKind('refactor.inline'),
+    RefactorRewrite: codeActionKind('refactor.rewrite'),
+    Source: codeActionKind('source'),
+    SourceOrganizeImports: codeActionKind('source.organizeImports'),
+    SourceFixAll: codeActionKind('source.fixAll')
+};
+
+const CodeActionTriggerKind = {
+    Invoke: 1,
+    Automatic: 2
 };
 
 class CodeAction {
@@ -64,6 +104,32 @@ class CodeAction {
     }
 }
 
+class WorkspaceEdit {
+    constructor() {
+        this.edits = [];
+    }
+    insert(uri, position, newText, metadata) {
+        this.edits.push({ uri, position, range: new Range(position, position), newText, metadata });
+    }
+    replace(uri, range, newText, metadata) {
+        this.edits.push({ uri, range, newText, metadata });
+    }
+    delete(uri, range, metadata) {
+        this.edits.push({ uri, range, newText: '', metadata });
+    }
+    get size() {
+        return this.entries().length;
+    }
+    entries() {
+        const byUri = new Map();
+        for (const { uri, range, newText } of this.edits) {
+            if (!byUri.has(uri.fsPath)) byUri.set(uri.fsPath, [uri, []]);
+            byUri.get(uri.fsPath)[1].push({ range, newText });
+        }
+        return [...byUri.values()];
+    }
+}
+
 class CodeLens {
     constructor(range, command) {
         this.range = range;
@@ -85,6 +151,28 @@ class EventEmitter {
     dispose() { this._listeners = []; }
 }
 
+const TreeItemCollapsibleState = { None: 0, Collapsed: 1, Expanded: 2 };
+
+class TreeItem {
+    constructor(label, collapsibleState = TreeItemCollapsibleState.None) {
+        this.label = label;
+        this.collapsibleState = collapsibleState;
+    }
+}
+
+class ThemeIcon {
+    constructor(id, color) {
+        this.id = id;
+        this.color = color;
+    }
+}
+
+class ThemeColor {
+    constructor(id) {
+        this.id = id;
+    }
+}
+
 const SymbolKind = {
     File: 0, Module: 1, Namespace: 2, Package: 3, Class: 4, Method: 5,
     Property: 6, Field: 7, Constructor: 8, Enum: 9, Interface: 10,
@@ -104,19 +192,142 @@ class DocumentSymbol {
     }
 }
 
+class SymbolInformation {
+    constructor(name, kind, containerName, location) {
+        this.name = name;
+        this.kind = kind;
+        this.containerName = containerName;
+        this.location = location;
+    }
+}
+
+class CallHierarchyItem {
+    constructor(kind, name, detail, uri, range, selectionRange) {
+        this.kind = kind;
+        this.name = name;
+        this.detail = detail;
+        this.uri = uri;
+        this.range = range;
+        this.selectionRange = selectionRange;
+    }
+}
+
+class CallHierarchyIncomingCall {
+    constructor(from, fromRanges) {
+        this.from = from;
+        this.fromRanges = fromRanges;
+    }
+}
+
+class CallHierarchyOutgoingCall {
+    constructor(to, fromRanges) {
+        this.to = to;
+        this.fromRanges = fromRanges;
+    }
+}
+
+const CompletionItemKind = {
+    Method: 1,
+    Function: 2,
+    Field: 4,
+    Variable: 5,
+    Class: 6,
+    Struct: 21,
+};
+
+class CompletionItem {
+    constructor(label, kind) {
+        this.label = label;
+        this.kind = kind;
+    }
+}
+
+class SnippetString {
+    constructor(value = '') {
+        this.value = value;
+    }
+}
+
+class SignatureHelp {
+    constructor() {
+        this.signatures = [];
+        this.activeSignature = 0;
+        this.activeParameter = 0;
+    }
+}
+
+class SignatureInformation {
+    constructor(label, documentation) {
+        this.label = label;
+        this.documentation = documentation;
+        this.parameters = [];
+    }
+}
+
+class ParameterInformation {
+    constructor(label, documentation) {
+        this.label = label;
+        this.documentation = documentation;
+    }
+}
+
+class MarkdownString {
+    constructor(value = '') {
+        this.value = value;
+    }
+
+    appendMarkdown(value) {
+        this.value += value;
+        return this;
+    }
+
+    appendCodeblock(code, language = '') {
+        this.value += `\n\`\`\`${language}\n${code}\n\`\`\`\n`;
+        return this;
+    }
+}
+
+class Hover {
+    constructor(contents, range) {
+        this.contents = Array.isArray(contents) ? contents : [contents];
+        this.range = range;
+    }
+}
+
 module.exports = {
     Range,
     Position,
     RelativePattern,
     DiagnosticSeverity,
     Diagnostic,
+    Location,
+    DiagnosticRelatedInformation,
     ConfigurationTarget,
+    ProgressLocation,
     CodeActionKind,
+    CodeActionTriggerKind,
     CodeAction,
+    WorkspaceEdit,
     CodeLens,
     EventEmitter,
+    TreeItemCollapsibleState,
+    TreeItem,
+    ThemeIcon,
+    ThemeColor,
     SymbolKind,
     DocumentSymbol,
+    SymbolInformation,
+    CallHierarchyItem,
+    CallHierarchyIncomingCall,
+    CallHierarchyOutgoingCall,
+    CompletionItemKind,
+    CompletionItem,
+    SnippetString,
+    SignatureHelp,
+    SignatureInformation,
+    ParameterInformation,
+    MarkdownString,
+    Hover,
     env: {
         language: 'en'
     },
@@ -162,6 +373,7 @@ module.exports = {
         }
     },
     languages: {
+        getDiagnostics: () => [],
         createDiagnosticCollection: () => ({
             clear: () => { },
             set: () => { },
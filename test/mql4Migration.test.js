@@ -0,0 +1,167 @@
+'use strict';
+
+const assert = require('assert');
+const vscode = require('vscode');
+
+const {
+    MIGRATION_SOURCE,
+    scanMql4Usage,
+    buildMigrationContext,
+    buildMigrationEdits,
+    computeMigrationDiagnostics,
+    createMigrationActions,
+} = require('../src/mql4Migration');
+
+const EA = [
+    '#property strict',
+    '#include <stdlib.mqh>',
+    '',
+    'input int Magic = 42;',
+    '',
+    'void OnTick()',
+    '{',
+    '    double spread = Ask - Bid; // Bid in a comment',
+    '    if(Close[1] > Open[1] && Digits == 5)',
+    '        Print(MarketInfo(Symbol(), MODE_STOPLEVEL), AccountBalance());',
+    '    double up = iBands(NULL, 0, 20, 2.0, 0, PRICE_CLOSE, MODE_UPPER, 0);',
+    '    RefreshRates();',
+    '    int ticket = OrderSend(Symbol(), OP_BUY, 0.1, Ask, 3, 0, 0, "buy", Magic, 0, clrGreen);',
+    '    for(int i = OrdersTotal() - 1; i >= 0; i--)',
+    '    {',
+    '        if(!OrderSelect(i, SELECT_BY_POS, MODE_TRADES)) continue;',
+    '        if(OrderType() == OP_BUY && OrderMagicNumber() == Magic)',
+    '            OrderClose(OrderTicket(), OrderLots(), Bid, 3, clrRed);',
+    '    }',
+    '    Print(OrderProfit());',
+    '}',
+    '',
+].join('\n');
+
+function fakeDocument(text, fileName = '/ws/MQL4/Experts/EA.mq4') {
+    const lineStarts = [0];
+    for (let i = 0; i < text.length; i++) if (text[i] === '\n') lineStarts.push(i + 1);
+    return {
+        uri: vscode.Uri.file(fileName),
+        fileName,
+        getText: () => text,
+        offsetAt: pos => lineStarts[pos.line] + pos.character,
+        positionAt: offset => {
+            let line = lineStarts.length - 1;
+            while (lineStarts[line] > offset) line--;
+            return new vscode.Position(line, offset - lineStarts[line]);
+        },
+    };
+}
+
+function applyEdits(text, edits) {
+    return [...edits].sort((a, b) => b.start - a.start)
+        .reduce((out, e) => out.slice(0, e.start) + e.newText + out.slice(e.end), text);
+}
+
+function migrate(text, code) {
+    const ctx = buildMigrationContext(text, 'EA.mq4');
+    const finding = scanMql4Usage(text, 'EA.mq4').find(f => f.code === code);
+    return applyEdits(text, buildMigrationEdits(text, finding, ctx));
+}
+
+suite('mql4Migration', function () {
+    test('scanMql4Usage reports MQL4-only constructs outside comments and strings', function () {
+        const findings = scanMql4Usage(EA, 'EA.mq4');
+        assert.deepStrictEqual(findings.map(f => [f.code, f.name]), [
+            ['mql4-predefined', 'Ask'],
+            ['mql4-predefined', 'Bid'],
+            ['mql4-series', 'Close'],
+            ['mql4-series', 'Open'],
+            ['mql4-predefined', 'Digits'],
+            ['mql4-marketinfo', 'MarketInfo'],
+            ['mql4-account', 'AccountBalance'],
+            ['mql4-indicator', 'iBands'],
+            ['mql4-order-api', 'RefreshRates'],
+            ['mql4-ordersend', 'OrderSend'],
+            ['mql4-orders-loop', 'for'],
+            ['mql4-order-api', 'OrderProfit'],
+        ]);
+        assert.strictEqual(findings.find(f => f.name === 'OrderProfit').replacement, undefined);
+    });
+
+    test('declared variables, user functions and MQL5 calls are left alone', function () {
+        const text = [
+            'double Bid;',
+            'double iRSI_value() { return 0; }',
+            'void AccountBalance() {}',
+            'void OnTick() { Bid = 1; AccountBalance(); int h = iMA(_Symbol, _Period, 14, 0, MODE_SMA, PRICE_CLOSE);',
+            '  double c = iClose(_Symbol, _Period, 0); int n = Bars(_Symbol, _Period); tick.Ask = 0; OrderSend(req, res); }',
+        ].join('\n');
+        assert.deepStrictEqual(scanMql4Usage(text, 'EA.mq5'), []);
+    });
+
+    test('simple rewrites map predefined variables, series and MarketInfo', function () {
+        const ctx = buildMigrationContext(EA, 'EA.mq4');
+        const byName = new Map(scanMql4Usage(EA, 'EA.mq4').map(f => [f.name, f]));
+        const rewritten = name => buildMigrationEdits(EA, byName.get(name), ctx)[0].newText;
+        assert.strictEqual(rewritten('Ask'), 'SymbolInfoDouble(_Symbol, SYMBOL_ASK)');
+        assert.strictEqual(rewritten('Close'), 'iClose(_Symbol, _Period, 1)');
+        assert.strictEqual(rewritten('Digits'), '_Digits');
+        assert.strictEqual(rewritten('MarketInfo'), '(int)SymbolInfoInteger(Symbol(), SYMBOL_TRADE_STOPS_LEVEL)');
+        assert.strictEqual(rewritten('AccountBalance'), 'AccountInfoDouble(ACCOUNT_BALANCE)');
+        assert.ok(!migrate(EA, 'mql4-order-api').includes('RefreshRates'));
+    });
+
+    test('indicator calls become handles read through IndicatorValue()', function () {
+        const out = migrate(EA, 'mql4-indicator');
+        assert.ok(out.includes('double up = IndicatorValue(iBands(NULL, 0, 20, 0, 2.0, PRICE_CLOSE), 1, 0);'));
+        assert.ok(out.includes('double IndicatorValue(int handle, int buffer, int shift)'));
+        assert.ok(out.includes('CopyBuffer(handle, buffer, shift, 1, value)'));
+
+        const stoch = 'double k = iStochastic(NULL, 0, 5, 3, 3, MODE_SMA, 1, MODE_SIGNAL, 2);\ndouble IndicatorValue(int h, int b, int s) { return 0; }\n';
+        assert.strictEqual(migrate(stoch, 'mql4-indicator').split('\n')[0],
+            'double k = IndicatorValue(iStochastic(NULL, 0, 5, 3, 3, MODE_SMA, STO_CLOSECLOSE), 1, 2);');
+    });
+
+    test('OrderSend becomes a CTrade call with magic number and deviation', function () {
+        const out = migrate(EA, 'mql4-ordersend');
+        assert.ok(out.includes('#include <stdlib.mqh>\n#include <Trade\\Trade.mqh>\nCTrade trade;\n'));
+        assert.ok(out.includes([
+            '    trade.SetExpertMagicNumber(Magic);',
+            '    trade.SetDeviationInPoints(3);',
+            '    int ticket = (trade.PositionOpen(Symbol(), ORDER_TYPE_BUY, 0.1, SymbolInfoDouble(_Symbol, SYMBOL_ASK), 0, 0, "buy") ? (long)trade.ResultOrder() : -1);',
+        ].join('\n')));
+
+        const pending = 'CTrade m_trade;\nvoid f() { OrderSend(_Symbol, OP_SELLSTOP, 1, p, 0, sl, tp, NULL, 0, exp); }';
+        assert.ok(migrate(pending, 'mql4-ordersend').includes(
+            'm_trade.OrderOpen(_Symbol, ORDER_TYPE_SELL_STOP, 1, 0, p, sl, tp, ORDER_TIME_SPECIFIED, exp, NULL);'));
+    });
+
+    test('OrdersTotal loops iterate positions', function () {
+        const out = migrate(EA, 'mql4-orders-loop');
+        assert.ok(out.includes([
+            '    for(int i = PositionsTotal() - 1; i >= 0; i--)',
+            '    {',
+            '        if(PositionGetTicket(i) == 0) continue;',
+            '        if((ENUM_POSITION_TYPE)PositionGetInteger(POSITION_TYPE) == POSITION_TYPE_BUY && PositionGetInteger(POSITION_MAGIC) == Magic)',
+            '            trade.PositionClose(PositionGetInteger(POSITION_TICKET), 3);',
+            '    }',
+        ].join('\n')));
+        assert.ok(out.includes('CTrade trade;'));
+    });
+
+    test('diagnostics are informational in .mq4 files and actions match them', function () {
+        const document = fakeDocument(EA);
+        const diagnostics = computeMigrationDiagnostics(document);
+        assert.strictEqual(diagnostics.length, 12);
+        assert.ok(diagnostics.every(d => d.source === MIGRATION_SOURCE && d.severity === vscode.DiagnosticSeverity.Information));
+        assert.strictEqual(computeMigrationDiagnostics(fakeDocument(EA, '/ws/MQL5/Experts/EA.mq5'))[0].severity,
+            vscode.DiagnosticSeverity.Warning);
+
+        const loop = diagnostics.find(d => d.code === 'mql4-orders-loop');
+        const [action] = createMigrationActions(document, [loop]);
+        assert.strictEqual(action.title, 'MQL: Migrate OrdersTotal() loop to positions');
+        assert.strictEqual(action.kind, vscode.CodeActionKind.QuickFix);
+        assert.deepStrictEqual(action.diagnostics, [loop]);
+        assert.strictEqual(action.edit.edits.length, 2);
+
+        const profit = diagnostics.find(d => d.code === 'mql4-order-api' && d.message.startsWith('OrderProfit'));
+        assert.deepStrictEqual(createMigrationActions(document, [profit]), []);
+        assert.deepStrictEqual(createMigrationActions(document, [new vscode.Diagnostic(loop.range, 'other')]), []);
+    });
+});
@@ -0,0 +1,156 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { parseMetaEditorLog, waitForLogFile } = require('../src/metaEditor');
+const {
+    parseArgs,
+    collectTargets,
+    formatGccDiagnostic,
+    resolveExitCode,
+    main,
+    EXIT_OK,
+    EXIT_COMPILE_ERRORS,
+    EXIT_SETUP_ERROR,
+} = require('../tools/mql-compile/index');
+
+const ERROR_LOG = [
+    'C:\\Project\\Main.mq5 : information: compiling \'Main.mq5\'',
+    'C:\\Project\\Main.mq5(10,5) : error 256: \'x\' - undeclared identifier',
+    'C:\\Project\\Main.mq5(12,1) : warning 43: possible loss of data due to type conversion',
+    ' : information: result 1 errors, 1 warnings, 120 msec elapsed',
+].join('\r\n');
+
+/**
+ * Write a stand-in MetaEditor that writes `logText` (UTF-16) to the `/log:` path.
+ */
+function writeFakeMetaEditor(dir, logText) {
+    const script = path.join(dir, 'metaeditor.js');
+    fs.writeFileSync(script, [
+        '#!/usr/bin/env node',
+        "const fs = require('fs');",
+        "const logArg = process.argv.find(a => a.startsWith('/log:'));",
+        "const logPath = logArg.slice(5).replace(/^\"|\"$/g, '');",
+        `fs.writeFileSync(logPath, Buffer.from('\\ufeff' + ${JSON.stringify(logText)}, 'utf16le'));`,
+    ].join('\n'));
+    fs.chmodSync(script, 0o755);
+    return script;
+}
+
+async function captureConsole(fn) {
+    const out = [];
+    const err = [];
+    const { log, error } = console;
+    console.log = (msg) => out.push(String(msg));
+    console.error = (msg) => err.push(String(msg));
+    try {
+        const code = await fn();
+        return { code, out, err };
+    } finally {
+        console.log = log;
+        console.error = error;
+    }
+}
+
+suite('mql-compile CLI', function () {
+    let tmpDir;
+
+    setup(function () {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mql-cli-'));
+    });
+
+    teardown(function () {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('parseMetaEditorLog returns plain 0-based positions and string severities', function () {
+        const parsed = parseMetaEditorLog(ERROR_LOG, false, '');
+        assert.strictEqual(parsed.error, true);
+        assert.deepStrictEqual(parsed.diagnostics[0], {
+            file: 'C:\\Project\\Main.mq5',
+            line: 9,
+            character: 4,
+            message: "'x' - undeclared identifier",
+            severity: 'error',
+            errorCode: '256',
+        });
+        assert.strictEqual(parsed.diagnostics[1].severity, 'warning');
+    });
+
+    test('parseArgs reads options and validates required values', function () {
+        const options = parseArgs(['-m', '/mt5/metaeditor64.exe', '-a', 'AVX2', '--wine', '-t', '30', '-W', 'EA.mq5', 'Experts']);
+        assert.strictEqual(options.error, null);
+        assert.strictEqual(options.metaeditor, '/mt5/metaeditor64.exe');
+        assert.strictEqual(options.arch, 'avx2');
+        assert.strictEqual(options.wine, true);
+        assert.strictEqual(options.timeout, 30000);
+        assert.strictEqual(options.warningsAsErrors, true);
+        assert.deepStrictEqual(options.inputs, ['EA.mq5', 'Experts']);
+
+        assert.match(parseArgs(['EA.mq5', '-m', 'x', '--bogus']).error, /Unknown option/);
+        assert.match(parseArgs(['-m', 'x']).error, /No input/);
+        assert.match(parseArgs(['-m', 'x', '-a', 'sse', 'EA.mq5']).error, /Unknown CPU architecture/);
+        assert.strictEqual(parseArgs(['--help']).help, true);
+    });
+
+    test('collectTargets expands folders and skips headers and debug builds', function () {
+        fs.mkdirSync(path.join(tmpDir, 'Experts', 'Sub'), { recursive: true });
+        fs.mkdirSync(path.join(tmpDir, 'node_modules'));
+        for (const rel of ['Experts/A.mq5', 'Experts/Sub/B.mq4', 'Experts/Lib.mqh', 'Experts/A.mql_dbg_build.mq5', 'node_modules/X.mq5']) {
+            fs.writeFileSync(path.join(tmpDir, rel), '');
+        }
+
+        const { targets, missing } = collectTargets([path.join(tmpDir, 'Experts'), path.join(tmpDir, 'Nope.mq5')]);
+        assert.deepStrictEqual(targets, [
+            path.join(tmpDir, 'Experts', 'A.mq5'),
+            path.join(tmpDir, 'Experts', 'Sub', 'B.mq4'),
+        ]);
+        assert.deepStrictEqual(missing, [path.join(tmpDir, 'Nope.mq5')]);
+    });
+
+    test('formatGccDiagnostic and resolveExitCode', function () {
+        const line = formatGccDiagnostic({ file: '/src/EA.mq5', line: 11, character: 4, severity: 'error', message: 'boom', errorCode: '256' });
+        assert.strictEqual(line, '/src/EA.mq5:12:5: error: boom [MQL256]');
+
+        assert.strictEqual(resolveExitCode([{ errors: 0, warnings: 2 }], {}), EXIT_OK);
+        assert.strictEqual(resolveExitCode([{ errors: 0, warnings: 2 }], { warningsAsErrors: true }), EXIT_COMPILE_ERRORS);
+        assert.strictEqual(resolveExitCode([{ errors: 1, warnings: 0 }], {}), EXIT_COMPILE_ERRORS);
+        assert.strictEqual(resolveExitCode([{ errors: 1, warnings: 0 }, { setupError: 'x', errors: 0, warnings: 0 }], {}), EXIT_SETUP_ERROR);
+    });
+
+    test('main compiles with MetaEditor and prints GCC diagnostics', async function () {
+        if (process.platform === 'win32') this.skip();
+        const source = path.join(tmpDir, 'Main.mq5');
+        fs.writeFileSync(source, 'void OnStart() {}\n');
+        const metaeditor = writeFakeMetaEditor(tmpDir, ERROR_LOG);
+
+        const { code, out, err } = await captureConsole(() => main(['-m', metaeditor, source]));
+        assert.strictEqual(code, EXIT_COMPILE_ERRORS);
+        assert.deepStrictEqual(err, [
+            "C:\\Project\\Main.mq5:10:5: error: 'x' - undeclared identifier [MQL256]",
+            'C:\\Project\\Main.mq5:12:1: warning: possible loss of data due to type conversion [MQL43]',
+        ]);
+        assert.match(out[0], /Main\.mq5: 1 error\(s\), 1 warning\(s\)/);
+        assert.strictEqual(fs.existsSync(path.join(tmpDir, 'Main.log')), false, 'log is removed without --keep-log');
+    });
+
+    test('waitForLogFile waits for a log flushed after MetaEditor exits', async function () {
+        const logFile = path.join(tmpDir, 'Late.log');
+        const timer = setTimeout(() => fs.writeFileSync(logFile, 'x'), 150);
+        try {
+            assert.strictEqual(await waitForLogFile(logFile, { intervalMs: 20 }), true);
+        } finally {
+            clearTimeout(timer);
+        }
+        assert.strictEqual(await waitForLogFile(path.join(tmpDir, 'Never.log'), { attempts: 3, intervalMs: 5 }), false);
+    });
+
+    test('main reports setup errors with exit code 2', async function () {
+        const { code, err } = await captureConsole(() => main(['-m', path.join(tmpDir, 'missing.exe'), tmpDir]));
+        assert.strictEqual(code, EXIT_SETUP_ERROR);
+        assert.match(err[0], /MetaEditor not found/);
+    });
+});
@@ -0,0 +1,214 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vscode = require('vscode');
+
+const {
+    identifierAt,
+    findRenameOccurrences,
+    findPresetKeys,
+    MqlRenameProvider,
+} = require('../src/mqlRename');
+const { WorkspaceSymbolIndex } = require('../src/workspaceIndex');
+
+let documentVersion = 0;
+
+function fakeDocument(text, fileName) {
+    const lineStarts = [0];
+    for (let i = 0; i < text.length; i++) if (text[i] === '\n') lineStarts.push(i + 1);
+    return {
+        uri: vscode.Uri.file(fileName),
+        fileName,
+        version: ++documentVersion,
+        getText: () => text,
+        offsetAt: pos => lineStarts[pos.line] + pos.character,
+        positionAt: offset => {
+            let line = lineStarts.length - 1;
+            while (lineStarts[line] > offset) line--;
+            return new vscode.Position(line, offset - lineStarts[line]);
+        },
+    };
+}
+
+function positionOf(text, needle, nth = 0) {
+    let offset = -1;
+    for (let i = 0; i <= nth; i++) offset = text.indexOf(needle, offset + 1);
+    const before = text.slice(0, offset).split('\n');
+    return new vscode.Position(before.length - 1, before[before.length - 1].length);
+}
+
+function applyEdits(text, edits) {
+    const lines = text.split('\n');
+    const sorted = [...edits].sort((a, b) => b.range.start.line - a.range.start.line || b.range.start.character - a.range.start.character);
+    for (const { range, newText } of sorted) {
+        const line = lines[range.start.line];
+        lines[range.start.line] = line.slice(0, range.start.character) + newText + line.slice(range.end.character);
+    }
+    return lines.join('\n');
+}
+
+const readFile = filePath => {
+    try { return fs.readFileSync(filePath, 'utf8'); } catch { return null; }
+};
+
+const index = () => new WorkspaceSymbolIndex({ findFiles: async () => [] });
+
+suite('mqlRename', function () {
+    let tmpDir;
+
+    setup(function () {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mql-rename-'));
+    });
+
+    teardown(function () {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('findRenameOccurrences covers code, macros and string literals but not comments', function () {
+        const text = [
+            '#include "Panel.mqh"',
+            '#define PANEL_WIDTH (Panel * 2)',
+            'int Panel = 1; // Panel width',
+            'void f() { ObjectCreate(0, "Panel", OBJ_LABEL, 0, 0, 0); Print("PanelX"); }',
+        ].join('\n');
+        const kinds = findRenameOccurrences(text, 'Panel').map(o => `${text.slice(0, o.start).split('\n').length - 1}:${o.kind}`);
+        assert.deepStrictEqual(kinds, ['1:preprocessor', '2:code', '3:string']);
+    });
+
+    test('identifierAt ignores comments and strings', function () {
+        const text = 'int Lots; // Lots\nstring s = "Lots";';
+        assert.deepStrictEqual(identifierAt(text, 5), { name: 'Lots', start: 4, end: 8 });
+        assert.strictEqual(identifierAt(text, 13), null);
+        assert.strictEqual(identifierAt(text, 31), null);
+    });
+
+    test('findPresetKeys only matches input keys in tester INI files', function () {
+        const ini = '[Tester]\nLots=1\n[Inputs]\nLots=0.1||0.1||0.01||1.0||N\nLotsMax=2\n';
+        const keys = findPresetKeys(ini, 'Lots', true);
+        assert.deepStrictEqual(keys.map(k => ini.slice(k.start, k.end + 1)), ['Lots=']);
+        assert.strictEqual(keys[0].start, ini.indexOf('[Inputs]') + 9);
+        assert.strictEqual(findPresetKeys('Lots=0.1||0.1||0.01||1.0||N\n', 'Lots').length, 1);
+    });
+
+    test('renames a global across the include graph with labelled edits', async function () {
+        const mainPath = path.join(tmpDir, 'Bot.mq5');
+        const headerPath = path.join(tmpDir, 'Risk.mqh');
+        const main = '#include "Risk.mqh"\nvoid OnTick() { Print(RiskPct); }';
+        const header = 'double RiskPct = 1.0;\n#define RISK_FRAC (RiskPct / 100)';
+        fs.writeFileSync(headerPath, header);
+        const provider = new MqlRenameProvider({ index: index(), collectFiles: async () => [mainPath, headerPath], readFile });
+
+        const document = fakeDocument(main, mainPath);
+        const prepared = provider.prepareRename(document, positionOf(main, 'RiskPct'));
+        assert.strictEqual(prepared.placeholder, 'RiskPct');
+
+        const edit = await provider.provideRenameEdits(document, positionOf(main, 'RiskPct'), 'RiskPercent');
+        assert.ok(edit.edits.every(e => !e.metadata.needsConfirmation));
+        const byFile = file => edit.edits.filter(e => e.uri.fsPath === file);
+        assert.strictEqual(applyEdits(main, byFile(mainPath)), main.replace('RiskPct', 'RiskPercent'));
+        assert.strictEqual(applyEdits(header, byFile(headerPath)), header.replace(/RiskPct/g, 'RiskPercent'));
+        assert.deepStrictEqual(byFile(headerPath).map(e => e.metadata.label), ['Code', 'Preprocessor directives']);
+    });
+
+    test('renaming an input updates .set presets and tester INI keys', async function () {
+        const mainPath = path.join(tmpDir, 'Bot.mq5');
+        const main = 'input double Lots = 0.1;\nvoid OnTick() { Print(Lots); }';
+        fs.writeFileSync(path.join(tmpDir, 'Bot.set'), 'Lots=0.1\r\nLotsStep=0.01\r\n');
+        fs.writeFileSync(path.join(tmpDir, 'tester.ini'), '[Tester]\nExpert=Bot.ex5\n[Inputs]\nLots=0.1||0.1||0.01||1.0||N\n');
+        fs.writeFileSync(path.join(tmpDir, 'Other.set'), 'Lots=5\n');
+        const provider = new MqlRenameProvider({ index: index(), collectFiles: async () => [mainPath], readFile });
+
+        const edit = await provider.provideRenameEdits(fakeDocument(main, mainPath), positionOf(main, 'Lots'), 'InpLots');
+        const presetEdits = edit.edits.filter(e => e.metadata.label === 'Tester presets (.set / .ini)');
+        assert.deepStrictEqual(presetEdits.map(e => [path.basename(e.uri.fsPath), e.range.start.line]), [['Bot.set', 0], ['tester.ini', 3]]);
+    });
+
+    test('locals and parameters are renamed only inside their function', async function () {
+        const filePath = path.join(tmpDir, 'Bot.mq5');
+        const text = 'int count = 0;\nvoid f(int count) { Print(count); }\nvoid g() { count++; }';
+        const provider = new MqlRenameProvider({ index: index(), collectFiles: async () => { throw new Error('not needed'); }, readFile });
+
+        const edit = await provider.provideRenameEdits(fakeDocument(text, filePath), positionOf(text, 'count', 2), 'n');
+        assert.strictEqual(applyEdits(text, edit.edits), 'int count = 0;\nvoid f(int n) { Print(n); }\nvoid g() { count++; }');
+    });
+
+    test('only references of the resolved symbol change; strings are unchecked', async function () {
+        const filePath = path.join(tmpDir, 'Panel.mq5');
+        const text = [
+            'int Width = 10;',                                         // 0
+            'class CPanel',                                            // 1
+            '  {',                                                     // 2
+            '   int Width;',                                           // 3
+            'public:',                                                 // 4
+            '   void Resize(int w) { Width = w; }',                    // 5
+            '   int Area(void);',                                      // 6
+            '  };',                                                    // 7
+            'int CPanel::Area(void) { return Width * this.Width; }',   // 8
+            'void OnStart()',                                          // 9
+            '  {',                                                     // 10
+            '   CPanel panel;',                                        // 11
+            '   Print(Width, panel.Width, CPanel::Width);',            // 12
+            '   ObjectCreate(0, "Width", OBJ_LABEL, 0, 0, 0);',        // 13
+            '  }',                                                     // 14
+            'void Local() { int Width = 3; Print(Width); }',           // 15
+        ].join('\n');
+        const document = fakeDocument(text, filePath);
+        const provider = new MqlRenameProvider({ index: index(), collectFiles: async () => [filePath], readFile });
+        const changed = edit => edit.edits.map(e => `${e.range.start.line}:${e.range.start.character}:${e.metadata.label}`);
+
+        const global = await provider.provideRenameEdits(document, positionOf(text, 'Width'), 'MaxWidth');
+        assert.deepStrictEqual(changed(global), ['0:4:Code', '12:9:Code', '13:20:String literals']);
+        assert.deepStrictEqual(global.edits.map(e => e.metadata.needsConfirmation), [false, false, true]);
+
+        const member = await provider.provideRenameEdits(document, positionOf(text, 'Width', 1), 'm_width');
+        assert.deepStrictEqual(changed(member), [
+            '3:7:Code', '5:24:Code', '8:32:Code', '8:45:Code', '12:22:Code', '12:37:Code', '13:20:String literals',
+        ]);
+    });
+
+    test('member accesses of an ambiguous name go to an unchecked group', async function () {
+        const filePath = path.join(tmpDir, 'Shapes.mq5');
+        const text = [
+            'class CBox',
+            '  {',
+            '   int Size;',
+            '  };',
+            'class CBag',
+            '  {',
+            '   int Size;',
+            '  };',
+            'void OnStart() { CBox box; box.Size = 1; }',
+        ].join('\n');
+        const document = fakeDocument(text, filePath);
+        const provider = new MqlRenameProvider({ index: index(), collectFiles: async () => [filePath], readFile });
+
+        const edit = await provider.provideRenameEdits(document, positionOf(text, 'Size'), 'Width');
+        assert.deepStrictEqual(edit.edits.map(e => [e.range.start.line, e.metadata.label, e.metadata.needsConfirmation]), [
+            [2, 'Code', false],
+            [8, 'Member accesses of other classes', true],
+        ]);
+        await assert.rejects(provider.provideRenameEdits(document, positionOf(text, 'Size', 2), 'Width'), /Several classes/);
+    });
+
+    test('refuses built-ins, name clashes and symbols used outside the workspace', async function () {
+        const mainPath = path.join(tmpDir, 'Bot.mq5');
+        const libPath = path.join(tmpDir, 'Lib.mqh');
+        const main = 'int Total = 0;\nint Sum = 1;\nvoid OnTick() { Print(Total + Sum); }';
+        fs.writeFileSync(libPath, 'int Helper() { return Total; }');
+        const document = fakeDocument(main, mainPath);
+        const provider = new MqlRenameProvider({ index: index(), collectFiles: async () => [mainPath], readFile });
+
+        assert.throws(() => provider.prepareRename(document, positionOf(main, 'Print')), /built-in/);
+        await assert.rejects(provider.provideRenameEdits(document, positionOf(main, 'Total'), 'Sum'), /already used/);
+        await assert.rejects(provider.provideRenameEdits(document, positionOf(main, 'Total'), 'for'), /not a valid/);
+
+        const readOnly = new MqlRenameProvider({
+            index: index(),
+            collectFiles: async () => [mainPath, libPath], readFile, isEditable: f => f !== libPath,
+        });
+        await assert.rejects(readOnly.provideRenameEdits(document, positionOf(main, 'Total'), 'GrandTotal'), /outside the workspace/);
+    });
+});
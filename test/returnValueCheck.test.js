@@ -0,0 +1,132 @@
+'use strict';
+
+const assert = require('assert');
+const vscode = require('vscode');
+
+const {
+    findUncheckedCall,
+    findEnclosingFunction,
+    buildReturnCheckEdit,
+    createReturnCheckActions,
+} = require('../src/returnValueCheck');
+
+function lineBounds(text, line) {
+    const lines = text.split('\n');
+    const start = lines.slice(0, line).reduce((sum, l) => sum + l.length + 1, 0);
+    return [start, start + lines[line].length];
+}
+
+function apply(text, { start, end, newText }) {
+    return text.slice(0, start) + newText + text.slice(end);
+}
+
+function fakeDocument(text) {
+    const lines = text.split('\n');
+    const positionAt = offset => {
+        const before = text.slice(0, offset).split('\n');
+        return new vscode.Position(before.length - 1, before[before.length - 1].length);
+    };
+    return {
+        uri: vscode.Uri.file('/ws/Experts/EA.mq5'),
+        lineCount: lines.length,
+        getText: () => text,
+        lineAt: line => {
+            const [start, end] = lineBounds(text, line);
+            return { text: lines[line], range: { start: positionAt(start), end: positionAt(end) } };
+        },
+        offsetAt: position => lineBounds(text, position.line)[0] + position.character,
+        positionAt,
+    };
+}
+
+suite('returnValueCheck', function () {
+    test('findUncheckedCall distinguishes bare calls, assignments and consumed results', function () {
+        const text = [
+            'void OnTick()',
+            '{',
+            '    OrderSend(request, result); // "OrderSend(x);"',
+            '    int h = FileOpen("a.csv", FILE_READ);',
+            '    if(PositionSelect(_Symbol)) Print("ok");',
+            '    m_trade.Buy(0.1);',
+            '    file.Open("x");',
+            '}',
+        ].join('\n');
+        const bare = findUncheckedCall(text, ...lineBounds(text, 2));
+        assert.deepStrictEqual([bare.name, bare.kind, bare.argCount], ['OrderSend', 'bare', 2]);
+        assert.strictEqual(text.slice(bare.stmtStart, bare.stmtEnd), 'OrderSend(request, result);');
+
+        const assign = findUncheckedCall(text, ...lineBounds(text, 3));
+        assert.deepStrictEqual([assign.kind, assign.variable], ['assign', 'h']);
+        assert.strictEqual(findUncheckedCall(text, ...lineBounds(text, 4)), null);
+        assert.strictEqual(findUncheckedCall(text, ...lineBounds(text, 5)).object, 'm_trade.');
+        assert.strictEqual(findUncheckedCall(text, ...lineBounds(text, 6)), null);
+    });
+
+    test('findEnclosingFunction skips control-flow blocks', function () {
+        const text = 'double CStrategy::Lots(int n) const\n{\n    for(int i = 0; i < n; i++)\n    {\n        X;\n    }\n}';
+        assert.deepStrictEqual(findEnclosingFunction(text, text.indexOf('X;')), { name: 'Lots', returnType: 'double' });
+        assert.strictEqual(findEnclosingFunction('X;', 0), null);
+    });
+
+    test('bare calls are wrapped and return the function default', function () {
+        const text = 'bool Open()\n{\n    OrderSend(request,\n              result);\n}';
+        const call = findUncheckedCall(text, ...lineBounds(text, 2));
+        assert.strictEqual(apply(text, buildReturnCheckEdit(text, call, { indent: '    ' })), [
+            'bool Open()',
+            '{',
+            '    if(!OrderSend(request,',
+            '              result))',
+            '    {',
+            '        Print("OrderSend failed, error ", GetLastError());',
+            '        return false;',
+            '    }',
+            '}',
+        ].join('\n'));
+    });
+
+    test('assigned handles get an INVALID_HANDLE check logged through LiveLog', function () {
+        const text = '#include <LiveLog.mqh>\nint OnInit()\n{\n    int h = FileOpen("a.csv", FILE_READ);\n}';
+        const call = findUncheckedCall(text, ...lineBounds(text, 3));
+        assert.strictEqual(apply(text, buildReturnCheckEdit(text, call, { indent: '    ' })), [
+            '#include <LiveLog.mqh>',
+            'int OnInit()',
+            '{',
+            '    int h = FileOpen("a.csv", FILE_READ);',
+            '    if(h == INVALID_HANDLE)',
+            '    {',
+            '        LL("FileOpen failed, error " + IntegerToString(GetLastError()));',
+            '        return(INIT_FAILED);',
+            '    }',
+            '}',
+        ].join('\n'));
+    });
+
+    test('MQL4 ticket OrderSend and CTrade calls', function () {
+        const mql4 = 'void OnTick()\n{\n    OrderSend(_Symbol, OP_BUY, 0.1, Ask, 3, 0, 0);\n}';
+        const ticket = buildReturnCheckEdit(mql4, findUncheckedCall(mql4, ...lineBounds(mql4, 2)), { indent: '    ' });
+        assert.ok(ticket.newText.startsWith('if(OrderSend(_Symbol, OP_BUY, 0.1, Ask, 3, 0, 0) < 0)\n'));
+        assert.ok(ticket.newText.includes('        return;\n'));
+
+        const ctrade = 'void OnTick()\n{\n    trade.Buy(0.1);\n}';
+        const buy = buildReturnCheckEdit(ctrade, findUncheckedCall(ctrade, ...lineBounds(ctrade, 2)), { indent: '    ' });
+        assert.ok(buy.newText.startsWith('if(!trade.Buy(0.1))\n'));
+        assert.ok(buy.newText.includes('Print("trade.Buy failed, retcode ", trade.ResultRetcode(), ", error ", GetLastError());'));
+    });
+
+    test('createReturnCheckActions: quick fix for the warning, refactor at the cursor', function () {
+        const text = 'void OnTick()\n{\n    OrderSelect(0);\n    PositionSelect(_Symbol);\n}';
+        const document = fakeDocument(text);
+        const warning = new vscode.Diagnostic(new vscode.Range(2, 4, 2, 15), "return value of 'OrderSelect' should be checked");
+
+        const [fix, refactor] = createReturnCheckActions(document, new vscode.Range(3, 6, 3, 6), [warning]);
+        assert.strictEqual(fix.title, "MQL: Check return value of 'OrderSelect'");
+        assert.strictEqual(fix.kind, vscode.CodeActionKind.QuickFix);
+        assert.ok(fix.isPreferred);
+        const [edit] = fix.edit.edits;
+        assert.deepStrictEqual([edit.range.start.line, edit.range.start.character, edit.range.end.character], [2, 4, 19]);
+        assert.strictEqual(refactor.title, "MQL: Check return value of 'PositionSelect'");
+        assert.strictEqual(refactor.kind, vscode.CodeActionKind.Refactor);
+
+        assert.deepStrictEqual(createReturnCheckActions(document, new vscode.Range(0, 0, 0, 0), []), []);
+    });
+});
@@ -35,6 +35,28 @@ mocha.addFile(path.resolve(__dirname, 'utf8MirrorIntegration.test.js'));
 mocha.addFile(path.resolve(__dirname, 'lightweightDiagnostics.test.js'));
 mocha.addFile(path.resolve(__dirname, 'suite/versionBumper.test.js'));
 mocha.addFile(path.resolve(__dirname, 'documentSymbol.test.js'));
+mocha.addFile(path.resolve(__dirname, 'buildAll.test.js'));
+mocha.addFile(path.resolve(__dirname, 'compileHistory.test.js'));
+mocha.addFile(path.resolve(__dirname, 'compileReport.test.js'));
+mocha.addFile(path.resolve(__dirname, 'mqlCompileCli.test.js'));
+mocha.addFile(path.resolve(__dirname, 'buildProfiles.test.js'));
+mocha.addFile(path.resolve(__dirname, 'deploy.test.js'));
+mocha.addFile(path.resolve(__dirname, 'compileQueue.test.js'));
+mocha.addFile(path.resolve(__dirname, 'buildInsights.test.js'));
+mocha.addFile(path.resolve(__dirname, 'mainDiagnostics.test.js'));
+mocha.addFile(path.resolve(__dirname, 'classMethods.test.js'));
+mocha.addFile(path.resolve(__dirname, 'returnValueCheck.test.js'));
+mocha.addFile(path.resolve(__dirname, 'fixAll.test.js'));
+mocha.addFile(path.resolve(__dirname, 'mql4Migration.test.js'));
+mocha.addFile(path.resolve(__dirname, 'errorExplanations.test.js'));
+mocha.addFile(path.resolve(__dirname, 'spellcheck.test.js'));
+mocha.addFile(path.resolve(__dirname, 'extractFunction.test.js'));
+mocha.addFile(path.resolve(__dirname, 'inputOrganizer.test.js'));
+mocha.addFile(path.resolve(__dirname, 'mqlRename.test.js'));
+mocha.addFile(path.resolve(__dirname, 'workspaceIndex.test.js'));
+mocha.addFile(path.resolve(__dirname, 'callHierarchy.test.js'));
+mocha.addFile(path.resolve(__dirname, 'memberCompletion.test.js'));
+mocha.addFile(path.resolve(__dirname, 'signatureHelp.test.js'));
 
 // Run the tests
 mocha.run(failures => {
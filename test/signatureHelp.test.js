@@ -0,0 +1,162 @@
+'use strict';
+
+const assert = require('assert');
+const vscode = require('vscode');
+
+const { extractDocComment } = require('../src/docComments');
+const {
+    findCallContext,
+    collectSignatures,
+    selectOverload,
+    MqlSignatureHelpProvider,
+} = require('../src/signatureHelp');
+const { WorkspaceSymbolIndex } = require('../src/workspaceIndex');
+
+let documentVersion = 0;
+
+function fakeDocument(text, fileName) {
+    const lineStarts = [0];
+    for (let i = 0; i < text.length; i++) if (text[i] === '\n') lineStarts.push(i + 1);
+    return {
+        uri: vscode.Uri.file(fileName),
+        fileName,
+        version: ++documentVersion,
+        getText: () => text,
+        offsetAt: pos => lineStarts[pos.line] + pos.character,
+    };
+}
+
+function positionAfter(text, needle) {
+    const before = text.slice(0, text.indexOf(needle) + needle.length).split('\n');
+    return new vscode.Position(before.length - 1, before[before.length - 1].length);
+}
+
+const HEADER = [
+    '//+------------------------------------------------------------------+',
+    '//| Lot size for a risk percentage                                   |',
+    '//+------------------------------------------------------------------+',
+    'double CalcLots(double riskPct, int stopPoints = 100)',
+    '  {',
+    '   return 0.1;',
+    '  }',
+    '/**',
+    ' * Sends a message to the journal.',
+    ' * @param text   message, may contain commas',
+    ' * @param prefix tag before the message',
+    ' */',
+    'void Log(string text, string prefix = "[bot], ") { Print(prefix, text); }',
+    'class CTrader',
+    '  {',
+    'public:',
+    '                     CTrader(ulong magic);',
+    '   bool              Buy(double lots);                       // market buy',
+    '   bool              Buy(double lots, double price, int slippage = 3);',
+    '  };',
+    '/// Closes every position of this trader',
+    'bool CTrader::CloseAll() { return true; }',
+].join('\n');
+
+function memoryIndex(files, mtimes = {}, reads = []) {
+    return new WorkspaceSymbolIndex({
+        findFiles: async () => Object.keys(files),
+        readFile: async filePath => { reads.push(filePath); return files[filePath]; },
+        stat: async filePath => {
+            if (!(filePath in files)) throw new Error(`ENOENT: ${filePath}`);
+            return { mtimeMs: mtimes[filePath] || 1 };
+        },
+    });
+}
+
+function createProvider(files = { '/ws/Lib.mqh': HEADER }, mtimes = {}, reads = []) {
+    return new MqlSignatureHelpProvider({
+        index: memoryIndex(files, mtimes, reads),
+        collectFiles: async () => Object.keys(files),
+    });
+}
+
+suite('signatureHelp', function () {
+    test('extractDocComment reads banners, doc blocks, /// and trailing comments', function () {
+        const lines = HEADER.split('\n');
+        assert.strictEqual(extractDocComment(lines, 3).summary, 'Lot size for a risk percentage');
+        const log = extractDocComment(lines, 12);
+        assert.strictEqual(log.summary, 'Sends a message to the journal.');
+        assert.deepStrictEqual([...log.params], [['text', 'message, may contain commas'], ['prefix', 'tag before the message']]);
+        assert.strictEqual(extractDocComment(lines, 17).summary, 'market buy');
+        assert.strictEqual(extractDocComment(lines, 21).summary, 'Closes every position of this trader');
+        assert.strictEqual(extractDocComment(lines, 5), null);
+    });
+
+    test('findCallContext finds the open call and the argument index', function () {
+        const text = 'void f() { trade.Buy(Calc(1, 2), "a,b", ';
+        assert.deepStrictEqual(findCallContext(text.replace('"a,b"', '"   "'), text.length), {
+            name: 'Buy', qualifier: null, member: true, argIndex: 2,
+        });
+        assert.deepStrictEqual(findCallContext('x = CTrader::Buy(', 17), { name: 'Buy', qualifier: 'CTrader', member: false, argIndex: 0 });
+        assert.strictEqual(findCallContext('f(1); g', 7), null);
+    });
+
+    test('collectSignatures keeps defaults and reads documentation', function () {
+        const sigs = collectSignatures(HEADER).map(s => `${s.container ? `${s.container}::` : ''}${s.name}(${s.params.join(', ')})`);
+        assert.deepStrictEqual(sigs, [
+            'CalcLots(double riskPct, int stopPoints = 100)',
+            'Log(string text, string prefix = "[bot], ")',
+            'CTrader::CTrader(ulong magic)',
+            'CTrader::Buy(double lots)',
+            'CTrader::Buy(double lots, double price, int slippage = 3)',
+        ]);
+    });
+
+    test('selectOverload picks by argument count and keeps a fitting manual choice', function () {
+        const sigs = [{ params: ['a'] }, { params: ['a', 'b', 'c'] }];
+        assert.strictEqual(selectOverload(sigs, 0), 0);
+        assert.strictEqual(selectOverload(sigs, 1), 1);
+        assert.strictEqual(selectOverload(sigs, 0, 1), 1);
+        assert.strictEqual(selectOverload(sigs, 5, 0), 0);
+    });
+
+    test('signature help for functions from includes with parameter docs', async function () {
+        const main = '#include "Lib.mqh"\nvoid OnTick() { Log("x, y", ';
+        const help = await createProvider().provideSignatureHelp(fakeDocument(main, '/ws/Bot.mq5'), positionAfter(main, '", '), undefined, {});
+        assert.strictEqual(help.signatures.length, 1);
+        const [info] = help.signatures;
+        assert.strictEqual(info.label, 'void Log(string text, string prefix = "[bot], ")');
+        assert.strictEqual(info.documentation.value, 'Sends a message to the journal.');
+        assert.strictEqual(help.activeParameter, 1);
+        const [start, end] = info.parameters[1].label;
+        assert.strictEqual(info.label.slice(start, end), 'string prefix = "[bot], "');
+        assert.strictEqual(info.parameters[1].documentation.value, 'tag before the message');
+    });
+
+    test('method overloads are selected by argument count', async function () {
+        const main = '#include "Lib.mqh"\nCTrader trader(1);\nvoid OnTick() { trader.Buy(0.1, ';
+        const provider = createProvider();
+        const help = await provider.provideSignatureHelp(fakeDocument(main, '/ws/Bot.mq5'), positionAfter(main, '0.1, '), undefined, {});
+        assert.deepStrictEqual(help.signatures.map(s => s.label), [
+            'bool CTrader::Buy(double lots)',
+            'bool CTrader::Buy(double lots, double price, int slippage = 3)',
+        ]);
+        assert.strictEqual(help.activeSignature, 1);
+        assert.strictEqual(help.signatures[0].documentation.value, 'market buy');
+
+        const builtin = '#include "Lib.mqh"\nvoid OnTick() { Print(';
+        assert.strictEqual(await provider.provideSignatureHelp(fakeDocument(builtin, '/ws/Bot.mq5'), positionAfter(builtin, 'Print('), undefined, {}), undefined);
+    });
+
+    test('includes are read again only when their mtime changes', async function () {
+        const files = { '/ws/Lib.mqh': HEADER };
+        const mtimes = { '/ws/Lib.mqh': 1 };
+        const reads = [];
+        const provider = createProvider(files, mtimes, reads);
+        const main = '#include "Lib.mqh"\nvoid OnTick() { CalcLots(';
+        const labels = async () => (await provider.provideSignatureHelp(fakeDocument(main, '/ws/Bot.mq5'), positionAfter(main, 'CalcLots('), undefined, {}))
+            .signatures.map(s => s.label);
+        assert.deepStrictEqual(await labels(), ['double CalcLots(double riskPct, int stopPoints = 100)']);
+        await labels();
+        assert.deepStrictEqual(reads, ['/ws/Lib.mqh']);
+
+        files['/ws/Lib.mqh'] = HEADER.replace('int stopPoints = 100', 'int stopPoints = 50');
+        mtimes['/ws/Lib.mqh'] = 2;
+        assert.deepStrictEqual(await labels(), ['double CalcLots(double riskPct, int stopPoints = 50)']);
+        assert.strictEqual(reads.length, 2);
+    });
+});
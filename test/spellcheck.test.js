@@ -0,0 +1,146 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vscode = require('vscode');
+
+const {
+    levenshteinBounded,
+    findClosestMatches,
+    detectUsage,
+    rankSpellingSuggestions,
+    collectSpellingSymbols,
+    SpellingSymbolIndex,
+} = require('../src/spellcheck');
+
+const SOURCE = [
+    '#include "Risk.mqh"',                       // 0
+    'enum ESignal { SIGNAL_NONE, SIGNAL_BUY = 1, SIGNAL_SELL };', // 1
+    'input double InpLots = 0.1;',               // 2
+    'int g_counter = 0;',                        // 3
+    'class CTrader',                             // 4
+    '  {',                                       // 5
+    'private:',                                  // 6
+    '   double            m_balance, m_equity;', // 7
+    'public:',                                   // 8
+    '   bool              OpenPosition(int dir) { return true; }', // 9
+    '  };',                                      // 10
+    'void Helper()',                             // 11
+    '  {',                                       // 12
+    '   double helperOnly = 1;',                 // 13
+    '  }',                                       // 14
+    'void OnTick()',                             // 15
+    '  {',                                       // 16
+    '   double spreadValue = 0;',                // 17
+    '   Print(sprcounter);',                     // 18
+    '  }',                                       // 19
+].join('\n');
+
+function fakeDocument(text, fileName, version = 1) {
+    const lines = text.split('\n');
+    return {
+        uri: vscode.Uri.file(fileName),
+        fileName,
+        version,
+        getText: () => text,
+        lineAt: line => ({ text: lines[line] }),
+        positionAt: offset => {
+            const before = text.slice(0, offset).split('\n');
+            return new vscode.Position(before.length - 1, before[before.length - 1].length);
+        },
+    };
+}
+
+suite('spellcheck', function () {
+    test('levenshteinBounded stops beyond the threshold', function () {
+        assert.strictEqual(levenshteinBounded('ordersend', 'ordersnd', 2), 1);
+        assert.strictEqual(levenshteinBounded('abc', 'xyz', 2), Infinity);
+        assert.strictEqual(levenshteinBounded('abc', 'abcdef', 2), Infinity);
+    });
+
+    test('findClosestMatches suggests builtins', function () {
+        assert.strictEqual(findClosestMatches('OrderSnd')[0].name, 'OrderSend');
+        assert.deepStrictEqual(findClosestMatches('OrderSend'), []);
+    });
+
+    test('detectUsage reads the surrounding code', function () {
+        assert.strictEqual(detectUsage('   x = ', '(1);'), 'call');
+        assert.strictEqual(detectUsage('   trader.', '(1);'), 'member');
+        assert.strictEqual(detectUsage('   ptr->', ';'), 'member');
+        assert.strictEqual(detectUsage('   ', ' trade;'), 'type');
+        assert.strictEqual(detectUsage('   p = new ', '();'), 'type');
+        assert.strictEqual(detectUsage('   if(x == ', ')'), 'value');
+    });
+
+    test('collectSpellingSymbols adds enum values, members and local spans', function () {
+        const symbols = collectSpellingSymbols(fakeDocument(SOURCE, '/ws/EA.mq5'));
+        const find = name => symbols.find(s => s.name === name);
+        assert.strictEqual(find('SIGNAL_BUY').kind, 'enumValue');
+        assert.strictEqual(find('ESignal').kind, 'enum');
+        assert.deepStrictEqual([find('m_equity').kind, find('m_equity').container], ['field', 'CTrader']);
+        assert.deepStrictEqual(symbols.filter(s => s.name === 'OpenPosition').map(s => s.kind), ['method']);
+        assert.strictEqual(find('InpLots').kind, 'input');
+        assert.strictEqual(find('g_counter').span, null);
+        assert.deepStrictEqual(find('spreadValue').span, { start: 16, end: 19 });
+    });
+
+    test('rankSpellingSuggestions prefers fitting kinds and nearer scopes', function () {
+        const symbols = [
+            { name: 'spreadValue', kind: 'variable', scope: 'local' },
+            { name: 'CalcLots', kind: 'function', scope: 'include' },
+            { name: 'CalcLote', kind: 'variable', scope: 'file' },
+            { name: 'OpenPosition', kind: 'method', scope: 'file' },
+        ];
+        assert.strictEqual(rankSpellingSuggestions('spredValue', { symbols })[0].name, 'spreadValue');
+        assert.deepStrictEqual(rankSpellingSuggestions('CalcLotz', { symbols, usage: 'call' }).map(s => s.name).slice(0, 2),
+            ['CalcLots', 'CalcLote']);
+        assert.deepStrictEqual(rankSpellingSuggestions('CalcLotz', { symbols, usage: 'value' }).map(s => s.name).slice(0, 2),
+            ['CalcLote', 'CalcLots']);
+        assert.strictEqual(rankSpellingSuggestions('OpenPositon', { symbols, usage: 'member' })[0].scope, 'file');
+        assert.deepStrictEqual(rankSpellingSuggestions('CalcLots', { symbols }), []);
+    });
+
+    suite('with an included header', function () {
+        let tmpDir;
+        let header;
+
+        setup(function () {
+            tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mql-spell-'));
+            header = path.join(tmpDir, 'Risk.mqh');
+            fs.writeFileSync(header, 'double CalcLots(double risk) { double inner = 0; return risk; }\n#define MAX_SPREAD 30\n');
+        });
+
+        teardown(function () {
+            fs.rmSync(tmpDir, { recursive: true, force: true });
+        });
+
+        test('SpellingSymbolIndex keeps only visible symbols and caches the closure', async function () {
+            const mainFile = path.join(tmpDir, 'EA.mq5');
+            let closureCalls = 0;
+            const index = new SpellingSymbolIndex({
+                collectFiles: async doc => { closureCalls++; return [doc.fileName, header]; }
+            });
+            const document = fakeDocument(SOURCE, mainFile);
+
+            const symbols = await index.symbolsFor(document, 18);
+            const scopeOf = name => (symbols.find(s => s.name === name) || {}).scope;
+            assert.strictEqual(scopeOf('spreadValue'), 'local');
+            assert.strictEqual(scopeOf('g_counter'), 'file');
+            assert.strictEqual(scopeOf('helperOnly'), undefined, 'locals of other functions are not visible');
+            assert.strictEqual(scopeOf('CalcLots'), 'include');
+            assert.strictEqual(scopeOf('MAX_SPREAD'), 'include');
+            assert.strictEqual(scopeOf('inner'), undefined);
+
+            await index.symbolsFor(fakeDocument(SOURCE + '\n', mainFile, 2), 18);
+            assert.strictEqual(closureCalls, 1, 'unchanged #include lines reuse the closure');
+
+            fs.writeFileSync(header, 'double CalcRisk(void) { return 0; }\n');
+            index.invalidate(header);
+            const updated = await index.symbolsFor(document, 18);
+            assert.strictEqual(closureCalls, 2);
+            assert.ok(updated.some(s => s.name === 'CalcRisk') && !updated.some(s => s.name === 'CalcLots'));
+        });
+    });
+});
@@ -0,0 +1,295 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vscode = require('vscode');
+const { Hover_MQL } = require('../src/provider');
+
+const {
+    collectIndexSymbols,
+    matchesQuery,
+    WorkspaceSymbolIndex,
+    MqlWorkspaceSymbolProvider,
+    MqlDefinitionProvider,
+    MqlReferenceProvider,
+    MqlHoverProvider,
+    declarationText,
+} = require('../src/workspaceIndex');
+
+let documentVersion = 0;
+
+function fakeDocument(text, fileName) {
+    const lineStarts = [0];
+    for (let i = 0; i < text.length; i++) if (text[i] === '\n') lineStarts.push(i + 1);
+    const version = ++documentVersion;
+    const offsetAt = pos => lineStarts[pos.line] + pos.character;
+    return {
+        uri: { fsPath: fileName, toString: () => `file://${fileName}` },
+        fileName,
+        version,
+        getText: range => (range ? text.slice(offsetAt(range.start), offsetAt(range.end)) : text),
+        getWordRangeAtPosition: pos => {
+            const offset = offsetAt(pos);
+            const start = offset - text.slice(0, offset).match(/\w*$/)[0].length;
+            const end = offset + text.slice(offset).match(/^\w*/)[0].length;
+            return new vscode.Range(pos.line, start - lineStarts[pos.line], pos.line, end - lineStarts[pos.line]);
+        },
+        offsetAt,
+        positionAt: offset => {
+            let line = lineStarts.length - 1;
+            while (lineStarts[line] > offset) line--;
+            return new vscode.Position(line, offset - lineStarts[line]);
+        },
+    };
+}
+
+function positionOf(text, needle, nth = 0) {
+    let offset = -1;
+    for (let i = 0; i <= nth; i++) offset = text.indexOf(needle, offset + 1);
+    const before = text.slice(0, offset).split('\n');
+    return new vscode.Position(before.length - 1, before[before.length - 1].length);
+}
+
+const HEADER = [
+    '#define MAX_ORDERS 10',                             // 0
+    'enum ESignal { SIGNAL_NONE, SIGNAL_BUY };',         // 1
+    'class CTrader : public CObject',                    // 2
+    '  {',                                               // 3
+    'public:',                                           // 4
+    '   bool              Open(double lots);',           // 5
+    '   int               Count() const { return 0; }',  // 6
+    '  };',                                              // 7
+    'bool CTrader::Open(double lots) { return true; }',  // 8
+    'CTrader *CreateTrader() { return new CTrader(); }', // 9
+    '// void Commented() {}',                            // 10
+].join('\n');
+
+const noClangd = async () => null;
+
+suite('workspaceIndex', function () {
+    let tmpDir;
+
+    setup(function () {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mql-index-'));
+    });
+
+    teardown(function () {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('collectIndexSymbols finds functions, classes, methods, enums, defines, inputs and globals', function () {
+        const text = `${HEADER}\ninput double Lots = 0.1;\ndouble Calc(int n) { int k = n; return k; }\nint g_ticks = 0;`;
+        const symbols = collectIndexSymbols(fakeDocument(text, '/ws/Trader.mqh'))
+            .map(s => `${s.kind}:${s.container ? `${s.container}::` : ''}${s.name}@${s.line}:${s.character}`);
+        assert.deepStrictEqual(symbols.sort(), [
+            'class:CTrader@2:6',
+            'define:MAX_ORDERS@0:8',
+            'enum:ESignal@1:5',
+            'enumValue:ESignal::SIGNAL_BUY@1:28',
+            'enumValue:ESignal::SIGNAL_NONE@1:15',
+            'function:Calc@12:7',
+            'function:CreateTrader@9:9',
+            'input:Lots@11:13',
+            'method:CTrader::Count@6:21',
+            'method:CTrader::Open@5:21',
+            'method:CTrader::Open@8:14',
+            'variable:g_ticks@13:4',
+        ]);
+    });
+
+    test('matchesQuery matches case-insensitive subsequences', function () {
+        assert.ok(matchesQuery('CreateTrader', 'crtr'));
+        assert.ok(matchesQuery('CreateTrader', ''));
+        assert.ok(!matchesQuery('CreateTrader', 'trc'));
+    });
+
+    test('workspace symbols come from every file and skip what clangd already reports', async function () {
+        const headerPath = path.join(tmpDir, 'Trader.mqh');
+        const mainPath = path.join(tmpDir, 'Bot.mq5');
+        fs.writeFileSync(headerPath, HEADER);
+        fs.writeFileSync(mainPath, 'input int MaxTrades = 3;\nvoid Trade() { }');
+        const index = new WorkspaceSymbolIndex({ findFiles: async () => [headerPath, mainPath] });
+
+        const clangd = async () => [{ name: 'CreateTrader', location: { uri: headerPath, range: { start: { line: 9 } } } }];
+        const provider = new MqlWorkspaceSymbolProvider({ index, askClangd: clangd });
+        const results = await provider.provideWorkspaceSymbols('trad');
+        assert.deepStrictEqual(results.map(r => `${r.name}:${path.basename(r.location.uri.fsPath)}:${r.kind}`), [
+            'CTrader:Trader.mqh:4',
+            'MaxTrades:Bot.mq5:12',
+            'Trade:Bot.mq5:11',
+        ]);
+        assert.strictEqual(results[0].location.range.start.line, 2);
+    });
+
+    test('index rescans a file after it changes on disk', async function () {
+        const filePath = path.join(tmpDir, 'Lib.mqh');
+        fs.writeFileSync(filePath, 'void First() { }');
+        const index = new WorkspaceSymbolIndex({ findFiles: async () => [filePath] });
+        assert.deepStrictEqual((await index.allSymbols()).map(s => s.name), ['First']);
+
+        fs.writeFileSync(filePath, 'void Second() { }');
+        const later = new Date(Date.now() + 5000);
+        fs.utimesSync(filePath, later, later);
+        assert.deepStrictEqual((await index.allSymbols()).map(s => s.name), ['Second']);
+    });
+
+    test('parsed results are shared per file and evicted when the file is gone', async function () {
+        const filePath = path.join(tmpDir, 'Lib.mqh');
+        fs.writeFileSync(filePath, 'void First() { }');
+        const index = new WorkspaceSymbolIndex({ findFiles: async () => [filePath] });
+        let parses = 0;
+        const length = text => { parses++; return text.length; };
+
+        assert.strictEqual(await index.parsed(filePath, 'length', length), 16);
+        assert.strictEqual(await index.parsed(filePath, 'length', length), 16);
+        assert.deepStrictEqual((await index.allSymbols()).map(s => s.name), ['First']);
+        assert.strictEqual(parses, 1);
+
+        fs.rmSync(filePath);
+        assert.strictEqual(await index.parsed(filePath, 'length', length), null);
+        assert.strictEqual(index._sources.has(filePath), false);
+    });
+
+    test('definition prefers the include closure and defers to clangd', async function () {
+        const headerPath = path.join(tmpDir, 'Trader.mqh');
+        const otherPath = path.join(tmpDir, 'Other.mqh');
+        fs.writeFileSync(headerPath, HEADER);
+        fs.writeFileSync(otherPath, 'CTrader *CreateTrader() { return NULL; }\nvoid Unrelated() { }');
+        const index = new WorkspaceSymbolIndex({ findFiles: async () => [headerPath, otherPath] });
+        const main = '#include "Trader.mqh"\nvoid OnTick() { CTrader *t = CreateTrader(); Unrelated(); Print(MAX_ORDERS); }';
+        const document = fakeDocument(main, path.join(tmpDir, 'Bot.mq5'));
+
+        const provider = new MqlDefinitionProvider({ index, collectFiles: async () => [document.fileName, headerPath], askClangd: noClangd });
+        const created = await provider.provideDefinition(document, positionOf(main, 'CreateTrader'));
+        assert.deepStrictEqual(created.map(l => [path.basename(l.uri.fsPath), l.range.start.line]), [['Trader.mqh', 9]]);
+        const unrelated = await provider.provideDefinition(document, positionOf(main, 'Unrelated'));
+        assert.deepStrictEqual(unrelated.map(l => [path.basename(l.uri.fsPath), l.range.start.line]), [['Other.mqh', 1]]);
+        assert.strictEqual(await provider.provideDefinition(document, positionOf(main, 'Print')), undefined);
+
+        const withClangd = new MqlDefinitionProvider({
+            index, collectFiles: async () => [headerPath], askClangd: async () => [{ uri: headerPath }],
+        });
+        assert.strictEqual(await withClangd.provideDefinition(document, positionOf(main, 'CreateTrader')), undefined);
+    });
+
+    test('references cover code and macros across files, locals stay in their function', async function () {
+        const headerPath = path.join(tmpDir, 'Risk.mqh');
+        const header = 'double RiskPct = 1.0;\n#define RISK (RiskPct / 100) // RiskPct';
+        fs.writeFileSync(headerPath, header);
+        const main = '#include "Risk.mqh"\nvoid OnTick() { int n = 1; Print(RiskPct, n, "RiskPct"); }\nvoid f(int n) { n++; }';
+        const document = fakeDocument(main, path.join(tmpDir, 'Bot.mq5'));
+        const index = new WorkspaceSymbolIndex({ findFiles: async () => [] });
+        const provider = new MqlReferenceProvider({ index, collectFiles: async () => [document.fileName, headerPath], askClangd: noClangd });
+
+        const refs = await provider.provideReferences(document, positionOf(main, 'RiskPct'), { includeDeclaration: true });
+        assert.deepStrictEqual(refs.map(l => `${path.basename(l.uri.fsPath)}:${l.range.start.line}`), ['Bot.mq5:1', 'Risk.mqh:0', 'Risk.mqh:1']);
+        const withoutDeclaration = await provider.provideReferences(document, positionOf(main, 'RiskPct'), { includeDeclaration: false });
+        assert.strictEqual(withoutDeclaration.length, 2);
+
+        const locals = await provider.provideReferences(document, positionOf(main, 'n ='), { includeDeclaration: true });
+        assert.deepStrictEqual(locals.map(l => `${l.range.start.line}:${l.range.start.character}`), ['1:20', '1:42']);
+    });
+
+    test('references and definitions tell a global from a member and a local of the same name', async function () {
+        const main = [
+            'int count;',
+            'class CA { int count; void Inc(){ count++; } };',
+            'void OnTick(){ int count = 5; Print(count); count++; }',
+            'void Init(){ count = 1; }',
+        ].join('\n');
+        const document = fakeDocument(main, path.join(tmpDir, 'Bot.mq5'));
+        const index = new WorkspaceSymbolIndex({ findFiles: async () => [] });
+        const lines = refs => refs.map(l => `${l.range.start.line}:${l.range.start.character}`);
+        const references = new MqlReferenceProvider({ index, collectFiles: async () => [document.fileName], askClangd: noClangd });
+
+        const global = await references.provideReferences(document, positionOf(main, 'count = 1'), { includeDeclaration: true });
+        assert.deepStrictEqual(lines(global), ['0:4', '3:13']);
+        const member = await references.provideReferences(document, positionOf(main, 'count++'), { includeDeclaration: true });
+        assert.deepStrictEqual(lines(member), ['1:15', '1:34']);
+
+        const definitions = new MqlDefinitionProvider({ index, collectFiles: async () => [document.fileName], askClangd: noClangd });
+        assert.strictEqual(await definitions.provideDefinition(document, positionOf(main, 'count); count++')), undefined);
+    });
+
+    test('declarationText shows heads, inputs and macros without bodies or comments', function () {
+        const text = [
+            'input string Url = "http://example.com"; // Server URL',
+            '#define RISK 2.0 // percent',
+            'double CalcLots(double riskPct,  // share of equity',
+            '                int stop = 100)',
+            '  {',
+            '   return 0.1;',
+            '  }',
+        ].join('\n');
+        assert.strictEqual(declarationText(text, { name: 'Url', kind: 'input', line: 0 }), 'input string Url = "http://example.com"');
+        assert.strictEqual(declarationText(text, { name: 'RISK', kind: 'define', line: 1 }), '#define RISK 2.0');
+        assert.strictEqual(declarationText(text, { name: 'CalcLots', kind: 'function', line: 2 }), 'double CalcLots(double riskPct, int stop = 100)');
+        assert.strictEqual(declarationText(HEADER, { name: 'Count', kind: 'method', line: 6 }), 'int Count() const');
+    });
+
+    test('hover shows declaration, doc comment, file and the tester label of inputs', async function () {
+        const headerPath = path.join(tmpDir, 'Risk.mqh');
+        fs.writeFileSync(headerPath, [
+            '//+------------------------------------------------------------------+',
+            '//| Lot size for a risk percentage                                   |',
+            '//+------------------------------------------------------------------+',
+            'double CalcLots(double riskPct) { return 0.1; }',
+            'class CTrader',
+            '  {',
+            'public:',
+            '   bool              Buy(double lots);',
+            '  };',
+            '/// Market buy',
+            '/// @param lots volume in lots',
+            'bool CTrader::Buy(double lots) { return true; }',
+        ].join('\n'));
+        const main = [
+            '#include "Risk.mqh"',
+            '/// Percent of equity per trade',
+            'input double RiskPct = 1.0; // Risk per trade, %',
+            'CTrader trader;',
+            'void OnTick() { double RiskPct2 = CalcLots(RiskPct); trader.Buy(RiskPct2); }',
+        ].join('\n');
+        const document = fakeDocument(main, path.join(tmpDir, 'Bot.mq5'));
+        const index = new WorkspaceSymbolIndex({ findFiles: async () => [] });
+        const provider = new MqlHoverProvider({ index, collectFiles: async () => [document.fileName, headerPath] });
+
+        const calc = await provider.provideHover(document, positionOf(main, 'CalcLots'));
+        assert.strictEqual(calc.contents[0].value,
+            '\n```cpp\ndouble CalcLots(double riskPct)\n```\nLot size for a risk percentage\n\n*Risk.mqh, line 4*');
+        assert.deepStrictEqual([calc.range.start.line, calc.range.start.character], [4, 34]);
+
+        const input = await provider.provideHover(document, positionOf(main, 'RiskPct)'));
+        assert.strictEqual(input.contents[0].value,
+            '\n```cpp\ninput double RiskPct = 1.0\n```\n**Tester label:** Risk per trade, %\n\nPercent of equity per trade\n\n*Bot.mq5, line 3*');
+
+        const buy = await provider.provideHover(document, positionOf(main, 'Buy'));
+        assert.ok(buy.contents[0].value.includes('bool CTrader::Buy(double lots)\n```\nMarket buy\n\n- `lots` volume in lots'));
+        assert.strictEqual(await provider.provideHover(document, positionOf(main, 'RiskPct2')), undefined);
+        assert.strictEqual(await provider.provideHover(document, positionOf(main, 'OnTick')), undefined);
+    });
+
+    test('a declaration shadowing a builtin is described instead of the builtin', async function () {
+        const main = [
+            '/// Bars of the signal timeframe',
+            'int Bars(string symbol) { return 0; }',
+            'void OnTick() { int n = Bars(_Symbol); Sleep(n); }',
+        ].join('\n');
+        const document = fakeDocument(main, path.join(tmpDir, 'Shadow.mq5'));
+        const index = new WorkspaceSymbolIndex({ findFiles: async () => [] });
+        const provider = new MqlHoverProvider({ index, collectFiles: async () => [document.fileName] });
+
+        const bars = await provider.provideHover(document, positionOf(main, 'Bars', 2));
+        assert.ok(bars.contents[0].value.includes('int Bars(string symbol)\n```\nBars of the signal timeframe'));
+        assert.strictEqual(await provider.shadowsBuiltin(document, positionOf(main, 'Bars', 2)), true);
+        assert.strictEqual(await provider.shadowsBuiltin(document, positionOf(main, 'n)')), true);
+        assert.strictEqual(await provider.shadowsBuiltin(document, positionOf(main, 'Sleep')), false);
+        assert.strictEqual(await provider.provideHover(document, positionOf(main, 'Sleep')), undefined);
+
+        const builtinHover = Hover_MQL({ isShadowed: (doc, position) => provider.shadowsBuiltin(doc, position) });
+        assert.strictEqual(await builtinHover.provideHover(document, positionOf(main, 'Bars', 2)), undefined);
+        assert.ok(await builtinHover.provideHover(document, positionOf(main, 'Sleep')));
+    });
+});
@@ -0,0 +1,431 @@
+#!/usr/bin/env node
+
+/**
+ * MQL Headless Compile CLI
+ *
+ * Compiles MQL4/MQL5 sources with MetaEditor outside VS Code, using the same
+ * command building, CPU-architecture projects, Wine batch files and log parsing
+ * as the extension. Diagnostics are printed in GCC format so editors, CI logs
+ * and pre-commit hooks can pick them up.
+ *
+ * Usage:
+ *   node index.js --metaeditor <metaeditor64.exe> [options] <file|folder>...
+ *
+ * Exit codes:
+ *   0  every target compiled without errors
+ *   1  at least one target reported compile errors (or warnings with --warnings-as-errors)
+ *   2  usage or setup error (bad arguments, MetaEditor missing, no log produced)
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const childProcess = require('child_process');
+const {
+    buildMetaEditorCmd,
+    inferMqlDataDirFromPath,
+    CPU_ARCH_MAP,
+    createTempMqproj,
+    cleanupTempMqproj,
+    waitForLogFile,
+    parseMetaEditorLog,
+} = require('../../src/metaEditor');
+const {
+    toWineWindowsPath,
+    getWinePrefix,
+    getWineTimeout,
+    getWineEnv,
+    validateWinePath,
+    buildWineCmd,
+    buildSpawnOptions,
+    buildBatchContent,
+    createWineBatchFile,
+    cleanupBatchFile,
+} = require('../../src/wineHelper');
+
+const EXIT_OK = 0;
+const EXIT_COMPILE_ERRORS = 1;
+const EXIT_SETUP_ERROR = 2;
+
+const SKIPPED_DIRS = new Set(['.git', 'node_modules', '.vscode']);
+
+// Parse command line arguments
+function parseArgs(argv) {
+    const options = {
+        inputs: [],
+        metaeditor: process.env.MQL_METAEDITOR || null,
+        include: null,
+        portable: false,
+        arch: 'default',
+        wine: false,
+        wineBinary: 'wine64',
+        winePrefix: '',
+        timeout: 0,
+        warningsAsErrors: false,
+        keepLog: false,
+        quiet: false,
+        help: false,
+        error: null,
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '-m':
+            case '--metaeditor':
+                options.metaeditor = argv[++i];
+                break;
+            case '-i':
+            case '--include':
+                options.include = argv[++i];
+                break;
+            case '-p':
+            case '--portable':
+                options.portable = true;
+                break;
+            case '-a':
+            case '--arch':
+                options.arch = String(argv[++i] || '').toLowerCase();
+                break;
+            case '--wine':
+                options.wine = true;
+                break;
+            case '--wine-binary':
+                options.wineBinary = argv[++i];
+                break;
+            case '--wine-prefix':
+                options.winePrefix = argv[++i];
+                break;
+            case '-t':
+            case '--timeout':
+                options.timeout = Number(argv[++i]) * 1000;
+                break;
+            case '-W':
+            case '--warnings-as-errors':
+                options.warningsAsErrors = true;
+                break;
+            case '--keep-log':
+                options.keepLog = true;
+                break;
+            case '-q':
+            case '--quiet':
+                options.quiet = true;
+                break;
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            default:
+                if (arg.startsWith('-')) {
+                    options.error = `Unknown option: ${arg}`;
+                } else {
+                    options.inputs.push(arg);
+                }
+        }
+    }
+
+    if (!options.help && !options.error) {
+        if (options.inputs.length === 0) {
+            options.error = 'No input file or folder given';
+        } else if (!options.metaeditor) {
+            options.error = 'MetaEditor path is required. Use -m/--metaeditor or set MQL_METAEDITOR';
+        } else if (options.arch !== 'default' && CPU_ARCH_MAP[options.arch] === undefined) {
+            options.error = `Unknown CPU architecture '${options.arch}' (expected ${Object.keys(CPU_ARCH_MAP).join(', ')})`;
+        } else if (options.timeout && !(options.timeout > 0)) {
+            options.error = 'Timeout must be a positive number of seconds';
+        }
+    }
+
+    return options;
+}
+
+function printHelp() {
+    console.log(`
+MQL Headless Compile - compile MQL4/MQL5 sources with MetaEditor from the command line
+
+Usage:
+  node index.js --metaeditor <metaeditor64.exe> [options] <file|folder>...
+
+Folders are searched recursively for .mq4/.mq5 files.
+
+Options:
+  -m, --metaeditor <path>   MetaEditor executable (or MQL_METAEDITOR env variable)
+  -i, --include <dir>       MQL4/MQL5 data folder passed as /inc:
+  -p, --portable            Pass /portable to MetaEditor
+  -a, --arch <arch>         MQL5 CPU architecture: x64, avx, avx2, avx512
+      --wine                Run MetaEditor through Wine (macOS/Linux)
+      --wine-binary <bin>   Wine executable (default: wine64)
+      --wine-prefix <dir>   WINEPREFIX (default: $WINEPREFIX or ~/.wine)
+  -t, --timeout <seconds>   Kill MetaEditor after this long under Wine (default: 60)
+  -W, --warnings-as-errors  Exit with code 1 when warnings are reported
+      --keep-log            Keep the MetaEditor .log next to each source
+  -q, --quiet               Only print diagnostics
+  -h, --help                Show this help message
+
+Output:
+  Diagnostics are printed to stderr as  file:line:column: error|warning: message [MQLcode]
+
+Exit codes:
+  0  no compile errors
+  1  compile errors (or warnings with --warnings-as-errors)
+  2  usage or setup error
+
+Examples:
+  node index.js -m "C:/Program Files/MetaTrader 5/metaeditor64.exe" MQL5/Experts/MyEA.mq5
+  node index.js --wine -m ~/.wine/drive_c/MT5/metaeditor64.exe -i ~/.wine/drive_c/MT5/MQL5 MQL5/Experts
+`);
+}
+
+/**
+ * Expand files and folders into a sorted list of .mq4/.mq5 sources.
+ * Debugger build copies (`*.mql_dbg_build.*`) are skipped.
+ *
+ * @param {string[]} inputs
+ * @returns {{ targets: string[], missing: string[] }}
+ */
+function collectTargets(inputs) {
+    const targets = new Set();
+    const missing = [];
+    const isMain = (file) => /\.mq[45]$/i.test(file) && !path.basename(file).toLowerCase().includes('.mql_dbg_build.');
+
+    const walk = (dir) => {
+        let entries;
+        try {
+            entries = fs.readdirSync(dir, { withFileTypes: true });
+        } catch (err) {
+            console.error(`Warning: Cannot read directory ${dir}: ${err.message}`);
+            return;
+        }
+        for (const entry of entries) {
+            const fullPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                if (!SKIPPED_DIRS.has(entry.name)) walk(fullPath);
+            } else if (entry.isFile() && isMain(entry.name)) {
+                targets.add(fullPath);
+            }
+        }
+    };
+
+    for (const input of inputs) {
+        const resolved = path.resolve(input);
+        let stat;
+        try {
+            stat = fs.statSync(resolved);
+        } catch {
+            missing.push(input);
+            continue;
+        }
+        if (stat.isDirectory()) {
+            walk(resolved);
+        } else {
+            targets.add(resolved);
+        }
+    }
+    return { targets: [...targets].sort(), missing };
+}
+
+/**
+ * Format one parseMetaEditorLog() diagnostic the way GCC does.
+ * @returns {string} e.g. `/src/EA.mq5:12:5: error: 'x' - undeclared identifier [MQL256]`
+ */
+function formatGccDiagnostic(diag) {
+    const code = diag.errorCode ? ` [MQL${diag.errorCode}]` : '';
+    return `${diag.file}:${diag.line + 1}:${diag.character + 1}: ${diag.severity}: ${diag.message}${code}`;
+}
+
+/**
+ * Exit code for a finished run.
+ * @param {Array<{setupError?: string, errors: number, warnings: number}>} results
+ * @param {{ warningsAsErrors: boolean }} options
+ * @returns {number}
+ */
+function resolveExitCode(results, options) {
+    if (results.some(r => r.setupError)) return EXIT_SETUP_ERROR;
+    if (results.some(r => r.errors > 0)) return EXIT_COMPILE_ERRORS;
+    if (options.warningsAsErrors && results.some(r => r.warnings > 0)) return EXIT_COMPILE_ERRORS;
+    return EXIT_OK;
+}
+
+function spawnAndWait(executable, args, spawnOptions, timeoutMs) {
+    return new Promise((resolve) => {
+        const proc = childProcess.spawn(executable, args, spawnOptions);
+        let stderr = '';
+        let timedOut = false;
+        const timer = timeoutMs > 0 ? setTimeout(() => {
+            timedOut = true;
+            proc.kill('SIGTERM');
+        }, timeoutMs) : null;
+        proc.stderr.on('data', (data) => { stderr += data.toString(); });
+        proc.on('error', (err) => {
+            if (timer) clearTimeout(timer);
+            resolve({ code: null, stderr, launchError: err.message, timedOut });
+        });
+        proc.on('close', (code) => {
+            if (timer) clearTimeout(timer);
+            resolve({ code, stderr, launchError: null, timedOut });
+        });
+    });
+}
+
+/**
+ * Compile one source file and parse its log.
+ *
+ * @param {string} target - Absolute path to a .mq4/.mq5 file
+ * @param {object} options - from parseArgs()
+ * @returns {Promise<{target: string, setupError?: string, errors: number, warnings: number, diagnostics: Array, exitCode: number|null}>}
+ */
+async function compileTarget(target, options) {
+    const ext = path.extname(target).toLowerCase();
+    const isMql5 = ext === '.mq5';
+    const logFile = path.join(path.dirname(target), `${path.basename(target, ext)}.log`);
+    const wineConfig = { Wine: { Enabled: true, Binary: options.wineBinary, Prefix: options.winePrefix, Timeout: options.timeout } };
+    const winePrefix = options.wine ? getWinePrefix(wineConfig) : '';
+    const portableSwitch = options.portable ? '/portable' : '';
+    let incDir = options.include ? path.resolve(options.include) : '';
+    if (!incDir && options.wine) {
+        incDir = inferMqlDataDirFromPath(target, isMql5) || '';
+    }
+
+    let tempProjPath = null;
+    let batFile = null;
+    const result = { target, errors: 0, warnings: 0, diagnostics: [], exitCode: null };
+
+    try {
+        let compileSource = target;
+        if (isMql5 && options.arch !== 'default') {
+            tempProjPath = createTempMqproj(target, CPU_ARCH_MAP[options.arch]);
+            compileSource = tempProjPath;
+        }
+        // A stale log from a previous run must not be mistaken for this one.
+        try { fs.unlinkSync(logFile); } catch { /* not present */ }
+
+        let run;
+        if (options.wine) {
+            const toWin = async (p) => (await toWineWindowsPath(p, options.wineBinary, winePrefix)).path;
+            const metaResult = await toWineWindowsPath(options.metaeditor, options.wineBinary, winePrefix);
+            if (!metaResult.success) {
+                result.setupError = metaResult.error;
+                return result;
+            }
+            const metaArgs = [`/compile:"${await toWin(compileSource)}"`, `/log:"${await toWin(logFile)}"`];
+            if (incDir) metaArgs.push(`/inc:"${await toWin(incDir)}"`);
+            if (portableSwitch) metaArgs.push(portableSwitch);
+            batFile = await createWineBatchFile(buildBatchContent(metaResult.path, metaArgs), options.wineBinary, winePrefix);
+            const wineCmd = buildWineCmd(options.wineBinary, batFile.winPath);
+            run = await spawnAndWait(wineCmd.executable, wineCmd.args,
+                buildSpawnOptions({ env: getWineEnv(wineConfig) }), getWineTimeout(wineConfig));
+        } else {
+            const execArgs = [`/compile:${compileSource}`, `/log:${logFile}`];
+            if (incDir) execArgs.push(`/inc:${incDir}`);
+            if (portableSwitch) execArgs.push(portableSwitch);
+            const { executable, args } = buildMetaEditorCmd(options.metaeditor, execArgs);
+            run = await spawnAndWait(executable, args, buildSpawnOptions(), 0);
+        }
+        result.exitCode = run.code;
+
+        if (!await waitForLogFile(logFile)) {
+            const reason = run.timedOut ? 'MetaEditor timed out' : (run.launchError || (run.stderr.trim() || `exit code ${run.code}`));
+            result.setupError = `No compile log produced (${reason})`;
+            return result;
+        }
+
+        const parsed = parseMetaEditorLog(fs.readFileSync(logFile, 'ucs-2'), false, winePrefix);
+        if (!options.keepLog) {
+            try { fs.unlinkSync(logFile); } catch { /* best effort */ }
+        }
+        result.diagnostics = parsed.diagnostics;
+        result.errors = parsed.diagnostics.filter(d => d.severity === 'error').length;
+        result.warnings = parsed.diagnostics.length - result.errors;
+        // The summary line can report errors that have no file position.
+        if (parsed.error && result.errors === 0) result.errors = 1;
+        return result;
+    } catch (err) {
+        result.setupError = err.message;
+        return result;
+    } finally {
+        if (batFile) cleanupBatchFile(batFile.unixPath);
+        cleanupTempMqproj(tempProjPath);
+    }
+}
+
+// Main function
+async function main(argv = process.argv.slice(2)) {
+    const options = parseArgs(argv);
+    if (options.help) {
+        printHelp();
+        return EXIT_OK;
+    }
+    if (options.error) {
+        console.error(`Error: ${options.error}`);
+        console.error('Use --help for usage information');
+        return EXIT_SETUP_ERROR;
+    }
+
+    if (options.wine) {
+        const validation = validateWinePath(options.metaeditor);
+        if (!validation.valid) {
+            console.error(`Error: ${validation.error}`);
+            return EXIT_SETUP_ERROR;
+        }
+    }
+    if (!fs.existsSync(options.metaeditor)) {
+        console.error(`Error: MetaEditor not found: ${options.metaeditor}`);
+        return EXIT_SETUP_ERROR;
+    }
+
+    const { targets, missing } = collectTargets(options.inputs);
+    for (const input of missing) {
+        console.error(`Error: No such file or directory: ${input}`);
+    }
+    if (missing.length > 0) return EXIT_SETUP_ERROR;
+    if (targets.length === 0) {
+        console.error('Error: No .mq4/.mq5 files found');
+        return EXIT_SETUP_ERROR;
+    }
+
+    const results = [];
+    for (const target of targets) {
+        const started = Date.now();
+        const result = await compileTarget(target, options);
+        results.push(result);
+
+        for (const diag of result.diagnostics) {
+            console.error(formatGccDiagnostic(diag));
+        }
+        if (result.setupError) {
+            console.error(`${target}: fatal error: ${result.setupError}`);
+        }
+        if (!options.quiet) {
+            const seconds = ((Date.now() - started) / 1000).toFixed(1);
+            console.log(`${path.relative(process.cwd(), target) || target}: ${result.errors} error(s), ${result.warnings} warning(s) [${seconds}s]`);
+        }
+    }
+
+    if (!options.quiet && results.length > 1) {
+        const failed = results.filter(r => r.setupError || r.errors > 0).length;
+        console.log(`${results.length - failed} ok / ${failed} failed`);
+    }
+    return resolveExitCode(results, options);
+}
+
+if (require.main === module) {
+    main().then(code => {
+        process.exitCode = code;
+    }).catch(err => {
+        console.error(`Fatal error: ${err.message}`);
+        process.exitCode = EXIT_SETUP_ERROR;
+    });
+}
+
+module.exports = {
+    parseArgs,
+    collectTargets,
+    formatGccDiagnostic,
+    resolveExitCode,
+    compileTarget,
+    main,
+    EXIT_OK,
+    EXIT_COMPILE_ERRORS,
+    EXIT_SETUP_ERROR,
+};